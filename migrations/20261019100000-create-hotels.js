@@ -0,0 +1,75 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('hotels', {
+      hotelId: {
+        type: Sequelize.STRING(8),
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Amadeus property code (e.g., HIDEL429)',
+      },
+      chainCode: {
+        type: Sequelize.STRING(2),
+        allowNull: false,
+        comment: 'Hotel chain code',
+      },
+      dupeId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Unique property identifier across providers',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Hotel name',
+      },
+      cityCode: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        comment: 'IATA city code',
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 8),
+        allowNull: false,
+        comment: 'Latitude in decimal coordinates (-90 to 90)',
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(11, 8),
+        allowNull: false,
+        comment: 'Longitude in decimal coordinates (-180 to 180)',
+      },
+      pictures: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Array of picture URLs for the hotel',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    // Add index on city code for city searches
+    await queryInterface.addIndex('hotels', ['cityCode'], {
+      name: 'idx_hotels_city',
+    });
+
+    // Add composite index for geospatial queries
+    await queryInterface.addIndex('hotels', ['latitude', 'longitude'], {
+      name: 'idx_hotels_coordinates',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('hotels');
+  },
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('hotel_offers', {
+      id: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Unique identifier for the offer (e.g., 9S0WC96W8V)',
+      },
+      hotelId: {
+        type: Sequelize.STRING(8),
+        allowNull: false,
+        references: {
+          model: 'hotels',
+          key: 'hotelId',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Reference to hotel',
+      },
+      rateCode: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        comment: 'Rate plan code',
+      },
+      boardType: {
+        type: Sequelize.ENUM('ROOM_ONLY', 'BREAKFAST', 'HALF_BOARD', 'FULL_BOARD', 'ALL_INCLUSIVE'),
+        allowNull: false,
+        defaultValue: 'ROOM_ONLY',
+        comment: 'Meals included in the rate',
+      },
+      room: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Room type, estimated type and description',
+      },
+      maxAdults: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 2,
+        comment: 'Maximum number of adults the room accommodates',
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        comment: 'ISO 4217 currency code',
+      },
+      nightlyBase: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Base price per night before taxes',
+      },
+      taxes: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Array of tax objects (code, percentage or amount, included)',
+      },
+      cancellationDeadlineHours: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Free cancellation window in hours before check-in (null = non-refundable)',
+      },
+      guarantee: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Guarantee policy with accepted payments',
+      },
+      paymentType: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'guarantee',
+        comment: 'Payment type (guarantee, deposit, prepay)',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    // Add index on hotel for offer lookups
+    await queryInterface.addIndex('hotel_offers', ['hotelId'], {
+      name: 'idx_hotel_offers_hotel',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('hotel_offers');
+  },
+};
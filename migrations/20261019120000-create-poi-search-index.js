@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Full-text search index for points of interest
+ *
+ * FTS5 table over name and tags with diacritic folding ("Batllo" matches "Batlló")
+ * and prefix indexes for 2 and 3 character prefixes. Triggers keep it in sync
+ * with points_of_interest; tags are stored as space-separated words.
+ */
+
+const TAGS_AS_TEXT = row =>
+  `COALESCE((SELECT group_concat(value, ' ') FROM json_each(${row}.tags)), '')`;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE points_of_interest_search USING fts5(
+        id UNINDEXED,
+        name,
+        tags,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO points_of_interest_search (id, name, tags)
+      SELECT id, name, ${TAGS_AS_TEXT('points_of_interest')}
+      FROM points_of_interest
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_search_insert
+      AFTER INSERT ON points_of_interest
+      BEGIN
+        INSERT INTO points_of_interest_search (id, name, tags)
+        VALUES (NEW.id, NEW.name, ${TAGS_AS_TEXT('NEW')});
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_search_update
+      AFTER UPDATE OF id, name, tags ON points_of_interest
+      BEGIN
+        DELETE FROM points_of_interest_search WHERE id = OLD.id;
+        INSERT INTO points_of_interest_search (id, name, tags)
+        VALUES (NEW.id, NEW.name, ${TAGS_AS_TEXT('NEW')});
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_search_delete
+      AFTER DELETE ON points_of_interest
+      BEGIN
+        DELETE FROM points_of_interest_search WHERE id = OLD.id;
+      END
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS points_of_interest_search_delete');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS points_of_interest_search_update');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS points_of_interest_search_insert');
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS points_of_interest_search');
+  },
+};
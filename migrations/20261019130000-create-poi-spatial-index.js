@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * R*Tree spatial index for points of interest
+ *
+ * R*Tree entries need integer keys, so each POI gets a stable key in
+ * points_of_interest_spatial_keys (rowids of points_of_interest may change on
+ * VACUUM). The R*Tree stores the POI id as an auxiliary column for joins.
+ * Triggers keep both tables in sync with points_of_interest.
+ */
+
+const KEY_OF = id => `(SELECT key FROM points_of_interest_spatial_keys WHERE poiId = ${id})`;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`
+      CREATE TABLE points_of_interest_spatial_keys (
+        key INTEGER PRIMARY KEY AUTOINCREMENT,
+        poiId VARCHAR(255) NOT NULL UNIQUE
+      )
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE points_of_interest_rtree USING rtree(
+        key,
+        minLatitude, maxLatitude,
+        minLongitude, maxLongitude,
+        +poiId
+      )
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO points_of_interest_spatial_keys (poiId)
+      SELECT id FROM points_of_interest
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO points_of_interest_rtree
+      SELECT spatial.key, poi.latitude, poi.latitude, poi.longitude, poi.longitude, poi.id
+      FROM points_of_interest AS poi
+      JOIN points_of_interest_spatial_keys AS spatial ON spatial.poiId = poi.id
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_rtree_insert
+      AFTER INSERT ON points_of_interest
+      BEGIN
+        INSERT INTO points_of_interest_spatial_keys (poiId) VALUES (NEW.id);
+        INSERT INTO points_of_interest_rtree
+        VALUES (${KEY_OF('NEW.id')}, NEW.latitude, NEW.latitude, NEW.longitude, NEW.longitude, NEW.id);
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_rtree_update
+      AFTER UPDATE OF id, latitude, longitude ON points_of_interest
+      BEGIN
+        UPDATE points_of_interest_spatial_keys SET poiId = NEW.id WHERE poiId = OLD.id;
+        UPDATE points_of_interest_rtree
+        SET minLatitude = NEW.latitude, maxLatitude = NEW.latitude,
+            minLongitude = NEW.longitude, maxLongitude = NEW.longitude,
+            poiId = NEW.id
+        WHERE key = ${KEY_OF('NEW.id')};
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_rtree_delete
+      AFTER DELETE ON points_of_interest
+      BEGIN
+        DELETE FROM points_of_interest_rtree WHERE key = ${KEY_OF('OLD.id')};
+        DELETE FROM points_of_interest_spatial_keys WHERE poiId = OLD.id;
+      END
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS points_of_interest_rtree_delete');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS points_of_interest_rtree_update');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS points_of_interest_rtree_insert');
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS points_of_interest_rtree');
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS points_of_interest_spatial_keys');
+  },
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * POI translations
+ *
+ * One row per POI and locale with the translated name and description (either
+ * may be null to keep the POI's own name, or to have no description).
+ *
+ * The full-text search index gains a `translations` column with every
+ * translated name of the POI, so name searches match in any language.
+ * Triggers on both tables keep it in sync.
+ */
+
+const searchIndexMigration = require('./20261019120000-create-poi-search-index');
+
+const TAGS_AS_TEXT = row =>
+  `COALESCE((SELECT group_concat(value, ' ') FROM json_each(${row}.tags)), '')`;
+
+const TRANSLATIONS_AS_TEXT = poiId =>
+  `COALESCE((SELECT group_concat(name, ' ') FROM poi_translations WHERE poiId = ${poiId}), '')`;
+
+/**
+ * Statements replacing the search row of a POI from its current data
+ */
+const REFRESH_SEARCH_ROW = poiId => `
+  DELETE FROM points_of_interest_search WHERE id = ${poiId};
+  INSERT INTO points_of_interest_search (id, name, tags, translations)
+  SELECT poi.id, poi.name, ${TAGS_AS_TEXT('poi')}, ${TRANSLATIONS_AS_TEXT('poi.id')}
+  FROM points_of_interest AS poi
+  WHERE poi.id = ${poiId};
+`;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('poi_translations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      poiId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: {
+          model: 'points_of_interest',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Reference to point of interest',
+      },
+      locale: {
+        type: Sequelize.STRING(35),
+        allowNull: false,
+        comment: 'Language tag (e.g., es, ca, en-GB)',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Translated name (null: the POI name)',
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Description in this language',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    // One translation per POI and locale
+    await queryInterface.addIndex('poi_translations', ['poiId', 'locale'], {
+      unique: true,
+      name: 'idx_poi_translations_poi_locale',
+    });
+
+    // Rebuild the search index with a translations column
+    await searchIndexMigration.down(queryInterface, Sequelize);
+
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE points_of_interest_search USING fts5(
+        id UNINDEXED,
+        name,
+        tags,
+        translations,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO points_of_interest_search (id, name, tags, translations)
+      SELECT id, name, ${TAGS_AS_TEXT('points_of_interest')}, ${TRANSLATIONS_AS_TEXT('points_of_interest.id')}
+      FROM points_of_interest
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_search_insert
+      AFTER INSERT ON points_of_interest
+      BEGIN
+        INSERT INTO points_of_interest_search (id, name, tags, translations)
+        VALUES (NEW.id, NEW.name, ${TAGS_AS_TEXT('NEW')}, ${TRANSLATIONS_AS_TEXT('NEW.id')});
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_search_update
+      AFTER UPDATE OF id, name, tags ON points_of_interest
+      BEGIN
+        DELETE FROM points_of_interest_search WHERE id = OLD.id;
+        ${REFRESH_SEARCH_ROW('NEW.id')}
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER points_of_interest_search_delete
+      AFTER DELETE ON points_of_interest
+      BEGIN
+        DELETE FROM points_of_interest_search WHERE id = OLD.id;
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER poi_translations_search_insert
+      AFTER INSERT ON poi_translations
+      BEGIN
+        ${REFRESH_SEARCH_ROW('NEW.poiId')}
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER poi_translations_search_update
+      AFTER UPDATE OF poiId, name ON poi_translations
+      BEGIN
+        ${REFRESH_SEARCH_ROW('OLD.poiId')}
+        ${REFRESH_SEARCH_ROW('NEW.poiId')}
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER poi_translations_search_delete
+      AFTER DELETE ON poi_translations
+      BEGIN
+        ${REFRESH_SEARCH_ROW('OLD.poiId')}
+      END
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS poi_translations_search_delete');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS poi_translations_search_update');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS poi_translations_search_insert');
+
+    // Restore the search index without translations
+    await searchIndexMigration.down(queryInterface, Sequelize);
+    await searchIndexMigration.up(queryInterface, Sequelize);
+
+    await queryInterface.dropTable('poi_translations');
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('points_of_interest', 'openingHours', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Weekly opening hours and exceptions in the POI time zone (see utils/openingHours)',
+    });
+  },
+
+  async down(queryInterface) {
+    // removeColumn rebuilds the table on SQLite, which would drop the search and spatial index triggers
+    await queryInterface.sequelize.query('ALTER TABLE points_of_interest DROP COLUMN openingHours');
+  },
+};
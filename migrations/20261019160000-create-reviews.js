@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * POI reviews
+ *
+ * One review per user and POI with a 1-5 star rating, optional text and
+ * visit date. The average rating and review count of each POI are kept on
+ * points_of_interest (ratingAverage, ratingCount) by triggers on reviews, so
+ * searches can filter and sort by rating without aggregating.
+ */
+
+/**
+ * Statement recomputing the rating aggregates of a POI
+ */
+const REFRESH_RATING = poiId => `
+  UPDATE points_of_interest
+  SET ratingAverage = (SELECT AVG(rating) FROM reviews WHERE poiId = ${poiId}),
+      ratingCount = (SELECT COUNT(*) FROM reviews WHERE poiId = ${poiId})
+  WHERE id = ${poiId};
+`;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('reviews', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Reference to the author',
+      },
+      poiId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: {
+          model: 'points_of_interest',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Reference to point of interest',
+      },
+      rating: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Star rating (1-5)',
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Review text',
+      },
+      visitDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'Date of the visit (YYYY-MM-DD)',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    // One review per user and POI
+    await queryInterface.addIndex('reviews', ['userId', 'poiId'], {
+      unique: true,
+      name: 'idx_reviews_user_poi',
+    });
+
+    // Reviews of a POI, most recent first
+    await queryInterface.addIndex('reviews', ['poiId', 'createdAt'], {
+      name: 'idx_reviews_poi_created',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'ratingAverage', {
+      type: Sequelize.FLOAT,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Average review rating (null without reviews)',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'ratingCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Number of reviews',
+    });
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER reviews_rating_insert
+      AFTER INSERT ON reviews
+      BEGIN
+        ${REFRESH_RATING('NEW.poiId')}
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER reviews_rating_update
+      AFTER UPDATE OF poiId, rating ON reviews
+      BEGIN
+        ${REFRESH_RATING('OLD.poiId')}
+        ${REFRESH_RATING('NEW.poiId')}
+      END
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER reviews_rating_delete
+      AFTER DELETE ON reviews
+      BEGIN
+        ${REFRESH_RATING('OLD.poiId')}
+      END
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS reviews_rating_delete');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS reviews_rating_update');
+    await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS reviews_rating_insert');
+
+    // removeColumn rebuilds the table on SQLite, which would drop the search and spatial index triggers
+    await queryInterface.sequelize.query('ALTER TABLE points_of_interest DROP COLUMN ratingCount');
+    await queryInterface.sequelize.query('ALTER TABLE points_of_interest DROP COLUMN ratingAverage');
+
+    await queryInterface.dropTable('reviews');
+  },
+};
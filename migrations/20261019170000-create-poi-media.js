@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * POI media
+ *
+ * Pictures uploaded for a POI: the stored file (see utils/mediaStorage), its
+ * dimensions, generated thumbnails, caption and position among the POI's
+ * pictures. External picture URLs stay in points_of_interest.pictures.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('poi_media', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      poiId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: {
+          model: 'points_of_interest',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Reference to point of interest',
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who uploaded the picture',
+      },
+      fileKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Storage key of the full-size image',
+      },
+      contentType: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'MIME type (image/jpeg, image/png or image/webp)',
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Width in pixels',
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Height in pixels',
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'File size in bytes',
+      },
+      thumbnails: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Thumbnails by size name: { key, width, height }',
+      },
+      caption: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Caption',
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Position among the pictures of the POI (1 = first)',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    // Pictures of a POI in display order
+    await queryInterface.addIndex('poi_media', ['poiId', 'position'], {
+      name: 'idx_poi_media_poi_position',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('poi_media');
+  },
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * POI details
+ *
+ * Structured address, contact details (phone, website, email), price level
+ * and a short description in the default language (translations may
+ * override it, see poi_translations).
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('points_of_interest', 'address', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Postal address: street, postalCode, city, region, countryCode',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'phone', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Contact phone number, preferably in international format',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'website', {
+      type: Sequelize.STRING(2048),
+      allowNull: true,
+      comment: 'Website URL (http or https)',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'email', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Contact email address',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'priceLevel', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Price level from 1 (inexpensive) to 4 (very expensive)',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'description', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+      comment: 'Short description in the default language',
+    });
+  },
+
+  async down(queryInterface) {
+    // removeColumn rebuilds the table on SQLite, which would drop the search and spatial index triggers
+    for (const column of ['description', 'priceLevel', 'email', 'website', 'phone', 'address']) {
+      await queryInterface.sequelize.query(`ALTER TABLE points_of_interest DROP COLUMN ${column}`);
+    }
+  },
+};
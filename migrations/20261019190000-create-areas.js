@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Areas: cities and their districts
+ *
+ * Locations above POIs in the hierarchy city > district > POI. A district
+ * belongs to a city; a POI belongs to a district or directly to a city
+ * (points_of_interest.parentId). An optional boundary (GeoJSON Polygon or
+ * MultiPolygon) lets POIs be placed in their area from their coordinates.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('areas', {
+      id: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Unique identifier for the area',
+      },
+      subType: {
+        type: Sequelize.ENUM('CITY', 'DISTRICT'),
+        allowNull: false,
+        comment: 'Location sub-type',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Name of the area',
+      },
+      parentId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        references: {
+          model: 'areas',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'City of a district (null for cities)',
+      },
+      iataCode: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+        comment: 'IATA city code (cities only)',
+      },
+      countryCode: {
+        type: Sequelize.STRING(2),
+        allowNull: false,
+        comment: 'ISO 3166-1 alpha-2 country code',
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 8),
+        allowNull: false,
+        comment: 'Latitude of the area center',
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(11, 8),
+        allowNull: false,
+        comment: 'Longitude of the area center',
+      },
+      boundary: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'GeoJSON Polygon or MultiPolygon geometry of the area',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    await queryInterface.addIndex('areas', ['subType', 'name'], {
+      name: 'idx_areas_subtype_name',
+    });
+
+    await queryInterface.addIndex('areas', ['parentId'], {
+      name: 'idx_areas_parent',
+    });
+
+    await queryInterface.addColumn('points_of_interest', 'parentId', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      references: {
+        model: 'areas',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'District or city the POI belongs to',
+    });
+
+    await queryInterface.addIndex('points_of_interest', ['parentId'], {
+      name: 'idx_poi_parent',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('points_of_interest', 'idx_poi_parent');
+
+    // removeColumn rebuilds the table on SQLite, which would drop the search and spatial index triggers
+    await queryInterface.sequelize.query('ALTER TABLE points_of_interest DROP COLUMN parentId');
+
+    await queryInterface.dropTable('areas');
+  },
+};
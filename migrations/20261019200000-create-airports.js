@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Airports: IATA/ICAO-coded airports for trip planning
+ *
+ * Looked up by code, name or city, or by distance from a point. An airport
+ * may be linked to the city it serves (areas.id); the IATA city code is kept
+ * either way, since many airports have no city in the areas table.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('airports', {
+      id: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false,
+        comment: 'Location identifier: A followed by the IATA code (e.g., ABCN)',
+      },
+      iataCode: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        unique: true,
+        comment: 'IATA airport code',
+      },
+      icaoCode: {
+        type: Sequelize.STRING(4),
+        allowNull: true,
+        unique: true,
+        comment: 'ICAO airport code',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Airport name',
+      },
+      cityName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Name of the city served',
+      },
+      cityCode: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+        comment: 'IATA code of the city served',
+      },
+      countryCode: {
+        type: Sequelize.STRING(2),
+        allowNull: false,
+        comment: 'ISO 3166-1 alpha-2 country code',
+      },
+      latitude: {
+        type: Sequelize.DECIMAL(10, 8),
+        allowNull: false,
+        comment: 'Latitude of the airport',
+      },
+      longitude: {
+        type: Sequelize.DECIMAL(11, 8),
+        allowNull: false,
+        comment: 'Longitude of the airport',
+      },
+      timeZone: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        comment: 'IANA time zone of the airport',
+      },
+      cityId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        references: {
+          model: 'areas',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'City served, when it is in the areas table',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+      },
+    });
+
+    await queryInterface.addIndex('airports', ['latitude', 'longitude'], {
+      name: 'idx_airports_location',
+    });
+
+    await queryInterface.addIndex('airports', ['cityCode'], {
+      name: 'idx_airports_city_code',
+    });
+
+    await queryInterface.addIndex('airports', ['cityId'], {
+      name: 'idx_airports_city',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('airports');
+  },
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Full-text search index for cities, districts and airports
+ *
+ * FTS5 table used by the autocomplete endpoint, with the same diacritic folding
+ * and prefix indexes as the POI search index. Areas are indexed by name and
+ * IATA city code; airports by name, IATA and ICAO codes, and city name.
+ * Triggers keep it in sync with the areas and airports tables.
+ */
+
+const AREA_ROW = row =>
+  `${row}.id, ${row}.name, COALESCE(${row}.iataCode, ''), ''`;
+
+const AIRPORT_ROW = row =>
+  `${row}.id, ${row}.name, ${row}.iataCode || ' ' || COALESCE(${row}.icaoCode, ''), COALESCE(${row}.cityName, '')`;
+
+/**
+ * Indexed tables, the values of their search row, and the columns whose updates refresh it
+ */
+const INDEXED_TABLES = [
+  { table: 'areas', row: AREA_ROW, columns: 'id, name, iataCode' },
+  { table: 'airports', row: AIRPORT_ROW, columns: 'id, name, iataCode, icaoCode, cityName' },
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE locations_search USING fts5(
+        id UNINDEXED,
+        name,
+        codes,
+        city,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO locations_search (id, name, codes, city)
+      SELECT ${AREA_ROW('areas')} FROM areas
+      UNION ALL
+      SELECT ${AIRPORT_ROW('airports')} FROM airports
+    `);
+
+    for (const { table, row, columns } of INDEXED_TABLES) {
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER ${table}_search_insert
+        AFTER INSERT ON ${table}
+        BEGIN
+          INSERT INTO locations_search (id, name, codes, city)
+          VALUES (${row('NEW')});
+        END
+      `);
+
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER ${table}_search_update
+        AFTER UPDATE OF ${columns} ON ${table}
+        BEGIN
+          DELETE FROM locations_search WHERE id = OLD.id;
+          INSERT INTO locations_search (id, name, codes, city)
+          VALUES (${row('NEW')});
+        END
+      `);
+
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER ${table}_search_delete
+        AFTER DELETE ON ${table}
+        BEGIN
+          DELETE FROM locations_search WHERE id = OLD.id;
+        END
+      `);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const { table } of INDEXED_TABLES) {
+      for (const event of ['delete', 'update', 'insert']) {
+        await queryInterface.sequelize.query(`DROP TRIGGER IF EXISTS ${table}_search_${event}`);
+      }
+    }
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS locations_search');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Vocabulary of the POI full-text search index
+ *
+ * fts5vocab table listing every term of points_of_interest_search per column,
+ * with the number of POIs containing it. It reads the index directly, so it is
+ * always in sync; name searches use it to correct misspelled terms.
+ */
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE points_of_interest_search_vocabulary
+      USING fts5vocab(points_of_interest_search, 'col')
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS points_of_interest_search_vocabulary');
+  },
+};
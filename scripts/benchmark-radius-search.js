@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Radius Search Benchmark
+ *
+ * Builds a throwaway SQLite database with a large synthetic set of POIs around
+ * Barcelona and compares PoiService.findByRadius (R*Tree index, SQL-side
+ * distance filtering and pagination) with the previous in-memory strategy
+ * (load the whole bounding box, compute distances in JS, sort and slice).
+ * Both strategies must return the same counts and pages; `npm test` checks
+ * this too (tests/integration/radiusSearch.test.js).
+ *
+ * Usage:
+ *   npm run benchmark:radius -- [--pois=50000] [--runs=50] [--radius=5]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use a temporary database; must be set before the models are loaded
+const storage = path.join(os.tmpdir(), `poi-benchmark-${process.pid}.sqlite`);
+process.env.DB_STORAGE = storage;
+process.env.DB_LOGGING = 'false';
+process.env.NODE_ENV = 'development';
+
+const { Sequelize, Op } = require('sequelize');
+const { PointOfInterest, Area, sequelize } = require('../src/models');
+const PoiService = require('../src/services/PoiService');
+const { calculateDistance, getBoundingBox } = require('../src/utils/geospatial');
+const createSearchIndex = require('../migrations/20261019120000-create-poi-search-index');
+const createSpatialIndex = require('../migrations/20261019130000-create-poi-spatial-index');
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+const SPREAD_DEGREES = 0.25;
+const CATEGORIES = ['SIGHTS', 'BEACH_PARK', 'HISTORICAL', 'NIGHTLIFE', 'RESTAURANT', 'SHOPPING'];
+const BATCH_SIZE = 1000;
+const PAGE_SIZE = 10;
+
+/**
+ * Read a numeric --name=value argument
+ */
+function getArg(name, defaultValue) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) : defaultValue;
+}
+
+/**
+ * Random point within the synthetic area
+ */
+function randomPoint() {
+  return {
+    latitude: CENTER.latitude + (Math.random() - 0.5) * SPREAD_DEGREES,
+    longitude: CENTER.longitude + (Math.random() - 0.5) * SPREAD_DEGREES,
+  };
+}
+
+/**
+ * Previous findByRadius strategy, kept here as the baseline
+ */
+async function findByRadiusInMemory(latitude, longitude, radius, limit, offset) {
+  const bbox = getBoundingBox(latitude, longitude, radius);
+  const poisInBox = await PointOfInterest.findAll({
+    where: {
+      latitude: { [Op.between]: [bbox.south, bbox.north] },
+      longitude: { [Op.between]: [bbox.west, bbox.east] },
+    },
+    order: [
+      ['rank', 'ASC'],
+      ['name', 'ASC'],
+    ],
+  });
+
+  const inCircle = poisInBox
+    .map(poi => ({
+      poi,
+      distance: calculateDistance(latitude, longitude, parseFloat(poi.latitude), parseFloat(poi.longitude)),
+    }))
+    .filter(item => item.distance <= radius);
+
+  return {
+    rows: inCircle.slice(offset, offset + limit).map(item => item.poi),
+    count: inCircle.length,
+  };
+}
+
+/**
+ * Time a search over every center, returning per-run milliseconds and results
+ */
+async function measure(search, centers) {
+  const timings = [];
+  const results = [];
+
+  for (const center of centers) {
+    const start = process.hrtime.bigint();
+    results.push(await search(center));
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  return { timings, results };
+}
+
+/**
+ * Summarize timings as average and 95th percentile
+ */
+function summarize(timings) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const average = timings.reduce((sum, value) => sum + value, 0) / timings.length;
+  const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+  return { average, p95 };
+}
+
+async function main() {
+  const poiCount = getArg('pois', 50000);
+  const runs = getArg('runs', 50);
+  const radius = getArg('radius', 5);
+
+  // Schema: POI table (and the areas it references) plus the search and spatial indexes
+  await Area.sync();
+  await PointOfInterest.sync();
+  await createSearchIndex.up(sequelize.getQueryInterface(), Sequelize);
+  await createSpatialIndex.up(sequelize.getQueryInterface(), Sequelize);
+
+  console.log(`📦 Generating ${poiCount} POIs...`);
+  for (let created = 0; created < poiCount; created += BATCH_SIZE) {
+    const batch = [];
+    for (let i = created; i < Math.min(created + BATCH_SIZE, poiCount); i++) {
+      batch.push({
+        id: `BENCH${String(i).padStart(7, '0')}`,
+        name: `Synthetic POI ${i}`,
+        ...randomPoint(),
+        category: CATEGORIES[i % CATEGORIES.length],
+        rank: 1 + Math.floor(Math.random() * 100),
+        tags: [],
+        pictures: [],
+      });
+    }
+    await PointOfInterest.bulkCreate(batch);
+  }
+
+  // Page deep into the results to include pagination cost
+  const centers = Array.from({ length: runs }, randomPoint);
+  const offset = PAGE_SIZE * 5;
+
+  console.log(`⏱️  ${runs} radius searches of ${radius} km, page[offset]=${offset}, page[limit]=${PAGE_SIZE}`);
+
+  const baseline = await measure(
+    center => findByRadiusInMemory(center.latitude, center.longitude, radius, PAGE_SIZE, offset),
+    centers
+  );
+  const indexed = await measure(
+    center => PoiService.findByRadius(center.latitude, center.longitude, radius, null, PAGE_SIZE, offset),
+    centers
+  );
+
+  // Both strategies must agree
+  baseline.results.forEach((expected, index) => {
+    const actual = indexed.results[index];
+    const sameIds = expected.rows.map(poi => poi.id).join() === actual.rows.map(poi => poi.id).join();
+    if (expected.count !== actual.count || !sameIds) {
+      throw new Error(`Results differ for center ${JSON.stringify(centers[index])}`);
+    }
+  });
+
+  const averageMatches = baseline.results.reduce((sum, result) => sum + result.count, 0) / runs;
+  const before = summarize(baseline.timings);
+  const after = summarize(indexed.timings);
+
+  console.log(`   ~${Math.round(averageMatches)} POIs inside each circle`);
+  console.log(`   In-memory filtering: avg ${before.average.toFixed(1)} ms, p95 ${before.p95.toFixed(1)} ms`);
+  console.log(`   R*Tree + SQL:        avg ${after.average.toFixed(1)} ms, p95 ${after.p95.toFixed(1)} ms`);
+  console.log(`✅ ${(before.average / after.average).toFixed(1)}x faster on average, identical results`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await sequelize.close();
+    fs.rmSync(storage, { force: true });
+  });
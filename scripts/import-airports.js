@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Airport Import CLI
+ * 
+ * Imports airports from a local CSV dataset (the API's column names or the
+ * OurAirports airports.csv format) into the configured database
+ * 
+ * Usage:
+ *   npm run import:airports -- <airports.csv> [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AirportService = require('../src/services/AirportService');
+const { sequelize } = require('../src/config/sequelize');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('Usage: npm run import:airports -- <airports.csv> [--dry-run]');
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(path.resolve(file), 'utf8');
+  const report = await AirportService.importCsv(content, { dryRun });
+
+  report.results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => {
+      console.log(`❌ line ${result.source.line} (${result.id}): ${result.errors.join('; ')}`);
+    });
+
+  const { total, created, updated, skipped, rejected } = report.summary;
+  console.log(
+    `${dryRun ? '🧪 Dry run: ' : '✅ '}${total} rows — ${created} created, ${updated} updated, ` +
+    `${skipped} skipped, ${rejected} rejected`
+  );
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
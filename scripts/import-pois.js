@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * POI Import CLI
+ * 
+ * Imports Points of Interest from a GeoJSON FeatureCollection or CSV file
+ * into the configured database, using the same pipeline as
+ * POST /v1/reference-data/locations/pois/import
+ * 
+ * Usage:
+ *   npm run import:pois -- <file.geojson|file.json|file.csv> [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PoiImportService = require('../src/services/PoiImportService');
+const { sequelize } = require('../src/config/sequelize');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('Usage: npm run import:pois -- <file.geojson|file.json|file.csv> [--dry-run]');
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(path.resolve(file), 'utf8');
+  const isCsv = path.extname(file).toLowerCase() === '.csv';
+
+  const report = isCsv
+    ? await PoiImportService.importCsv(content, { dryRun })
+    : await PoiImportService.importGeoJson(JSON.parse(content), { dryRun });
+
+  report.results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => {
+      const where = result.source.line ? `line ${result.source.line}` : result.source.pointer;
+      console.log(`❌ ${where}${result.id ? ` (${result.id})` : ''}: ${result.errors.join('; ')}`);
+    });
+
+  const { total, created, updated, rejected } = report.summary;
+  console.log(
+    `${dryRun ? '🧪 Dry run: ' : '✅ '}${total} rows — ${created} created, ${updated} updated, ${rejected} rejected`
+  );
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
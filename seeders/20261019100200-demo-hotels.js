@@ -0,0 +1,268 @@
+'use strict';
+
+const CARD_GUARANTEE = {
+  acceptedPayments: {
+    creditCards: ['AX', 'VI', 'CA', 'DC', 'CB', 'JC'],
+    methods: ['CREDIT_CARD'],
+    creditCardPolicies: [
+      { vendorCode: 'AX' },
+      { vendorCode: 'VI' },
+      { vendorCode: 'CA' },
+      { vendorCode: 'DC' },
+      { vendorCode: 'CB' },
+      { vendorCode: 'JC' },
+    ],
+  },
+};
+
+const SPANISH_VAT = [
+  {
+    code: 'VALUE_ADDED_TAX',
+    percentage: '10.00',
+    included: true,
+  },
+  {
+    code: 'CITY_TAX',
+    pricingFrequency: 'PER_NIGHT',
+    pricingMode: 'PER_PRODUCT',
+    amount: '6.25',
+    included: false,
+  },
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const now = new Date();
+
+    // Skipping insertion if the table is not empty
+    const existingEntries = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS count FROM hotels;',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (existingEntries[0].count > 0) {
+      console.log('hotels table is not empty. Skipping seeder.');
+      return;
+    }
+
+    await queryInterface.bulkInsert('hotels', [
+      {
+        hotelId: 'HIDEL429',
+        chainCode: 'HI',
+        dupeId: '700221452',
+        name: 'Holiday Inn New Delhi Intl Arpt',
+        cityCode: 'DEL',
+        latitude: 28.55583,
+        longitude: 77.09681,
+        pictures: JSON.stringify([
+          'https://www.holidayinn.com/content/dam/holiday-inn/india/delhi/delhi-international-airport/hi-delhi-airport-1.jpg',
+          'https://www.holidayinn.com/content/dam/holiday-inn/india/delhi/delhi-international-airport/hi-delhi-airport-2.jpg',
+          'https://www.holidayinn.com/content/dam/holiday-inn/india/delhi/delhi-international-airport/hi-delhi-airport-3.jpg',
+        ]),
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        hotelId: 'RZBCN001',
+        chainCode: 'RZ',
+        dupeId: '700012345',
+        name: 'Hotel Arts Barcelona',
+        cityCode: 'BCN',
+        latitude: 41.386944,
+        longitude: 2.196389,
+        pictures: JSON.stringify([]),
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        hotelId: 'HSBCN002',
+        chainCode: 'HS',
+        dupeId: '700023456',
+        name: 'Hotel Casa Fuster',
+        cityCode: 'BCN',
+        latitude: 41.398306,
+        longitude: 2.158722,
+        pictures: JSON.stringify([]),
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        hotelId: 'HSBCN003',
+        chainCode: 'HS',
+        dupeId: '700034567',
+        name: 'Majestic Hotel & Spa Barcelona',
+        cityCode: 'BCN',
+        latitude: 41.393917,
+        longitude: 2.163111,
+        pictures: JSON.stringify([]),
+        createdAt: now,
+        updatedAt: now,
+      },
+    ]);
+
+    await queryInterface.bulkInsert('hotel_offers', [
+      {
+        id: '9S0WC96W8V',
+        hotelId: 'HIDEL429',
+        rateCode: '57J',
+        boardType: 'ROOM_ONLY',
+        room: JSON.stringify({
+          type: '*1K',
+          typeEstimated: {
+            category: 'STANDARD_ROOM',
+            beds: 1,
+            bedType: 'KING',
+          },
+          description: {
+            text: 'BEST FLEXIBLE RATE\n1 King Bed Standard Nonsmoking 32 SqM Room With\noffers Ergonomic work area extra bed extra',
+            lang: 'EN',
+          },
+        }),
+        maxAdults: 2,
+        currency: 'INR',
+        nightlyBase: 14689.0,
+        taxes: JSON.stringify([
+          {
+            code: 'TOTAL_TAX',
+            percentage: '18.00',
+            included: false,
+          },
+          {
+            code: 'SERVICE_CHARGE',
+            pricingFrequency: 'PER_NIGHT',
+            pricingMode: 'PER_PRODUCT',
+            percentage: '3.00',
+            included: false,
+          },
+        ]),
+        cancellationDeadlineHours: 0,
+        guarantee: JSON.stringify(CARD_GUARANTEE),
+        paymentType: 'guarantee',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        id: 'K7QZ2M4RTA',
+        hotelId: 'RZBCN001',
+        rateCode: 'RAC',
+        boardType: 'BREAKFAST',
+        room: JSON.stringify({
+          type: 'A1K',
+          typeEstimated: {
+            category: 'DELUXE_ROOM',
+            beds: 1,
+            bedType: 'KING',
+          },
+          description: {
+            text: 'FLEXIBLE RATE WITH BREAKFAST\nDeluxe King Room Sea View 40 SqM',
+            lang: 'EN',
+          },
+        }),
+        maxAdults: 2,
+        currency: 'EUR',
+        nightlyBase: 420.0,
+        taxes: JSON.stringify(SPANISH_VAT),
+        cancellationDeadlineHours: 48,
+        guarantee: JSON.stringify(CARD_GUARANTEE),
+        paymentType: 'guarantee',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        id: 'P3LX8N1VCE',
+        hotelId: 'RZBCN001',
+        rateCode: 'PRO',
+        boardType: 'ROOM_ONLY',
+        room: JSON.stringify({
+          type: 'B2T',
+          typeEstimated: {
+            category: 'SUPERIOR_ROOM',
+            beds: 2,
+            bedType: 'TWIN',
+          },
+          description: {
+            text: 'ADVANCE PURCHASE NON REFUNDABLE\nSuperior Twin Room City View 35 SqM',
+            lang: 'EN',
+          },
+        }),
+        maxAdults: 2,
+        currency: 'EUR',
+        nightlyBase: 310.0,
+        taxes: JSON.stringify(SPANISH_VAT),
+        cancellationDeadlineHours: null,
+        guarantee: null,
+        paymentType: 'prepay',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        id: 'F9TB5W2KJD',
+        hotelId: 'HSBCN002',
+        rateCode: 'RAC',
+        boardType: 'ROOM_ONLY',
+        room: JSON.stringify({
+          type: 'C1D',
+          typeEstimated: {
+            category: 'STANDARD_ROOM',
+            beds: 1,
+            bedType: 'DOUBLE',
+          },
+          description: {
+            text: 'BEST AVAILABLE RATE\nClassic Double Room 25 SqM',
+            lang: 'EN',
+          },
+        }),
+        maxAdults: 2,
+        currency: 'EUR',
+        nightlyBase: 265.0,
+        taxes: JSON.stringify(SPANISH_VAT),
+        cancellationDeadlineHours: 24,
+        guarantee: JSON.stringify(CARD_GUARANTEE),
+        paymentType: 'guarantee',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        id: 'M2HD7Y6QSU',
+        hotelId: 'HSBCN003',
+        rateCode: 'FAM',
+        boardType: 'HALF_BOARD',
+        room: JSON.stringify({
+          type: 'S4Q',
+          typeEstimated: {
+            category: 'SUITE',
+            beds: 2,
+            bedType: 'QUEEN',
+          },
+          description: {
+            text: 'FAMILY PACKAGE HALF BOARD\nJunior Suite 2 Queen Beds 55 SqM',
+            lang: 'EN',
+          },
+        }),
+        maxAdults: 4,
+        currency: 'EUR',
+        nightlyBase: 540.0,
+        taxes: JSON.stringify(SPANISH_VAT),
+        cancellationDeadlineHours: 72,
+        guarantee: JSON.stringify(CARD_GUARANTEE),
+        paymentType: 'deposit',
+        createdAt: now,
+        updatedAt: now,
+      },
+    ]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('hotel_offers', {
+      hotelId: {
+        [Sequelize.Op.in]: ['HIDEL429', 'RZBCN001', 'HSBCN002', 'HSBCN003'],
+      },
+    });
+    await queryInterface.bulkDelete('hotels', {
+      hotelId: {
+        [Sequelize.Op.in]: ['HIDEL429', 'RZBCN001', 'HSBCN002', 'HSBCN003'],
+      },
+    });
+  },
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+const POI_IDS = ['9CB40CB5D0', 'AB3F122E3E', 'CLTDP001', 'CLATC002', 'CLRAPA003', 'CLVALP004', 'CLGEY013'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const now = new Date();
+
+    // Skipping insertion if the table is not empty
+    const existingEntries = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS count FROM poi_translations;',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (existingEntries[0].count > 0) {
+      console.log('poi_translations table is not empty. Skipping seeder.');
+      return;
+    }
+
+    await queryInterface.bulkInsert('poi_translations', [
+      {
+        poiId: '9CB40CB5D0',
+        locale: 'en',
+        name: null,
+        description: 'Modernist house by Antoni Gaudí on Passeig de Gràcia, known for its skeletal balconies and dragon-scale roof.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: '9CB40CB5D0',
+        locale: 'es',
+        name: null,
+        description: 'Casa modernista de Antoni Gaudí en el Passeig de Gràcia, célebre por sus balcones en forma de hueso y su tejado de escamas.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: '9CB40CB5D0',
+        locale: 'ca',
+        name: null,
+        description: 'Casa modernista d\'Antoni Gaudí al Passeig de Gràcia, famosa pels seus balcons en forma d\'os i la teulada d\'escates.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: 'AB3F122E3E',
+        locale: 'ca',
+        name: 'Cerveseria Catalana',
+        description: 'Bar de tapes de l\'Eixample amb barra de muntaditos i cuina de mercat.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: 'CLTDP001',
+        locale: 'es',
+        name: 'Parque Nacional Torres del Paine',
+        description: 'Macizo de granito, glaciares y lagos en la Patagonia chilena.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: 'CLATC002',
+        locale: 'es',
+        name: 'Valle de la Luna (Desierto de Atacama)',
+        description: null,
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: 'CLRAPA003',
+        locale: 'es',
+        name: 'Parque Nacional Rapa Nui (Isla de Pascua)',
+        description: 'Moáis y sitios ceremoniales de la cultura rapanui.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: 'CLVALP004',
+        locale: 'es',
+        name: 'Barrio Histórico de Valparaíso',
+        description: 'Cerros con ascensores y casas de colores, Patrimonio de la Humanidad.',
+        createdAt: now,
+        updatedAt: now,
+      },
+      {
+        poiId: 'CLGEY013',
+        locale: 'es',
+        name: 'Géiseres del Tatio',
+        description: null,
+        createdAt: now,
+        updatedAt: now,
+      },
+    ]);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('poi_translations', {
+      poiId: {
+        [Sequelize.Op.in]: POI_IDS,
+      },
+    });
+  },
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const EVERY_DAY = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Same intervals on each of the given days
+ */
+const sameHours = (days, intervals) => Object.fromEntries(days.map(day => [day, intervals]));
+
+const OPENING_HOURS = {
+  // Casa Batlló
+  '9CB40CB5D0': {
+    timeZone: 'Europe/Madrid',
+    weekly: sameHours(EVERY_DAY, [{ opens: '09:00', closes: '20:00' }]),
+    exceptions: [
+      { from: '2026-12-25', to: '2026-12-25', description: 'Christmas Day' },
+      { from: '2026-12-24', to: '2026-12-24', hours: [{ opens: '09:00', closes: '15:00' }], description: 'Christmas Eve' },
+    ],
+  },
+  // La Pepita
+  '4690B83DCA': {
+    timeZone: 'Europe/Madrid',
+    weekly: sameHours(
+      ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+      [
+        { opens: '13:00', closes: '16:00' },
+        { opens: '19:30', closes: '23:30' },
+      ]
+    ),
+  },
+  // Brunch & Cake
+  '3EF139D861': {
+    timeZone: 'Europe/Madrid',
+    weekly: sameHours(EVERY_DAY, [{ opens: '08:30', closes: '17:00' }]),
+  },
+  // Cervecería Catalana (open past midnight)
+  AB3F122E3E: {
+    timeZone: 'Europe/Madrid',
+    weekly: {
+      ...sameHours(['monday', 'tuesday', 'wednesday', 'thursday', 'friday'], [{ opens: '08:00', closes: '01:30' }]),
+      ...sameHours(['saturday', 'sunday'], [{ opens: '09:00', closes: '01:30' }]),
+    },
+  },
+  // Botafumeiro (closed for summer holidays)
+  '752402FCA2': {
+    timeZone: 'Europe/Madrid',
+    weekly: sameHours(EVERY_DAY, [{ opens: '13:00', closes: '01:00' }]),
+    exceptions: [{ from: '2026-08-10', to: '2026-08-23', description: 'Summer holidays' }],
+  },
+  // Tapas 24
+  '30601A1A90': {
+    timeZone: 'Europe/Madrid',
+    weekly: sameHours(EVERY_DAY, [{ opens: '09:00', closes: '00:00' }]),
+  },
+  // Dry Martini
+  '15C8B8148C': {
+    timeZone: 'Europe/Madrid',
+    weekly: {
+      ...sameHours(['monday', 'tuesday', 'wednesday', 'thursday'], [{ opens: '17:00', closes: '02:30' }]),
+      ...sameHours(['friday', 'saturday'], [{ opens: '17:00', closes: '03:00' }]),
+      sunday: [{ opens: '18:30', closes: '02:30' }],
+    },
+  },
+  // Con Gracia
+  BD29CF2CCD: {
+    timeZone: 'Europe/Madrid',
+    weekly: sameHours(['tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], [{ opens: '19:30', closes: '23:00' }]),
+  },
+  // Rapa Nui National Park (Orongo ceremonial village)
+  CLRAPA003: {
+    timeZone: 'Pacific/Easter',
+    weekly: sameHours(EVERY_DAY, [{ opens: '09:00', closes: '17:00' }]),
+  },
+  // Maipo Valley Wineries
+  CLSMA008: {
+    timeZone: 'America/Santiago',
+    weekly: sameHours(EVERY_DAY, [{ opens: '10:00', closes: '18:00' }]),
+    exceptions: [
+      { from: '2026-12-25', to: '2026-12-25', description: 'Christmas Day' },
+      { from: '2027-01-01', to: '2027-01-01', description: 'New Year' },
+    ],
+  },
+  // Boragó
+  CLSRE009: {
+    timeZone: 'America/Santiago',
+    weekly: sameHours(['tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], [{ opens: '19:00', closes: '23:30' }]),
+  },
+  // Liguria (Manuel Montt)
+  CLSRE010: {
+    timeZone: 'America/Santiago',
+    weekly: sameHours(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], [{ opens: '12:00', closes: '01:00' }]),
+  },
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    for (const [id, openingHours] of Object.entries(OPENING_HOURS)) {
+      await queryInterface.bulkUpdate(
+        'points_of_interest',
+        { openingHours: JSON.stringify(openingHours) },
+        { id, openingHours: null }
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate(
+      'points_of_interest',
+      { openingHours: null },
+      { id: { [Sequelize.Op.in]: Object.keys(OPENING_HOURS) } }
+    );
+  },
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const DETAILS = {
+  // Casa Batlló
+  '9CB40CB5D0': {
+    address: { street: 'Passeig de Gràcia, 43', postalCode: '08007', city: 'Barcelona', region: 'Catalonia', countryCode: 'ES' },
+    website: 'https://www.casabatllo.es',
+    description: 'Modernista house remodelled by Antoni Gaudí, known for its bone-like balconies and dragon-scale roof.',
+  },
+  // La Pepita
+  '4690B83DCA': {
+    address: { street: 'Carrer de Còrsega, 343', postalCode: '08037', city: 'Barcelona', region: 'Catalonia', countryCode: 'ES' },
+    priceLevel: 2,
+  },
+  // Brunch & Cake
+  '3EF139D861': {
+    priceLevel: 2,
+  },
+  // Cervecería Catalana
+  AB3F122E3E: {
+    address: { street: 'Carrer de Mallorca, 236', postalCode: '08008', city: 'Barcelona', region: 'Catalonia', countryCode: 'ES' },
+    priceLevel: 2,
+    description: 'Busy tapas bar in the Eixample with a long counter of montaditos.',
+  },
+  // Botafumeiro
+  '752402FCA2': {
+    address: { street: 'Carrer Gran de Gràcia, 81', postalCode: '08012', city: 'Barcelona', region: 'Catalonia', countryCode: 'ES' },
+    priceLevel: 4,
+    description: 'Galician seafood restaurant in Gràcia.',
+  },
+  // Tapas 24
+  '30601A1A90': {
+    address: { street: 'Carrer de la Diputació, 269', postalCode: '08007', city: 'Barcelona', region: 'Catalonia', countryCode: 'ES' },
+    priceLevel: 2,
+  },
+  // Dry Martini
+  '15C8B8148C': {
+    address: { street: 'Carrer d\'Aribau, 162', postalCode: '08036', city: 'Barcelona', region: 'Catalonia', countryCode: 'ES' },
+    priceLevel: 3,
+  },
+  // Con Gracia
+  BD29CF2CCD: {
+    priceLevel: 4,
+  },
+  // Osmosis
+  '24DE6CE737': {
+    priceLevel: 3,
+  },
+  // Plaza de Armas de Santiago
+  CLSCS006: {
+    address: { city: 'Santiago', region: 'Región Metropolitana', countryCode: 'CL' },
+    description: 'Main square of Santiago, founded in 1541 and framed by the Metropolitan Cathedral.',
+  },
+  // Boragó
+  CLSRE009: {
+    address: { street: 'Avenida Nueva Costanera 3467', city: 'Vitacura', region: 'Región Metropolitana', countryCode: 'CL' },
+    priceLevel: 4,
+    description: 'Tasting menus built on native Chilean ingredients.',
+  },
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    for (const [id, { address, ...details }] of Object.entries(DETAILS)) {
+      await queryInterface.bulkUpdate(
+        'points_of_interest',
+        { ...details, ...(address && { address: JSON.stringify(address) }) },
+        { id }
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate(
+      'points_of_interest',
+      { address: null, website: null, priceLevel: null, description: null },
+      { id: { [Sequelize.Op.in]: Object.keys(DETAILS) } }
+    );
+  },
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Build a GeoJSON Polygon from an outer ring of [longitude, latitude] positions
+ * (the ring is closed here)
+ */
+const polygon = (...positions) => ({
+  type: 'Polygon',
+  coordinates: [[...positions, positions[0]]],
+});
+
+// Simplified boundaries: good enough to place the demo POIs, not survey-grade
+const AREAS = [
+  {
+    id: 'CBCN',
+    subType: 'CITY',
+    name: 'Barcelona',
+    parentId: null,
+    iataCode: 'BCN',
+    countryCode: 'ES',
+    latitude: 41.38879,
+    longitude: 2.15899,
+    boundary: polygon([2.052, 41.32], [2.228, 41.385], [2.215, 41.45], [2.11, 41.468], [2.052, 41.39]),
+  },
+  {
+    id: 'DBCNCIU',
+    subType: 'DISTRICT',
+    name: 'Ciutat Vella',
+    parentId: 'CBCN',
+    iataCode: null,
+    countryCode: 'ES',
+    latitude: 41.38224,
+    longitude: 2.17766,
+    boundary: polygon([2.166, 41.376], [2.194, 41.378], [2.188, 41.391], [2.17, 41.388], [2.166, 41.381]),
+  },
+  {
+    id: 'DBCNEIX',
+    subType: 'DISTRICT',
+    name: 'Eixample',
+    parentId: 'CBCN',
+    iataCode: null,
+    countryCode: 'ES',
+    latitude: 41.38896,
+    longitude: 2.16171,
+    boundary: polygon(
+      [2.143, 41.381], [2.166, 41.381], [2.17, 41.388], [2.188, 41.391],
+      [2.192, 41.398], [2.163, 41.3975], [2.143, 41.389]
+    ),
+  },
+  {
+    id: 'DBCNGRA',
+    subType: 'DISTRICT',
+    name: 'Gràcia',
+    parentId: 'CBCN',
+    iataCode: null,
+    countryCode: 'ES',
+    latitude: 41.40237,
+    longitude: 2.15641,
+    boundary: polygon(
+      [2.143, 41.389], [2.163, 41.3975], [2.168, 41.3975], [2.17, 41.412], [2.15, 41.415], [2.14, 41.405]
+    ),
+  },
+  {
+    id: 'CSCL',
+    subType: 'CITY',
+    name: 'Santiago',
+    parentId: null,
+    iataCode: 'SCL',
+    countryCode: 'CL',
+    latitude: -33.4489,
+    longitude: -70.6693,
+    boundary: polygon([-70.8, -33.65], [-70.45, -33.65], [-70.45, -33.3], [-70.8, -33.3]),
+  },
+  {
+    id: 'DSCLCEN',
+    subType: 'DISTRICT',
+    name: 'Santiago Centro',
+    parentId: 'CSCL',
+    iataCode: null,
+    countryCode: 'CL',
+    latitude: -33.4429,
+    longitude: -70.6539,
+    boundary: polygon([-70.69, -33.47], [-70.63, -33.47], [-70.636, -33.437], [-70.65, -33.433], [-70.69, -33.44]),
+  },
+  {
+    id: 'DSCLPRO',
+    subType: 'DISTRICT',
+    name: 'Providencia',
+    parentId: 'CSCL',
+    iataCode: null,
+    countryCode: 'CL',
+    latitude: -33.4314,
+    longitude: -70.6093,
+    boundary: polygon([-70.636, -33.437], [-70.6, -33.445], [-70.585, -33.42], [-70.6, -33.41], [-70.625, -33.425]),
+  },
+  {
+    id: 'DSCLVIT',
+    subType: 'DISTRICT',
+    name: 'Vitacura',
+    parentId: 'CSCL',
+    iataCode: null,
+    countryCode: 'CL',
+    latitude: -33.3806,
+    longitude: -70.5694,
+    boundary: polygon([-70.61, -33.4], [-70.56, -33.4], [-70.52, -33.37], [-70.56, -33.36], [-70.6, -33.385]),
+  },
+];
+
+// Parent area of the demo POIs (those outside every boundary keep none)
+const POI_PARENTS = {
+  DBCNEIX: ['9CB40CB5D0', '3EF139D861', 'AB3F122E3E', '30601A1A90', '15C8B8148C', '24DE6CE737'],
+  DBCNGRA: ['4690B83DCA', '752402FCA2', 'BD29CF2CCD'],
+  CSCL: ['CLSCL005', 'CLNIGHT011'],
+  DSCLCEN: ['CLSCS006'],
+  DSCLPRO: ['CLSRE010'],
+  DSCLVIT: ['CLSRE009'],
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const now = new Date();
+
+    // Cities first: districts reference them
+    await queryInterface.bulkInsert(
+      'areas',
+      AREAS.map(area => ({
+        ...area,
+        boundary: JSON.stringify(area.boundary),
+        createdAt: now,
+        updatedAt: now,
+      }))
+    );
+
+    for (const [parentId, poiIds] of Object.entries(POI_PARENTS)) {
+      await queryInterface.bulkUpdate(
+        'points_of_interest',
+        { parentId },
+        { id: { [Sequelize.Op.in]: poiIds } }
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkUpdate(
+      'points_of_interest',
+      { parentId: null },
+      { id: { [Sequelize.Op.in]: Object.values(POI_PARENTS).flat() } }
+    );
+
+    await queryInterface.bulkDelete('areas', { id: { [Sequelize.Op.in]: AREAS.map(area => area.id) } });
+  },
+};
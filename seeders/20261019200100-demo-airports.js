@@ -0,0 +1,44 @@
+'use strict';
+
+const airport = (iataCode, icaoCode, name, cityName, countryCode, latitude, longitude, timeZone, cityId = null) => ({
+  id: `A${iataCode}`,
+  iataCode,
+  icaoCode,
+  name,
+  cityName,
+  cityCode: iataCode,
+  countryCode,
+  latitude,
+  longitude,
+  timeZone,
+  cityId,
+});
+
+// Airports serving the demo POIs (a full dataset can be loaded with npm run import:airports)
+const AIRPORTS = [
+  airport('BCN', 'LEBL', 'Josep Tarradellas Barcelona-El Prat Airport', 'Barcelona', 'ES', 41.2971, 2.07846, 'Europe/Madrid', 'CBCN'),
+  airport('GRO', 'LEGE', 'Girona-Costa Brava Airport', 'Girona', 'ES', 41.901, 2.7605, 'Europe/Madrid'),
+  airport('REU', 'LERS', 'Reus Airport', 'Reus', 'ES', 41.1474, 1.16717, 'Europe/Madrid'),
+  airport('MAD', 'LEMD', 'Adolfo Suárez Madrid-Barajas Airport', 'Madrid', 'ES', 40.4719, -3.56264, 'Europe/Madrid'),
+  airport('SCL', 'SCEL', 'Arturo Merino Benítez International Airport', 'Santiago', 'CL', -33.393, -70.7858, 'America/Santiago', 'CSCL'),
+  airport('IPC', 'SCIP', 'Mataveri International Airport', 'Hanga Roa', 'CL', -27.1648, -109.4219, 'Pacific/Easter'),
+  airport('CJC', 'SCCF', 'El Loa Airport', 'Calama', 'CL', -22.4982, -68.9036, 'America/Santiago'),
+  airport('PUQ', 'SCCI', 'Presidente Carlos Ibáñez del Campo International Airport', 'Punta Arenas', 'CL', -53.0026, -70.8546, 'America/Punta_Arenas'),
+  airport('PNT', 'SCNT', 'Teniente Julio Gallardo Airport', 'Puerto Natales', 'CL', -51.6715, -72.5284, 'America/Punta_Arenas'),
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    const now = new Date();
+
+    await queryInterface.bulkInsert(
+      'airports',
+      AIRPORTS.map(item => ({ ...item, createdAt: now, updatedAt: now }))
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('airports', { id: { [Sequelize.Op.in]: AIRPORTS.map(item => item.id) } });
+  },
+};
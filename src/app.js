@@ -13,12 +13,32 @@ app.use(helmet());
 app.use(cors());
 
 // Body parsing middleware
-app.use(express.json());
+// POI import files are parsed by their route, after authentication and with a larger limit
+const POI_IMPORT_PATH = '/v1/reference-data/locations/pois/import';
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === POI_IMPORT_PATH ? next() : parseJson(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
+// Uploaded media (local storage), served before the API content-type is set
+const config = require('./config');
+if (config.media.storage === 'local') {
+  app.use(
+    config.media.publicPath,
+    express.static(config.media.directory, {
+      index: false,
+      immutable: true,
+      maxAge: '365d',
+      setHeaders: (res) => {
+        // Pictures are embedded by clients on other origins
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      },
+    })
+  );
+}
+
 // Custom middleware to set Amadeus content-type for API responses
 app.use((req, res, next) => {
   res.setHeader('Content-Type', 'application/vnd.amadeus+json');
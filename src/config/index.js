@@ -21,6 +21,18 @@ const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 const DB_STORAGE = process.env.DB_STORAGE || './database.sqlite';
 const DB_LOGGING = process.env.DB_LOGGING === 'true';
 
+// Vector Tile Cache
+const TILE_CACHE_SIZE = parseInt(process.env.TILE_CACHE_SIZE || '1000', 10);
+const TILE_CACHE_TTL = parseInt(process.env.TILE_CACHE_TTL || '300', 10);
+
+// Languages (locale of the names stored on POIs)
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// Uploaded Media (POI pictures)
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const MEDIA_DIR = process.env.MEDIA_DIR || './uploads';
+const MEDIA_MAX_FILE_SIZE = parseInt(process.env.MEDIA_MAX_FILE_SIZE || '10485760', 10);
+
 // Application Settings
 const config = {
   // Environment
@@ -46,6 +58,26 @@ const config = {
     defaultLimit: 10,
     maxLimit: 100,
     maxRadius: 20,
+    maxImportRows: 5000,
+  },
+
+  // Vector Tiles (cache TTL in seconds, also used for Cache-Control)
+  tiles: {
+    cacheSize: TILE_CACHE_SIZE,
+    cacheTtl: TILE_CACHE_TTL,
+  },
+
+  // Languages (POI translations fall back to the default locale)
+  i18n: {
+    defaultLocale: DEFAULT_LOCALE,
+  },
+
+  // Uploaded media (storage driver, local directory, max upload size in bytes)
+  media: {
+    storage: MEDIA_STORAGE,
+    directory: MEDIA_DIR,
+    maxFileSize: MEDIA_MAX_FILE_SIZE,
+    publicPath: '/media',
   },
 
   // CORS Settings
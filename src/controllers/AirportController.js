@@ -0,0 +1,71 @@
+const AirportService = require('../services/AirportService');
+const { buildPaginationMeta } = require('../utils/responseFormatter');
+const config = require('../config');
+
+/**
+ * Airport Controller
+ * Handles airport requests under /v1/reference-data/locations/airports
+ */
+class AirportController {
+  /**
+   * Search airports by keyword, or nearest airports to a point
+   * GET /airports
+   */
+  static async getAirports(req, res, next) {
+    try {
+      const { keyword, countryCode } = req.query;
+      const limit = parseInt(req.query['page[limit]'] || config.api.defaultLimit, 10);
+      const offset = parseInt(req.query['page[offset]'] || 0, 10);
+      const isGeoSearch = req.query.latitude !== undefined;
+
+      const result = await AirportService.searchAirports({
+        keyword,
+        countryCode,
+        latitude: isGeoSearch ? parseFloat(req.query.latitude) : undefined,
+        longitude: isGeoSearch ? parseFloat(req.query.longitude) : undefined,
+        radius: req.query.radius !== undefined ? parseFloat(req.query.radius) : undefined,
+        limit,
+        offset,
+      });
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      // Build pagination meta
+      const meta = buildPaginationMeta(
+        baseUrl,
+        '/v1/reference-data/locations/airports',
+        req.query,
+        result.count,
+        limit,
+        offset
+      );
+
+      res.status(200).json({
+        data: result.rows.map(({ airport, distance }) => airport.toPublicJSON(baseUrl, { distance })),
+        meta,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an airport
+   * GET /airports/:airportId
+   */
+  static async getAirport(req, res, next) {
+    try {
+      const airport = await AirportService.getAirport(req.params.airportId);
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: airport.toPublicJSON(baseUrl),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AirportController;
@@ -0,0 +1,116 @@
+const AreaService = require('../services/AreaService');
+const { buildPaginationMeta } = require('../utils/responseFormatter');
+const config = require('../config');
+
+/**
+ * Area Controller
+ * Handles city and district requests under /v1/reference-data/locations/cities and /districts
+ */
+class AreaController {
+  /**
+   * List cities, by name
+   * GET /cities
+   */
+  static async getCities(req, res, next) {
+    try {
+      const limit = parseInt(req.query['page[limit]'] || config.api.defaultLimit, 10);
+      const offset = parseInt(req.query['page[offset]'] || 0, 10);
+
+      const result = await AreaService.getCities({
+        countryCode: req.query.countryCode,
+        limit,
+        offset,
+      });
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      // Build pagination meta
+      const meta = buildPaginationMeta(
+        baseUrl,
+        '/v1/reference-data/locations/cities',
+        req.query,
+        result.count,
+        limit,
+        offset
+      );
+
+      res.status(200).json({
+        data: result.rows.map((city) => city.toPublicJSON(baseUrl)),
+        meta,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a city, with its boundary
+   * GET /cities/:cityId
+   */
+  static async getCity(req, res, next) {
+    try {
+      const city = await AreaService.getCity(req.params.cityId);
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: city.toPublicJSON(baseUrl, { boundary: true }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the districts of a city, by name
+   * GET /cities/:cityId/districts
+   */
+  static async getCityDistricts(req, res, next) {
+    try {
+      const { cityId } = req.params;
+      const limit = parseInt(req.query['page[limit]'] || config.api.defaultLimit, 10);
+      const offset = parseInt(req.query['page[offset]'] || 0, 10);
+
+      const result = await AreaService.getDistricts(cityId, { limit, offset });
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      // Build pagination meta
+      const meta = buildPaginationMeta(
+        baseUrl,
+        `/v1/reference-data/locations/cities/${cityId}/districts`,
+        req.query,
+        result.count,
+        limit,
+        offset
+      );
+
+      res.status(200).json({
+        data: result.rows.map((district) => district.toPublicJSON(baseUrl)),
+        meta,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a district, with its boundary
+   * GET /districts/:districtId
+   */
+  static async getDistrict(req, res, next) {
+    try {
+      const district = await AreaService.getDistrict(req.params.districtId);
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: district.toPublicJSON(baseUrl, { boundary: true }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AreaController;
@@ -0,0 +1,36 @@
+const AutocompleteService = require('../services/AutocompleteService');
+const config = require('../config');
+
+/**
+ * Autocomplete Controller
+ * Handles search-as-you-type requests under /v1/reference-data/locations/autocomplete
+ */
+class AutocompleteController {
+  /**
+   * Suggest POIs, cities, districts and airports for the text typed so far
+   * GET /autocomplete
+   */
+  static async getSuggestions(req, res, next) {
+    try {
+      const hasCoordinates = req.query.latitude !== undefined;
+
+      const suggestions = await AutocompleteService.suggest(req.query.keyword, {
+        latitude: hasCoordinates ? parseFloat(req.query.latitude) : undefined,
+        longitude: hasCoordinates ? parseFloat(req.query.longitude) : undefined,
+        limit: parseInt(req.query['page[limit]'] || config.api.defaultLimit, 10),
+        locales: req.locales,
+      });
+
+      res.status(200).json({
+        data: suggestions,
+        meta: {
+          count: suggestions.length,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AutocompleteController;
@@ -1,5 +1,6 @@
 const BookingService = require('../services/BookingService');
 const { buildPaginationMeta } = require('../utils/responseFormatter');
+const { getCursorParam } = require('../utils/cursor');
 const config = require('../config');
 
 /**
@@ -41,6 +42,7 @@ class BookingController {
       const result = await BookingService.getUserBookings(userId, {
         limit,
         offset,
+        cursor: getCursorParam(req.query),
       });
 
       // Format bookings
@@ -54,7 +56,8 @@ class BookingController {
         req.query,
         result.count,
         limit,
-        offset
+        offset,
+        result.cursors
       );
 
       res.status(200).json({
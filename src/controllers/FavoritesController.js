@@ -1,5 +1,12 @@
 const FavoritesService = require('../services/FavoritesService');
-const { formatLocationCollection, buildPaginationMeta } = require('../utils/responseFormatter');
+const {
+  buildPaginationMeta,
+  formatFeatureCollection,
+  getLocationFields,
+  selectFields,
+} = require('../utils/responseFormatter');
+const { getCursorParam } = require('../utils/cursor');
+const { GEOJSON_MEDIA_TYPE } = require('../middleware/contentNegotiation');
 const config = require('../config');
 
 /**
@@ -67,10 +74,13 @@ class FavoritesController {
       const result = await FavoritesService.getUserFavorites(userId, {
         limit,
         offset,
+        cursor: getCursorParam(req.query),
+        locales: req.locales,
       });
 
-      // Format response
-      const formattedPois = result.rows.map((item) => item.poi);
+      // Format response (sparse fieldset from fields[location])
+      const fields = getLocationFields(req.query, req.responseFormat);
+      const formattedPois = result.rows.map((item) => selectFields(item.poi, fields));
 
       // Build pagination meta
       const meta = buildPaginationMeta(
@@ -79,9 +89,15 @@ class FavoritesController {
         req.query,
         result.count,
         limit,
-        offset
+        offset,
+        result.cursors
       );
 
+      if (req.responseFormat === 'geojson') {
+        res.type(GEOJSON_MEDIA_TYPE);
+        return res.status(200).json(formatFeatureCollection(formattedPois, meta));
+      }
+
       res.status(200).json({
         data: formattedPois,
         meta,
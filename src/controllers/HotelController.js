@@ -0,0 +1,107 @@
+const HotelService = require('../services/HotelService');
+const config = require('../config');
+
+/**
+ * Build the requested stay from query parameters
+ * Defaults to a one-night stay for one adult starting today
+ * @param {object} query - Express query object
+ * @returns {object} Stay with checkInDate, checkOutDate and adults
+ */
+function getStay(query) {
+  const checkInDate = query.checkInDate || new Date().toISOString().slice(0, 10);
+
+  let checkOutDate = query.checkOutDate;
+  if (!checkOutDate) {
+    const nextDay = new Date(`${checkInDate}T00:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    checkOutDate = nextDay.toISOString().slice(0, 10);
+  }
+
+  const adults = query.adults ? parseInt(query.adults, 10) : 1;
+
+  return { checkInDate, checkOutDate, adults };
+}
+
+/**
+ * Format a hotel and its offers as a hotel-offers resource
+ * @param {Hotel} hotel - Hotel instance
+ * @param {Array<HotelOffer>} offers - Offers to include
+ * @param {string} baseUrl - Base URL for generating links
+ * @param {object} stay - Requested stay
+ * @returns {object} Formatted hotel-offers object
+ */
+function formatHotelOffers(hotel, offers, baseUrl, stay) {
+  return {
+    type: 'hotel-offers',
+    hotel: hotel.toPublicJSON(),
+    available: offers.length > 0,
+    offers: offers.map(offer => offer.toPublicJSON(baseUrl, stay)),
+    self: `${baseUrl}/v3/shopping/hotel-offers?hotelIds=${hotel.hotelId}&adults=${stay.adults}`,
+  };
+}
+
+/**
+ * Hotel Controller
+ * Handles hotel offer search requests
+ */
+class HotelController {
+  /**
+   * Search hotel offers
+   * GET /v3/shopping/hotel-offers
+   */
+  static async searchOffers(req, res, next) {
+    try {
+      const { cityCode, latitude, longitude, radius } = req.query;
+      const hotelIds = req.query.hotelIds
+        ? String(req.query.hotelIds)
+          .split(',')
+          .map(id => id.trim())
+        : undefined;
+
+      const stay = getStay(req.query);
+
+      const result = await HotelService.searchOffers(
+        {
+          hotelIds,
+          cityCode,
+          latitude: latitude !== undefined ? parseFloat(latitude) : undefined,
+          longitude: longitude !== undefined ? parseFloat(longitude) : undefined,
+          radius: radius !== undefined ? parseInt(radius, 10) : undefined,
+        },
+        stay
+      );
+
+      const baseUrl = config.baseUrl || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: result.rows.map(hotel => formatHotelOffers(hotel, hotel.offers, baseUrl, stay)),
+        ...(result.warnings.length > 0 && { warnings: result.warnings }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single hotel offer
+   * GET /v3/shopping/hotel-offers/:offerId
+   */
+  static async getOffer(req, res, next) {
+    try {
+      const { offerId } = req.params;
+      const stay = getStay(req.query);
+
+      const offer = await HotelService.getOfferById(offerId, stay);
+
+      const baseUrl = config.baseUrl || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: formatHotelOffers(offer.hotel, [offer], baseUrl, stay),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = HotelController;
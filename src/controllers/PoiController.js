@@ -3,19 +3,203 @@
  * 
  * Handles HTTP requests for POI endpoints:
  * - GET /pois - Search by radius
- * - GET /pois/by-square - Search by bounding box
- * - GET /pois/:poisId - Get by ID
+ * - GET /pois/by-square - Search by bounding box, or map clusters with zoom
+ * - GET /pois/by-name - Full-text search by name and tags
+ * - GET/POST /pois/by-polygon - Search by polygon
+ * - GET /pois/along-route - Search along a route
+ * - GET /pois/nearest - Nearest POIs, without a radius cap
+ * - GET /pois/categories - Category catalog with counts
+ * - GET /pois/stats - POI statistics
+ * - GET /pois/:poisId - Get by ID, with embedded related data (include)
+ * - GET/PUT/DELETE /pois/:poisId/translations - Names and descriptions per language
+ * - GET/POST/PATCH/DELETE /pois/:poisId/pictures - Uploaded pictures
+ * - POST/PUT/PATCH/DELETE /pois - Admin management
  */
 
 const PoiService = require('../services/PoiService');
+const PoiImportService = require('../services/PoiImportService');
+const FavoritesService = require('../services/FavoritesService');
+const BookingService = require('../services/BookingService');
+const PoiTranslationService = require('../services/PoiTranslationService');
+const PoiMediaService = require('../services/PoiMediaService');
+const AreaService = require('../services/AreaService');
+const { GEOJSON_MEDIA_TYPE } = require('../middleware/contentNegotiation');
+const { decodePolyline, encodePolyline } = require('../utils/geospatial');
+const { getCursorParam } = require('../utils/cursor');
 const {
+  buildSelfLink,
+  getLocationFields,
+  formatLocation,
   formatCollectionResponse,
+  formatFeatureCollectionResponse,
+  formatClusterCollectionResponse,
+  formatClusterFeatureCollectionResponse,
   formatSingleResponse,
   formatValidationError,
   formatNotFoundError,
   formatSystemError,
 } = require('../utils/responseFormatter');
 
+/**
+ * Parse a list query parameter (repeated or comma-separated)
+ * 
+ * @param {string|Array<string>|undefined} value - Raw query value
+ * @returns {Array<string>|null} Trimmed values, or null if not provided
+ */
+function parseListParam(value) {
+  if (!value) {
+    return null;
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Extract the tag filter from query parameters
+ * 
+ * @param {object} query - Express query object
+ * @returns {object} Tag filter with tags, tagsMatch and excludeTags
+ */
+function getTagFilter(query) {
+  return {
+    tags: parseListParam(query.tags),
+    tagsMatch: query.tagsMatch || 'any',
+    excludeTags: parseListParam(query.excludeTags),
+  };
+}
+
+/**
+ * Extract the rating filter from query parameters
+ * 
+ * @param {object} query - Express query object
+ * @returns {object} Rating filter with minRating (undefined when not provided)
+ */
+function getRatingFilter(query) {
+  return {
+    minRating: query.minRating !== undefined ? parseFloat(query.minRating) : undefined,
+  };
+}
+
+/**
+ * Extract the price filter from query parameters
+ * 
+ * @param {object} query - Express query object
+ * @returns {object} Price filter with priceLevels (null when not provided)
+ */
+function getPriceFilter(query) {
+  const priceLevels = parseListParam(query.priceLevels);
+
+  return {
+    priceLevels: priceLevels ? priceLevels.map(level => parseInt(level, 10)) : null,
+  };
+}
+
+/**
+ * Extract the area filter from query parameters
+ * 
+ * @param {object} query - Express query object
+ * @returns {object} Area filter with cityId and districtId (undefined when not provided)
+ */
+function getAreaFilter(query) {
+  return {
+    cityId: query.cityId || undefined,
+    districtId: query.districtId || undefined,
+  };
+}
+
+/**
+ * Extract the opening hours filter from query parameters
+ * openAt with a UTC offset (or Z) is an instant; without one it is a local
+ * time, checked against each POI in its own time zone
+ * 
+ * @param {object} query - Express query object
+ * @returns {object|null} { instant } or { localTime } (see PoiService.resolveOpenTimes), or null
+ */
+function getOpenAtFilter(query) {
+  if (query.openNow === 'true') {
+    return { instant: new Date() };
+  }
+
+  if (query.openAt) {
+    return /(Z|[+-]\d{2}:\d{2})$/i.test(query.openAt)
+      ? { instant: new Date(query.openAt) }
+      : { localTime: query.openAt };
+  }
+
+  return null;
+}
+
+/**
+ * Send a POI collection in the negotiated format
+ * (Amadeus data/meta envelope or GeoJSON FeatureCollection), in the negotiated language
+ * 
+ * @param {object} req - Express request object (responseFormat set by negotiateLocationFormat,
+ *   locales by negotiateLocale)
+ * @param {object} res - Express response object
+ * @param {Array<PointOfInterest>} pois - POIs for the current page
+ * @param {string} baseUrl - Base URL
+ * @param {string} path - API path
+ * @param {number} totalCount - Total count
+ * @param {number} limit - Page size
+ * @param {number} offset - Current offset
+ * @param {object} cursors - Next and previous cursors when paginating by page[cursor] (default: null)
+ * @param {object} queryParams - Query parameters for pagination links (default: req.query)
+ * @param {object} meta - Additional response metadata (default: none)
+ */
+async function sendCollection(
+  req,
+  res,
+  pois,
+  baseUrl,
+  path,
+  totalCount,
+  limit,
+  offset,
+  cursors = null,
+  queryParams = req.query,
+  meta = {}
+) {
+  await PoiTranslationService.applyTranslations(pois, req.locales);
+  await PoiMediaService.attachMedia(pois);
+  await AreaService.attachParents(pois);
+
+  const formatResponse =
+    req.responseFormat === 'geojson' ? formatFeatureCollectionResponse : formatCollectionResponse;
+  const response = formatResponse(pois, baseUrl, path, queryParams, totalCount, limit, offset, cursors);
+  Object.assign(response.meta, meta);
+
+  if (req.responseFormat === 'geojson') {
+    res.type(GEOJSON_MEDIA_TYPE);
+  }
+
+  return res.status(200).json(response);
+}
+
+/**
+ * Extract the search polygons of a by-polygon request
+ * POST bodies carry a GeoJSON Polygon, MultiPolygon or Feature; GET requests
+ * carry the outline as an encoded polyline, which is closed if needed
+ * 
+ * @param {object} req - Express request object (validated by validateGetPoisByPolygon)
+ * @returns {Array} Polygons in GeoJSON Polygon coordinates ([longitude, latitude] positions)
+ */
+function getPolygons(req) {
+  if (req.method === 'POST') {
+    const geometry = req.body.type === 'Feature' ? req.body.geometry : req.body;
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  }
+
+  const ring = decodePolyline(req.query.polyline).map(point => [point.longitude, point.latitude]);
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+
+  return [[ring]];
+}
+
 /**
  * GET /v1/reference-data/locations/pois
  * Search for POIs within a radius from a center point
@@ -25,8 +209,26 @@ const {
  * - longitude (required): Center point longitude
  * - radius (optional): Search radius in km (0-20, default: 1)
  * - categories (optional): Array of category filters
+ * - keyword (optional): Text that POI names or tags must match (accent-insensitive, prefix)
+ * - tags (optional): Tags to filter by (comma-separated)
+ * - tagsMatch (optional): any (default, at least one tag) or all (every tag)
+ * - excludeTags (optional): Tags to exclude (comma-separated)
+ * - minRating (optional): Minimum average review rating (1-5; POIs without reviews are excluded)
+ * - priceLevels (optional): Price levels to match (1-4, comma-separated; POIs without one are excluded)
+ * - cityId (optional): Only POIs in this city, directly or through one of its districts
+ * - districtId (optional): Only POIs in this district
+ * - openNow (optional): true to return only POIs open now (POIs without opening hours are excluded)
+ * - openAt (optional): Date-time the POIs must be open at (ISO 8601; without an offset, in each POI's local time)
+ * - sort (optional): rank (default), distance, name, weighted or rating
+ * - distanceWeight (optional): Weight of distance in the weighted sort (0-1, default: 0.5)
  * - page[limit] (optional): Results per page (default: 10, max: 100)
  * - page[offset] (optional): Number of results to skip (default: 0)
+ * - page[cursor] (optional): Cursor from a pagination link, empty for the first page (not with page[offset])
+ * - format (optional): json (default) or geojson; also negotiated via Accept: application/geo+json
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
+ * 
+ * Each result includes its distance (km) and bearing from the center point.
  * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
@@ -54,33 +256,38 @@ async function getPointsOfInterest(req, res, next) {
       }
     }
 
+    // Extract sort options
+    const sort = req.query.sort || 'rank';
+    const distanceWeight = req.query.distanceWeight ? parseFloat(req.query.distanceWeight) : 0.5;
+    const keyword = req.query.keyword;
+
     // Call service layer
-    const { rows: pois, count: totalCount } = await PoiService.findByRadius(
+    const { rows: pois, count: totalCount, cursors } = await PoiService.findByRadius(
       latitude,
       longitude,
       radius,
       categories,
       limit,
-      offset
+      offset,
+      {
+        sort,
+        distanceWeight,
+        keyword,
+        cursor: getCursorParam(req.query),
+        openAt: getOpenAtFilter(req.query),
+        ...getTagFilter(req.query),
+        ...getRatingFilter(req.query),
+        ...getPriceFilter(req.query),
+        ...getAreaFilter(req.query),
+      }
     );
 
     // Get base URL from environment or construct from request
     const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
     const path = '/v1/reference-data/locations/pois';
 
-    // Format response with pagination metadata
-    const response = formatCollectionResponse(
-      pois,
-      baseUrl,
-      path,
-      req.query,
-      totalCount,
-      limit,
-      offset
-    );
-
-    // Return 200 OK with data
-    res.status(200).json(response);
+    // Format response with pagination metadata and return 200 OK
+    await sendCollection(req, res, pois, baseUrl, path, totalCount, limit, offset, cursors);
   } catch (error) {
     console.error('Error in getPointsOfInterest:', error.message);
     next(error);
@@ -89,13 +296,31 @@ async function getPointsOfInterest(req, res, next) {
 
 /**
  * GET /v1/reference-data/locations/pois/by-name
- * Search for POIs by name (case-insensitive partial match)
+ * Full-text search for POIs by name and tags
+ * 
+ * Matching ignores case and accents and prefix-matches every word
+ * ("casa batllo" finds "Casa Batlló"); results are ordered by relevance
+ * unless sort=rating.
  * 
  * Query Parameters:
- * - name (required): Search string for POI name
+ * - name (required): Search text
  * - categories (optional): Array of category filters
+ * - tags (optional): Tags to filter by (comma-separated)
+ * - tagsMatch (optional): any (default, at least one tag) or all (every tag)
+ * - excludeTags (optional): Tags to exclude (comma-separated)
+ * - minRating (optional): Minimum average review rating (1-5; POIs without reviews are excluded)
+ * - priceLevels (optional): Price levels to match (1-4, comma-separated; POIs without one are excluded)
+ * - cityId (optional): Only POIs in this city, directly or through one of its districts
+ * - districtId (optional): Only POIs in this district
+ * - openNow (optional): true to return only POIs open now (POIs without opening hours are excluded)
+ * - openAt (optional): Date-time the POIs must be open at (ISO 8601; without an offset, in each POI's local time)
+ * - sort (optional): relevance (default) or rating
  * - page[limit] (optional): Results per page (default: 10, max: 100)
  * - page[offset] (optional): Number of results to skip (default: 0)
+ * - page[cursor] (optional): Cursor from a pagination link, empty for the first page (not with page[offset])
+ * - format (optional): json (default) or geojson; also negotiated via Accept: application/geo+json
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
  * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
@@ -122,36 +347,69 @@ async function getPointsOfInterestByName(req, res, next) {
     }
 
     // Call service layer
-    const { rows: pois, count: totalCount } = await PoiService.findByName(
+    const { rows: pois, count: totalCount, cursors, suggestion } = await PoiService.findByName(
       name,
       categories,
       limit,
-      offset
+      offset,
+      {
+        sort: req.query.sort || 'relevance',
+        cursor: getCursorParam(req.query),
+        openAt: getOpenAtFilter(req.query),
+        ...getTagFilter(req.query),
+        ...getRatingFilter(req.query),
+        ...getPriceFilter(req.query),
+        ...getAreaFilter(req.query),
+      }
     );
 
     // Get base URL from environment or construct from request
     const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
     const path = '/v1/reference-data/locations/pois/by-name';
 
-    // Format response with pagination metadata
-    const response = formatCollectionResponse(
-      pois,
-      baseUrl,
-      path,
-      req.query,
-      totalCount,
-      limit,
-      offset
-    );
+    // Close matches of a misspelled name suggest the name of the closest POI
+    const meta = suggestion ? { didYouMean: suggestion } : {};
 
-    // Return 200 OK with data
-    res.status(200).json(response);
+    // Format response with pagination metadata and return 200 OK
+    await sendCollection(req, res, pois, baseUrl, path, totalCount, limit, offset, cursors, req.query, meta);
   } catch (error) {
     console.error('Error in getPointsOfInterestByName:', error.message);
     next(error);
   }
 }
 
+/**
+ * Load the related resources requested with `include` for a POI response
+ * 
+ * @param {PointOfInterest} poi - POI being returned
+ * @param {Array<string>} includes - Requested includes (favoriteCount, nearby, nextAvailability)
+ * @param {string} baseUrl - Base URL
+ * @param {Array<string>|null} fields - Sparse fieldset applied to nearby POIs
+ * @param {Array<string>} locales - Preferred locales for nearby POI names
+ * @returns {Promise<object>} Related resources keyed by include name
+ */
+async function getIncludedResources(poi, includes, baseUrl, fields, locales) {
+  const included = {};
+
+  if (includes.includes('favoriteCount')) {
+    included.favoriteCount = await FavoritesService.getFavoriteCount(poi.id);
+  }
+
+  if (includes.includes('nearby')) {
+    const nearby = await PoiService.findNearbyPois(poi);
+    await PoiTranslationService.applyTranslations(nearby, locales);
+    await PoiMediaService.attachMedia(nearby);
+    await AreaService.attachParents(nearby);
+    included.nearby = nearby.map(nearbyPoi => formatLocation(nearbyPoi, baseUrl, fields));
+  }
+
+  if (includes.includes('nextAvailability')) {
+    included.nextAvailability = await BookingService.getNextAvailability(poi.id);
+  }
+
+  return included;
+}
+
 /**
  * GET /v1/reference-data/locations/pois/:poisId
  * Get a single POI by ID
@@ -159,6 +417,12 @@ async function getPointsOfInterestByName(req, res, next) {
  * Path Parameters:
  * - poisId (required): POI unique identifier
  * 
+ * Query Parameters:
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - include (optional): Related data to embed in `included` (comma-separated):
+ *   favoriteCount, nearby (closest POIs), nextAvailability (next bookable period)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
+ * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next middleware function
@@ -180,8 +444,20 @@ async function getPointOfInterest(req, res, next) {
     // Get base URL
     const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
 
+    // Translate name and description to the negotiated language
+    await PoiTranslationService.applyTranslations([poi], req.locales);
+    await PoiMediaService.attachMedia([poi]);
+    await AreaService.attachParents([poi]);
+
     // Format response
-    const response = formatSingleResponse(poi, baseUrl);
+    const fields = getLocationFields(req.query);
+    const response = formatSingleResponse(poi, baseUrl, fields);
+
+    // Embed related data requested with include
+    const includes = parseListParam(req.query.include);
+    if (includes) {
+      response.included = await getIncludedResources(poi, includes, baseUrl, fields, req.locales);
+    }
 
     // Return 200 OK with data
     res.status(200).json(response);
@@ -201,8 +477,28 @@ async function getPointOfInterest(req, res, next) {
  * - east (required): East boundary longitude
  * - west (required): West boundary longitude
  * - categories (optional): Array of category filters
- * - page[limit] (optional): Results per page (default: 10, max: 100)
- * - page[offset] (optional): Number of results to skip (default: 0)
+ * - keyword (optional): Text that POI names or tags must match (accent-insensitive, prefix)
+ * - tags (optional): Tags to filter by (comma-separated)
+ * - tagsMatch (optional): any (default, at least one tag) or all (every tag)
+ * - excludeTags (optional): Tags to exclude (comma-separated)
+ * - minRating (optional): Minimum average review rating (1-5; POIs without reviews are excluded)
+ * - priceLevels (optional): Price levels to match (1-4, comma-separated; POIs without one are excluded)
+ * - cityId (optional): Only POIs in this city, directly or through one of its districts
+ * - districtId (optional): Only POIs in this district
+ * - openNow (optional): true to return only POIs open now (POIs without opening hours are excluded)
+ * - openAt (optional): Date-time the POIs must be open at (ISO 8601; without an offset, in each POI's local time)
+ * - sort (optional): rank (default) or rating (not with zoom)
+ * - zoom (optional): Map zoom level (0-22); returns clusters instead of a page of POIs
+ * - page[limit] (optional): Results per page (default: 10, max: 100; not with zoom)
+ * - page[offset] (optional): Number of results to skip (default: 0; not with zoom)
+ * - page[cursor] (optional): Cursor from a pagination link, empty for the first page (not with page[offset]; not with zoom)
+ * - format (optional): json (default) or geojson; also negotiated via Accept: application/geo+json
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
+ * 
+ * With zoom, every POI in the box is grouped into a grid cluster (count,
+ * centroid, category breakdown, bounds); clusters with one member are
+ * returned as regular POIs.
  * 
  * @param {object} req - Express request object
  * @param {object} res - Express response object
@@ -230,36 +526,738 @@ async function getPointsOfInterestBySquare(req, res, next) {
       }
     }
 
+    const options = {
+      keyword: req.query.keyword,
+      sort: req.query.sort || 'rank',
+      cursor: getCursorParam(req.query),
+      openAt: getOpenAtFilter(req.query),
+      ...getTagFilter(req.query),
+      ...getRatingFilter(req.query),
+      ...getPriceFilter(req.query),
+      ...getAreaFilter(req.query),
+    };
+
+    // Get base URL
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const path = '/v1/reference-data/locations/pois/by-square';
+
+    // Clustering mode: whole box grouped into clusters, no pagination
+    if (req.query.zoom !== undefined) {
+      const { rows: items, count: poiCount } = await PoiService.clusterByBoundingBox(
+        north,
+        south,
+        east,
+        west,
+        parseInt(req.query.zoom),
+        categories,
+        options
+      );
+
+      // Single POIs are returned as locations, in the negotiated language
+      const singlePois = items.filter(item => item.type !== 'cluster');
+      await PoiTranslationService.applyTranslations(singlePois, req.locales);
+      await PoiMediaService.attachMedia(singlePois);
+      await AreaService.attachParents(singlePois);
+
+      if (req.responseFormat === 'geojson') {
+        res.type(GEOJSON_MEDIA_TYPE);
+        return res
+          .status(200)
+          .json(formatClusterFeatureCollectionResponse(items, baseUrl, path, req.query, poiCount));
+      }
+
+      return res.status(200).json(formatClusterCollectionResponse(items, baseUrl, path, req.query, poiCount));
+    }
+
     // Call service layer
-    const { rows: pois, count: totalCount } = await PoiService.findByBoundingBox(
+    const { rows: pois, count: totalCount, cursors } = await PoiService.findByBoundingBox(
       north,
       south,
       east,
       west,
       categories,
       limit,
-      offset
+      offset,
+      options
+    );
+
+    // Format response with pagination metadata and return 200 OK
+    await sendCollection(req, res, pois, baseUrl, path, totalCount, limit, offset, cursors);
+  } catch (error) {
+    console.error('Error in getPointsOfInterestBySquare:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/by-polygon
+ * POST /v1/reference-data/locations/pois/by-polygon
+ * Search for POIs inside a drawn area
+ * 
+ * The area is either a GeoJSON Polygon, MultiPolygon or Feature POSTed as the
+ * body, or an encoded polyline of the outline in the `polyline` query parameter.
+ * 
+ * Query Parameters:
+ * - polyline (GET, required): Encoded polyline (precision 5) of the outline
+ * - categories (optional): Array of category filters
+ * - keyword (optional): Text that POI names or tags must match (accent-insensitive, prefix)
+ * - tags (optional): Tags to filter by (comma-separated)
+ * - tagsMatch (optional): any (default, at least one tag) or all (every tag)
+ * - excludeTags (optional): Tags to exclude (comma-separated)
+ * - minRating (optional): Minimum average review rating (1-5; POIs without reviews are excluded)
+ * - priceLevels (optional): Price levels to match (1-4, comma-separated; POIs without one are excluded)
+ * - cityId (optional): Only POIs in this city, directly or through one of its districts
+ * - districtId (optional): Only POIs in this district
+ * - page[limit] (optional): Results per page (default: 10, max: 100)
+ * - page[offset] (optional): Number of results to skip (default: 0)
+ * - page[cursor] (optional): Cursor from a pagination link, empty for the first page (not with page[offset])
+ * - format (optional): json (default) or geojson; also negotiated via Accept: application/geo+json
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointsOfInterestByPolygon(req, res, next) {
+  try {
+    const polygons = getPolygons(req);
+
+    // Extract optional parameters with defaults
+    const limit = req.query['page[limit]'] ? parseInt(req.query['page[limit]']) : 10;
+    const offset = req.query['page[offset]'] ? parseInt(req.query['page[offset]']) : 0;
+
+    // Extract categories
+    let categories = null;
+    if (req.query.categories) {
+      if (Array.isArray(req.query.categories)) {
+        categories = req.query.categories;
+      } else if (typeof req.query.categories === 'string') {
+        categories = req.query.categories.split(',').map(c => c.trim());
+      }
+    }
+
+    // Call service layer
+    const { rows: pois, count: totalCount, cursors } = await PoiService.findByPolygon(
+      polygons,
+      categories,
+      limit,
+      offset,
+      {
+        keyword: req.query.keyword,
+        cursor: getCursorParam(req.query),
+        ...getTagFilter(req.query),
+        ...getRatingFilter(req.query),
+        ...getPriceFilter(req.query),
+        ...getAreaFilter(req.query),
+      }
     );
 
     // Get base URL
     const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
-    const path = '/v1/reference-data/locations/pois/by-square';
+    const path = '/v1/reference-data/locations/pois/by-polygon';
+
+    // Pagination links are GET requests: carry a simple POSTed outline as a polyline
+    let queryParams = req.query;
+    if (req.method === 'POST' && polygons.length === 1 && polygons[0].length === 1) {
+      const outline = polygons[0][0].map(position => ({ latitude: position[1], longitude: position[0] }));
+      queryParams = { polyline: encodePolyline(outline), ...req.query };
+    }
+
+    // Format response with pagination metadata and return 200 OK
+    await sendCollection(req, res, pois, baseUrl, path, totalCount, limit, offset, cursors, queryParams);
+  } catch (error) {
+    console.error('Error in getPointsOfInterestByPolygon:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/along-route
+ * Search for POIs along a route, in the order they are passed
+ * 
+ * Query Parameters:
+ * - polyline (required): Encoded polyline (precision 5) of the route, in travel order
+ * - width (optional): Corridor width in meters (10-5000, default: 200); POIs up to
+ *   half the width from the route match
+ * - categories (optional): Array of category filters
+ * - keyword (optional): Text that POI names or tags must match (accent-insensitive, prefix)
+ * - tags (optional): Tags to filter by (comma-separated)
+ * - tagsMatch (optional): any (default, at least one tag) or all (every tag)
+ * - excludeTags (optional): Tags to exclude (comma-separated)
+ * - minRating (optional): Minimum average review rating (1-5; POIs without reviews are excluded)
+ * - priceLevels (optional): Price levels to match (1-4, comma-separated; POIs without one are excluded)
+ * - cityId (optional): Only POIs in this city, directly or through one of its districts
+ * - districtId (optional): Only POIs in this district
+ * - page[limit] (optional): Results per page (default: 10, max: 100)
+ * - page[offset] (optional): Number of results to skip (default: 0)
+ * - page[cursor] (optional): Cursor from a pagination link, empty for the first page (not with page[offset])
+ * - format (optional): json (default) or geojson; also negotiated via Accept: application/geo+json
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
+ * 
+ * Each result includes its distance from the route and its position along the route (km).
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointsOfInterestAlongRoute(req, res, next) {
+  try {
+    const route = decodePolyline(req.query.polyline);
+
+    // Extract optional parameters with defaults
+    const width = req.query.width ? parseInt(req.query.width) : 200;
+    const limit = req.query['page[limit]'] ? parseInt(req.query['page[limit]']) : 10;
+    const offset = req.query['page[offset]'] ? parseInt(req.query['page[offset]']) : 0;
+
+    // Extract categories
+    let categories = null;
+    if (req.query.categories) {
+      if (Array.isArray(req.query.categories)) {
+        categories = req.query.categories;
+      } else if (typeof req.query.categories === 'string') {
+        categories = req.query.categories.split(',').map(c => c.trim());
+      }
+    }
+
+    // Call service layer
+    const { rows: pois, count: totalCount, cursors } = await PoiService.findAlongRoute(
+      route,
+      width,
+      categories,
+      limit,
+      offset,
+      {
+        keyword: req.query.keyword,
+        cursor: getCursorParam(req.query),
+        ...getTagFilter(req.query),
+        ...getRatingFilter(req.query),
+        ...getPriceFilter(req.query),
+        ...getAreaFilter(req.query),
+      }
+    );
+
+    // Get base URL
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const path = '/v1/reference-data/locations/pois/along-route';
+
+    // Format response with pagination metadata and return 200 OK
+    await sendCollection(req, res, pois, baseUrl, path, totalCount, limit, offset, cursors);
+  } catch (error) {
+    console.error('Error in getPointsOfInterestAlongRoute:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/nearest
+ * Get the POIs closest to a point, however far away they are
+ * 
+ * Query Parameters:
+ * - latitude (required): Point latitude
+ * - longitude (required): Point longitude
+ * - categories (optional): Array of category filters
+ * - keyword (optional): Text that POI names or tags must match (accent-insensitive, prefix)
+ * - tags (optional): Tags to filter by (comma-separated)
+ * - tagsMatch (optional): any (default, at least one tag) or all (every tag)
+ * - excludeTags (optional): Tags to exclude (comma-separated)
+ * - minRating (optional): Minimum average review rating (1-5; POIs without reviews are excluded)
+ * - priceLevels (optional): Price levels to match (1-4, comma-separated; POIs without one are excluded)
+ * - cityId (optional): Only POIs in this city, directly or through one of its districts
+ * - districtId (optional): Only POIs in this district
+ * - page[limit] (optional): Number of POIs to return (default: 10, max: 100)
+ * - page[offset] (optional): Number of nearer POIs to skip (default: 0)
+ * - page[cursor] (optional): Cursor from a pagination link, empty for the first page (not with page[offset])
+ * - format (optional): json (default) or geojson; also negotiated via Accept: application/geo+json
+ * - fields[location] (optional): Location members to return (comma-separated; id, self and type are always returned)
+ * - lang (optional): Preferred language; overrides the Accept-Language header
+ * 
+ * Results are ordered by distance and include their distance (km) and bearing from the point.
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getNearestPointsOfInterest(req, res, next) {
+  try {
+    // Extract and validate required parameters
+    const latitude = parseFloat(req.query.latitude);
+    const longitude = parseFloat(req.query.longitude);
+
+    // Extract optional parameters with defaults
+    const limit = req.query['page[limit]'] ? parseInt(req.query['page[limit]']) : 10;
+    const offset = req.query['page[offset]'] ? parseInt(req.query['page[offset]']) : 0;
 
-    // Format response with pagination metadata
-    const response = formatCollectionResponse(
-      pois,
-      baseUrl,
-      path,
-      req.query,
-      totalCount,
+    // Extract categories
+    let categories = null;
+    if (req.query.categories) {
+      if (Array.isArray(req.query.categories)) {
+        categories = req.query.categories;
+      } else if (typeof req.query.categories === 'string') {
+        categories = req.query.categories.split(',').map(c => c.trim());
+      }
+    }
+
+    // Call service layer
+    const { rows: pois, count: totalCount, cursors } = await PoiService.findNearest(
+      latitude,
+      longitude,
+      categories,
       limit,
-      offset
+      offset,
+      {
+        keyword: req.query.keyword,
+        cursor: getCursorParam(req.query),
+        ...getTagFilter(req.query),
+        ...getRatingFilter(req.query),
+        ...getPriceFilter(req.query),
+        ...getAreaFilter(req.query),
+      }
     );
 
-    // Return 200 OK with data
-    res.status(200).json(response);
+    // Get base URL
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const path = '/v1/reference-data/locations/pois/nearest';
+
+    // Format response with pagination metadata and return 200 OK
+    await sendCollection(req, res, pois, baseUrl, path, totalCount, limit, offset, cursors);
   } catch (error) {
-    console.error('Error in getPointsOfInterestBySquare:', error.message);
+    console.error('Error in getNearestPointsOfInterest:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * Extract the optional bounding box scope of catalog and statistics requests
+ * 
+ * @param {object} query - Express query object (validated by validateBoundingBoxScope)
+ * @returns {object} Scope with north, south, east and west, or an empty scope
+ */
+function getBoundingBoxScope(query) {
+  if (query.north === undefined || query.north === '') {
+    return {};
+  }
+
+  return {
+    north: parseFloat(query.north),
+    south: parseFloat(query.south),
+    east: parseFloat(query.east),
+    west: parseFloat(query.west),
+  };
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/categories
+ * Get the category catalog with the number of POIs in each category
+ * 
+ * Query Parameters:
+ * - north, south, east, west (optional): Only count POIs inside this bounding box
+ * - cityId, districtId (optional): Only count POIs in this city or district
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointOfInterestCategories(req, res, next) {
+  try {
+    const scope = { ...getBoundingBoxScope(req.query), ...getAreaFilter(req.query) };
+    const categories = await PoiService.getAvailableCategories(scope);
+
+    // Get base URL
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const path = '/v1/reference-data/locations/pois/categories';
+
+    res.status(200).json({
+      data: categories.map(item => ({ type: 'category', ...item })),
+      meta: {
+        count: categories.length,
+        links: {
+          self: buildSelfLink(baseUrl, path, req.query),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error in getPointOfInterestCategories:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/stats
+ * Get POI statistics: total, per-category counts, most frequent tags and rank distribution
+ * 
+ * Query Parameters:
+ * - north, south, east, west (optional): Only count POIs inside this bounding box
+ * - cityId, districtId (optional): Only count POIs in this city or district
+ * - tagLimit (optional): Number of most frequent tags (default: 20, max: 100)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointOfInterestStatistics(req, res, next) {
+  try {
+    const scope = { ...getBoundingBoxScope(req.query), ...getAreaFilter(req.query) };
+    const statistics = await PoiService.getStatistics(scope, {
+      tagLimit: req.query.tagLimit ? parseInt(req.query.tagLimit) : undefined,
+    });
+
+    // Get base URL
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const path = '/v1/reference-data/locations/pois/stats';
+
+    res.status(200).json({
+      data: { type: 'poi-statistics', ...statistics },
+      meta: {
+        links: {
+          self: buildSelfLink(baseUrl, path, req.query),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error in getPointOfInterestStatistics:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * POST /v1/reference-data/locations/pois
+ * Create a new POI (admin only)
+ * 
+ * Body: id (optional), name, latitude, longitude, category, subType, rank, tags, pictures, openingHours,
+ *   address, phone, website, email, priceLevel, description, parentId (default: the area containing the POI)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function createPointOfInterest(req, res, next) {
+  try {
+    const poi = await PoiService.createPoi(req.body);
+    await AreaService.attachParents([poi]);
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json(formatSingleResponse(poi, baseUrl));
+  } catch (error) {
+    console.error('Error in createPointOfInterest:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * PUT /v1/reference-data/locations/pois/:poisId
+ * Replace a POI (admin only); omitted optional fields are reset to defaults
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function replacePointOfInterest(req, res, next) {
+  try {
+    const { poisId } = req.params;
+
+    const poi = await PoiService.updatePoi(poisId, req.body, { replace: true });
+    await PoiMediaService.attachMedia([poi]);
+    await AreaService.attachParents([poi]);
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(200).json(formatSingleResponse(poi, baseUrl));
+  } catch (error) {
+    console.error('Error in replacePointOfInterest:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * PATCH /v1/reference-data/locations/pois/:poisId
+ * Partially update a POI (admin only)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function updatePointOfInterest(req, res, next) {
+  try {
+    const { poisId } = req.params;
+
+    const poi = await PoiService.updatePoi(poisId, req.body);
+    await PoiMediaService.attachMedia([poi]);
+    await AreaService.attachParents([poi]);
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(200).json(formatSingleResponse(poi, baseUrl));
+  } catch (error) {
+    console.error('Error in updatePointOfInterest:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * DELETE /v1/reference-data/locations/pois/:poisId
+ * Delete a POI (admin only)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function deletePointOfInterest(req, res, next) {
+  try {
+    const { poisId } = req.params;
+
+    await PoiService.deletePoi(poisId);
+
+    res.status(200).json({
+      data: {
+        message: 'POI deleted successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Error in deletePointOfInterest:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/:poisId/translations
+ * List the translations of a POI
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointOfInterestTranslations(req, res, next) {
+  try {
+    const { poisId } = req.params;
+
+    const translations = await PoiTranslationService.findTranslations(poisId);
+
+    res.status(200).json({
+      data: translations.map(translation => translation.toPublicJSON()),
+      meta: {
+        count: translations.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error in getPointOfInterestTranslations:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * PUT /v1/reference-data/locations/pois/:poisId/translations/:locale
+ * Create or replace the translation of a POI for a language (admin only)
+ * 
+ * Body: name (optional, null keeps the POI name), description (optional)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function savePointOfInterestTranslation(req, res, next) {
+  try {
+    const { poisId, locale } = req.params;
+
+    const { translation, created } = await PoiTranslationService.saveTranslation(poisId, locale, req.body);
+
+    res.status(created ? 201 : 200).json({
+      data: translation.toPublicJSON(),
+    });
+  } catch (error) {
+    console.error('Error in savePointOfInterestTranslation:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * DELETE /v1/reference-data/locations/pois/:poisId/translations/:locale
+ * Delete the translation of a POI for a language (admin only)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function deletePointOfInterestTranslation(req, res, next) {
+  try {
+    const { poisId, locale } = req.params;
+
+    await PoiTranslationService.deleteTranslation(poisId, locale);
+
+    res.status(200).json({
+      data: {
+        message: 'Translation deleted successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Error in deletePointOfInterestTranslation:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/:poisId/pictures
+ * List the uploaded pictures of a POI, in display order
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointOfInterestPictures(req, res, next) {
+  try {
+    const { poisId } = req.params;
+
+    const pictures = await PoiMediaService.findMedia(poisId);
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(200).json({
+      data: pictures.map(picture => picture.toPublicJSON(baseUrl)),
+      meta: {
+        count: pictures.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error in getPointOfInterestPictures:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * GET /v1/reference-data/locations/pois/:poisId/pictures/:pictureId
+ * Get an uploaded picture of a POI
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function getPointOfInterestPicture(req, res, next) {
+  try {
+    const { poisId, pictureId } = req.params;
+
+    const picture = await PoiMediaService.findMediaById(poisId, parseInt(pictureId, 10));
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(200).json({
+      data: picture.toPublicJSON(baseUrl),
+    });
+  } catch (error) {
+    console.error('Error in getPointOfInterestPicture:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * POST /v1/reference-data/locations/pois/:poisId/pictures
+ * Upload a picture for a POI (authenticated users)
+ * 
+ * Content-Type: multipart/form-data
+ * Fields: file (required, JPEG, PNG or WebP), caption (optional),
+ * position (optional, 1 = first; default: last)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function uploadPointOfInterestPicture(req, res, next) {
+  try {
+    const { poisId } = req.params;
+    const { caption, position } = req.body || {};
+
+    const picture = await PoiMediaService.uploadMedia(poisId, req.user, req.file, {
+      caption,
+      position: position !== undefined ? parseInt(position, 10) : undefined,
+    });
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      data: picture.toPublicJSON(baseUrl),
+    });
+  } catch (error) {
+    console.error('Error in uploadPointOfInterestPicture:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * PATCH /v1/reference-data/locations/pois/:poisId/pictures/:pictureId
+ * Change the caption or position of a picture (uploader or admin)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function updatePointOfInterestPicture(req, res, next) {
+  try {
+    const { poisId, pictureId } = req.params;
+
+    const picture = await PoiMediaService.updateMedia(poisId, parseInt(pictureId, 10), req.user, req.body);
+
+    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(200).json({
+      data: picture.toPublicJSON(baseUrl),
+    });
+  } catch (error) {
+    console.error('Error in updatePointOfInterestPicture:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * DELETE /v1/reference-data/locations/pois/:poisId/pictures/:pictureId
+ * Delete a picture and its files (uploader or admin)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function deletePointOfInterestPicture(req, res, next) {
+  try {
+    const { poisId, pictureId } = req.params;
+
+    await PoiMediaService.deleteMedia(poisId, parseInt(pictureId, 10), req.user);
+
+    res.status(200).json({
+      data: {
+        message: 'Picture deleted successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Error in deletePointOfInterestPicture:', error.message);
+    next(error);
+  }
+}
+
+/**
+ * POST /v1/reference-data/locations/pois/import
+ * Bulk import POIs from a GeoJSON FeatureCollection or CSV file (admin only)
+ * 
+ * Content-Type: application/json, application/geo+json or text/csv
+ * Query Parameters:
+ * - dryRun (optional): Validate rows without writing (default: false)
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+async function importPointsOfInterest(req, res, next) {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const report = req.is(['text/csv', 'application/csv'])
+      ? await PoiImportService.importCsv(req.body, { dryRun })
+      : await PoiImportService.importGeoJson(req.body, { dryRun });
+
+    res.status(200).json({
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error in importPointsOfInterest:', error.message);
     next(error);
   }
 }
@@ -269,5 +1267,23 @@ module.exports = {
   getPointOfInterest,
   getPointsOfInterestBySquare,
   getPointsOfInterestByName,
+  getPointsOfInterestByPolygon,
+  getPointsOfInterestAlongRoute,
+  getNearestPointsOfInterest,
+  getPointOfInterestCategories,
+  getPointOfInterestStatistics,
+  createPointOfInterest,
+  replacePointOfInterest,
+  updatePointOfInterest,
+  deletePointOfInterest,
+  importPointsOfInterest,
+  getPointOfInterestTranslations,
+  savePointOfInterestTranslation,
+  deletePointOfInterestTranslation,
+  getPointOfInterestPictures,
+  getPointOfInterestPicture,
+  uploadPointOfInterestPicture,
+  updatePointOfInterestPicture,
+  deletePointOfInterestPicture,
 };
 
@@ -0,0 +1,130 @@
+const ReviewService = require('../services/ReviewService');
+const { buildPaginationMeta } = require('../utils/responseFormatter');
+const { getCursorParam } = require('../utils/cursor');
+const config = require('../config');
+
+/**
+ * Review Controller
+ * Handles POI review requests under /v1/reference-data/locations/pois/:poisId/reviews
+ */
+class ReviewController {
+  /**
+   * Get the reviews of a POI, most recent first
+   * GET /pois/:poisId/reviews
+   */
+  static async getReviews(req, res, next) {
+    try {
+      const { poisId } = req.params;
+      const limit = parseInt(req.query['page[limit]'] || config.api.defaultLimit, 10);
+      const offset = parseInt(req.query['page[offset]'] || 0, 10);
+
+      const result = await ReviewService.getPoiReviews(poisId, {
+        limit,
+        offset,
+        cursor: getCursorParam(req.query),
+      });
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      // Build pagination meta
+      const meta = buildPaginationMeta(
+        baseUrl,
+        `/v1/reference-data/locations/pois/${poisId}/reviews`,
+        req.query,
+        result.count,
+        limit,
+        offset,
+        result.cursors
+      );
+
+      res.status(200).json({
+        data: result.rows.map((review) => review.toPublicJSON(baseUrl)),
+        meta,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a review
+   * GET /pois/:poisId/reviews/:reviewId
+   */
+  static async getReview(req, res, next) {
+    try {
+      const { poisId, reviewId } = req.params;
+
+      const review = await ReviewService.getReview(poisId, parseInt(reviewId, 10));
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: review.toPublicJSON(baseUrl),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Review a POI
+   * POST /pois/:poisId/reviews
+   */
+  static async createReview(req, res, next) {
+    try {
+      const { poisId } = req.params;
+
+      const review = await ReviewService.createReview(req.userId, poisId, req.body);
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(201).json({
+        data: review.toPublicJSON(baseUrl),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a review (author only)
+   * PATCH /pois/:poisId/reviews/:reviewId
+   */
+  static async updateReview(req, res, next) {
+    try {
+      const { poisId, reviewId } = req.params;
+
+      const review = await ReviewService.updateReview(poisId, parseInt(reviewId, 10), req.userId, req.body);
+
+      const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+      res.status(200).json({
+        data: review.toPublicJSON(baseUrl),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a review (author or administrator)
+   * DELETE /pois/:poisId/reviews/:reviewId
+   */
+  static async deleteReview(req, res, next) {
+    try {
+      const { poisId, reviewId } = req.params;
+
+      await ReviewService.deleteReview(poisId, parseInt(reviewId, 10), req.user);
+
+      res.status(200).json({
+        data: {
+          message: 'Review deleted successfully',
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ReviewController;
@@ -0,0 +1,35 @@
+const PoiTileService = require('../services/PoiTileService');
+const config = require('../config');
+
+const MVT_MEDIA_TYPE = 'application/vnd.mapbox-vector-tile';
+
+/**
+ * Tile Controller
+ * Handles vector tile requests for map clients
+ */
+class TileController {
+  /**
+   * Get a Mapbox Vector Tile of POIs
+   * GET /v1/tiles/pois/:z/:x/:y.mvt
+   */
+  static async getPoiTile(req, res, next) {
+    try {
+      const z = parseInt(req.params.z, 10);
+      const x = parseInt(req.params.x, 10);
+      const y = parseInt(req.params.y, 10);
+
+      const { tile, cached } = await PoiTileService.getPoiTile(z, x, y);
+
+      res.set({
+        'Content-Type': MVT_MEDIA_TYPE,
+        'Cache-Control': `public, max-age=${config.tiles.cacheTtl}`,
+        'X-Cache': cached ? 'HIT' : 'MISS',
+      });
+      res.status(200).send(tile);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TileController;
@@ -1,4 +1,4 @@
-const { UnauthorizedError } = require('../utils/errors');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const AuthService = require('../services/AuthService');
 const { User } = require('../models');
 
@@ -85,7 +85,26 @@ async function optionalAuthenticate(req, res, next) {
   }
 }
 
+/**
+ * Admin authorization middleware
+ * Must run after authenticate; rejects users without the admin role
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return next(new UnauthorizedError('Authentication token is required', {
+      parameter: 'Authorization',
+    }));
+  }
+
+  if (!req.user.isAdmin()) {
+    return next(new ForbiddenError('Administrator privileges are required'));
+  }
+
+  next();
+}
+
 module.exports = {
   authenticate,
   optionalAuthenticate,
+  requireAdmin,
 };
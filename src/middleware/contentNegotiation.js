@@ -0,0 +1,94 @@
+/**
+ * Content Negotiation Middleware
+ * 
+ * Chooses the representation for location collections:
+ * - Amadeus JSON envelope (data/meta) - default
+ * - GeoJSON FeatureCollection - `Accept: application/geo+json` or `format=geojson`
+ * 
+ * And the language of location names and descriptions:
+ * - `lang` query parameter, else the `Accept-Language` header
+ */
+
+const GEOJSON_MEDIA_TYPE = 'application/geo+json';
+const AMADEUS_MEDIA_TYPE = 'application/vnd.amadeus+json';
+
+/**
+ * Resolve the response format for location collections
+ * Sets req.responseFormat to 'geojson' or 'json'. An explicit `format`
+ * query parameter takes precedence over the Accept header.
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function negotiateLocationFormat(req, res, next) {
+  const { format } = req.query;
+
+  if (format !== undefined) {
+    req.responseFormat = format === 'geojson' ? 'geojson' : 'json';
+  } else {
+    const accepted = req.accepts([AMADEUS_MEDIA_TYPE, 'application/json', GEOJSON_MEDIA_TYPE]);
+    req.responseFormat = accepted === GEOJSON_MEDIA_TYPE ? 'geojson' : 'json';
+  }
+
+  // Responses differ by Accept header, so caches must key on it
+  res.vary('Accept');
+
+  next();
+}
+
+/**
+ * Expand language tags with their more general forms, keeping preference order
+ * 
+ * @param {Array<string>} tags - Language tags, most preferred first
+ * @returns {Array<string>} Lowercase locales without duplicates
+ * 
+ * @example
+ * expandLocales(['es-MX', 'ca']);
+ * // Returns: ['es-mx', 'es', 'ca']
+ */
+function expandLocales(tags) {
+  const locales = [];
+
+  tags.forEach(tag => {
+    const subtags = tag.toLowerCase().split('-');
+    for (let length = subtags.length; length > 0; length--) {
+      const locale = subtags.slice(0, length).join('-');
+      if (!locales.includes(locale)) {
+        locales.push(locale);
+      }
+    }
+  });
+
+  return locales;
+}
+
+/**
+ * Resolve the preferred languages of location names and descriptions
+ * Sets req.locales to lowercase locales in preference order (see
+ * PoiTranslationService.applyTranslations). An explicit `lang` query
+ * parameter takes precedence over the Accept-Language header.
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function negotiateLocale(req, res, next) {
+  const { lang } = req.query;
+
+  // acceptsLanguages() lists the header's languages by quality, or ['*'] without a header
+  const tags = lang !== undefined ? [lang] : req.acceptsLanguages().filter(tag => tag !== '*');
+  req.locales = expandLocales(tags);
+
+  // Responses differ by Accept-Language header, so caches must key on it
+  res.vary('Accept-Language');
+
+  next();
+}
+
+module.exports = {
+  negotiateLocationFormat,
+  negotiateLocale,
+  GEOJSON_MEDIA_TYPE,
+  AMADEUS_MEDIA_TYPE,
+};
@@ -7,7 +7,7 @@
  * This should be the last middleware in the Express app.
  */
 
-const { ApiError } = require('../utils/errors');
+const { ApiError, PayloadTooLargeError } = require('../utils/errors');
 
 /**
  * Global error handler
@@ -36,6 +36,16 @@ function errorHandler(err, req, res, next) {
     });
   }
 
+  // Handle bodies over the size limit of their parser (body-parser errors)
+  if (err.type === 'entity.too.large') {
+    const limit = err.limit >= 1024 * 1024 ? `${err.limit / (1024 * 1024)} MB` : `${err.limit / 1024} KB`;
+    const error = new PayloadTooLargeError(`Request body must be at most ${limit}`, { parameter: 'body' });
+
+    return res.status(error.status).json({
+      errors: [error.toJSON()],
+    });
+  }
+
   // Handle Sequelize validation errors
   if (err.name === 'SequelizeValidationError') {
     const errors = err.errors.map(e => ({
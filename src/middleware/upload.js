@@ -0,0 +1,72 @@
+/**
+ * Upload Middleware
+ *
+ * Parses multipart/form-data picture uploads: a single image in the `file`
+ * field, kept in memory (up to MEDIA_MAX_FILE_SIZE bytes) for the media
+ * service to validate and store, plus text fields in req.body.
+ */
+
+const multer = require('multer');
+const config = require('../config');
+const { ValidationError, InvalidOptionError } = require('../utils/errors');
+
+const ACCEPTED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.media.maxFileSize,
+    files: 1,
+    fields: 10,
+  },
+  fileFilter(req, file, callback) {
+    if (!ACCEPTED_CONTENT_TYPES.includes(file.mimetype)) {
+      callback(
+        new InvalidOptionError(
+          `Unsupported picture type: ${file.mimetype}. Accepted types are: ${ACCEPTED_CONTENT_TYPES.join(', ')}`,
+          { parameter: 'file', example: file.mimetype }
+        )
+      );
+      return;
+    }
+    callback(null, true);
+  },
+}).single('file');
+
+/**
+ * Parse a picture upload into req.file and req.body
+ * Multer errors (file too large, unexpected fields) become API validation errors
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+function parsePictureUpload(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error || !(error instanceof multer.MulterError)) {
+      next(error);
+      return;
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      next(
+        new ValidationError(
+          `file must be at most ${config.media.maxFileSize} bytes`,
+          { parameter: 'file' }
+        )
+      );
+      return;
+    }
+
+    next(
+      new ValidationError(
+        `Invalid picture upload: ${error.message}${error.field ? ` (${error.field})` : ''}`,
+        { parameter: error.field || 'file' }
+      )
+    );
+  });
+}
+
+module.exports = {
+  parsePictureUpload,
+};
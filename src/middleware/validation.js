@@ -10,19 +10,510 @@ const {
   MandatoryDataMissingError,
   InvalidOptionError,
 } = require('../utils/errors');
+const { decodePolyline } = require('../utils/geospatial');
+const { decodeCursor } = require('../utils/cursor');
 
 // Valid category values according to Swagger spec
 const VALID_CATEGORIES = ['SIGHTS', 'BEACH_PARK', 'HISTORICAL', 'NIGHTLIFE', 'RESTAURANT', 'SHOPPING'];
 
+// Attributes accepted in POI admin request bodies
+const POI_WRITABLE_FIELDS = [
+  'subType',
+  'name',
+  'latitude',
+  'longitude',
+  'category',
+  'rank',
+  'tags',
+  'pictures',
+  'openingHours',
+  'address',
+  'phone',
+  'website',
+  'email',
+  'priceLevel',
+  'description',
+  'parentId',
+];
+const POI_REQUIRED_FIELDS = ['name', 'latitude', 'longitude', 'category'];
+
+// Sort options for radius, bounding box and name searches
+const VALID_RADIUS_SORTS = ['rank', 'distance', 'name', 'weighted', 'rating'];
+const VALID_SQUARE_SORTS = ['rank', 'rating'];
+const VALID_NAME_SORTS = ['relevance', 'rating'];
+
+// Review star ratings (also the range of the minRating filter) and text length
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_REVIEW_TEXT_LENGTH = 5000;
+const REVIEW_WRITABLE_FIELDS = ['rating', 'text', 'visitDate'];
+
+// POI details: address members, price levels (also the range of the priceLevels filter), description length
+const ADDRESS_FIELDS = ['street', 'postalCode', 'city', 'region', 'countryCode'];
+const MIN_PRICE_LEVEL = 1;
+const MAX_PRICE_LEVEL = 4;
+const MAX_POI_DESCRIPTION_LENGTH = 1000;
+
+// Uploaded picture fields
+const PICTURE_WRITABLE_FIELDS = ['caption', 'position'];
+const MAX_PICTURE_CAPTION_LENGTH = 500;
+
+// Nearest airport search radius in kilometers (also the default)
+const MAX_AIRPORT_RADIUS = 500;
+
+// Suggestions per autocomplete request
+const MAX_AUTOCOMPLETE_LIMIT = 20;
+
+// Tag filter semantics and limits
+const VALID_TAG_MATCHES = ['any', 'all'];
+const MAX_FILTER_TAGS = 20;
+
+// Polygon search limits
+const MAX_POLYGON_VERTICES = 1000;
+
+// Route search limits (corridor width in meters)
+const MAX_ROUTE_POINTS = 1000;
+const MIN_CORRIDOR_WIDTH = 10;
+const MAX_CORRIDOR_WIDTH = 5000;
+
+// Most frequent tags returned by POI statistics (tagLimit)
+const MAX_STATS_TAG_LIMIT = 100;
+
+// Map zoom levels accepted for clustering and vector tiles
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+
+// Response formats for location collections (see middleware/contentNegotiation.js)
+const VALID_FORMATS = ['json', 'geojson'];
+
+// Location members selectable with fields[location] (id, self and type are always returned)
+const VALID_LOCATION_FIELDS = [
+  'subType',
+  'name',
+  'geoCode',
+  'category',
+  'rank',
+  'tags',
+  'pictures',
+  'distance',
+  'bearing',
+  'distanceAlongRoute',
+  'similarity',
+  'locale',
+  'description',
+  'openingHours',
+  'rating',
+  'address',
+  'contact',
+  'priceLevel',
+  'parent',
+];
+
+// Related data embeddable in a POI response with include
+const VALID_POI_INCLUDES = ['favoriteCount', 'nearby', 'nextAvailability'];
+
+// Language tags accepted by lang and translation endpoints (e.g., es, ca, pt-BR, zh-Hant-TW)
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/;
+const MAX_TRANSLATION_NAME_LENGTH = 255;
+
+// openAt: ISO 8601 date-time to the minute, optionally with seconds and a UTC offset
+const OPEN_AT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i;
+
+/**
+ * Validate the optional `format` query parameter of location collections
+ * 
+ * @param {*} format - Raw format parameter
+ */
+function validateFormatParam(format) {
+  if (format !== undefined && !VALID_FORMATS.includes(format)) {
+    throw new InvalidOptionError(
+      `format must be one of: ${VALID_FORMATS.join(', ')}`,
+      { parameter: 'format', example: format }
+    );
+  }
+}
+
+/**
+ * Validate the optional `keyword` full-text filter of location searches
+ * 
+ * @param {*} keyword - Raw keyword parameter
+ */
+function validateKeywordParam(keyword) {
+  if (keyword === undefined) {
+    return;
+  }
+
+  if (typeof keyword !== 'string') {
+    throw new ValidationError(
+      'keyword must be a string',
+      { parameter: 'keyword' }
+    );
+  }
+
+  if (keyword.length > 255) {
+    throw new ValidationError(
+      'keyword must be less than 255 characters',
+      { parameter: 'keyword' }
+    );
+  }
+
+  if (!/[\p{L}\p{N}]/u.test(keyword)) {
+    throw new ValidationError(
+      'keyword must contain at least one letter or digit',
+      { parameter: 'keyword', example: keyword }
+    );
+  }
+}
+
+/**
+ * Validate a tag list query parameter (tags or excludeTags)
+ * 
+ * @param {*} value - Raw parameter value (comma-separated string or array)
+ * @param {string} parameter - Parameter name for error reporting
+ * @returns {Array<string>} Parsed tags
+ */
+function validateTagList(value, parameter) {
+  let tagArray;
+
+  if (Array.isArray(value)) {
+    tagArray = value;
+  } else if (typeof value === 'string') {
+    tagArray = value.split(',');
+  } else {
+    throw new ValidationError(
+      `${parameter} must be a string or array`,
+      { parameter }
+    );
+  }
+
+  tagArray = tagArray.map(tag => (typeof tag === 'string' ? tag.trim() : tag));
+
+  for (const tag of tagArray) {
+    if (typeof tag !== 'string' || tag === '') {
+      throw new ValidationError(
+        `${parameter} cannot contain empty values`,
+        { parameter }
+      );
+    }
+
+    if (tag.length > 50) {
+      throw new ValidationError(
+        `${parameter} values must be less than 50 characters`,
+        { parameter, example: tag }
+      );
+    }
+  }
+
+  if (tagArray.length > MAX_FILTER_TAGS) {
+    throw new InvalidOptionError(
+      `${parameter} must not contain more than ${MAX_FILTER_TAGS} tags`,
+      { parameter }
+    );
+  }
+
+  return tagArray;
+}
+
+/**
+ * Validate the optional tag filter parameters of location searches
+ * (tags, tagsMatch, excludeTags)
+ * 
+ * @param {object} query - Request query
+ */
+function validateTagParams(query) {
+  const { tags, tagsMatch, excludeTags } = query;
+
+  if (tags !== undefined && tags !== '') {
+    validateTagList(tags, 'tags');
+  }
+
+  if (tagsMatch !== undefined) {
+    if (!VALID_TAG_MATCHES.includes(tagsMatch)) {
+      throw new InvalidOptionError(
+        `tagsMatch must be one of: ${VALID_TAG_MATCHES.join(', ')}`,
+        { parameter: 'tagsMatch', example: tagsMatch }
+      );
+    }
+
+    if (tags === undefined || tags === '') {
+      throw new InvalidOptionError(
+        'tagsMatch can only be used with tags',
+        { parameter: 'tagsMatch' }
+      );
+    }
+  }
+
+  if (excludeTags !== undefined && excludeTags !== '') {
+    validateTagList(excludeTags, 'excludeTags');
+  }
+}
+
+/**
+ * Validate a comma-separated (or repeated) list parameter against allowed values
+ * 
+ * @param {string|Array<string>} value - Raw query value
+ * @param {string} parameter - Parameter name, for error details
+ * @param {Array<string>} allowed - Allowed values
+ */
+function validateListOptions(value, parameter, allowed) {
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(item => item !== '');
+
+  if (items.length === 0) {
+    throw new ValidationError(
+      `${parameter} must list at least one value`,
+      { parameter }
+    );
+  }
+
+  const invalid = items.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new InvalidOptionError(
+      `Invalid ${parameter} value(s): ${invalid.join(', ')}. Must be one of: ${allowed.join(', ')}`,
+      { parameter, example: invalid[0] }
+    );
+  }
+}
+
+/**
+ * Validate the optional fields[location] sparse fieldset of location responses
+ * 
+ * @param {object} query - Request query
+ */
+function validateFieldsParam(query) {
+  if (query['fields[location]'] !== undefined) {
+    validateListOptions(query['fields[location]'], 'fields[location]', VALID_LOCATION_FIELDS);
+  }
+}
+
+/**
+ * Validate the optional openNow and openAt filters of location searches
+ * 
+ * @param {object} query - Request query
+ */
+function validateOpeningHoursParams(query) {
+  const { openNow, openAt } = query;
+
+  if (openNow !== undefined && openNow !== 'true' && openNow !== 'false') {
+    throw new ValidationError(
+      'openNow must be true or false',
+      { parameter: 'openNow', example: openNow }
+    );
+  }
+
+  if (openAt === undefined) {
+    return;
+  }
+
+  // Calendar date and time must exist (no 2026-02-30 or 25:00)
+  const localTime = typeof openAt === 'string' ? openAt.slice(0, 16) : '';
+  const localDate = new Date(`${localTime}:00Z`);
+  const isValid =
+    OPEN_AT_PATTERN.test(openAt) &&
+    !isNaN(localDate.getTime()) &&
+    localDate.toISOString().slice(0, 16) === localTime;
+
+  if (!isValid) {
+    throw new ValidationError(
+      'openAt must be an ISO 8601 date-time (e.g., 2026-12-24T20:00 or 2026-12-24T19:00Z)',
+      { parameter: 'openAt', example: '2026-12-24T20:00' }
+    );
+  }
+
+  if (openNow === 'true') {
+    throw new InvalidOptionError(
+      'openNow and openAt cannot be combined',
+      { parameter: 'openAt' }
+    );
+  }
+}
+
+/**
+ * Validate the optional minRating filter of location searches
+ * 
+ * @param {object} query - Request query
+ */
+function validateMinRatingParam(query) {
+  const { minRating } = query;
+
+  if (minRating === undefined) {
+    return;
+  }
+
+  const rating = Number(minRating);
+  if (typeof minRating !== 'string' || minRating.trim() === '' || isNaN(rating)) {
+    throw new ValidationError(
+      'minRating must be a number',
+      { parameter: 'minRating', example: minRating }
+    );
+  }
+
+  if (rating < MIN_RATING || rating > MAX_RATING) {
+    throw new InvalidOptionError(
+      `minRating must be between ${MIN_RATING} and ${MAX_RATING}`,
+      { parameter: 'minRating', example: rating }
+    );
+  }
+}
+
+/**
+ * Validate the optional priceLevels filter of location searches
+ * 
+ * @param {object} query - Request query
+ */
+function validatePriceLevelsParam(query) {
+  const { priceLevels } = query;
+
+  if (priceLevels === undefined) {
+    return;
+  }
+
+  const levels = (Array.isArray(priceLevels) ? priceLevels : String(priceLevels).split(','))
+    .map(level => String(level).trim())
+    .filter(level => level !== '');
+
+  if (levels.length === 0) {
+    throw new ValidationError(
+      'priceLevels must list at least one value',
+      { parameter: 'priceLevels' }
+    );
+  }
+
+  const invalid = levels.find(level => {
+    const levelNum = Number(level);
+    return !Number.isInteger(levelNum) || levelNum < MIN_PRICE_LEVEL || levelNum > MAX_PRICE_LEVEL;
+  });
+  if (invalid !== undefined) {
+    throw new InvalidOptionError(
+      `priceLevels must be integers between ${MIN_PRICE_LEVEL} and ${MAX_PRICE_LEVEL}`,
+      { parameter: 'priceLevels', example: invalid }
+    );
+  }
+}
+
+/**
+ * Validate the optional cityId and districtId filters of location searches
+ * 
+ * @param {object} query - Request query
+ */
+function validateAreaParams(query) {
+  for (const parameter of ['cityId', 'districtId']) {
+    const value = query[parameter];
+
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '' || value.length > 255)) {
+      throw new ValidationError(
+        `${parameter} must be a non-empty string of at most 255 characters`,
+        { parameter, example: value }
+      );
+    }
+  }
+}
+
+/**
+ * Validate a language tag
+ * 
+ * @param {*} locale - Raw language tag
+ * @param {string} parameter - Parameter name, for error details
+ */
+function validateLocale(locale, parameter) {
+  if (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale)) {
+    throw new ValidationError(
+      `${parameter} must be a language tag (e.g., es, ca, pt-BR)`,
+      { parameter, example: 'es' }
+    );
+  }
+}
+
+/**
+ * Validate the optional `lang` parameter of location responses
+ * 
+ * @param {object} query - Request query
+ */
+function validateLangParam(query) {
+  if (query.lang !== undefined) {
+    validateLocale(query.lang, 'lang');
+  }
+}
+
+/**
+ * Validate optional latitude and longitude parameters, which go together
+ * 
+ * @param {object} query - Request query
+ */
+function validateCoordinatePairParams(query) {
+  const { latitude, longitude } = query;
+  if (latitude === undefined && longitude === undefined) {
+    return;
+  }
+
+  for (const [name, value, bound] of [['latitude', latitude, 90], ['longitude', longitude, 180]]) {
+    if (value === undefined || value === '') {
+      throw new MandatoryDataMissingError(
+        `${name} is required with ${name === 'latitude' ? 'longitude' : 'latitude'}`,
+        { parameter: name }
+      );
+    }
+
+    const num = parseFloat(value);
+    if (isNaN(num)) {
+      throw new ValidationError(
+        `${name} must be a valid number`,
+        { parameter: name, example: value }
+      );
+    }
+
+    if (num < -bound || num > bound) {
+      throw new ValidationError(
+        `${name} must be between -${bound} and ${bound}`,
+        { parameter: name, example: num }
+      );
+    }
+  }
+}
+
+/**
+ * Validate the optional page[cursor] parameter of paginated collections
+ * (an empty cursor requests the first page)
+ * 
+ * @param {object} query - Request query
+ */
+function validateCursorParam(query) {
+  const cursor = query['page[cursor]'];
+
+  if (cursor === undefined) {
+    return;
+  }
+
+  if (typeof cursor !== 'string') {
+    throw new ValidationError(
+      'page[cursor] must be a single value',
+      { parameter: 'page[cursor]' }
+    );
+  }
+
+  if (query['page[offset]'] !== undefined) {
+    throw new InvalidOptionError(
+      'page[cursor] and page[offset] cannot be combined',
+      { parameter: 'page[cursor]' }
+    );
+  }
+
+  // Throws a ValidationError if the cursor is malformed
+  decodeCursor(cursor);
+}
+
 /**
  * Validate GET /pois endpoint (search by radius)
  * 
  * Required: latitude, longitude
- * Optional: radius (0-20, default 1), categories, page[limit], page[offset]
+ * Optional: radius (0-20, default 1), categories, keyword, tags, tagsMatch, excludeTags,
+ *           minRating, openNow, openAt, sort, distanceWeight, page[limit], page[offset],
+ *           page[cursor], format, fields[location], lang
  */
 function validateGetPois(req, res, next) {
   try {
-    const { latitude, longitude, radius, categories } = req.query;
+    const { latitude, longitude, radius, categories, sort, distanceWeight } = req.query;
     const limit = req.query['page[limit]'];
     const offset = req.query['page[offset]'];
 
@@ -116,6 +607,32 @@ function validateGetPois(req, res, next) {
       }
     }
 
+    // Validate sort (optional)
+    if (sort !== undefined && !VALID_RADIUS_SORTS.includes(sort)) {
+      throw new InvalidOptionError(
+        `Invalid sort: ${sort}. Valid sort options are: ${VALID_RADIUS_SORTS.join(', ')}`,
+        { parameter: 'sort', example: sort }
+      );
+    }
+
+    // Validate distanceWeight (optional, weighted sort only)
+    if (distanceWeight !== undefined) {
+      const weight = parseFloat(distanceWeight);
+      if (isNaN(weight) || weight < 0 || weight > 1) {
+        throw new ValidationError(
+          'distanceWeight must be a number between 0 and 1',
+          { parameter: 'distanceWeight', example: distanceWeight }
+        );
+      }
+
+      if (sort !== 'weighted') {
+        throw new InvalidOptionError(
+          'distanceWeight can only be used with sort=weighted',
+          { parameter: 'distanceWeight' }
+        );
+      }
+    }
+
     // Validate page[limit] (optional)
     if (limit !== undefined) {
       const limitNum = parseInt(limit);
@@ -145,6 +662,36 @@ function validateGetPois(req, res, next) {
       }
     }
 
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate keyword (optional)
+    validateKeywordParam(req.query.keyword);
+
+    // Validate tag filters (optional)
+    validateTagParams(req.query);
+
+    // Validate rating filter (optional)
+    validateMinRatingParam(req.query);
+
+    // Validate price filter (optional)
+    validatePriceLevelsParam(req.query);
+
+    // Validate cityId and districtId (optional)
+    validateAreaParams(req.query);
+
+    // Validate opening hours filters (optional)
+    validateOpeningHoursParams(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
     // All validations passed
     next();
   } catch (error) {
@@ -156,11 +703,12 @@ function validateGetPois(req, res, next) {
  * Validate GET /pois/by-square endpoint (search by bounding box)
  * 
  * Required: north, south, east, west
- * Optional: categories, page[limit], page[offset]
+ * Optional: categories, keyword, tags, tagsMatch, excludeTags, minRating, openNow, openAt,
+ *           sort (rank, rating), zoom (0-22), page[limit], page[offset], page[cursor], format, fields[location], lang
  */
 function validateGetPoisBySquare(req, res, next) {
   try {
-    const { north, south, east, west, categories } = req.query;
+    const { north, south, east, west, categories, sort, zoom } = req.query;
     const limit = req.query['page[limit]'];
     const offset = req.query['page[offset]'];
 
@@ -320,6 +868,83 @@ function validateGetPoisBySquare(req, res, next) {
       }
     }
 
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate sort (optional)
+    if (sort !== undefined && !VALID_SQUARE_SORTS.includes(sort)) {
+      throw new InvalidOptionError(
+        `Invalid sort: ${sort}. Valid sort options are: ${VALID_SQUARE_SORTS.join(', ')}`,
+        { parameter: 'sort', example: sort }
+      );
+    }
+
+    // Validate zoom (optional, switches to clustering)
+    if (zoom !== undefined) {
+      const zoomNum = parseInt(zoom);
+      if (isNaN(zoomNum) || String(zoomNum) !== String(zoom).trim()) {
+        throw new ValidationError(
+          'zoom must be an integer',
+          { parameter: 'zoom', example: zoom }
+        );
+      }
+
+      if (zoomNum < MIN_ZOOM || zoomNum > MAX_ZOOM) {
+        throw new ValidationError(
+          `zoom must be between ${MIN_ZOOM} and ${MAX_ZOOM}`,
+          { parameter: 'zoom', example: zoomNum }
+        );
+      }
+
+      if (limit !== undefined || offset !== undefined) {
+        throw new InvalidOptionError(
+          'page[limit] and page[offset] cannot be used with zoom; clusters cover the whole bounding box',
+          { parameter: limit !== undefined ? 'page[limit]' : 'page[offset]' }
+        );
+      }
+
+      if (req.query['page[cursor]'] !== undefined) {
+        throw new InvalidOptionError(
+          'page[cursor] cannot be used with zoom; clusters cover the whole bounding box',
+          { parameter: 'page[cursor]' }
+        );
+      }
+
+      if (sort !== undefined) {
+        throw new InvalidOptionError(
+          'sort cannot be used with zoom; clusters are ordered by size',
+          { parameter: 'sort' }
+        );
+      }
+    }
+
+    // Validate keyword (optional)
+    validateKeywordParam(req.query.keyword);
+
+    // Validate tag filters (optional)
+    validateTagParams(req.query);
+
+    // Validate rating filter (optional)
+    validateMinRatingParam(req.query);
+
+    // Validate price filter (optional)
+    validatePriceLevelsParam(req.query);
+
+    // Validate cityId and districtId (optional)
+    validateAreaParams(req.query);
+
+    // Validate opening hours filters (optional)
+    validateOpeningHoursParams(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
     // All validations passed
     next();
   } catch (error) {
@@ -331,11 +956,13 @@ function validateGetPoisBySquare(req, res, next) {
  * Validate GET /pois/by-name endpoint (search by name)
  * 
  * Required: name
- * Optional: categories, page[limit], page[offset]
+ * Optional: categories, tags, tagsMatch, excludeTags, minRating, openNow, openAt,
+ *           sort (relevance, rating), page[limit], page[offset], page[cursor], format,
+ *           fields[location], lang
  */
 function validateGetPoisByName(req, res, next) {
   try {
-    const { name, categories } = req.query;
+    const { name, categories, sort } = req.query;
     const limit = req.query['page[limit]'];
     const offset = req.query['page[offset]'];
 
@@ -368,6 +995,13 @@ function validateGetPoisByName(req, res, next) {
       );
     }
 
+    if (!/[\p{L}\p{N}]/u.test(name)) {
+      throw new ValidationError(
+        'name must contain at least one letter or digit',
+        { parameter: 'name', example: name }
+      );
+    }
+
     // Validate categories (optional) - same as other endpoints
     if (categories !== undefined && categories !== null && categories !== '') {
       let categoryArray;
@@ -393,6 +1027,14 @@ function validateGetPoisByName(req, res, next) {
       }
     }
 
+    // Validate sort (optional)
+    if (sort !== undefined && !VALID_NAME_SORTS.includes(sort)) {
+      throw new InvalidOptionError(
+        `Invalid sort: ${sort}. Valid sort options are: ${VALID_NAME_SORTS.join(', ')}`,
+        { parameter: 'sort', example: sort }
+      );
+    }
+
     // Validate page[limit] (optional)
     if (limit !== undefined) {
       const limitNum = parseInt(limit);
@@ -422,6 +1064,33 @@ function validateGetPoisByName(req, res, next) {
       }
     }
 
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate tag filters (optional)
+    validateTagParams(req.query);
+
+    // Validate rating filter (optional)
+    validateMinRatingParam(req.query);
+
+    // Validate price filter (optional)
+    validatePriceLevelsParam(req.query);
+
+    // Validate cityId and districtId (optional)
+    validateAreaParams(req.query);
+
+    // Validate opening hours filters (optional)
+    validateOpeningHoursParams(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
     // All validations passed
     next();
   } catch (error) {
@@ -430,79 +1099,1908 @@ function validateGetPoisByName(req, res, next) {
 }
 
 /**
- * Validate GET /pois/:poisId endpoint (get by ID)
+ * Validate the rings of a GeoJSON Polygon
+ * Each ring needs at least four [longitude, latitude] positions and must be closed
  * 
- * Required: poisId (path parameter)
+ * @param {*} rings - Polygon coordinates
+ * @param {string} parameter - Parameter name for error reporting
+ * @returns {number} Number of positions in the polygon
  */
-function validateGetPoiById(req, res, next) {
-  try {
-    const { poisId } = req.params;
+function validatePolygonRings(rings, parameter) {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    throw new ValidationError(
+      'Polygon coordinates must be an array of linear rings',
+      { parameter }
+    );
+  }
 
-    // Validate poisId (required)
-    if (!poisId || typeof poisId !== 'string' || poisId.trim() === '') {
+  let vertexCount = 0;
+
+  for (const ring of rings) {
+    if (!Array.isArray(ring) || ring.length < 4) {
       throw new ValidationError(
-        'poisId is required and must be a non-empty string',
-        { parameter: 'poisId' }
+        'Each polygon ring must have at least 4 positions',
+        { parameter }
       );
     }
 
-    // All validations passed
-    next();
-  } catch (error) {
-    next(error);
+    for (const position of ring) {
+      const isPosition =
+        Array.isArray(position) &&
+        position.length >= 2 &&
+        typeof position[0] === 'number' &&
+        typeof position[1] === 'number';
+
+      if (!isPosition || position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90) {
+        throw new ValidationError(
+          'Polygon positions must be [longitude, latitude] with longitude between -180 and 180 and latitude between -90 and 90',
+          { parameter, example: JSON.stringify(position) }
+        );
+      }
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      throw new ValidationError(
+        'Polygon rings must be closed (first and last positions equal)',
+        { parameter }
+      );
+    }
+
+    vertexCount += ring.length;
   }
+
+  return vertexCount;
 }
 
 /**
- * Validate POST /auth/register endpoint
+ * Validate an encoded polyline query parameter
+ * 
+ * @param {*} polyline - Raw polyline parameter
+ * @param {number} minPoints - Minimum number of distinct points
+ * @returns {Array<{latitude: number, longitude: number}>} Decoded points
+ */
+function validatePolylineParam(polyline, minPoints) {
+  if (polyline === undefined || polyline === null || polyline === '') {
+    throw new MandatoryDataMissingError(
+      'polyline is required',
+      { parameter: 'polyline' }
+    );
+  }
+
+  if (typeof polyline !== 'string') {
+    throw new ValidationError(
+      'polyline must be a string',
+      { parameter: 'polyline' }
+    );
+  }
+
+  let points;
+  try {
+    points = decodePolyline(polyline);
+  } catch (error) {
+    throw new ValidationError(
+      `polyline is not a valid encoded polyline: ${error.message}`,
+      { parameter: 'polyline' }
+    );
+  }
+
+  const distinct = new Set(points.map(point => `${point.latitude},${point.longitude}`));
+  if (distinct.size < minPoints) {
+    throw new ValidationError(
+      `polyline must contain at least ${minPoints} distinct points`,
+      { parameter: 'polyline' }
+    );
+  }
+
+  if (points.some(point => Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180)) {
+    throw new ValidationError(
+      'polyline contains coordinates out of range',
+      { parameter: 'polyline' }
+    );
+  }
+
+  return points;
+}
+
+/**
+ * Validate the polygon of a by-polygon search
+ * POST: GeoJSON Polygon, MultiPolygon or Feature with such a geometry in the body
+ * GET: encoded polyline of the outline in the `polyline` query parameter
+ * 
+ * @param {object} req - Express request object
+ */
+function validatePolygonInput(req) {
+  let vertexCount = 0;
+
+  if (req.method === 'POST') {
+    if (!req.body || typeof req.body !== 'object' || Object.keys(req.body).length === 0) {
+      throw new MandatoryDataMissingError(
+        'A GeoJSON Polygon or MultiPolygon body is required',
+        { parameter: 'body' }
+      );
+    }
+
+    const geometry = req.body.type === 'Feature' ? req.body.geometry : req.body;
+
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+      throw new InvalidOptionError(
+        'Body must be a GeoJSON Polygon, MultiPolygon or a Feature with one of these geometries',
+        { parameter: 'body', example: geometry ? geometry.type : undefined }
+      );
+    }
+
+    if (geometry.type === 'Polygon') {
+      vertexCount = validatePolygonRings(geometry.coordinates, 'body');
+    } else {
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        throw new ValidationError(
+          'MultiPolygon coordinates must be an array of polygons',
+          { parameter: 'body' }
+        );
+      }
+
+      geometry.coordinates.forEach(polygon => {
+        vertexCount += validatePolygonRings(polygon, 'body');
+      });
+    }
+  } else {
+    const points = validatePolylineParam(req.query.polyline, 3);
+    vertexCount = points.length;
+  }
+
+  if (vertexCount > MAX_POLYGON_VERTICES) {
+    throw new InvalidOptionError(
+      `Polygon must not have more than ${MAX_POLYGON_VERTICES} positions`,
+      { parameter: req.method === 'POST' ? 'body' : 'polyline', example: vertexCount }
+    );
+  }
+}
+
+/**
+ * Validate GET and POST /pois/by-polygon endpoint (search by polygon)
+ * 
+ * Required: polygon (POST body) or polyline (GET query)
+ * Optional: categories, keyword, tags, tagsMatch, excludeTags, minRating,
+ *           page[limit], page[offset], page[cursor], format, fields[location], lang
+ */
+function validateGetPoisByPolygon(req, res, next) {
+  try {
+    const { categories } = req.query;
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
+
+    // Validate polygon (required)
+    validatePolygonInput(req);
+
+    // Validate categories (optional) - same as other endpoints
+    if (categories !== undefined && categories !== null && categories !== '') {
+      let categoryArray;
+
+      if (Array.isArray(categories)) {
+        categoryArray = categories;
+      } else if (typeof categories === 'string') {
+        categoryArray = categories.split(',').map(c => c.trim());
+      } else {
+        throw new ValidationError(
+          'categories must be a string or array',
+          { parameter: 'categories' }
+        );
+      }
+
+      for (const category of categoryArray) {
+        if (!VALID_CATEGORIES.includes(category)) {
+          throw new InvalidOptionError(
+            `Invalid category: ${category}. Valid categories are: ${VALID_CATEGORIES.join(', ')}`,
+            { parameter: 'categories', example: category }
+          );
+        }
+      }
+    }
+
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const limitNum = parseInt(limit);
+      if (isNaN(limitNum) || limitNum < 1) {
+        throw new ValidationError(
+          'page[limit] must be a positive integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (limitNum > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must not exceed 100',
+          { parameter: 'page[limit]', example: limitNum }
+        );
+      }
+    }
+
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const offsetNum = parseInt(offset);
+      if (isNaN(offsetNum) || offsetNum < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
+    }
+
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate keyword (optional)
+    validateKeywordParam(req.query.keyword);
+
+    // Validate tag filters (optional)
+    validateTagParams(req.query);
+
+    // Validate rating filter (optional)
+    validateMinRatingParam(req.query);
+
+    // Validate price filter (optional)
+    validatePriceLevelsParam(req.query);
+
+    // Validate cityId and districtId (optional)
+    validateAreaParams(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /pois/along-route endpoint (search along a route)
+ * 
+ * Required: polyline
+ * Optional: width (meters, 10-5000, default 200), categories, keyword, tags, tagsMatch,
+ *           excludeTags, minRating, page[limit], page[offset], page[cursor], format,
+ *           fields[location], lang
+ */
+function validateGetPoisAlongRoute(req, res, next) {
+  try {
+    const { width, categories } = req.query;
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
+
+    // Validate polyline (required)
+    const points = validatePolylineParam(req.query.polyline, 2);
+
+    if (points.length > MAX_ROUTE_POINTS) {
+      throw new InvalidOptionError(
+        `polyline must not have more than ${MAX_ROUTE_POINTS} points`,
+        { parameter: 'polyline', example: points.length }
+      );
+    }
+
+    // Validate width (optional)
+    if (width !== undefined) {
+      const widthNum = parseInt(width);
+      if (isNaN(widthNum) || String(widthNum) !== String(width).trim()) {
+        throw new ValidationError(
+          'width must be an integer number of meters',
+          { parameter: 'width', example: width }
+        );
+      }
+
+      if (widthNum < MIN_CORRIDOR_WIDTH || widthNum > MAX_CORRIDOR_WIDTH) {
+        throw new ValidationError(
+          `width must be between ${MIN_CORRIDOR_WIDTH} and ${MAX_CORRIDOR_WIDTH} meters`,
+          { parameter: 'width', example: widthNum }
+        );
+      }
+    }
+
+    // Validate categories (optional) - same as other endpoints
+    if (categories !== undefined && categories !== null && categories !== '') {
+      let categoryArray;
+
+      if (Array.isArray(categories)) {
+        categoryArray = categories;
+      } else if (typeof categories === 'string') {
+        categoryArray = categories.split(',').map(c => c.trim());
+      } else {
+        throw new ValidationError(
+          'categories must be a string or array',
+          { parameter: 'categories' }
+        );
+      }
+
+      for (const category of categoryArray) {
+        if (!VALID_CATEGORIES.includes(category)) {
+          throw new InvalidOptionError(
+            `Invalid category: ${category}. Valid categories are: ${VALID_CATEGORIES.join(', ')}`,
+            { parameter: 'categories', example: category }
+          );
+        }
+      }
+    }
+
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const limitNum = parseInt(limit);
+      if (isNaN(limitNum) || limitNum < 1) {
+        throw new ValidationError(
+          'page[limit] must be a positive integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (limitNum > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must not exceed 100',
+          { parameter: 'page[limit]', example: limitNum }
+        );
+      }
+    }
+
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const offsetNum = parseInt(offset);
+      if (isNaN(offsetNum) || offsetNum < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
+    }
+
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate keyword (optional)
+    validateKeywordParam(req.query.keyword);
+
+    // Validate tag filters (optional)
+    validateTagParams(req.query);
+
+    // Validate rating filter (optional)
+    validateMinRatingParam(req.query);
+
+    // Validate price filter (optional)
+    validatePriceLevelsParam(req.query);
+
+    // Validate cityId and districtId (optional)
+    validateAreaParams(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /pois/nearest endpoint (k nearest POIs)
+ * 
+ * Required: latitude, longitude
+ * Optional: categories, keyword, tags, tagsMatch, excludeTags, minRating, page[limit] (N),
+ *           page[offset], page[cursor], format, fields[location], lang
+ */
+function validateGetNearestPois(req, res, next) {
+  try {
+    const { latitude, longitude, categories } = req.query;
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
+
+    // Validate latitude (required)
+    if (latitude === undefined || latitude === null || latitude === '') {
+      throw new MandatoryDataMissingError(
+        'latitude is required',
+        { parameter: 'latitude' }
+      );
+    }
+
+    const lat = parseFloat(latitude);
+    if (isNaN(lat)) {
+      throw new ValidationError(
+        'latitude must be a valid number',
+        { parameter: 'latitude', example: latitude }
+      );
+    }
+
+    if (lat < -90 || lat > 90) {
+      throw new ValidationError(
+        'latitude must be between -90 and 90',
+        { parameter: 'latitude', example: lat }
+      );
+    }
+
+    // Validate longitude (required)
+    if (longitude === undefined || longitude === null || longitude === '') {
+      throw new MandatoryDataMissingError(
+        'longitude is required',
+        { parameter: 'longitude' }
+      );
+    }
+
+    const lon = parseFloat(longitude);
+    if (isNaN(lon)) {
+      throw new ValidationError(
+        'longitude must be a valid number',
+        { parameter: 'longitude', example: longitude }
+      );
+    }
+
+    if (lon < -180 || lon > 180) {
+      throw new ValidationError(
+        'longitude must be between -180 and 180',
+        { parameter: 'longitude', example: lon }
+      );
+    }
+
+    // Validate categories (optional) - same as other endpoints
+    if (categories !== undefined && categories !== null && categories !== '') {
+      let categoryArray;
+
+      if (Array.isArray(categories)) {
+        categoryArray = categories;
+      } else if (typeof categories === 'string') {
+        categoryArray = categories.split(',').map(c => c.trim());
+      } else {
+        throw new ValidationError(
+          'categories must be a string or array',
+          { parameter: 'categories' }
+        );
+      }
+
+      for (const category of categoryArray) {
+        if (!VALID_CATEGORIES.includes(category)) {
+          throw new InvalidOptionError(
+            `Invalid category: ${category}. Valid categories are: ${VALID_CATEGORIES.join(', ')}`,
+            { parameter: 'categories', example: category }
+          );
+        }
+      }
+    }
+
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const limitNum = parseInt(limit);
+      if (isNaN(limitNum) || limitNum < 1) {
+        throw new ValidationError(
+          'page[limit] must be a positive integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (limitNum > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must not exceed 100',
+          { parameter: 'page[limit]', example: limitNum }
+        );
+      }
+    }
+
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const offsetNum = parseInt(offset);
+      if (isNaN(offsetNum) || offsetNum < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
+    }
+
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate keyword (optional)
+    validateKeywordParam(req.query.keyword);
+
+    // Validate tag filters (optional)
+    validateTagParams(req.query);
+
+    // Validate rating filter (optional)
+    validateMinRatingParam(req.query);
+
+    // Validate price filter (optional)
+    validatePriceLevelsParam(req.query);
+
+    // Validate cityId and districtId (optional)
+    validateAreaParams(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the optional bounding box scope of catalog and statistics endpoints
+ * north, south, east and west must be given together
+ * 
+ * @param {object} query - Request query
+ */
+function validateBoundingBoxScope(query) {
+  const sides = ['north', 'south', 'east', 'west'];
+  const given = sides.filter(side => query[side] !== undefined && query[side] !== '');
+
+  if (given.length === 0) {
+    return;
+  }
+
+  if (given.length < sides.length) {
+    const missing = sides.filter(side => !given.includes(side));
+    throw new MandatoryDataMissingError(
+      `${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required when scoping to a bounding box`,
+      { parameter: missing.join(', ') }
+    );
+  }
+
+  sides.forEach(side => {
+    const value = parseFloat(query[side]);
+    const limit = side === 'north' || side === 'south' ? 90 : 180;
+
+    if (isNaN(value)) {
+      throw new ValidationError(
+        `${side} must be a valid number`,
+        { parameter: side, example: query[side] }
+      );
+    }
+
+    if (value < -limit || value > limit) {
+      throw new ValidationError(
+        `${side} must be between -${limit} and ${limit}`,
+        { parameter: side, example: value }
+      );
+    }
+  });
+
+  if (parseFloat(query.north) <= parseFloat(query.south)) {
+    throw new ValidationError(
+      'north must be greater than south',
+      { parameter: 'north, south', example: `north: ${query.north}, south: ${query.south}` }
+    );
+  }
+}
+
+/**
+ * Validate GET /pois/categories endpoint (category catalog)
+ * 
+ * Optional: north, south, east, west (bounding box scope, all four together),
+ *           cityId, districtId (area scope)
+ */
+function validateGetPoiCategories(req, res, next) {
+  try {
+    // Validate bounding box scope (optional)
+    validateBoundingBoxScope(req.query);
+
+    // Validate city or district scope (optional)
+    validateAreaParams(req.query);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /pois/stats endpoint (POI statistics)
+ * 
+ * Optional: north, south, east, west (bounding box scope, all four together),
+ *           cityId, districtId (area scope), tagLimit (1-100, default 20)
+ */
+function validateGetPoiStatistics(req, res, next) {
+  try {
+    const { tagLimit } = req.query;
+
+    // Validate bounding box scope (optional)
+    validateBoundingBoxScope(req.query);
+
+    // Validate city or district scope (optional)
+    validateAreaParams(req.query);
+
+    // Validate tagLimit (optional)
+    if (tagLimit !== undefined) {
+      const tagLimitNum = parseInt(tagLimit);
+      if (isNaN(tagLimitNum) || String(tagLimitNum) !== String(tagLimit).trim() || tagLimitNum < 1) {
+        throw new ValidationError(
+          'tagLimit must be a positive integer',
+          { parameter: 'tagLimit', example: tagLimit }
+        );
+      }
+
+      if (tagLimitNum > MAX_STATS_TAG_LIMIT) {
+        throw new InvalidOptionError(
+          `tagLimit must not exceed ${MAX_STATS_TAG_LIMIT}`,
+          { parameter: 'tagLimit', example: tagLimitNum }
+        );
+      }
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /pois/:poisId endpoint (get by ID)
+ * 
+ * Required: poisId (path parameter)
+ * Optional: fields[location], include (favoriteCount, nearby, nextAvailability)
+ */
+function validateGetPoiById(req, res, next) {
+  try {
+    const { poisId } = req.params;
+
+    // Validate poisId (required)
+    if (!poisId || typeof poisId !== 'string' || poisId.trim() === '') {
+      throw new ValidationError(
+        'poisId is required and must be a non-empty string',
+        { parameter: 'poisId' }
+      );
+    }
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate include (optional)
+    if (req.query.include !== undefined) {
+      validateListOptions(req.query.include, 'include', VALID_POI_INCLUDES);
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the shape of a POI admin request body
+ * 
+ * Value rules (category enum, coordinate ranges, array fields) are enforced by
+ * the PointOfInterest model validations when the record is saved.
+ * 
+ * @param {object} body - Request body
+ * @param {object} options - Validation options
+ * @param {boolean} options.requireAll - Require name, latitude, longitude and category
+ * @param {boolean} options.allowId - Accept a client-chosen id
+ */
+function validatePoiBody(body, { requireAll, allowId }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError(
+      'Request body must be a JSON object',
+      { parameter: 'body' }
+    );
+  }
+
+  const allowedFields = allowId ? ['id', ...POI_WRITABLE_FIELDS] : POI_WRITABLE_FIELDS;
+  const unknownFields = Object.keys(body).filter(key => !allowedFields.includes(key));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(
+      `Unknown or read-only fields: ${unknownFields.join(', ')}`,
+      { parameter: unknownFields[0] }
+    );
+  }
+
+  if (requireAll) {
+    for (const field of POI_REQUIRED_FIELDS) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') {
+        throw new MandatoryDataMissingError(
+          `${field} is required`,
+          { parameter: field }
+        );
+      }
+    }
+  } else if (Object.keys(body).length === 0) {
+    throw new ValidationError(
+      'At least one field must be provided for update',
+      { parameter: 'body' }
+    );
+  }
+
+  // Validate id (optional, create only)
+  if (body.id !== undefined && (typeof body.id !== 'string' || body.id.trim() === '' || body.id.length > 255)) {
+    throw new ValidationError(
+      'id must be a non-empty string of at most 255 characters',
+      { parameter: 'id', example: body.id }
+    );
+  }
+
+  // Coordinates must be numeric so they are stored as decimals, not strings
+  for (const field of ['latitude', 'longitude']) {
+    if (body[field] !== undefined && (typeof body[field] !== 'number' || isNaN(body[field]))) {
+      throw new ValidationError(
+        `${field} must be a number`,
+        { parameter: field, example: body[field] }
+      );
+    }
+  }
+
+  // Tags and pictures must be arrays of strings
+  for (const field of ['tags', 'pictures']) {
+    if (body[field] !== undefined && body[field] !== null) {
+      if (!Array.isArray(body[field]) || body[field].some(item => typeof item !== 'string')) {
+        throw new ValidationError(
+          `${field} must be an array of strings`,
+          { parameter: field }
+        );
+      }
+    }
+  }
+
+  // Validate parentId (optional): city or district the POI belongs to, null to detach it
+  if (body.parentId !== undefined && body.parentId !== null) {
+    if (typeof body.parentId !== 'string' || body.parentId.trim() === '' || body.parentId.length > 255) {
+      throw new ValidationError(
+        'parentId must be a non-empty string of at most 255 characters, or null',
+        { parameter: 'parentId', example: body.parentId }
+      );
+    }
+  }
+
+  validatePoiDetails(body);
+}
+
+/**
+ * Validate the address, contact, price level and description of a POI admin request body
+ * Each member may be null to clear it
+ * 
+ * @param {object} body - Request body
+ */
+function validatePoiDetails(body) {
+  // Validate address (optional): object of ADDRESS_FIELDS strings
+  const { address } = body;
+  if (address !== undefined && address !== null) {
+    if (typeof address !== 'object' || Array.isArray(address)) {
+      throw new ValidationError(
+        `address must be an object with: ${ADDRESS_FIELDS.join(', ')}`,
+        { parameter: 'address' }
+      );
+    }
+
+    const unknownFields = Object.keys(address).filter(key => !ADDRESS_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(
+        `Unknown address fields: ${unknownFields.join(', ')}`,
+        { parameter: `address.${unknownFields[0]}` }
+      );
+    }
+
+    for (const field of ADDRESS_FIELDS) {
+      const value = address[field];
+      if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 255)) {
+        throw new ValidationError(
+          `address.${field} must be a string of at most 255 characters`,
+          { parameter: `address.${field}` }
+        );
+      }
+    }
+
+    if (typeof address.countryCode === 'string' && !/^[A-Z]{2}$/.test(address.countryCode)) {
+      throw new ValidationError(
+        'address.countryCode must be an ISO 3166-1 alpha-2 code (e.g., ES)',
+        { parameter: 'address.countryCode', example: address.countryCode }
+      );
+    }
+  }
+
+  // Contact details and description must be strings
+  for (const field of ['phone', 'website', 'email', 'description']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      throw new ValidationError(
+        `${field} must be a string or null`,
+        { parameter: field }
+      );
+    }
+  }
+
+  // Validate phone (optional): digits with optional leading + and separators
+  if (typeof body.phone === 'string' && !/^\+?[0-9][0-9 ().-]{2,49}$/.test(body.phone)) {
+    throw new ValidationError(
+      'phone must be a phone number of digits, spaces, dots, dashes or parentheses (e.g., +34 932 16 03 06)',
+      { parameter: 'phone', example: body.phone }
+    );
+  }
+
+  // Validate website (optional): absolute http or https URL
+  if (typeof body.website === 'string') {
+    let url;
+    try {
+      url = new URL(body.website);
+    } catch {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol) || body.website.length > 2048) {
+      throw new ValidationError(
+        'website must be an http or https URL of at most 2048 characters',
+        { parameter: 'website', example: body.website }
+      );
+    }
+  }
+
+  // Validate email (optional)
+  if (typeof body.email === 'string' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) {
+    throw new ValidationError(
+      'email must be a valid email address',
+      { parameter: 'email', example: body.email }
+    );
+  }
+
+  // Validate priceLevel (optional)
+  const { priceLevel } = body;
+  if (priceLevel !== undefined && priceLevel !== null) {
+    if (!Number.isInteger(priceLevel) || priceLevel < MIN_PRICE_LEVEL || priceLevel > MAX_PRICE_LEVEL) {
+      throw new ValidationError(
+        `priceLevel must be an integer between ${MIN_PRICE_LEVEL} and ${MAX_PRICE_LEVEL}`,
+        { parameter: 'priceLevel', example: priceLevel }
+      );
+    }
+  }
+
+  // Validate description (optional)
+  if (typeof body.description === 'string' && body.description.length > MAX_POI_DESCRIPTION_LENGTH) {
+    throw new ValidationError(
+      `description must be at most ${MAX_POI_DESCRIPTION_LENGTH} characters`,
+      { parameter: 'description' }
+    );
+  }
+}
+
+/**
+ * Validate POST /pois endpoint (admin create)
+ * 
+ * Required: name, latitude, longitude, category
+ * Optional: id, subType, rank, tags, pictures, openingHours, address, phone, website,
+ *           email, priceLevel, description
+ */
+function validateCreatePoi(req, res, next) {
+  try {
+    validatePoiBody(req.body, { requireAll: true, allowId: true });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate PUT /pois/:poisId endpoint (admin replace)
+ * 
+ * Required: name, latitude, longitude, category
+ * Optional: subType, rank, tags, pictures, openingHours, address, phone, website,
+ *           email, priceLevel, description (reset to defaults when omitted)
+ */
+function validateReplacePoi(req, res, next) {
+  try {
+    validatePoiBody(req.body, { requireAll: true, allowId: false });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate PATCH /pois/:poisId endpoint (admin partial update)
+ * 
+ * Optional: subType, name, latitude, longitude, category, rank, tags, pictures, openingHours,
+ *           address, phone, website, email, priceLevel, description
+ * At least one field must be provided
+ */
+function validateUpdatePoi(req, res, next) {
+  try {
+    validatePoiBody(req.body, { requireAll: false, allowId: false });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate POST /pois/import endpoint (admin bulk import)
+ * 
+ * Required: request body (GeoJSON FeatureCollection or CSV text)
+ * Optional: dryRun (true/false)
+ */
+function validateImportPois(req, res, next) {
+  try {
+    const { dryRun } = req.query;
+
+    if (!req.is(['application/json', 'application/geo+json', 'text/csv', 'application/csv'])) {
+      throw new InvalidOptionError(
+        'Content-Type must be application/json, application/geo+json or text/csv',
+        { parameter: 'Content-Type', example: req.get('Content-Type') }
+      );
+    }
+
+    // Validate body (required)
+    const isEmptyText = typeof req.body === 'string' && req.body.trim() === '';
+    const isEmptyObject =
+      typeof req.body === 'object' && (req.body === null || Object.keys(req.body).length === 0);
+    if (req.body === undefined || isEmptyText || isEmptyObject) {
+      throw new MandatoryDataMissingError(
+        'Import file content is required',
+        { parameter: 'body' }
+      );
+    }
+
+    // Validate dryRun (optional)
+    if (dryRun !== undefined && dryRun !== 'true' && dryRun !== 'false') {
+      throw new ValidationError(
+        'dryRun must be true or false',
+        { parameter: 'dryRun', example: dryRun }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the :locale path parameter of translation endpoints
+ */
+function validateTranslationLocale(req, res, next) {
+  try {
+    validateLocale(req.params.locale, 'locale');
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate PUT /pois/:poisId/translations/:locale endpoint
+ * 
+ * Body: name (string or null), description (string or null); at least one is required
+ */
+function validateSaveTranslation(req, res, next) {
+  try {
+    const { body } = req;
+
+    validateLocale(req.params.locale, 'locale');
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError(
+        'Request body must be a JSON object',
+        { parameter: 'body' }
+      );
+    }
+
+    const unknownFields = Object.keys(body).filter(key => !['name', 'description'].includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(
+        `Unknown fields: ${unknownFields.join(', ')}`,
+        { parameter: unknownFields[0] }
+      );
+    }
+
+    if (body.name === undefined && body.description === undefined) {
+      throw new MandatoryDataMissingError(
+        'name or description is required',
+        { parameter: 'name' }
+      );
+    }
+
+    for (const field of ['name', 'description']) {
+      if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+        throw new ValidationError(
+          `${field} must be a string or null`,
+          { parameter: field }
+        );
+      }
+    }
+
+    const isValidName =
+      typeof body.name !== 'string' ||
+      (body.name.trim() !== '' && body.name.length <= MAX_TRANSLATION_NAME_LENGTH);
+    if (!isValidName) {
+      throw new ValidationError(
+        `name must be between 1 and ${MAX_TRANSLATION_NAME_LENGTH} characters`,
+        { parameter: 'name' }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate a review request body
+ * 
+ * @param {object} body - Request body
+ * @param {object} options - Validation options
+ * @param {boolean} options.requireRating - Require rating (create) or at least one field (update)
+ */
+function validateReviewBody(body, { requireRating }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError(
+      'Request body must be a JSON object',
+      { parameter: 'body' }
+    );
+  }
+
+  const unknownFields = Object.keys(body).filter(key => !REVIEW_WRITABLE_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(
+      `Unknown or read-only fields: ${unknownFields.join(', ')}`,
+      { parameter: unknownFields[0] }
+    );
+  }
+
+  if (requireRating && (body.rating === undefined || body.rating === null)) {
+    throw new MandatoryDataMissingError(
+      'rating is required',
+      { parameter: 'rating' }
+    );
+  }
+
+  if (!requireRating && Object.keys(body).length === 0) {
+    throw new ValidationError(
+      'At least one field must be provided for update',
+      { parameter: 'body' }
+    );
+  }
+
+  // Validate rating (whole stars)
+  const isValidRating =
+    body.rating === undefined ||
+    (Number.isInteger(body.rating) && body.rating >= MIN_RATING && body.rating <= MAX_RATING);
+  if (!isValidRating) {
+    throw new ValidationError(
+      `rating must be an integer between ${MIN_RATING} and ${MAX_RATING}`,
+      { parameter: 'rating', example: body.rating }
+    );
+  }
+
+  // Validate text (optional, null clears it)
+  if (body.text !== undefined && body.text !== null) {
+    if (typeof body.text !== 'string' || body.text.length > MAX_REVIEW_TEXT_LENGTH) {
+      throw new ValidationError(
+        `text must be a string of at most ${MAX_REVIEW_TEXT_LENGTH} characters`,
+        { parameter: 'text' }
+      );
+    }
+  }
+
+  // Validate visitDate (optional, null clears it)
+  if (body.visitDate !== undefined && body.visitDate !== null) {
+    const visitDate = typeof body.visitDate === 'string' ? new Date(`${body.visitDate}T00:00:00Z`) : null;
+    const isValidDate =
+      visitDate !== null &&
+      /^\d{4}-\d{2}-\d{2}$/.test(body.visitDate) &&
+      !isNaN(visitDate.getTime()) &&
+      visitDate.toISOString().slice(0, 10) === body.visitDate;
+
+    if (!isValidDate) {
+      throw new ValidationError(
+        'visitDate must be a valid date in YYYY-MM-DD format',
+        { parameter: 'visitDate', example: body.visitDate }
+      );
+    }
+
+    if (body.visitDate > new Date().toISOString().slice(0, 10)) {
+      throw new ValidationError(
+        'visitDate cannot be in the future',
+        { parameter: 'visitDate', example: body.visitDate }
+      );
+    }
+  }
+}
+
+/**
+ * Validate GET /pois/:poisId/reviews endpoint
+ * 
+ * Optional: page[limit], page[offset], page[cursor]
+ */
+function validateGetReviews(req, res, next) {
+  try {
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
+
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const lim = parseInt(limit, 10);
+      if (isNaN(lim)) {
+        throw new ValidationError(
+          'page[limit] must be a valid integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (lim < 1 || lim > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must be between 1 and 100',
+          { parameter: 'page[limit]', example: lim }
+        );
+      }
+    }
+
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const off = parseInt(offset, 10);
+      if (isNaN(off) || off < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
+    }
+
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the :reviewId path parameter of review endpoints
+ */
+function validateGetReviewById(req, res, next) {
+  try {
+    const { reviewId } = req.params;
+
+    const id = parseInt(reviewId, 10);
+    if (!/^\d+$/.test(reviewId) || id < 1) {
+      throw new ValidationError(
+        'reviewId must be a positive integer',
+        { parameter: 'reviewId', example: reviewId }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate POST /pois/:poisId/reviews endpoint
+ * 
+ * Required: rating (integer 1-5)
+ * Optional: text (up to 5000 characters), visitDate (YYYY-MM-DD, not in the future)
+ */
+function validateCreateReview(req, res, next) {
+  try {
+    validateReviewBody(req.body, { requireRating: true });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate PATCH /pois/:poisId/reviews/:reviewId endpoint
+ * 
+ * Optional: rating, text, visitDate (see validateCreateReview)
+ * At least one field must be provided
+ */
+function validateUpdateReview(req, res, next) {
+  try {
+    validateReviewBody(req.body, { requireRating: false });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the caption and position of a picture
+ * 
+ * @param {object} fields - Picture fields (multipart text fields or JSON body)
+ * @param {object} options - Validation options
+ * @param {boolean} options.multipart - Values are strings from a multipart form
+ */
+function validatePictureFields(fields, { multipart }) {
+  const unknownFields = Object.keys(fields).filter(key => !PICTURE_WRITABLE_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(
+      `Unknown or read-only fields: ${unknownFields.join(', ')}`,
+      { parameter: unknownFields[0] }
+    );
+  }
+
+  // Validate caption (optional, null removes it)
+  const { caption, position } = fields;
+  if (caption !== undefined && caption !== null) {
+    if (typeof caption !== 'string' || caption.length > MAX_PICTURE_CAPTION_LENGTH) {
+      throw new ValidationError(
+        `caption must be a string of at most ${MAX_PICTURE_CAPTION_LENGTH} characters`,
+        { parameter: 'caption' }
+      );
+    }
+  }
+
+  // Validate position (optional, 1 = first)
+  if (position !== undefined) {
+    const isValidPosition = multipart
+      ? typeof position === 'string' && /^\d+$/.test(position) && parseInt(position, 10) >= 1
+      : Number.isInteger(position) && position >= 1;
+    if (!isValidPosition) {
+      throw new ValidationError(
+        'position must be a positive integer',
+        { parameter: 'position', example: position }
+      );
+    }
+  }
+}
+
+/**
+ * Validate POST /pois/:poisId/pictures endpoint (multipart/form-data)
+ * 
+ * Required: file (JPEG, PNG or WebP image)
+ * Optional: caption (up to 500 characters), position (1 = first; default: last)
+ */
+function validateUploadPicture(req, res, next) {
+  try {
+    if (!req.is('multipart/form-data')) {
+      throw new InvalidOptionError(
+        'Content-Type must be multipart/form-data',
+        { parameter: 'Content-Type', example: req.get('Content-Type') }
+      );
+    }
+
+    if (!req.file) {
+      throw new MandatoryDataMissingError(
+        'file is required',
+        { parameter: 'file' }
+      );
+    }
+
+    validatePictureFields(req.body || {}, { multipart: true });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate PATCH /pois/:poisId/pictures/:pictureId endpoint
+ * 
+ * Optional: caption (string or null), position (integer, 1 = first)
+ * At least one field must be provided
+ */
+function validateUpdatePicture(req, res, next) {
+  try {
+    const { body } = req;
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError(
+        'Request body must be a JSON object',
+        { parameter: 'body' }
+      );
+    }
+
+    if (Object.keys(body).length === 0) {
+      throw new ValidationError(
+        'At least one field must be provided for update',
+        { parameter: 'body' }
+      );
+    }
+
+    validatePictureFields(body, { multipart: false });
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the :pictureId path parameter of picture endpoints
+ */
+function validateGetPictureById(req, res, next) {
+  try {
+    const { pictureId } = req.params;
+
+    if (!/^\d+$/.test(pictureId) || parseInt(pictureId, 10) < 1) {
+      throw new ValidationError(
+        'pictureId must be a positive integer',
+        { parameter: 'pictureId', example: pictureId }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate POST /auth/register endpoint
  * 
  * Required: email, password
  * Optional: firstName, lastName, phone
  */
-function validateRegister(req, res, next) {
+function validateRegister(req, res, next) {
+  try {
+    const { email, password, firstName, lastName, phone } = req.body;
+
+    // Validate email (required)
+    if (!email || typeof email !== 'string' || email.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'email is required',
+        { parameter: 'email' }
+      );
+    }
+
+    // Basic email format validation
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      throw new ValidationError(
+        'email must be a valid email address',
+        { parameter: 'email', example: email }
+      );
+    }
+
+    // Validate password (required)
+    if (!password || typeof password !== 'string') {
+      throw new MandatoryDataMissingError(
+        'password is required',
+        { parameter: 'password' }
+      );
+    }
+
+    if (password.length < 6) {
+      throw new ValidationError(
+        'password must be at least 6 characters long',
+        { parameter: 'password' }
+      );
+    }
+
+    if (password.length > 255) {
+      throw new ValidationError(
+        'password must be less than 255 characters',
+        { parameter: 'password' }
+      );
+    }
+
+    // Validate firstName (optional)
+    if (firstName !== undefined && firstName !== null) {
+      if (typeof firstName !== 'string') {
+        throw new ValidationError(
+          'firstName must be a string',
+          { parameter: 'firstName' }
+        );
+      }
+      if (firstName.length > 255) {
+        throw new ValidationError(
+          'firstName must be less than 255 characters',
+          { parameter: 'firstName' }
+        );
+      }
+    }
+
+    // Validate lastName (optional)
+    if (lastName !== undefined && lastName !== null) {
+      if (typeof lastName !== 'string') {
+        throw new ValidationError(
+          'lastName must be a string',
+          { parameter: 'lastName' }
+        );
+      }
+      if (lastName.length > 255) {
+        throw new ValidationError(
+          'lastName must be less than 255 characters',
+          { parameter: 'lastName' }
+        );
+      }
+    }
+
+    // Validate phone (optional)
+    if (phone !== undefined && phone !== null) {
+      if (typeof phone !== 'string') {
+        throw new ValidationError(
+          'phone must be a string',
+          { parameter: 'phone' }
+        );
+      }
+      if (phone.trim().length > 50) {
+        throw new ValidationError(
+          'phone must be less than 50 characters',
+          { parameter: 'phone' }
+        );
+      }
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate POST /auth/login endpoint
+ * 
+ * Required: email, password
+ */
+function validateLogin(req, res, next) {
+  try {
+    const { email, password } = req.body;
+
+    // Validate email (required)
+    if (!email || typeof email !== 'string' || email.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'email is required',
+        { parameter: 'email' }
+      );
+    }
+
+    // Validate password (required)
+    if (!password || typeof password !== 'string') {
+      throw new MandatoryDataMissingError(
+        'password is required',
+        { parameter: 'password' }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate POST /favorites endpoint
+ * 
+ * Required: poiId
+ */
+function validateAddFavorite(req, res, next) {
+  try {
+    const { poiId } = req.body;
+
+    // Validate poiId (required)
+    if (!poiId || typeof poiId !== 'string' || poiId.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'poiId is required',
+        { parameter: 'poiId' }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /favorites endpoint pagination
+ */
+function validateGetFavorites(req, res, next) {
+  try {
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
+
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const lim = parseInt(limit, 10);
+      if (isNaN(lim)) {
+        throw new ValidationError(
+          'page[limit] must be a valid integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (lim < 1 || lim > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must be between 1 and 100',
+          { parameter: 'page[limit]', example: lim }
+        );
+      }
+    }
+
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const off = parseInt(offset, 10);
+      if (isNaN(off)) {
+        throw new ValidationError(
+          'page[offset] must be a valid integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
+
+      if (off < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: off }
+        );
+      }
+    }
+
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // Validate fields[location] (optional)
+    validateFieldsParam(req.query);
+
+    // Validate lang (optional)
+    validateLangParam(req.query);
+
+    // Validate format (optional)
+    validateFormatParam(req.query.format);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate POST /bookings endpoint
+ * 
+ * Required: poiId, startDate, endDate
+ */
+function validateCreateBooking(req, res, next) {
+  try {
+    const { poiId, startDate, endDate } = req.body;
+
+    // Validate poiId (required)
+    if (!poiId || typeof poiId !== 'string' || poiId.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'poiId is required',
+        { parameter: 'poiId' }
+      );
+    }
+
+    // Validate startDate (required)
+    if (!startDate || typeof startDate !== 'string' || startDate.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'startDate is required',
+        { parameter: 'startDate' }
+      );
+    }
+
+    // Validate startDate format (YYYY-MM-DD)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(startDate.trim())) {
+      throw new ValidationError(
+        'startDate must be in YYYY-MM-DD format',
+        { parameter: 'startDate', example: startDate }
+      );
+    }
+
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+      throw new ValidationError(
+        'startDate must be a valid date',
+        { parameter: 'startDate', example: startDate }
+      );
+    }
+
+    // Validate endDate (required)
+    if (!endDate || typeof endDate !== 'string' || endDate.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'endDate is required',
+        { parameter: 'endDate' }
+      );
+    }
+
+    // Validate endDate format (YYYY-MM-DD)
+    if (!dateRegex.test(endDate.trim())) {
+      throw new ValidationError(
+        'endDate must be in YYYY-MM-DD format',
+        { parameter: 'endDate', example: endDate }
+      );
+    }
+
+    const end = new Date(endDate);
+    if (isNaN(end.getTime())) {
+      throw new ValidationError(
+        'endDate must be a valid date',
+        { parameter: 'endDate', example: endDate }
+      );
+    }
+
+    // Validate endDate > startDate
+    if (end <= start) {
+      throw new ValidationError(
+        'endDate must be after startDate',
+        { parameter: 'endDate', example: `${startDate} < ${endDate}` }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /bookings endpoint pagination
+ */
+function validateGetBookings(req, res, next) {
   try {
-    const { email, password, firstName, lastName, phone } = req.body;
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
 
-    // Validate email (required)
-    if (!email || typeof email !== 'string' || email.trim() === '') {
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const lim = parseInt(limit, 10);
+      if (isNaN(lim)) {
+        throw new ValidationError(
+          'page[limit] must be a valid integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (lim < 1 || lim > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must be between 1 and 100',
+          { parameter: 'page[limit]', example: lim }
+        );
+      }
+    }
+
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const off = parseInt(offset, 10);
+      if (isNaN(off)) {
+        throw new ValidationError(
+          'page[offset] must be a valid integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
+
+      if (off < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: off }
+        );
+      }
+    }
+
+    // Validate page[cursor] (optional)
+    validateCursorParam(req.query);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /bookings/availability endpoint
+ * 
+ * Required: poiId, startDate, endDate
+ */
+function validateCheckAvailability(req, res, next) {
+  try {
+    const { poiId, startDate, endDate } = req.query;
+
+    // Validate poiId (required)
+    if (!poiId || typeof poiId !== 'string' || poiId.trim() === '') {
       throw new MandatoryDataMissingError(
-        'email is required',
-        { parameter: 'email' }
+        'poiId is required',
+        { parameter: 'poiId' }
       );
     }
 
-    // Basic email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
+    // Validate startDate (required)
+    if (!startDate || typeof startDate !== 'string' || startDate.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'startDate is required',
+        { parameter: 'startDate' }
+      );
+    }
+
+    // Validate startDate format (YYYY-MM-DD)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(startDate.trim())) {
       throw new ValidationError(
-        'email must be a valid email address',
-        { parameter: 'email', example: email }
+        'startDate must be in YYYY-MM-DD format',
+        { parameter: 'startDate', example: startDate }
+      );
+    }
+
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+      throw new ValidationError(
+        'startDate must be a valid date',
+        { parameter: 'startDate', example: startDate }
+      );
+    }
+
+    // Validate endDate (required)
+    if (!endDate || typeof endDate !== 'string' || endDate.trim() === '') {
+      throw new MandatoryDataMissingError(
+        'endDate is required',
+        { parameter: 'endDate' }
+      );
+    }
+
+    // Validate endDate format (YYYY-MM-DD)
+    if (!dateRegex.test(endDate.trim())) {
+      throw new ValidationError(
+        'endDate must be in YYYY-MM-DD format',
+        { parameter: 'endDate', example: endDate }
+      );
+    }
+
+    const end = new Date(endDate);
+    if (isNaN(end.getTime())) {
+      throw new ValidationError(
+        'endDate must be a valid date',
+        { parameter: 'endDate', example: endDate }
+      );
+    }
+
+    // Validate endDate > startDate
+    if (end <= start) {
+      throw new ValidationError(
+        'endDate must be after startDate',
+        { parameter: 'endDate', example: `${startDate} < ${endDate}` }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /bookings/:bookingId endpoint
+ * 
+ * Required: bookingId (path parameter)
+ */
+function validateGetBookingById(req, res, next) {
+  try {
+    const { bookingId } = req.params;
+
+    // Validate bookingId (required)
+    if (!bookingId) {
+      throw new ValidationError(
+        'bookingId is required',
+        { parameter: 'bookingId' }
+      );
+    }
+
+    const id = parseInt(bookingId, 10);
+    if (isNaN(id) || id < 1) {
+      throw new ValidationError(
+        'bookingId must be a positive integer',
+        { parameter: 'bookingId', example: bookingId }
+      );
+    }
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate PATCH /auth/me endpoint
+ * 
+ * Optional: email, password, firstName, lastName, phone
+ * At least one field must be provided
+ */
+function validateUpdateProfile(req, res, next) {
+  try {
+    const { email, password, firstName, lastName, phone } = req.body;
+
+    // Check if at least one field is provided
+    const hasFields = email !== undefined || 
+                     password !== undefined || 
+                     firstName !== undefined || 
+                     lastName !== undefined || 
+                     phone !== undefined;
+
+    if (!hasFields) {
+      throw new ValidationError(
+        'At least one field must be provided for update',
+        { parameter: 'body' }
       );
     }
 
-    // Validate password (required)
-    if (!password || typeof password !== 'string') {
-      throw new MandatoryDataMissingError(
-        'password is required',
-        { parameter: 'password' }
-      );
-    }
+    // Validate email if provided
+    if (email !== undefined && email !== null) {
+      if (typeof email !== 'string' || email.trim() === '') {
+        throw new ValidationError(
+          'email must be a non-empty string',
+          { parameter: 'email' }
+        );
+      }
+
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email.trim())) {
+        throw new ValidationError(
+          'email must be a valid email address',
+          { parameter: 'email', example: email }
+        );
+      }
+    }
+
+    // Validate password if provided
+    if (password !== undefined && password !== null) {
+      if (typeof password !== 'string') {
+        throw new ValidationError(
+          'password must be a string',
+          { parameter: 'password' }
+        );
+      }
 
-    if (password.length < 6) {
-      throw new ValidationError(
-        'password must be at least 6 characters long',
-        { parameter: 'password' }
-      );
-    }
+      if (password.length < 6) {
+        throw new ValidationError(
+          'password must be at least 6 characters long',
+          { parameter: 'password' }
+        );
+      }
 
-    if (password.length > 255) {
-      throw new ValidationError(
-        'password must be less than 255 characters',
-        { parameter: 'password' }
-      );
+      if (password.length > 255) {
+        throw new ValidationError(
+          'password must be less than 255 characters',
+          { parameter: 'password' }
+        );
+      }
     }
 
-    // Validate firstName (optional)
+    // Validate firstName if provided
     if (firstName !== undefined && firstName !== null) {
       if (typeof firstName !== 'string') {
         throw new ValidationError(
@@ -518,7 +3016,7 @@ function validateRegister(req, res, next) {
       }
     }
 
-    // Validate lastName (optional)
+    // Validate lastName if provided
     if (lastName !== undefined && lastName !== null) {
       if (typeof lastName !== 'string') {
         throw new ValidationError(
@@ -534,7 +3032,7 @@ function validateRegister(req, res, next) {
       }
     }
 
-    // Validate phone (optional)
+    // Validate phone if provided
     if (phone !== undefined && phone !== null) {
       if (typeof phone !== 'string') {
         throw new ValidationError(
@@ -558,30 +3056,200 @@ function validateRegister(req, res, next) {
 }
 
 /**
- * Validate POST /auth/login endpoint
- * 
- * Required: email, password
+ * Validate stay query parameters shared by hotel offer endpoints
+ *
+ * Optional: checkInDate, checkOutDate (YYYY-MM-DD), adults (1-9)
+ *
+ * @param {object} query - Express query object
  */
-function validateLogin(req, res, next) {
+function validateStayQuery(query) {
+  const { checkInDate, checkOutDate, adults } = query;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  // Validate checkInDate (optional)
+  if (checkInDate !== undefined) {
+    if (typeof checkInDate !== 'string' || !dateRegex.test(checkInDate)) {
+      throw new ValidationError(
+        'checkInDate must be in YYYY-MM-DD format',
+        { parameter: 'checkInDate', example: checkInDate }
+      );
+    }
+
+    // Round-trip the date so nonexistent days (e.g. 2027-02-31) are rejected
+    const date = new Date(`${checkInDate}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== checkInDate) {
+      throw new ValidationError(
+        'checkInDate must be a valid date',
+        { parameter: 'checkInDate', example: checkInDate }
+      );
+    }
+  }
+
+  // Validate checkOutDate (optional)
+  if (checkOutDate !== undefined) {
+    if (typeof checkOutDate !== 'string' || !dateRegex.test(checkOutDate)) {
+      throw new ValidationError(
+        'checkOutDate must be in YYYY-MM-DD format',
+        { parameter: 'checkOutDate', example: checkOutDate }
+      );
+    }
+
+    const date = new Date(`${checkOutDate}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== checkOutDate) {
+      throw new ValidationError(
+        'checkOutDate must be a valid date',
+        { parameter: 'checkOutDate', example: checkOutDate }
+      );
+    }
+  }
+
+  // Validate adults (optional)
+  if (adults !== undefined) {
+    const adultsNum = parseInt(adults, 10);
+    if (isNaN(adultsNum)) {
+      throw new ValidationError(
+        'adults must be a valid integer',
+        { parameter: 'adults', example: adults }
+      );
+    }
+
+    if (adultsNum < 1 || adultsNum > 9) {
+      throw new InvalidOptionError(
+        'adults must be between 1 and 9',
+        { parameter: 'adults', example: adultsNum }
+      );
+    }
+  }
+}
+
+/**
+ * Validate GET /v3/shopping/hotel-offers endpoint
+ *
+ * Required: one of hotelIds, cityCode or latitude + longitude
+ * Optional: radius (1-300 km, default 5), checkInDate, checkOutDate, adults
+ */
+function validateGetHotelOffers(req, res, next) {
   try {
-    const { email, password } = req.body;
+    const { hotelIds, cityCode, latitude, longitude, radius } = req.query;
 
-    // Validate email (required)
-    if (!email || typeof email !== 'string' || email.trim() === '') {
+    const hasHotelIds = hotelIds !== undefined && hotelIds !== '';
+    const hasCityCode = cityCode !== undefined && cityCode !== '';
+    const hasCoordinates = latitude !== undefined || longitude !== undefined;
+
+    if (!hasHotelIds && !hasCityCode && !hasCoordinates) {
       throw new MandatoryDataMissingError(
-        'email is required',
-        { parameter: 'email' }
+        'One of hotelIds, cityCode or latitude/longitude is required',
+        { parameter: 'hotelIds, cityCode, latitude, longitude' }
       );
     }
 
-    // Validate password (required)
-    if (!password || typeof password !== 'string') {
-      throw new MandatoryDataMissingError(
-        'password is required',
-        { parameter: 'password' }
+    // Validate hotelIds (optional)
+    if (hasHotelIds) {
+      if (typeof hotelIds !== 'string') {
+        throw new ValidationError(
+          'hotelIds must be a comma-separated string',
+          { parameter: 'hotelIds' }
+        );
+      }
+
+      for (const hotelId of hotelIds.split(',').map(id => id.trim())) {
+        if (!/^[A-Z0-9]{8}$/.test(hotelId)) {
+          throw new ValidationError(
+            'hotelIds must contain 8-character Amadeus property codes',
+            { parameter: 'hotelIds', example: hotelId }
+          );
+        }
+      }
+    }
+
+    // Validate cityCode (optional)
+    if (hasCityCode && (typeof cityCode !== 'string' || !/^[A-Z]{3}$/.test(cityCode))) {
+      throw new ValidationError(
+        'cityCode must be a 3-letter IATA city code',
+        { parameter: 'cityCode', example: cityCode }
+      );
+    }
+
+    // Validate latitude/longitude (must be provided together)
+    if (hasCoordinates) {
+      if (latitude === undefined || latitude === '') {
+        throw new MandatoryDataMissingError(
+          'latitude is required when longitude is provided',
+          { parameter: 'latitude' }
+        );
+      }
+
+      if (longitude === undefined || longitude === '') {
+        throw new MandatoryDataMissingError(
+          'longitude is required when latitude is provided',
+          { parameter: 'longitude' }
+        );
+      }
+
+      const lat = parseFloat(latitude);
+      if (isNaN(lat) || lat < -90 || lat > 90) {
+        throw new ValidationError(
+          'latitude must be a number between -90 and 90',
+          { parameter: 'latitude', example: latitude }
+        );
+      }
+
+      const lon = parseFloat(longitude);
+      if (isNaN(lon) || lon < -180 || lon > 180) {
+        throw new ValidationError(
+          'longitude must be a number between -180 and 180',
+          { parameter: 'longitude', example: longitude }
+        );
+      }
+    }
+
+    // Validate radius (optional)
+    if (radius !== undefined) {
+      const rad = parseInt(radius, 10);
+      if (isNaN(rad)) {
+        throw new ValidationError(
+          'radius must be a valid integer',
+          { parameter: 'radius', example: radius }
+        );
+      }
+
+      if (rad < 1 || rad > 300) {
+        throw new InvalidOptionError(
+          'radius must be between 1 and 300 kilometers',
+          { parameter: 'radius', example: rad }
+        );
+      }
+    }
+
+    validateStayQuery(req.query);
+
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /v3/shopping/hotel-offers/:offerId endpoint
+ *
+ * Required: offerId (path parameter)
+ * Optional: checkInDate, checkOutDate, adults
+ */
+function validateGetHotelOfferById(req, res, next) {
+  try {
+    const { offerId } = req.params;
+
+    // Validate offerId (required)
+    if (!offerId || typeof offerId !== 'string' || offerId.trim() === '') {
+      throw new ValidationError(
+        'offerId is required and must be a non-empty string',
+        { parameter: 'offerId' }
       );
     }
 
+    validateStayQuery(req.query);
+
     // All validations passed
     next();
   } catch (error) {
@@ -590,22 +3258,33 @@ function validateLogin(req, res, next) {
 }
 
 /**
- * Validate POST /favorites endpoint
- * 
- * Required: poiId
+ * Validate GET /v1/tiles/pois/:z/:x/:y.mvt endpoint
+ *
+ * Required: z (zoom, 0-22), x and y (tile column and row, 0 to 2^z - 1) path parameters
  */
-function validateAddFavorite(req, res, next) {
+function validateGetPoiTile(req, res, next) {
   try {
-    const { poiId } = req.body;
+    const { z, x, y } = req.params;
 
-    // Validate poiId (required)
-    if (!poiId || typeof poiId !== 'string' || poiId.trim() === '') {
-      throw new MandatoryDataMissingError(
-        'poiId is required',
-        { parameter: 'poiId' }
+    const zoom = parseInt(z, 10);
+    if (!/^\d+$/.test(z) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+      throw new ValidationError(
+        `z must be an integer between ${MIN_ZOOM} and ${MAX_ZOOM}`,
+        { parameter: 'z', example: z }
       );
     }
 
+    // Tile coordinates exist from 0 to 2^z - 1 at each zoom level
+    const maxTile = Math.pow(2, zoom) - 1;
+    for (const [name, value] of [['x', x], ['y', y]]) {
+      if (!/^\d+$/.test(value) || parseInt(value, 10) > maxTile) {
+        throw new ValidationError(
+          `${name} must be an integer between 0 and ${maxTile} at zoom ${zoom}`,
+          { parameter: name, example: value }
+        );
+      }
+    }
+
     // All validations passed
     next();
   } catch (error) {
@@ -614,10 +3293,22 @@ function validateAddFavorite(req, res, next) {
 }
 
 /**
- * Validate GET /favorites endpoint pagination
+ * Validate GET /locations/cities endpoint (list cities)
+ *
+ * Optional: countryCode (ISO 3166-1 alpha-2), page[limit] (1-100), page[offset]
  */
-function validateGetFavorites(req, res, next) {
+function validateGetCities(req, res, next) {
   try {
+    const { countryCode } = req.query;
+
+    // Validate countryCode (optional)
+    if (countryCode !== undefined && (typeof countryCode !== 'string' || !/^[A-Z]{2}$/.test(countryCode))) {
+      throw new ValidationError(
+        'countryCode must be an ISO 3166-1 alpha-2 code (e.g., ES)',
+        { parameter: 'countryCode', example: countryCode }
+      );
+    }
+
     const limit = req.query['page[limit]'];
     const offset = req.query['page[offset]'];
 
@@ -642,99 +3333,35 @@ function validateGetFavorites(req, res, next) {
     // Validate page[offset] (optional)
     if (offset !== undefined) {
       const off = parseInt(offset, 10);
-      if (isNaN(off)) {
-        throw new ValidationError(
-          'page[offset] must be a valid integer',
-          { parameter: 'page[offset]', example: offset }
-        );
-      }
-
-      if (off < 0) {
+      if (isNaN(off) || off < 0) {
         throw new ValidationError(
           'page[offset] must be a non-negative integer',
-          { parameter: 'page[offset]', example: off }
+          { parameter: 'page[offset]', example: offset }
         );
       }
     }
 
     // All validations passed
-    next();
-  } catch (error) {
-    next(error);
-  }
-}
-
-/**
- * Validate POST /bookings endpoint
- * 
- * Required: poiId, startDate, endDate
- */
-function validateCreateBooking(req, res, next) {
-  try {
-    const { poiId, startDate, endDate } = req.body;
-
-    // Validate poiId (required)
-    if (!poiId || typeof poiId !== 'string' || poiId.trim() === '') {
-      throw new MandatoryDataMissingError(
-        'poiId is required',
-        { parameter: 'poiId' }
-      );
-    }
-
-    // Validate startDate (required)
-    if (!startDate || typeof startDate !== 'string' || startDate.trim() === '') {
-      throw new MandatoryDataMissingError(
-        'startDate is required',
-        { parameter: 'startDate' }
-      );
-    }
-
-    // Validate startDate format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(startDate.trim())) {
-      throw new ValidationError(
-        'startDate must be in YYYY-MM-DD format',
-        { parameter: 'startDate', example: startDate }
-      );
-    }
-
-    const start = new Date(startDate);
-    if (isNaN(start.getTime())) {
-      throw new ValidationError(
-        'startDate must be a valid date',
-        { parameter: 'startDate', example: startDate }
-      );
-    }
-
-    // Validate endDate (required)
-    if (!endDate || typeof endDate !== 'string' || endDate.trim() === '') {
-      throw new MandatoryDataMissingError(
-        'endDate is required',
-        { parameter: 'endDate' }
-      );
-    }
-
-    // Validate endDate format (YYYY-MM-DD)
-    if (!dateRegex.test(endDate.trim())) {
-      throw new ValidationError(
-        'endDate must be in YYYY-MM-DD format',
-        { parameter: 'endDate', example: endDate }
-      );
-    }
-
-    const end = new Date(endDate);
-    if (isNaN(end.getTime())) {
-      throw new ValidationError(
-        'endDate must be a valid date',
-        { parameter: 'endDate', example: endDate }
-      );
-    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Validate endDate > startDate
-    if (end <= start) {
+/**
+ * Validate GET /locations/cities/:cityId endpoint
+ *
+ * Required: cityId (path parameter)
+ */
+function validateGetCityById(req, res, next) {
+  try {
+    const { cityId } = req.params;
+
+    // Validate cityId (required)
+    if (!cityId || typeof cityId !== 'string' || cityId.trim() === '' || cityId.length > 255) {
       throw new ValidationError(
-        'endDate must be after startDate',
-        { parameter: 'endDate', example: `${startDate} < ${endDate}` }
+        'cityId is required and must be a non-empty string',
+        { parameter: 'cityId' }
       );
     }
 
@@ -746,10 +3373,23 @@ function validateCreateBooking(req, res, next) {
 }
 
 /**
- * Validate GET /bookings endpoint pagination
+ * Validate GET /locations/cities/:cityId/districts endpoint
+ *
+ * Required: cityId (path parameter)
+ * Optional: page[limit] (1-100), page[offset]
  */
-function validateGetBookings(req, res, next) {
+function validateGetDistricts(req, res, next) {
   try {
+    const { cityId } = req.params;
+
+    // Validate cityId (required)
+    if (!cityId || typeof cityId !== 'string' || cityId.trim() === '' || cityId.length > 255) {
+      throw new ValidationError(
+        'cityId is required and must be a non-empty string',
+        { parameter: 'cityId' }
+      );
+    }
+
     const limit = req.query['page[limit]'];
     const offset = req.query['page[offset]'];
 
@@ -774,17 +3414,10 @@ function validateGetBookings(req, res, next) {
     // Validate page[offset] (optional)
     if (offset !== undefined) {
       const off = parseInt(offset, 10);
-      if (isNaN(off)) {
-        throw new ValidationError(
-          'page[offset] must be a valid integer',
-          { parameter: 'page[offset]', example: offset }
-        );
-      }
-
-      if (off < 0) {
+      if (isNaN(off) || off < 0) {
         throw new ValidationError(
           'page[offset] must be a non-negative integer',
-          { parameter: 'page[offset]', example: off }
+          { parameter: 'page[offset]', example: offset }
         );
       }
     }
@@ -797,77 +3430,116 @@ function validateGetBookings(req, res, next) {
 }
 
 /**
- * Validate GET /bookings/availability endpoint
- * 
- * Required: poiId, startDate, endDate
+ * Validate GET /locations/districts/:districtId endpoint
+ *
+ * Required: districtId (path parameter)
  */
-function validateCheckAvailability(req, res, next) {
+function validateGetDistrictById(req, res, next) {
   try {
-    const { poiId, startDate, endDate } = req.query;
+    const { districtId } = req.params;
 
-    // Validate poiId (required)
-    if (!poiId || typeof poiId !== 'string' || poiId.trim() === '') {
-      throw new MandatoryDataMissingError(
-        'poiId is required',
-        { parameter: 'poiId' }
+    // Validate districtId (required)
+    if (!districtId || typeof districtId !== 'string' || districtId.trim() === '' || districtId.length > 255) {
+      throw new ValidationError(
+        'districtId is required and must be a non-empty string',
+        { parameter: 'districtId' }
       );
     }
 
-    // Validate startDate (required)
-    if (!startDate || typeof startDate !== 'string' || startDate.trim() === '') {
+    // All validations passed
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate GET /locations/airports endpoint (airport search)
+ *
+ * Required: keyword, or latitude and longitude (both may be given)
+ * Optional: radius (km, 0-500, with coordinates), countryCode, page[limit] (1-100), page[offset]
+ */
+function validateGetAirports(req, res, next) {
+  try {
+    const { keyword, radius, countryCode } = req.query;
+    const limit = req.query['page[limit]'];
+    const offset = req.query['page[offset]'];
+    const hasCoordinates = req.query.latitude !== undefined || req.query.longitude !== undefined;
+
+    // Validate keyword or coordinates (one is required)
+    if ((keyword === undefined || keyword === '') && !hasCoordinates) {
       throw new MandatoryDataMissingError(
-        'startDate is required',
-        { parameter: 'startDate' }
+        'keyword, or latitude and longitude, is required',
+        { parameter: 'keyword' }
       );
     }
 
-    // Validate startDate format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(startDate.trim())) {
-      throw new ValidationError(
-        'startDate must be in YYYY-MM-DD format',
-        { parameter: 'startDate', example: startDate }
-      );
-    }
+    // Validate keyword (optional)
+    validateKeywordParam(keyword);
 
-    const start = new Date(startDate);
-    if (isNaN(start.getTime())) {
-      throw new ValidationError(
-        'startDate must be a valid date',
-        { parameter: 'startDate', example: startDate }
-      );
-    }
+    // Validate latitude and longitude (optional, together)
+    validateCoordinatePairParams(req.query);
 
-    // Validate endDate (required)
-    if (!endDate || typeof endDate !== 'string' || endDate.trim() === '') {
-      throw new MandatoryDataMissingError(
-        'endDate is required',
-        { parameter: 'endDate' }
-      );
+    // Validate radius (optional, with coordinates)
+    if (radius !== undefined) {
+      if (!hasCoordinates) {
+        throw new ValidationError(
+          'radius requires latitude and longitude',
+          { parameter: 'radius' }
+        );
+      }
+
+      const radiusNum = parseFloat(radius);
+      if (isNaN(radiusNum)) {
+        throw new ValidationError(
+          'radius must be a valid number',
+          { parameter: 'radius', example: radius }
+        );
+      }
+
+      if (radiusNum < 0 || radiusNum > MAX_AIRPORT_RADIUS) {
+        throw new InvalidOptionError(
+          `radius must be between 0 and ${MAX_AIRPORT_RADIUS} kilometers`,
+          { parameter: 'radius', example: radiusNum }
+        );
+      }
     }
 
-    // Validate endDate format (YYYY-MM-DD)
-    if (!dateRegex.test(endDate.trim())) {
+    // Validate countryCode (optional)
+    if (countryCode !== undefined && (typeof countryCode !== 'string' || !/^[A-Z]{2}$/.test(countryCode))) {
       throw new ValidationError(
-        'endDate must be in YYYY-MM-DD format',
-        { parameter: 'endDate', example: endDate }
+        'countryCode must be an ISO 3166-1 alpha-2 code (e.g., ES)',
+        { parameter: 'countryCode', example: countryCode }
       );
     }
 
-    const end = new Date(endDate);
-    if (isNaN(end.getTime())) {
-      throw new ValidationError(
-        'endDate must be a valid date',
-        { parameter: 'endDate', example: endDate }
-      );
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const lim = parseInt(limit, 10);
+      if (isNaN(lim)) {
+        throw new ValidationError(
+          'page[limit] must be a valid integer',
+          { parameter: 'page[limit]', example: limit }
+        );
+      }
+
+      if (lim < 1 || lim > 100) {
+        throw new InvalidOptionError(
+          'page[limit] must be between 1 and 100',
+          { parameter: 'page[limit]', example: lim }
+        );
+      }
     }
 
-    // Validate endDate > startDate
-    if (end <= start) {
-      throw new ValidationError(
-        'endDate must be after startDate',
-        { parameter: 'endDate', example: `${startDate} < ${endDate}` }
-      );
+    // Validate page[offset] (optional)
+    if (offset !== undefined) {
+      const off = parseInt(offset, 10);
+      if (isNaN(off) || off < 0) {
+        throw new ValidationError(
+          'page[offset] must be a non-negative integer',
+          { parameter: 'page[offset]', example: offset }
+        );
+      }
     }
 
     // All validations passed
@@ -878,27 +3550,19 @@ function validateCheckAvailability(req, res, next) {
 }
 
 /**
- * Validate GET /bookings/:bookingId endpoint
- * 
- * Required: bookingId (path parameter)
+ * Validate GET /locations/airports/:airportId endpoint
+ *
+ * Required: airportId (path parameter)
  */
-function validateGetBookingById(req, res, next) {
+function validateGetAirportById(req, res, next) {
   try {
-    const { bookingId } = req.params;
-
-    // Validate bookingId (required)
-    if (!bookingId) {
-      throw new ValidationError(
-        'bookingId is required',
-        { parameter: 'bookingId' }
-      );
-    }
+    const { airportId } = req.params;
 
-    const id = parseInt(bookingId, 10);
-    if (isNaN(id) || id < 1) {
+    // Validate airportId (required)
+    if (!airportId || typeof airportId !== 'string' || airportId.trim() === '' || airportId.length > 255) {
       throw new ValidationError(
-        'bookingId must be a positive integer',
-        { parameter: 'bookingId', example: bookingId }
+        'airportId is required and must be a non-empty string',
+        { parameter: 'airportId' }
       );
     }
 
@@ -910,118 +3574,48 @@ function validateGetBookingById(req, res, next) {
 }
 
 /**
- * Validate PATCH /auth/me endpoint
- * 
- * Optional: email, password, firstName, lastName, phone
- * At least one field must be provided
+ * Validate GET /locations/autocomplete endpoint (search-as-you-type suggestions)
+ *
+ * Required: keyword
+ * Optional: latitude and longitude (together), page[limit] (1-20), lang
  */
-function validateUpdateProfile(req, res, next) {
+function validateGetAutocomplete(req, res, next) {
   try {
-    const { email, password, firstName, lastName, phone } = req.body;
-
-    // Check if at least one field is provided
-    const hasFields = email !== undefined || 
-                     password !== undefined || 
-                     firstName !== undefined || 
-                     lastName !== undefined || 
-                     phone !== undefined;
+    const { keyword } = req.query;
+    const limit = req.query['page[limit]'];
 
-    if (!hasFields) {
-      throw new ValidationError(
-        'At least one field must be provided for update',
-        { parameter: 'body' }
+    // Validate keyword (required)
+    if (keyword === undefined || keyword === '') {
+      throw new MandatoryDataMissingError(
+        'keyword is required',
+        { parameter: 'keyword' }
       );
     }
+    validateKeywordParam(keyword);
 
-    // Validate email if provided
-    if (email !== undefined && email !== null) {
-      if (typeof email !== 'string' || email.trim() === '') {
-        throw new ValidationError(
-          'email must be a non-empty string',
-          { parameter: 'email' }
-        );
-      }
-
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email.trim())) {
-        throw new ValidationError(
-          'email must be a valid email address',
-          { parameter: 'email', example: email }
-        );
-      }
-    }
-
-    // Validate password if provided
-    if (password !== undefined && password !== null) {
-      if (typeof password !== 'string') {
-        throw new ValidationError(
-          'password must be a string',
-          { parameter: 'password' }
-        );
-      }
-
-      if (password.length < 6) {
-        throw new ValidationError(
-          'password must be at least 6 characters long',
-          { parameter: 'password' }
-        );
-      }
-
-      if (password.length > 255) {
-        throw new ValidationError(
-          'password must be less than 255 characters',
-          { parameter: 'password' }
-        );
-      }
-    }
+    // Validate latitude and longitude (optional, together)
+    validateCoordinatePairParams(req.query);
 
-    // Validate firstName if provided
-    if (firstName !== undefined && firstName !== null) {
-      if (typeof firstName !== 'string') {
-        throw new ValidationError(
-          'firstName must be a string',
-          { parameter: 'firstName' }
-        );
-      }
-      if (firstName.length > 255) {
+    // Validate page[limit] (optional)
+    if (limit !== undefined) {
+      const lim = parseInt(limit, 10);
+      if (isNaN(lim)) {
         throw new ValidationError(
-          'firstName must be less than 255 characters',
-          { parameter: 'firstName' }
+          'page[limit] must be a valid integer',
+          { parameter: 'page[limit]', example: limit }
         );
       }
-    }
 
-    // Validate lastName if provided
-    if (lastName !== undefined && lastName !== null) {
-      if (typeof lastName !== 'string') {
-        throw new ValidationError(
-          'lastName must be a string',
-          { parameter: 'lastName' }
-        );
-      }
-      if (lastName.length > 255) {
-        throw new ValidationError(
-          'lastName must be less than 255 characters',
-          { parameter: 'lastName' }
+      if (lim < 1 || lim > MAX_AUTOCOMPLETE_LIMIT) {
+        throw new InvalidOptionError(
+          `page[limit] must be between 1 and ${MAX_AUTOCOMPLETE_LIMIT}`,
+          { parameter: 'page[limit]', example: lim }
         );
       }
     }
 
-    // Validate phone if provided
-    if (phone !== undefined && phone !== null) {
-      if (typeof phone !== 'string') {
-        throw new ValidationError(
-          'phone must be a string',
-          { parameter: 'phone' }
-        );
-      }
-      if (phone.trim().length > 50) {
-        throw new ValidationError(
-          'phone must be less than 50 characters',
-          { parameter: 'phone' }
-        );
-      }
-    }
+    // Validate lang (optional)
+    validateLangParam(req.query);
 
     // All validations passed
     next();
@@ -1034,7 +3628,25 @@ module.exports = {
   validateGetPois,
   validateGetPoisBySquare,
   validateGetPoisByName,
+  validateGetPoisByPolygon,
+  validateGetPoisAlongRoute,
+  validateGetNearestPois,
+  validateGetPoiCategories,
+  validateGetPoiStatistics,
   validateGetPoiById,
+  validateCreatePoi,
+  validateReplacePoi,
+  validateUpdatePoi,
+  validateImportPois,
+  validateTranslationLocale,
+  validateSaveTranslation,
+  validateGetReviews,
+  validateGetReviewById,
+  validateCreateReview,
+  validateUpdateReview,
+  validateUploadPicture,
+  validateUpdatePicture,
+  validateGetPictureById,
   validateRegister,
   validateLogin,
   validateAddFavorite,
@@ -1044,6 +3656,17 @@ module.exports = {
   validateCheckAvailability,
   validateGetBookingById,
   validateUpdateProfile,
+  validateGetHotelOffers,
+  validateGetHotelOfferById,
+  validateGetPoiTile,
+  validateGetCities,
+  validateGetCityById,
+  validateGetDistricts,
+  validateGetDistrictById,
+  validateGetAirports,
+  validateGetAirportById,
+  validateGetAutocomplete,
   VALID_CATEGORIES,
+  VALID_RADIUS_SORTS,
 };
 
@@ -0,0 +1,250 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+const { isValidTimeZone } = require('../utils/openingHours');
+
+class Airport extends Model {
+  /**
+   * Format airport to a location object
+   * @param {string} baseUrl - Base URL for generating links
+   * @param {object} options - Formatting options
+   * @param {number} options.distance - Distance from the searched point in kilometers (optional)
+   * @returns {object} Formatted location object
+   */
+  toPublicJSON(baseUrl, options = {}) {
+    const result = {
+      id: this.id,
+      self: this.getSelfLink(baseUrl),
+      type: 'location',
+      subType: 'AIRPORT',
+      name: this.name,
+      detailedName: this.getDetailedName(),
+      iataCode: this.iataCode,
+      icaoCode: this.icaoCode,
+      timeZone: this.timeZone,
+      geoCode: {
+        latitude: parseFloat(this.latitude),
+        longitude: parseFloat(this.longitude),
+      },
+      address: {
+        cityName: this.cityName,
+        cityCode: this.cityCode,
+        countryCode: this.countryCode,
+      },
+    };
+
+    if (options.distance !== undefined) {
+      result.distance = {
+        value: Math.round(options.distance * 10) / 10,
+        unit: 'KM',
+      };
+    }
+
+    if (this.cityId) {
+      result.parent = {
+        id: this.cityId,
+        type: 'location',
+        subType: 'CITY',
+        self: {
+          href: `${baseUrl}/v1/reference-data/locations/cities/${this.cityId}`,
+          methods: ['GET'],
+        },
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Generate self link object for the airport
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Self link object
+   */
+  getSelfLink(baseUrl) {
+    return {
+      href: `${baseUrl}/v1/reference-data/locations/airports/${this.id}`,
+      methods: ['GET'],
+    };
+  }
+
+  /**
+   * Name with its city and country, e.g. "BARCELONA/ES: Josep Tarradellas Barcelona-El Prat"
+   * @returns {string} Detailed name
+   */
+  getDetailedName() {
+    const place = [this.cityName && this.cityName.toUpperCase(), this.countryCode].filter(Boolean).join('/');
+    return `${place}: ${this.name}`;
+  }
+}
+
+// Initialize the model
+Airport.init(
+  {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Location identifier: A followed by the IATA code (e.g., ABCN)',
+    },
+    iataCode: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notNull: {
+          msg: 'IATA code is required',
+        },
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'IATA code must be a 3-letter IATA airport code',
+        },
+      },
+      comment: 'IATA airport code',
+    },
+    icaoCode: {
+      type: DataTypes.STRING(4),
+      allowNull: true,
+      unique: true,
+      validate: {
+        is: {
+          args: /^[A-Z0-9]{4}$/,
+          msg: 'ICAO code must be a 4-character ICAO airport code',
+        },
+      },
+      comment: 'ICAO airport code',
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'Name is required',
+        },
+        notEmpty: {
+          msg: 'Name cannot be empty',
+        },
+        len: {
+          args: [1, 255],
+          msg: 'Name must be between 1 and 255 characters',
+        },
+      },
+      comment: 'Airport name',
+    },
+    cityName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 255],
+          msg: 'City name must be at most 255 characters',
+        },
+      },
+      comment: 'Name of the city served',
+    },
+    cityCode: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'City code must be a 3-letter IATA city code',
+        },
+      },
+      comment: 'IATA code of the city served',
+    },
+    countryCode: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'Country code is required',
+        },
+        is: {
+          args: /^[A-Z]{2}$/,
+          msg: 'Country code must be an ISO 3166-1 alpha-2 code',
+        },
+      },
+      comment: 'ISO 3166-1 alpha-2 country code',
+    },
+    latitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'Latitude is required',
+        },
+        min: {
+          args: [-90],
+          msg: 'Latitude must be between -90 and 90',
+        },
+        max: {
+          args: [90],
+          msg: 'Latitude must be between -90 and 90',
+        },
+      },
+      comment: 'Latitude of the airport',
+    },
+    longitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'Longitude is required',
+        },
+        min: {
+          args: [-180],
+          msg: 'Longitude must be between -180 and 180',
+        },
+        max: {
+          args: [180],
+          msg: 'Longitude must be between -180 and 180',
+        },
+      },
+      comment: 'Longitude of the airport',
+    },
+    timeZone: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      validate: {
+        isTimeZone(value) {
+          if (value !== null && value !== undefined && !isValidTimeZone(value)) {
+            throw new Error(`Unknown time zone: ${value}`);
+          }
+        },
+      },
+      comment: 'IANA time zone of the airport',
+    },
+    cityId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'areas',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'City served, when it is in the areas table',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Airport',
+    tableName: 'airports',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_airports_location',
+        fields: ['latitude', 'longitude'],
+      },
+      {
+        name: 'idx_airports_city_code',
+        fields: ['cityCode'],
+      },
+      {
+        name: 'idx_airports_city',
+        fields: ['cityId'],
+      },
+    ],
+  }
+);
+
+module.exports = Airport;
@@ -0,0 +1,310 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+const { isPointInPolygon, getPolygonBoundingBox } = require('../utils/geospatial');
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon boundary
+ * @param {*} value - Boundary to validate
+ * @throws {Error} If the boundary is malformed
+ */
+function validateBoundary(value) {
+  if (!value || typeof value !== 'object' || !['Polygon', 'MultiPolygon'].includes(value.type)) {
+    throw new Error('Boundary must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const polygons = value.type === 'Polygon' ? [value.coordinates] : value.coordinates;
+  const isPosition = position =>
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90;
+  const isRing = ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+
+  const isValid =
+    Array.isArray(polygons) &&
+    polygons.length > 0 &&
+    polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isRing));
+  if (!isValid) {
+    throw new Error('Boundary rings must have at least 4 [longitude, latitude] positions');
+  }
+}
+
+class Area extends Model {
+  /**
+   * Format area to a location object
+   * @param {string} baseUrl - Base URL for generating links
+   * @param {object} options - Formatting options
+   * @param {boolean} options.boundary - Include the boundary geometry (default: false)
+   * @returns {object} Formatted location object
+   */
+  toPublicJSON(baseUrl, options = {}) {
+    const result = {
+      id: this.id,
+      self: this.getSelfLink(baseUrl),
+      type: 'location',
+      subType: this.subType,
+      name: this.name,
+      iataCode: this.iataCode,
+      address: {
+        countryCode: this.countryCode,
+      },
+      geoCode: {
+        latitude: parseFloat(this.latitude),
+        longitude: parseFloat(this.longitude),
+      },
+    };
+
+    if (this.parentId) {
+      result.parent = {
+        id: this.parentId,
+        type: 'location',
+        subType: 'CITY',
+        self: {
+          href: `${baseUrl}/v1/reference-data/locations/cities/${this.parentId}`,
+          methods: ['GET'],
+        },
+      };
+    }
+
+    result.links = this.getLinks(baseUrl);
+
+    if (options.boundary) {
+      result.boundary = this.boundary;
+    }
+
+    return result;
+  }
+
+  /**
+   * Generate self link object for the area
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Self link object
+   */
+  getSelfLink(baseUrl) {
+    const collection = this.subType === 'CITY' ? 'cities' : 'districts';
+
+    return {
+      href: `${baseUrl}/v1/reference-data/locations/${collection}/${this.id}`,
+      methods: ['GET'],
+    };
+  }
+
+  /**
+   * Links to browse the area: districts of a city and airports within 100 km of it,
+   * and a POI search scoped to the area (a bounding box search over the boundary,
+   * or a radius search around the center)
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Links
+   */
+  getLinks(baseUrl) {
+    const links = {};
+
+    if (this.subType === 'CITY') {
+      links.districts = `${baseUrl}/v1/reference-data/locations/cities/${this.id}/districts`;
+
+      const airportParams = new URLSearchParams({
+        latitude: parseFloat(this.latitude),
+        longitude: parseFloat(this.longitude),
+        radius: 100,
+      });
+      links.airports = `${baseUrl}/v1/reference-data/locations/airports?${airportParams.toString()}`;
+    }
+
+    const params = new URLSearchParams();
+    const bounds = this.getBounds();
+    if (bounds) {
+      params.append('north', bounds.north);
+      params.append('south', bounds.south);
+      params.append('east', bounds.east);
+      params.append('west', bounds.west);
+    } else {
+      params.append('latitude', parseFloat(this.latitude));
+      params.append('longitude', parseFloat(this.longitude));
+      params.append('radius', 20);
+    }
+    params.append(this.subType === 'CITY' ? 'cityId' : 'districtId', this.id);
+
+    const path = bounds ? '/v1/reference-data/locations/pois/by-square' : '/v1/reference-data/locations/pois';
+    links.pois = `${baseUrl}${path}?${params.toString()}`;
+
+    return links;
+  }
+
+  /**
+   * Polygons of the boundary, each a list of rings of [longitude, latitude] positions
+   * @returns {Array<Array<Array<Array<number>>>>} Polygons (empty without a boundary)
+   */
+  getPolygons() {
+    if (!this.boundary) {
+      return [];
+    }
+
+    return this.boundary.type === 'Polygon' ? [this.boundary.coordinates] : this.boundary.coordinates;
+  }
+
+  /**
+   * Bounding box of the boundary
+   * @returns {object|null} Bounding box with north, south, east, west, or null without a boundary
+   */
+  getBounds() {
+    const outerRings = this.getPolygons().map(polygon => polygon[0]);
+    if (outerRings.length === 0) {
+      return null;
+    }
+
+    return getPolygonBoundingBox(outerRings.flat());
+  }
+
+  /**
+   * Check if a point is inside the boundary
+   * @param {number} latitude - Point latitude
+   * @param {number} longitude - Point longitude
+   * @returns {boolean} True if the area has a boundary containing the point
+   */
+  contains(latitude, longitude) {
+    return this.getPolygons().some(polygon => isPointInPolygon(latitude, longitude, polygon));
+  }
+}
+
+// Initialize the model
+Area.init(
+  {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Unique identifier for the area',
+    },
+    subType: {
+      type: DataTypes.ENUM('CITY', 'DISTRICT'),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['CITY', 'DISTRICT']],
+          msg: 'SubType must be one of: CITY, DISTRICT',
+        },
+      },
+      comment: 'Location sub-type',
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Name cannot be empty',
+        },
+        len: {
+          args: [1, 255],
+          msg: 'Name must be between 1 and 255 characters',
+        },
+      },
+      comment: 'Name of the area',
+    },
+    parentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'areas',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'City of a district (null for cities)',
+    },
+    iataCode: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'IATA code must be a 3-letter IATA city code',
+        },
+      },
+      comment: 'IATA city code (cities only)',
+    },
+    countryCode: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z]{2}$/,
+          msg: 'Country code must be an ISO 3166-1 alpha-2 code',
+        },
+      },
+      comment: 'ISO 3166-1 alpha-2 country code',
+    },
+    latitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [-90],
+          msg: 'Latitude must be between -90 and 90',
+        },
+        max: {
+          args: [90],
+          msg: 'Latitude must be between -90 and 90',
+        },
+      },
+      comment: 'Latitude of the area center',
+    },
+    longitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [-180],
+          msg: 'Longitude must be between -180 and 180',
+        },
+        max: {
+          args: [180],
+          msg: 'Longitude must be between -180 and 180',
+        },
+      },
+      comment: 'Longitude of the area center',
+    },
+    boundary: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      validate: {
+        isBoundary(value) {
+          if (value !== null && value !== undefined) {
+            validateBoundary(value);
+          }
+        },
+      },
+      comment: 'GeoJSON Polygon or MultiPolygon geometry of the area',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Area',
+    tableName: 'areas',
+    timestamps: true,
+    validate: {
+      districtHasCity() {
+        if (this.subType === 'DISTRICT' && !this.parentId) {
+          throw new Error('A district must belong to a city');
+        }
+        if (this.subType === 'CITY' && this.parentId) {
+          throw new Error('A city cannot have a parent');
+        }
+      },
+    },
+    indexes: [
+      {
+        name: 'idx_areas_subtype_name',
+        fields: ['subType', 'name'],
+      },
+      {
+        name: 'idx_areas_parent',
+        fields: ['parentId'],
+      },
+    ],
+  }
+);
+
+module.exports = Area;
@@ -0,0 +1,145 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+
+class Hotel extends Model {
+  /**
+   * Format Hotel instance to the hotel object of a hotel-offers response
+   * @returns {object} Formatted hotel object
+   */
+  toPublicJSON() {
+    return {
+      type: 'hotel',
+      hotelId: this.hotelId,
+      chainCode: this.chainCode,
+      dupeId: this.dupeId,
+      name: this.name,
+      cityCode: this.cityCode,
+      latitude: parseFloat(this.latitude),
+      longitude: parseFloat(this.longitude),
+      pictures: Array.isArray(this.pictures) ? this.pictures : [],
+    };
+  }
+}
+
+// Initialize the model
+Hotel.init(
+  {
+    hotelId: {
+      type: DataTypes.STRING(8),
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z0-9]{8}$/,
+          msg: 'Hotel ID must be 8 uppercase alphanumeric characters',
+        },
+      },
+      comment: 'Amadeus property code (e.g., HIDEL429)',
+    },
+    chainCode: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z0-9]{2}$/,
+          msg: 'Chain code must be 2 uppercase alphanumeric characters',
+        },
+      },
+      comment: 'Hotel chain code',
+    },
+    dupeId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Unique property identifier across providers',
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'Name is required',
+        },
+        notEmpty: {
+          msg: 'Name cannot be empty',
+        },
+        len: {
+          args: [1, 255],
+          msg: 'Name must be between 1 and 255 characters',
+        },
+      },
+      comment: 'Hotel name',
+    },
+    cityCode: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'City code must be a 3-letter IATA code',
+        },
+      },
+      comment: 'IATA city code',
+    },
+    latitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [-90],
+          msg: 'Latitude must be between -90 and 90',
+        },
+        max: {
+          args: [90],
+          msg: 'Latitude must be between -90 and 90',
+        },
+      },
+      comment: 'Latitude in decimal coordinates',
+    },
+    longitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [-180],
+          msg: 'Longitude must be between -180 and 180',
+        },
+        max: {
+          args: [180],
+          msg: 'Longitude must be between -180 and 180',
+        },
+      },
+      comment: 'Longitude in decimal coordinates',
+    },
+    pictures: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isArrayOrNull(value) {
+          if (value !== null && value !== undefined && !Array.isArray(value)) {
+            throw new Error('Pictures must be an array');
+          }
+        },
+      },
+      comment: 'Array of picture URLs for the hotel',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Hotel',
+    tableName: 'hotels',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_hotels_city',
+        fields: ['cityCode'],
+      },
+      {
+        name: 'idx_hotels_coordinates',
+        fields: ['latitude', 'longitude'],
+      },
+    ],
+  }
+);
+
+module.exports = Hotel;
@@ -0,0 +1,259 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+
+const BOARD_TYPES = ['ROOM_ONLY', 'BREAKFAST', 'HALF_BOARD', 'FULL_BOARD', 'ALL_INCLUSIVE'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+class HotelOffer extends Model {
+  /**
+   * Format offer to public JSON response for a given stay
+   * Mirrors the offer object of spec/HotelResponseExample.json
+   * @param {string} baseUrl - Base URL for generating links
+   * @param {object} stay - Requested stay
+   * @param {string} stay.checkInDate - Check-in date (YYYY-MM-DD)
+   * @param {string} stay.checkOutDate - Check-out date (YYYY-MM-DD)
+   * @param {number} stay.adults - Number of adult guests
+   * @returns {object} Formatted offer object
+   */
+  toPublicJSON(baseUrl, stay) {
+    const { checkInDate, checkOutDate, adults } = stay;
+    const room = this.room || {};
+
+    return {
+      id: this.id,
+      checkInDate,
+      checkOutDate,
+      rateCode: this.rateCode,
+      boardType: this.boardType,
+      room,
+      guests: {
+        adults,
+      },
+      price: this.getPrice(checkInDate, checkOutDate),
+      policies: this.getPolicies(checkInDate),
+      self: `${baseUrl}/v3/shopping/hotel-offers/${this.id}`,
+      roomInformation: {
+        description: room.description ? room.description.text : undefined,
+        type: room.type,
+        typeEstimated: room.typeEstimated,
+      },
+    };
+  }
+
+  /**
+   * Price the offer for a stay
+   * Base is the nightly rate times the number of nights; taxes that are not
+   * included are added on top (percentages apply to the base)
+   * @param {string} checkInDate - Check-in date (YYYY-MM-DD)
+   * @param {string} checkOutDate - Check-out date (YYYY-MM-DD)
+   * @returns {object} Price object with currency, base, total, taxes and variations
+   */
+  getPrice(checkInDate, checkOutDate) {
+    const nights = HotelOffer.countNights(checkInDate, checkOutDate);
+    const nightlyBase = parseFloat(this.nightlyBase);
+    const base = nightlyBase * nights;
+    const taxes = Array.isArray(this.taxes) ? this.taxes : [];
+
+    const extra = taxes
+      .filter(tax => tax.included === false)
+      .reduce((sum, tax) => {
+        if (tax.percentage !== undefined) {
+          return sum + (base * parseFloat(tax.percentage)) / 100;
+        }
+        if (tax.amount !== undefined) {
+          const amount = parseFloat(tax.amount);
+          return sum + (tax.pricingFrequency === 'PER_NIGHT' ? amount * nights : amount);
+        }
+        return sum;
+      }, 0);
+
+    return {
+      currency: this.currency,
+      base: base.toFixed(2),
+      total: (base + extra).toFixed(2),
+      taxes,
+      variations: {
+        average: {
+          base: nightlyBase.toFixed(2),
+        },
+        changes: [
+          {
+            startDate: checkInDate,
+            endDate: checkOutDate,
+            base: nightlyBase.toFixed(2),
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build booking policies for a stay
+   * Offers without a cancellation window are non-refundable
+   * @param {string} checkInDate - Check-in date (YYYY-MM-DD)
+   * @returns {object} Policies object
+   */
+  getPolicies(checkInDate) {
+    const policies = {};
+
+    if (this.cancellationDeadlineHours !== null && this.cancellationDeadlineHours !== undefined) {
+      const checkIn = Date.parse(`${checkInDate}T00:00:00Z`);
+      const deadline = new Date(checkIn - this.cancellationDeadlineHours * MS_PER_HOUR);
+
+      policies.cancellations = [
+        {
+          numberOfNights: 1,
+          deadline: deadline.toISOString().replace('.000Z', 'Z'),
+          policyType: 'CANCELLATION',
+        },
+      ];
+    }
+
+    if (this.guarantee) {
+      policies.guarantee = this.guarantee;
+    }
+
+    policies.paymentType = this.paymentType;
+    policies.refundable = {
+      cancellationRefund: policies.cancellations ? 'REFUNDABLE_UP_TO_DEADLINE' : 'NON_REFUNDABLE',
+    };
+
+    return policies;
+  }
+
+  /**
+   * Number of nights between two dates
+   * @param {string} checkInDate - Check-in date (YYYY-MM-DD)
+   * @param {string} checkOutDate - Check-out date (YYYY-MM-DD)
+   * @returns {number} Number of nights
+   */
+  static countNights(checkInDate, checkOutDate) {
+    const start = Date.parse(`${checkInDate}T00:00:00Z`);
+    const end = Date.parse(`${checkOutDate}T00:00:00Z`);
+    return Math.round((end - start) / MS_PER_DAY);
+  }
+}
+
+// Initialize the model
+HotelOffer.init(
+  {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'Unique identifier for the offer (e.g., 9S0WC96W8V)',
+    },
+    hotelId: {
+      type: DataTypes.STRING(8),
+      allowNull: false,
+      references: {
+        model: 'hotels',
+        key: 'hotelId',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Reference to hotel',
+    },
+    rateCode: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      comment: 'Rate plan code',
+    },
+    boardType: {
+      type: DataTypes.ENUM(...BOARD_TYPES),
+      allowNull: false,
+      defaultValue: 'ROOM_ONLY',
+      validate: {
+        isIn: {
+          args: [BOARD_TYPES],
+          msg: `Board type must be one of: ${BOARD_TYPES.join(', ')}`,
+        },
+      },
+      comment: 'Meals included in the rate',
+    },
+    room: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Room type, estimated type and description',
+    },
+    maxAdults: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 2,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'Max adults must be at least 1',
+        },
+      },
+      comment: 'Maximum number of adults the room accommodates',
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        is: {
+          args: /^[A-Z]{3}$/,
+          msg: 'Currency must be a 3-letter ISO 4217 code',
+        },
+      },
+      comment: 'ISO 4217 currency code',
+    },
+    nightlyBase: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Nightly base price cannot be negative',
+        },
+      },
+      comment: 'Base price per night before taxes',
+    },
+    taxes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isArrayOrNull(value) {
+          if (value !== null && value !== undefined && !Array.isArray(value)) {
+            throw new Error('Taxes must be an array');
+          }
+        },
+      },
+      comment: 'Array of tax objects (code, percentage or amount, included)',
+    },
+    cancellationDeadlineHours: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Free cancellation window in hours before check-in (null = non-refundable)',
+    },
+    guarantee: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Guarantee policy with accepted payments',
+    },
+    paymentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'guarantee',
+      comment: 'Payment type (guarantee, deposit, prepay)',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'HotelOffer',
+    tableName: 'hotel_offers',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_hotel_offers_hotel',
+        fields: ['hotelId'],
+      },
+    ],
+  }
+);
+
+module.exports = HotelOffer;
@@ -0,0 +1,157 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+const { getMediaStorage } = require('../utils/mediaStorage');
+
+class PoiMedia extends Model {
+  /**
+   * Format picture to public JSON response
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Formatted picture object
+   */
+  toPublicJSON(baseUrl) {
+    const storage = getMediaStorage();
+    const thumbnails = {};
+
+    Object.entries(this.thumbnails || {}).forEach(([size, thumbnail]) => {
+      thumbnails[size] = {
+        url: storage.getUrl(thumbnail.key, baseUrl),
+        width: thumbnail.width,
+        height: thumbnail.height,
+      };
+    });
+
+    return {
+      type: 'picture',
+      id: this.id,
+      self: this.getSelfLink(baseUrl),
+      url: storage.getUrl(this.fileKey, baseUrl),
+      contentType: this.contentType,
+      width: this.width,
+      height: this.height,
+      caption: this.caption,
+      position: this.position,
+      thumbnails,
+    };
+  }
+
+  /**
+   * Generate self link object for the picture
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Self link object
+   */
+  getSelfLink(baseUrl) {
+    return {
+      href: `${baseUrl}/v1/reference-data/locations/pois/${this.poiId}/pictures/${this.id}`,
+      methods: ['GET', 'PATCH', 'DELETE'],
+    };
+  }
+
+  /**
+   * Storage keys of the image and its thumbnails
+   * @returns {Array<string>} Keys
+   */
+  getFileKeys() {
+    return [this.fileKey, ...Object.values(this.thumbnails || {}).map(thumbnail => thumbnail.key)];
+  }
+}
+
+// Initialize the model
+PoiMedia.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+    },
+    poiId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'points_of_interest',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Reference to point of interest',
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'User who uploaded the picture',
+    },
+    fileKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Storage key of the full-size image',
+    },
+    contentType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'MIME type (image/jpeg, image/png or image/webp)',
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Width in pixels',
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Height in pixels',
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'File size in bytes',
+    },
+    thumbnails: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Thumbnails by size name: { key, width, height }',
+    },
+    caption: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 500],
+          msg: 'Caption must be at most 500 characters',
+        },
+      },
+      comment: 'Caption',
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'Position must be a positive integer',
+        },
+      },
+      comment: 'Position among the pictures of the POI (1 = first)',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'PoiMedia',
+    tableName: 'poi_media',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_poi_media_poi_position',
+        fields: ['poiId', 'position'],
+      },
+    ],
+  }
+);
+
+module.exports = PoiMedia;
@@ -0,0 +1,81 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+
+class PoiTranslation extends Model {
+  /**
+   * Format translation to public JSON response
+   * @returns {object} Formatted translation object
+   */
+  toPublicJSON() {
+    return {
+      type: 'translation',
+      locale: this.locale,
+      name: this.name,
+      description: this.description,
+    };
+  }
+}
+
+// Initialize the model
+PoiTranslation.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+    },
+    poiId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'points_of_interest',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Reference to point of interest',
+    },
+    locale: {
+      type: DataTypes.STRING(35),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Locale cannot be empty',
+        },
+      },
+      comment: 'Language tag (e.g., es, ca, en-GB)',
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [1, 255],
+          msg: 'Name must be between 1 and 255 characters',
+        },
+      },
+      comment: 'Translated name (null: the POI name)',
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Description in this language',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'PoiTranslation',
+    tableName: 'poi_translations',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_poi_translations_poi_locale',
+        fields: ['poiId', 'locale'],
+        unique: true,
+      },
+    ],
+  }
+);
+
+module.exports = PoiTranslation;
@@ -1,5 +1,35 @@
 const { Model, DataTypes } = require('sequelize');
 const { sequelize } = require('../config/sequelize');
+const { getCompassDirection } = require('../utils/geospatial');
+const { validateOpeningHours } = require('../utils/openingHours');
+const config = require('../config');
+
+// Members of the structured address
+const ADDRESS_FIELDS = ['street', 'postalCode', 'city', 'region', 'countryCode'];
+
+/**
+ * Validate a structured address
+ * @param {*} value - Address to validate
+ * @throws {Error} If the address is malformed
+ */
+function validateAddress(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Address must be an object');
+  }
+
+  Object.entries(value).forEach(([field, member]) => {
+    if (!ADDRESS_FIELDS.includes(field)) {
+      throw new Error(`Address fields must be: ${ADDRESS_FIELDS.join(', ')}`);
+    }
+    if (member !== null && (typeof member !== 'string' || member.length > 255)) {
+      throw new Error(`Address ${field} must be a string of at most 255 characters`);
+    }
+  });
+
+  if (value.countryCode && !/^[A-Z]{2}$/.test(value.countryCode)) {
+    throw new Error('Address countryCode must be an ISO 3166-1 alpha-2 code (e.g., ES)');
+  }
+}
 
 class PointOfInterest extends Model {
   /**
@@ -8,7 +38,7 @@ class PointOfInterest extends Model {
    * @returns {object} Formatted location object
    */
   toPublicJSON(baseUrl) {
-    return {
+    const result = {
       id: this.id,
       self: this.getSelfLink(baseUrl),
       type: this.type,
@@ -18,7 +48,188 @@ class PointOfInterest extends Model {
       category: this.category,
       rank: this.rank,
       tags: Array.isArray(this.tags) ? this.tags : [],
-      pictures: Array.isArray(this.pictures) ? this.pictures : [],
+      pictures: this.getPictures(baseUrl),
+      rating: this.getRating(),
+      locale: config.i18n.defaultLocale,
+    };
+
+    if (this.openingHours) {
+      result.openingHours = this.openingHours;
+    }
+
+    if (this.address) {
+      result.address = this.address;
+    }
+
+    if (this.phone || this.email || this.website) {
+      result.contact = this.getContact();
+    }
+
+    if (this.priceLevel) {
+      result.priceLevel = this.priceLevel;
+    }
+
+    if (this.description) {
+      result.description = this.description;
+    }
+
+    if (this.parentArea) {
+      result.parent = this.getParentLocation(baseUrl);
+    }
+
+    // Use the name and description resolved for the requested language
+    if (this.translation) {
+      const { locale, name, description } = this.translation;
+
+      result.locale = locale;
+      if (name) {
+        result.name = name;
+      }
+      if (description) {
+        result.description = description;
+      }
+    }
+
+    // Include distance, bearing or route position computed by a geo search,
+    // or name similarity computed by a corrected name search
+    if (this.searchContext) {
+      const { distance, bearing, distanceAlongRoute, similarity } = this.searchContext;
+
+      if (distance !== undefined) {
+        result.distance = {
+          value: Math.round(distance * 1000) / 1000,
+          unit: 'KM',
+        };
+      }
+
+      if (bearing !== undefined) {
+        result.bearing = {
+          value: Math.round(bearing * 10) / 10,
+          direction: getCompassDirection(bearing),
+        };
+      }
+
+      if (distanceAlongRoute !== undefined) {
+        result.distanceAlongRoute = {
+          value: Math.round(distanceAlongRoute * 1000) / 1000,
+          unit: 'KM',
+        };
+      }
+
+      if (similarity !== undefined) {
+        result.similarity = Math.round(similarity * 100) / 100;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Attach search results that are not persisted
+   * @param {object} context - Search context
+   * @param {number} [context.distance] - Distance from the search center or route in kilometers
+   * @param {number} [context.bearing] - Bearing from the search center in degrees
+   * @param {number} [context.distanceAlongRoute] - Position along the searched route in kilometers
+   * @param {number} [context.similarity] - Similarity of the name to a misspelled search (0-1)
+   * @returns {PointOfInterest} This instance, for chaining
+   */
+  setSearchContext(context) {
+    this.searchContext = context;
+    return this;
+  }
+
+  /**
+   * Attach the translation resolved for the requested language
+   * @param {object} translation - Translation (see PoiTranslationService.applyTranslations)
+   * @param {string} translation.locale - Language tag of the translation
+   * @param {string|null} translation.name - Translated name (null: keep the POI name)
+   * @param {string|null} translation.description - Description in this language
+   * @returns {PointOfInterest} This instance, for chaining
+   */
+  setTranslation(translation) {
+    this.translation = translation;
+    return this;
+  }
+
+  /**
+   * Attach the uploaded pictures of the POI
+   * @param {Array<PoiMedia>} media - Pictures in display order (see PoiMediaService.attachMedia)
+   * @returns {PointOfInterest} This instance, for chaining
+   */
+  setMedia(media) {
+    this.uploadedMedia = media;
+    return this;
+  }
+
+  /**
+   * Attach the district or city the POI belongs to
+   * @param {Area} area - Parent area (see AreaService.attachParents)
+   * @returns {PointOfInterest} This instance, for chaining
+   */
+  setParentArea(area) {
+    this.parentArea = area;
+    return this;
+  }
+
+  /**
+   * Get the parent area reference
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Parent location with id, subType, name and self link
+   */
+  getParentLocation(baseUrl) {
+    return {
+      id: this.parentArea.id,
+      type: 'location',
+      subType: this.parentArea.subType,
+      name: this.parentArea.name,
+      self: this.parentArea.getSelfLink(baseUrl),
+    };
+  }
+
+  /**
+   * Get picture objects: uploaded pictures (when attached), then external picture URLs
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {Array<object>} Pictures
+   */
+  getPictures(baseUrl) {
+    const uploaded = (this.uploadedMedia || []).map(media => media.toPublicJSON(baseUrl));
+    const external = (Array.isArray(this.pictures) ? this.pictures : []).map(url => ({
+      type: 'picture',
+      id: null,
+      url,
+      contentType: null,
+      width: null,
+      height: null,
+      caption: null,
+      position: null,
+      thumbnails: {},
+    }));
+
+    return [...uploaded, ...external];
+  }
+
+  /**
+   * Get the review rating summary (maintained from reviews by database triggers)
+   * @returns {object} Average rating (1-5, rounded to 0.1; null without reviews) and review count
+   */
+  getRating() {
+    const count = this.ratingCount || 0;
+
+    return {
+      average: count > 0 && this.ratingAverage !== null ? Math.round(this.ratingAverage * 10) / 10 : null,
+      count,
+    };
+  }
+
+  /**
+   * Get contact details
+   * @returns {object} Phone, email and website (null when not set)
+   */
+  getContact() {
+    return {
+      phone: this.phone || null,
+      email: this.email || null,
+      website: this.website || null,
     };
   }
 
@@ -221,7 +432,128 @@ PointOfInterest.init(
           }
         },
       },
-      comment: 'Array of picture URLs for the point of interest',
+      comment: 'Array of external picture URLs (uploaded pictures are in poi_media)',
+    },
+    openingHours: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      validate: {
+        isOpeningHours(value) {
+          if (value !== null && value !== undefined) {
+            validateOpeningHours(value);
+          }
+        },
+      },
+      comment: 'Weekly opening hours and exceptions in the POI time zone (see utils/openingHours)',
+    },
+    address: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      validate: {
+        isAddress(value) {
+          if (value !== null && value !== undefined) {
+            validateAddress(value);
+          }
+        },
+      },
+      comment: 'Postal address: street, postalCode, city, region, countryCode',
+    },
+    phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^\+?[0-9][0-9 ().-]{2,49}$/,
+          msg: 'Phone must be a phone number of digits, spaces, dots, dashes or parentheses',
+        },
+      },
+      comment: 'Contact phone number, preferably in international format',
+    },
+    website: {
+      type: DataTypes.STRING(2048),
+      allowNull: true,
+      validate: {
+        isHttpUrl(value) {
+          if (value === null || value === undefined) {
+            return;
+          }
+
+          let url;
+          try {
+            url = new URL(value);
+          } catch {
+            url = null;
+          }
+          if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('Website must be an http or https URL');
+          }
+        },
+      },
+      comment: 'Website URL (http or https)',
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: {
+          msg: 'Email must be a valid email address',
+        },
+      },
+      comment: 'Contact email address',
+    },
+    priceLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        isInt: {
+          msg: 'Price level must be an integer',
+        },
+        min: {
+          args: [1],
+          msg: 'Price level must be between 1 and 4',
+        },
+        max: {
+          args: [4],
+          msg: 'Price level must be between 1 and 4',
+        },
+      },
+      comment: 'Price level from 1 (inexpensive) to 4 (very expensive)',
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 1000],
+          msg: 'Description must be at most 1000 characters',
+        },
+      },
+      comment: 'Short description in the default language (translations may override it)',
+    },
+    parentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'areas',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'District or city the POI belongs to',
+    },
+    ratingAverage: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Average review rating (maintained by triggers on reviews)',
+    },
+    ratingCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Number of reviews (maintained by triggers on reviews)',
     },
   },
   {
@@ -246,6 +578,10 @@ PointOfInterest.init(
         name: 'idx_poi_category_rank',
         fields: ['category', 'rank'],
       },
+      {
+        name: 'idx_poi_parent',
+        fields: ['parentId'],
+      },
     ],
   }
 );
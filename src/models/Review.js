@@ -0,0 +1,147 @@
+const { Model, DataTypes } = require('sequelize');
+const { sequelize } = require('../config/sequelize');
+
+class Review extends Model {
+  /**
+   * Format Review instance to public JSON response
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Formatted review object
+   */
+  toPublicJSON(baseUrl) {
+    const result = {
+      type: 'review',
+      id: this.id,
+      self: this.getSelfLink(baseUrl),
+      poiId: this.poiId,
+      rating: this.rating,
+      text: this.text,
+      visitDate: this.visitDate,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+
+    // Include the author's public name if loaded (never the email)
+    if (this.user) {
+      result.author = {
+        id: this.user.id,
+        name: [this.user.firstName, this.user.lastName ? `${this.user.lastName.charAt(0)}.` : null]
+          .filter(Boolean)
+          .join(' ') || null,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Generate self link object for the review
+   * @param {string} baseUrl - Base URL for generating links
+   * @returns {object} Self link object
+   */
+  getSelfLink(baseUrl) {
+    return {
+      href: `${baseUrl}/v1/reference-data/locations/pois/${this.poiId}/reviews/${this.id}`,
+      methods: ['GET', 'PATCH', 'DELETE'],
+    };
+  }
+}
+
+// Initialize the model
+Review.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Reference to the author',
+    },
+    poiId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'points_of_interest',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: 'Reference to point of interest',
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        notNull: {
+          msg: 'Rating is required',
+        },
+        isInt: {
+          msg: 'Rating must be an integer',
+        },
+        min: {
+          args: [1],
+          msg: 'Rating must be between 1 and 5',
+        },
+        max: {
+          args: [5],
+          msg: 'Rating must be between 1 and 5',
+        },
+      },
+      comment: 'Star rating (1-5)',
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 5000],
+          msg: 'Review text must be at most 5000 characters',
+        },
+      },
+      comment: 'Review text',
+    },
+    visitDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      validate: {
+        isDate: {
+          msg: 'Visit date must be a valid date (YYYY-MM-DD)',
+        },
+        notInFuture(value) {
+          if (value && value > new Date().toISOString().slice(0, 10)) {
+            throw new Error('Visit date cannot be in the future');
+          }
+        },
+      },
+      comment: 'Date of the visit (YYYY-MM-DD)',
+    },
+  },
+  {
+    sequelize,
+    modelName: 'Review',
+    tableName: 'reviews',
+    timestamps: true,
+    indexes: [
+      {
+        name: 'idx_reviews_user_poi',
+        fields: ['userId', 'poiId'],
+        unique: true,
+      },
+      {
+        name: 'idx_reviews_poi_created',
+        fields: ['poiId', 'createdAt'],
+      },
+    ],
+  }
+);
+
+module.exports = Review;
@@ -12,6 +12,14 @@ class User extends Model {
     return bcrypt.compare(password, this.password);
   }
 
+  /**
+   * Check if the user has administrator privileges
+   * @returns {boolean} True if user is an admin
+   */
+  isAdmin() {
+    return this.role === 'admin';
+  }
+
   /**
    * Get user data without sensitive information
    * @returns {object} User object without password
@@ -23,6 +31,7 @@ class User extends Model {
       firstName: this.firstName,
       lastName: this.lastName,
       phone: this.phone,
+      role: this.role,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -99,6 +108,18 @@ User.init(
       },
       comment: 'User phone number',
     },
+    role: {
+      type: DataTypes.ENUM('user', 'admin'),
+      allowNull: false,
+      defaultValue: 'user',
+      validate: {
+        isIn: {
+          args: [['user', 'admin']],
+          msg: 'Role must be one of: user, admin',
+        },
+      },
+      comment: 'User role (admin can manage points of interest)',
+    },
   },
   {
     sequelize,
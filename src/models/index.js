@@ -1,8 +1,15 @@
 const { sequelize } = require('../config/sequelize');
 const PointOfInterest = require('./PointOfInterest');
+const PoiTranslation = require('./PoiTranslation');
+const PoiMedia = require('./PoiMedia');
 const User = require('./User');
 const UserFavorite = require('./UserFavorite');
 const Booking = require('./Booking');
+const Review = require('./Review');
+const Hotel = require('./Hotel');
+const HotelOffer = require('./HotelOffer');
+const Area = require('./Area');
+const Airport = require('./Airport');
 
 // Define relationships
 User.belongsToMany(PointOfInterest, {
@@ -50,12 +57,110 @@ Booking.belongsTo(PointOfInterest, {
   as: 'poi',
 });
 
+// Review relationships
+User.hasMany(Review, {
+  foreignKey: 'userId',
+  as: 'reviews',
+});
+
+PointOfInterest.hasMany(Review, {
+  foreignKey: 'poiId',
+  as: 'reviews',
+});
+
+Review.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user',
+});
+
+Review.belongsTo(PointOfInterest, {
+  foreignKey: 'poiId',
+  as: 'poi',
+});
+
+// POI translation relationships
+PointOfInterest.hasMany(PoiTranslation, {
+  foreignKey: 'poiId',
+  as: 'translations',
+});
+
+PoiTranslation.belongsTo(PointOfInterest, {
+  foreignKey: 'poiId',
+  as: 'poi',
+});
+
+// POI media relationships
+PointOfInterest.hasMany(PoiMedia, {
+  foreignKey: 'poiId',
+  as: 'media',
+});
+
+PoiMedia.belongsTo(PointOfInterest, {
+  foreignKey: 'poiId',
+  as: 'poi',
+});
+
+PoiMedia.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'uploader',
+});
+
+// Hotel relationships
+Hotel.hasMany(HotelOffer, {
+  foreignKey: 'hotelId',
+  as: 'offers',
+});
+
+HotelOffer.belongsTo(Hotel, {
+  foreignKey: 'hotelId',
+  as: 'hotel',
+});
+
+// Area hierarchy: city > district > POI
+Area.hasMany(Area, {
+  foreignKey: 'parentId',
+  as: 'districts',
+});
+
+Area.belongsTo(Area, {
+  foreignKey: 'parentId',
+  as: 'city',
+});
+
+Area.hasMany(PointOfInterest, {
+  foreignKey: 'parentId',
+  as: 'pois',
+});
+
+PointOfInterest.belongsTo(Area, {
+  foreignKey: 'parentId',
+  as: 'area',
+});
+
+// Airports serving a city
+Area.hasMany(Airport, {
+  foreignKey: 'cityId',
+  as: 'airports',
+});
+
+Airport.belongsTo(Area, {
+  foreignKey: 'cityId',
+  as: 'city',
+});
+
 // Export all models and sequelize instance
 module.exports = {
   sequelize,
   PointOfInterest,
+  PoiTranslation,
+  PoiMedia,
   User,
   UserFavorite,
   Booking,
+  Review,
+  Hotel,
+  HotelOffer,
+  Area,
+  Airport,
 };
 
@@ -0,0 +1,28 @@
+/**
+ * Airport Routes
+ * 
+ * Defines airport lookup routes for trip planning
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AirportController = require('../controllers/AirportController');
+
+// Import validation middleware
+const { validateGetAirports, validateGetAirportById } = require('../middleware/validation');
+
+/**
+ * GET /locations/airports
+ * Search airports by code, name or city, or nearest airports to a point
+ */
+router.get('/', validateGetAirports, AirportController.getAirports);
+
+/**
+ * GET /locations/airports/:airportId
+ * Get a single airport
+ */
+router.get('/:airportId', validateGetAirportById, AirportController.getAirport);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Area Routes
+ * 
+ * Defines city and district routes (the location hierarchy above POIs)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AreaController = require('../controllers/AreaController');
+
+// Import validation middleware
+const {
+  validateGetCities,
+  validateGetCityById,
+  validateGetDistricts,
+  validateGetDistrictById,
+} = require('../middleware/validation');
+
+/**
+ * GET /locations/cities
+ * List cities, optionally in one country
+ */
+router.get('/cities', validateGetCities, AreaController.getCities);
+
+/**
+ * GET /locations/cities/:cityId
+ * Get a city with its boundary
+ */
+router.get('/cities/:cityId', validateGetCityById, AreaController.getCity);
+
+/**
+ * GET /locations/cities/:cityId/districts
+ * List the districts of a city
+ */
+router.get('/cities/:cityId/districts', validateGetDistricts, AreaController.getCityDistricts);
+
+/**
+ * GET /locations/districts/:districtId
+ * Get a district with its boundary
+ */
+router.get('/districts/:districtId', validateGetDistrictById, AreaController.getDistrict);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Autocomplete Routes
+ * 
+ * Defines the search-as-you-type route of the search bar
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const AutocompleteController = require('../controllers/AutocompleteController');
+
+// Import validation middleware
+const { validateGetAutocomplete } = require('../middleware/validation');
+
+// Import content negotiation middleware
+const { negotiateLocale } = require('../middleware/contentNegotiation');
+
+/**
+ * GET /locations/autocomplete
+ * Ranked prefix suggestions across POIs, cities, districts and airports
+ */
+router.get('/', validateGetAutocomplete, negotiateLocale, AutocompleteController.getSuggestions);
+
+module.exports = router;
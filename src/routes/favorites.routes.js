@@ -16,11 +16,21 @@ const { validateAddFavorite, validateGetFavorites } = require('../middleware/val
 // Import authentication middleware
 const { authenticate } = require('../middleware/auth');
 
+// Import content negotiation middleware
+const { negotiateLocationFormat, negotiateLocale } = require('../middleware/contentNegotiation');
+
 /**
  * GET /favorites
  * Get all user's favorites (requires authentication)
  */
-router.get('/', authenticate, validateGetFavorites, FavoritesController.getFavorites);
+router.get(
+  '/',
+  authenticate,
+  validateGetFavorites,
+  negotiateLocationFormat,
+  negotiateLocale,
+  FavoritesController.getFavorites
+);
 
 /**
  * POST /favorites
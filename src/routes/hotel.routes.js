@@ -0,0 +1,28 @@
+/**
+ * Hotel Routes
+ * 
+ * Defines hotel offer search routes
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const HotelController = require('../controllers/HotelController');
+
+// Import validation middleware
+const { validateGetHotelOffers, validateGetHotelOfferById } = require('../middleware/validation');
+
+/**
+ * GET /hotel-offers
+ * Search hotel offers by hotel IDs, city code or coordinates
+ */
+router.get('/', validateGetHotelOffers, HotelController.searchOffers);
+
+/**
+ * GET /hotel-offers/:offerId
+ * Get a single hotel offer priced for the requested stay
+ */
+router.get('/:offerId', validateGetHotelOfferById, HotelController.getOffer);
+
+module.exports = router;
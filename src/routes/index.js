@@ -17,6 +17,11 @@ const poiRoutes = require('./poi.routes');
 const authRoutes = require('./auth.routes');
 const favoritesRoutes = require('./favorites.routes');
 const bookingRoutes = require('./booking.routes');
+const hotelRoutes = require('./hotel.routes');
+const tileRoutes = require('./tile.routes');
+const areaRoutes = require('./area.routes');
+const airportRoutes = require('./airport.routes');
+const autocompleteRoutes = require('./autocomplete.routes');
 
 /**
  * Mount POI routes at /v1/reference-data/locations/pois
@@ -24,10 +29,48 @@ const bookingRoutes = require('./booking.routes');
  * This matches the Amadeus API specification:
  * - GET /v1/reference-data/locations/pois
  * - GET /v1/reference-data/locations/pois/by-square
+ * - GET/POST /v1/reference-data/locations/pois/by-polygon
+ * - GET /v1/reference-data/locations/pois/along-route
+ * - GET /v1/reference-data/locations/pois/nearest
+ * - GET /v1/reference-data/locations/pois/categories
+ * - GET /v1/reference-data/locations/pois/stats
  * - GET /v1/reference-data/locations/pois/:poisId
+ * - POST /v1/reference-data/locations/pois (admin)
+ * - PUT/PATCH/DELETE /v1/reference-data/locations/pois/:poisId (admin)
+ * - GET /v1/reference-data/locations/pois/:poisId/translations
+ * - PUT/DELETE /v1/reference-data/locations/pois/:poisId/translations/:locale (admin)
+ * - GET/POST /v1/reference-data/locations/pois/:poisId/reviews (POST requires auth)
+ * - GET/PATCH/DELETE /v1/reference-data/locations/pois/:poisId/reviews/:reviewId (PATCH/DELETE require auth)
+ * - GET/POST /v1/reference-data/locations/pois/:poisId/pictures (POST requires auth, multipart/form-data)
+ * - GET/PATCH/DELETE /v1/reference-data/locations/pois/:poisId/pictures/:pictureId (PATCH/DELETE require auth)
  */
 router.use('/v1/reference-data/locations/pois', poiRoutes);
 
+/**
+ * Mount city and district routes at /v1/reference-data/locations
+ * 
+ * - GET /v1/reference-data/locations/cities
+ * - GET /v1/reference-data/locations/cities/:cityId
+ * - GET /v1/reference-data/locations/cities/:cityId/districts
+ * - GET /v1/reference-data/locations/districts/:districtId
+ */
+router.use('/v1/reference-data/locations', areaRoutes);
+
+/**
+ * Mount airport routes at /v1/reference-data/locations/airports
+ * 
+ * - GET /v1/reference-data/locations/airports
+ * - GET /v1/reference-data/locations/airports/:airportId
+ */
+router.use('/v1/reference-data/locations/airports', airportRoutes);
+
+/**
+ * Mount autocomplete routes at /v1/reference-data/locations/autocomplete
+ * 
+ * - GET /v1/reference-data/locations/autocomplete
+ */
+router.use('/v1/reference-data/locations/autocomplete', autocompleteRoutes);
+
 /**
  * Mount authentication routes at /v1/auth
  * 
@@ -60,6 +103,22 @@ router.use('/v1/favorites', favoritesRoutes);
  */
 router.use('/v1/bookings', bookingRoutes);
 
+/**
+ * Mount hotel offer routes at /v3/shopping/hotel-offers
+ * 
+ * Response shape follows spec/HotelResponseExample.json:
+ * - GET /v3/shopping/hotel-offers
+ * - GET /v3/shopping/hotel-offers/:offerId
+ */
+router.use('/v3/shopping/hotel-offers', hotelRoutes);
+
+/**
+ * Mount vector tile routes at /v1/tiles
+ * 
+ * - GET /v1/tiles/pois/:z/:x/:y.mvt
+ */
+router.use('/v1/tiles', tileRoutes);
+
 /**
  * API information endpoint
  */
@@ -72,7 +131,31 @@ router.get('/v1', (req, res) => {
       pois: '/v1/reference-data/locations/pois',
       poisBySquare: '/v1/reference-data/locations/pois/by-square',
       poisByName: '/v1/reference-data/locations/pois/by-name',
+      poisByPolygon: '/v1/reference-data/locations/pois/by-polygon',
+      poisAlongRoute: '/v1/reference-data/locations/pois/along-route',
+      poisNearest: '/v1/reference-data/locations/pois/nearest',
+      poisCategories: '/v1/reference-data/locations/pois/categories',
+      poisStats: '/v1/reference-data/locations/pois/stats',
       poisById: '/v1/reference-data/locations/pois/:poisId',
+      poisAdmin: {
+        create: '/v1/reference-data/locations/pois',
+        replace: '/v1/reference-data/locations/pois/:poisId',
+        update: '/v1/reference-data/locations/pois/:poisId',
+        delete: '/v1/reference-data/locations/pois/:poisId',
+      },
+      cities: {
+        list: '/v1/reference-data/locations/cities',
+        get: '/v1/reference-data/locations/cities/:cityId',
+        districts: '/v1/reference-data/locations/cities/:cityId/districts',
+      },
+      districts: {
+        get: '/v1/reference-data/locations/districts/:districtId',
+      },
+      airports: {
+        search: '/v1/reference-data/locations/airports',
+        get: '/v1/reference-data/locations/airports/:airportId',
+      },
+      autocomplete: '/v1/reference-data/locations/autocomplete',
       auth: {
         register: '/v1/auth/register',
         login: '/v1/auth/login',
@@ -93,6 +176,13 @@ router.get('/v1', (req, res) => {
         cancel: '/v1/bookings/:bookingId',
         availability: '/v1/bookings/availability',
       },
+      hotelOffers: {
+        search: '/v3/shopping/hotel-offers',
+        get: '/v3/shopping/hotel-offers/:offerId',
+      },
+      tiles: {
+        pois: '/v1/tiles/pois/:z/:x/:y.mvt',
+      },
       health: '/health',
       documentation: '/api-docs',
     },
@@ -13,39 +13,175 @@ const {
   getPointOfInterest,
   getPointsOfInterestBySquare,
   getPointsOfInterestByName,
+  getPointsOfInterestByPolygon,
+  getPointsOfInterestAlongRoute,
+  getNearestPointsOfInterest,
+  getPointOfInterestCategories,
+  getPointOfInterestStatistics,
+  createPointOfInterest,
+  replacePointOfInterest,
+  updatePointOfInterest,
+  deletePointOfInterest,
+  importPointsOfInterest,
+  getPointOfInterestTranslations,
+  savePointOfInterestTranslation,
+  deletePointOfInterestTranslation,
+  getPointOfInterestPictures,
+  getPointOfInterestPicture,
+  uploadPointOfInterestPicture,
+  updatePointOfInterestPicture,
+  deletePointOfInterestPicture,
 } = require('../controllers/PoiController');
+const ReviewController = require('../controllers/ReviewController');
 
 // Import validation middleware
 const {
   validateGetPois,
   validateGetPoisBySquare,
   validateGetPoisByName,
+  validateGetPoisByPolygon,
+  validateGetPoisAlongRoute,
+  validateGetNearestPois,
+  validateGetPoiCategories,
+  validateGetPoiStatistics,
   validateGetPoiById,
+  validateCreatePoi,
+  validateReplacePoi,
+  validateUpdatePoi,
+  validateImportPois,
+  validateTranslationLocale,
+  validateSaveTranslation,
+  validateGetReviews,
+  validateGetReviewById,
+  validateCreateReview,
+  validateUpdateReview,
+  validateUploadPicture,
+  validateUpdatePicture,
+  validateGetPictureById,
 } = require('../middleware/validation');
 
+// Import upload middleware
+const { parsePictureUpload } = require('../middleware/upload');
+
+// Import content negotiation middleware
+const { negotiateLocationFormat, negotiateLocale } = require('../middleware/contentNegotiation');
+
+// Import authentication middleware
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
 /**
  * GET /pois/by-square
- * Search POIs within a rectangular bounding box
+ * Search POIs within a rectangular bounding box, or map clusters when zoom is given
  * 
  * IMPORTANT: This route must come BEFORE /pois/:poisId
  * Otherwise Express will match "by-square" as a poisId parameter
  */
-router.get('/by-square', validateGetPoisBySquare, getPointsOfInterestBySquare);
+router.get(
+  '/by-square',
+  validateGetPoisBySquare,
+  negotiateLocationFormat,
+  negotiateLocale,
+  getPointsOfInterestBySquare
+);
 
 /**
  * GET /pois/by-name
- * Search POIs by name (case-insensitive partial match)
+ * Full-text search of POI names and tags (accent-insensitive, prefix, by relevance)
  * 
  * IMPORTANT: This route must come BEFORE /pois/:poisId
  * Otherwise Express will match "by-name" as a poisId parameter
  */
-router.get('/by-name', validateGetPoisByName, getPointsOfInterestByName);
+router.get(
+  '/by-name',
+  validateGetPoisByName,
+  negotiateLocationFormat,
+  negotiateLocale,
+  getPointsOfInterestByName
+);
+
+/**
+ * GET /pois/by-polygon
+ * Search POIs inside an area given as an encoded polyline (`polyline` query parameter)
+ * 
+ * IMPORTANT: This route must come BEFORE /pois/:poisId
+ * Otherwise Express will match "by-polygon" as a poisId parameter
+ */
+router.get(
+  '/by-polygon',
+  validateGetPoisByPolygon,
+  negotiateLocationFormat,
+  negotiateLocale,
+  getPointsOfInterestByPolygon
+);
+
+/**
+ * POST /pois/by-polygon
+ * Search POIs inside a GeoJSON Polygon or MultiPolygon sent as the body
+ * 
+ * application/geo+json bodies are parsed here; application/json is parsed app-wide
+ */
+router.post(
+  '/by-polygon',
+  express.json({ type: 'application/geo+json' }),
+  validateGetPoisByPolygon,
+  negotiateLocationFormat,
+  negotiateLocale,
+  getPointsOfInterestByPolygon
+);
+
+/**
+ * GET /pois/along-route
+ * Search POIs within a corridor around a route (`polyline` and `width` query parameters)
+ * 
+ * IMPORTANT: This route must come BEFORE /pois/:poisId
+ * Otherwise Express will match "along-route" as a poisId parameter
+ */
+router.get(
+  '/along-route',
+  validateGetPoisAlongRoute,
+  negotiateLocationFormat,
+  negotiateLocale,
+  getPointsOfInterestAlongRoute
+);
+
+/**
+ * GET /pois/nearest
+ * Get the POIs closest to a point, without a radius cap
+ * 
+ * IMPORTANT: This route must come BEFORE /pois/:poisId
+ * Otherwise Express will match "nearest" as a poisId parameter
+ */
+router.get(
+  '/nearest',
+  validateGetNearestPois,
+  negotiateLocationFormat,
+  negotiateLocale,
+  getNearestPointsOfInterest
+);
+
+/**
+ * GET /pois/categories
+ * Category catalog with POI counts (optionally within a bounding box)
+ * 
+ * IMPORTANT: This route must come BEFORE /pois/:poisId
+ * Otherwise Express will match "categories" as a poisId parameter
+ */
+router.get('/categories', validateGetPoiCategories, getPointOfInterestCategories);
+
+/**
+ * GET /pois/stats
+ * POI statistics: category counts, tag frequencies and rank distribution
+ * 
+ * IMPORTANT: This route must come BEFORE /pois/:poisId
+ * Otherwise Express will match "stats" as a poisId parameter
+ */
+router.get('/stats', validateGetPoiStatistics, getPointOfInterestStatistics);
 
 /**
  * GET /pois/:poisId
  * Get a single POI by ID
  */
-router.get('/:poisId', validateGetPoiById, getPointOfInterest);
+router.get('/:poisId', validateGetPoiById, negotiateLocale, getPointOfInterest);
 
 /**
  * GET /pois
@@ -53,7 +189,200 @@ router.get('/:poisId', validateGetPoiById, getPointOfInterest);
  * 
  * This route must come AFTER the specific routes above
  */
-router.get('/', validateGetPois, getPointsOfInterest);
+router.get('/', validateGetPois, negotiateLocationFormat, negotiateLocale, getPointsOfInterest);
+
+/**
+ * POST /pois
+ * Create a POI (requires admin authentication)
+ */
+router.post('/', authenticate, requireAdmin, validateCreatePoi, createPointOfInterest);
+
+/**
+ * POST /pois/import
+ * Bulk import POIs from GeoJSON or CSV (requires admin authentication)
+ * 
+ * Import files can be larger than the default body limit, so JSON and GeoJSON
+ * (application/json, application/geo+json) and CSV (text/csv) bodies are parsed
+ * here rather than by the application-wide JSON parser (see app.js)
+ */
+router.post(
+  '/import',
+  authenticate,
+  requireAdmin,
+  express.json({ type: ['application/json', 'application/geo+json'], limit: '10mb' }),
+  express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }),
+  validateImportPois,
+  importPointsOfInterest
+);
+
+/**
+ * PUT /pois/:poisId
+ * Replace a POI (requires admin authentication)
+ */
+router.put(
+  '/:poisId',
+  authenticate,
+  requireAdmin,
+  validateGetPoiById,
+  validateReplacePoi,
+  replacePointOfInterest
+);
+
+/**
+ * PATCH /pois/:poisId
+ * Partially update a POI (requires admin authentication)
+ */
+router.patch(
+  '/:poisId',
+  authenticate,
+  requireAdmin,
+  validateGetPoiById,
+  validateUpdatePoi,
+  updatePointOfInterest
+);
+
+/**
+ * DELETE /pois/:poisId
+ * Delete a POI (requires admin authentication)
+ */
+router.delete(
+  '/:poisId',
+  authenticate,
+  requireAdmin,
+  validateGetPoiById,
+  deletePointOfInterest
+);
+
+/**
+ * GET /pois/:poisId/translations
+ * List the names and descriptions of a POI per language
+ */
+router.get('/:poisId/translations', validateGetPoiById, getPointOfInterestTranslations);
+
+/**
+ * PUT /pois/:poisId/translations/:locale
+ * Create or replace a translation (requires admin authentication)
+ */
+router.put(
+  '/:poisId/translations/:locale',
+  authenticate,
+  requireAdmin,
+  validateGetPoiById,
+  validateSaveTranslation,
+  savePointOfInterestTranslation
+);
+
+/**
+ * DELETE /pois/:poisId/translations/:locale
+ * Delete a translation (requires admin authentication)
+ */
+router.delete(
+  '/:poisId/translations/:locale',
+  authenticate,
+  requireAdmin,
+  validateGetPoiById,
+  validateTranslationLocale,
+  deletePointOfInterestTranslation
+);
+
+/**
+ * GET /pois/:poisId/reviews
+ * List the reviews of a POI, most recent first
+ */
+router.get('/:poisId/reviews', validateGetPoiById, validateGetReviews, ReviewController.getReviews);
+
+/**
+ * POST /pois/:poisId/reviews
+ * Review a POI, once per user (requires authentication)
+ */
+router.post(
+  '/:poisId/reviews',
+  authenticate,
+  validateGetPoiById,
+  validateCreateReview,
+  ReviewController.createReview
+);
+
+/**
+ * GET /pois/:poisId/reviews/:reviewId
+ * Get a review
+ */
+router.get('/:poisId/reviews/:reviewId', validateGetPoiById, validateGetReviewById, ReviewController.getReview);
+
+/**
+ * PATCH /pois/:poisId/reviews/:reviewId
+ * Edit a review (requires authentication, author only)
+ */
+router.patch(
+  '/:poisId/reviews/:reviewId',
+  authenticate,
+  validateGetPoiById,
+  validateGetReviewById,
+  validateUpdateReview,
+  ReviewController.updateReview
+);
+
+/**
+ * DELETE /pois/:poisId/reviews/:reviewId
+ * Delete a review (requires authentication, author or admin)
+ */
+router.delete(
+  '/:poisId/reviews/:reviewId',
+  authenticate,
+  validateGetPoiById,
+  validateGetReviewById,
+  ReviewController.deleteReview
+);
+
+/**
+ * GET /pois/:poisId/pictures
+ * List the uploaded pictures of a POI, in display order
+ */
+router.get('/:poisId/pictures', validateGetPoiById, getPointOfInterestPictures);
+
+/**
+ * POST /pois/:poisId/pictures
+ * Upload a picture as multipart/form-data (requires authentication)
+ */
+router.post(
+  '/:poisId/pictures',
+  authenticate,
+  validateGetPoiById,
+  parsePictureUpload,
+  validateUploadPicture,
+  uploadPointOfInterestPicture
+);
+
+/**
+ * GET /pois/:poisId/pictures/:pictureId
+ * Get an uploaded picture
+ */
+router.get('/:poisId/pictures/:pictureId', validateGetPoiById, validateGetPictureById, getPointOfInterestPicture);
+
+/**
+ * PATCH /pois/:poisId/pictures/:pictureId
+ * Change the caption or position of a picture (requires authentication, uploader or admin)
+ */
+router.patch(
+  '/:poisId/pictures/:pictureId',
+  authenticate,
+  validateGetPoiById,
+  validateGetPictureById,
+  validateUpdatePicture,
+  updatePointOfInterestPicture
+);
+
+/**
+ * DELETE /pois/:poisId/pictures/:pictureId
+ * Delete a picture and its files (requires authentication, uploader or admin)
+ */
+router.delete(
+  '/:poisId/pictures/:pictureId',
+  authenticate,
+  validateGetPoiById,
+  validateGetPictureById,
+  deletePointOfInterestPicture
+);
 
 module.exports = router;
 
@@ -0,0 +1,22 @@
+/**
+ * Tile Routes
+ * 
+ * Defines vector tile routes for map clients
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const TileController = require('../controllers/TileController');
+
+// Import validation middleware
+const { validateGetPoiTile } = require('../middleware/validation');
+
+/**
+ * GET /tiles/pois/:z/:x/:y.mvt
+ * Mapbox Vector Tile of the POIs in a Web Mercator tile
+ */
+router.get('/pois/:z/:x/:y.mvt', validateGetPoiTile, TileController.getPoiTile);
+
+module.exports = router;
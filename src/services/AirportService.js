@@ -0,0 +1,269 @@
+const { Airport, Area, sequelize } = require('../models');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const { calculateDistance, getBoundingBox } = require('../utils/geospatial');
+const { parseCsv } = require('../utils/csv');
+
+/**
+ * CSV columns read for each airport attribute, in order of preference:
+ * the API's own names, then the OurAirports (airports.csv) names
+ */
+const CSV_COLUMNS = {
+  iataCode: ['iataCode', 'iata_code', 'iata'],
+  icaoCode: ['icaoCode', 'icao_code', 'icao', 'gps_code'],
+  name: ['name'],
+  cityName: ['cityName', 'municipality', 'city'],
+  cityCode: ['cityCode', 'city_code'],
+  countryCode: ['countryCode', 'iso_country', 'country_code'],
+  latitude: ['latitude', 'latitude_deg', 'lat'],
+  longitude: ['longitude', 'longitude_deg', 'lon', 'lng'],
+  timeZone: ['timeZone', 'time_zone', 'timezone', 'tz'],
+};
+
+/**
+ * Read the first non-empty column of a CSV record
+ * @param {object} record - CSV record keyed by header
+ * @param {Array<string>} columns - Candidate column names
+ * @returns {string|undefined} Trimmed value
+ */
+function readColumn(record, columns) {
+  const column = columns.find(name => record[name] !== undefined && String(record[name]).trim() !== '');
+  return column ? String(record[column]).trim() : undefined;
+}
+
+/**
+ * Map a CSV record onto Airport attributes
+ * @param {object} record - CSV record keyed by header
+ * @returns {object} Airport attributes; absent values are left out so updates keep existing data
+ */
+function mapCsvRecord(record) {
+  const attributes = {};
+
+  Object.entries(CSV_COLUMNS).forEach(([attribute, columns]) => {
+    const value = readColumn(record, columns);
+    if (value === undefined) {
+      return;
+    }
+
+    if (attribute === 'latitude' || attribute === 'longitude') {
+      attributes[attribute] = Number(value);
+    } else if (attribute.endsWith('Code')) {
+      attributes[attribute] = value.toUpperCase();
+    } else {
+      attributes[attribute] = value;
+    }
+  });
+
+  if (attributes.iataCode) {
+    attributes.id = `A${attributes.iataCode}`;
+  }
+
+  return attributes;
+}
+
+/**
+ * Airport Service
+ * Handles airport lookup by code, name or city, nearest airports, and CSV imports
+ */
+class AirportService {
+  /**
+   * Search airports by keyword and/or distance from a point
+   * Without coordinates, exact IATA, ICAO and city code matches come first,
+   * then names starting with the keyword, then other matches, by name.
+   * With coordinates, airports within the radius are returned closest first.
+   * @param {object} criteria - Search criteria
+   * @param {string} [criteria.keyword] - Text matching the IATA, ICAO or city code, name or city name
+   * @param {number} [criteria.latitude] - Latitude of the point
+   * @param {number} [criteria.longitude] - Longitude of the point
+   * @param {number} [criteria.radius] - Search radius in kilometers (default: 500)
+   * @param {string} [criteria.countryCode] - Only airports in this country
+   * @param {number} criteria.limit - Page size
+   * @param {number} criteria.offset - Number of airports to skip
+   * @returns {Promise<{rows: Array<{airport: Airport, distance: number}>, count: number}>}
+   *   Airports (with their distance for a coordinate search) and total count
+   */
+  static async searchAirports(criteria) {
+    const { keyword, latitude, longitude, radius = 500, countryCode, limit, offset } = criteria;
+    const where = {};
+
+    if (countryCode) {
+      where.countryCode = countryCode;
+    }
+
+    let relevance = null;
+    if (keyword) {
+      // LIKE wildcards in the keyword are matched literally by dropping them
+      const text = keyword.trim().replace(/[%_]/g, '');
+      const code = text.toUpperCase();
+
+      where[Op.or] = [
+        { iataCode: code },
+        { icaoCode: code },
+        { cityCode: code },
+        { name: { [Op.like]: `%${text}%` } },
+        { cityName: { [Op.like]: `%${text}%` } },
+      ];
+
+      relevance = sequelize.literal(`CASE
+        WHEN iataCode = ${sequelize.escape(code)} THEN 0
+        WHEN icaoCode = ${sequelize.escape(code)} OR cityCode = ${sequelize.escape(code)} THEN 1
+        WHEN name LIKE ${sequelize.escape(`${text}%`)} OR cityName LIKE ${sequelize.escape(`${text}%`)} THEN 2
+        ELSE 3 END`);
+    }
+
+    const isGeoSearch = latitude !== undefined && longitude !== undefined;
+    if (!isGeoSearch) {
+      const { rows, count } = await Airport.findAndCountAll({
+        where,
+        limit,
+        offset,
+        order: [...(relevance ? [[relevance, 'ASC']] : []), ['name', 'ASC'], ['id', 'ASC']],
+      });
+
+      return { rows: rows.map(airport => ({ airport })), count };
+    }
+
+    const bbox = getBoundingBox(latitude, longitude, radius);
+    where.latitude = { [Op.between]: [bbox.south, bbox.north] };
+
+    // Near the poles the box spans every longitude (the computed sides are not numbers)
+    if (!isNaN(bbox.west) && !isNaN(bbox.east)) {
+      where.longitude =
+        bbox.west <= bbox.east
+          ? { [Op.between]: [bbox.west, bbox.east] }
+          : { [Op.or]: [{ [Op.gte]: bbox.west }, { [Op.lte]: bbox.east }] };
+    }
+
+    const airports = await Airport.findAll({ where });
+
+    // Keep airports inside the search circle, closest first
+    const matches = airports
+      .map(airport => ({
+        airport,
+        distance: calculateDistance(latitude, longitude, parseFloat(airport.latitude), parseFloat(airport.longitude)),
+      }))
+      .filter(item => item.distance <= radius)
+      .sort((a, b) => a.distance - b.distance || a.airport.id.localeCompare(b.airport.id));
+
+    return {
+      rows: matches.slice(offset, offset + limit),
+      count: matches.length,
+    };
+  }
+
+  /**
+   * Get an airport
+   * @param {string} airportId - Airport location ID (e.g., ABCN)
+   * @returns {Promise<Airport>} Airport
+   * @throws {NotFoundError} If the airport does not exist
+   */
+  static async getAirport(airportId) {
+    const airport = await Airport.findByPk(airportId);
+
+    if (!airport) {
+      throw new NotFoundError('Airport not found', { parameter: 'airportId' });
+    }
+
+    return airport;
+  }
+
+  /**
+   * Import airports from a CSV dataset, upserting by IATA code
+   * Columns use the API's attribute names or the OurAirports airports.csv names
+   * (iata_code, gps_code, municipality, iso_country, latitude_deg, longitude_deg).
+   * Rows without an IATA code, and closed airports, are skipped. Airports are
+   * linked to the city in the areas table whose IATA code is their city code
+   * (or, without one, their own code).
+   * @param {string} text - CSV content with a header row
+   * @param {object} options - Import options
+   * @param {boolean} options.dryRun - Validate only, do not write
+   * @returns {Promise<object>} Report with per-row results and summary counts
+   * @throws {ValidationError} If the CSV cannot be parsed or has no rows
+   */
+  static async importCsv(text, options = {}) {
+    const { dryRun = false } = options;
+
+    let records;
+    try {
+      records = parseCsv(text);
+    } catch (error) {
+      throw new ValidationError(`Invalid CSV: ${error.message}`, { parameter: 'body' });
+    }
+
+    if (records.length === 0) {
+      throw new ValidationError('Import file contains no rows', { parameter: 'body' });
+    }
+
+    const cities = await Area.findAll({
+      attributes: ['id', 'iataCode'],
+      where: { subType: 'CITY', iataCode: { [Op.ne]: null } },
+    });
+    const citiesByCode = new Map(cities.map(city => [city.iataCode, city.id]));
+
+    return sequelize.transaction(async transaction => {
+      const existing = await Airport.findAll({ transaction });
+      const airportsById = new Map(existing.map(airport => [airport.id, airport]));
+
+      const results = [];
+
+      for (const [index, record] of records.entries()) {
+        // Line 1 is the header
+        const result = { source: { line: index + 2 } };
+        const attributes = mapCsvRecord(record);
+
+        if (!attributes.iataCode || String(record.type).toLowerCase() === 'closed') {
+          results.push({ ...result, id: attributes.id, status: 'skipped' });
+          continue;
+        }
+
+        const cityCode = attributes.cityCode || attributes.iataCode;
+        if (citiesByCode.has(cityCode)) {
+          attributes.cityId = citiesByCode.get(cityCode);
+          attributes.cityCode = cityCode;
+        }
+
+        let airport = airportsById.get(attributes.id);
+        const status = airport ? 'updated' : 'created';
+
+        if (airport) {
+          airport.set(attributes);
+        } else {
+          airport = Airport.build(attributes);
+        }
+
+        try {
+          await airport.validate();
+          if (!dryRun) {
+            await airport.save({ transaction });
+          }
+        } catch (error) {
+          if (!['SequelizeValidationError', 'SequelizeUniqueConstraintError'].includes(error.name)) {
+            throw error;
+          }
+          if (status === 'updated') {
+            await airport.reload({ transaction });
+          }
+          results.push({ ...result, id: attributes.id, status: 'rejected', errors: error.errors.map(e => e.message) });
+          continue;
+        }
+
+        // Later rows with the same code update this one
+        airportsById.set(attributes.id, airport);
+        results.push({ ...result, id: attributes.id, status });
+      }
+
+      const summary = { total: results.length, created: 0, updated: 0, skipped: 0, rejected: 0 };
+      results.forEach(result => {
+        summary[result.status]++;
+      });
+
+      return {
+        dryRun,
+        summary,
+        results,
+      };
+    });
+  }
+}
+
+module.exports = AirportService;
@@ -0,0 +1,140 @@
+const { Area } = require('../models');
+const { NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
+
+/**
+ * Area Service
+ * Handles the city > district > POI hierarchy: browsing cities and districts,
+ * and placing POIs in the area whose boundary contains them
+ */
+class AreaService {
+  /**
+   * List cities, by name
+   * @param {object} options - Listing options
+   * @param {string} [options.countryCode] - Only cities in this country
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Number of cities to skip
+   * @returns {Promise<{rows: Array<Area>, count: number}>} Cities and total count
+   */
+  static async getCities({ countryCode, limit, offset }) {
+    const where = { subType: 'CITY' };
+    if (countryCode) {
+      where.countryCode = countryCode;
+    }
+
+    return Area.findAndCountAll({
+      where,
+      limit,
+      offset,
+      order: [['name', 'ASC'], ['id', 'ASC']],
+    });
+  }
+
+  /**
+   * Get a city
+   * @param {string} cityId - City ID
+   * @returns {Promise<Area>} City
+   * @throws {NotFoundError} If the city does not exist
+   */
+  static async getCity(cityId) {
+    const city = await Area.findOne({ where: { id: cityId, subType: 'CITY' } });
+
+    if (!city) {
+      throw new NotFoundError('City not found', { parameter: 'cityId' });
+    }
+
+    return city;
+  }
+
+  /**
+   * List the districts of a city, by name
+   * @param {string} cityId - City ID
+   * @param {object} options - Listing options
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Number of districts to skip
+   * @returns {Promise<{rows: Array<Area>, count: number}>} Districts and total count
+   * @throws {NotFoundError} If the city does not exist
+   */
+  static async getDistricts(cityId, { limit, offset }) {
+    await this.getCity(cityId);
+
+    return Area.findAndCountAll({
+      where: { subType: 'DISTRICT', parentId: cityId },
+      limit,
+      offset,
+      order: [['name', 'ASC'], ['id', 'ASC']],
+    });
+  }
+
+  /**
+   * Get a district
+   * @param {string} districtId - District ID
+   * @returns {Promise<Area>} District
+   * @throws {NotFoundError} If the district does not exist
+   */
+  static async getDistrict(districtId) {
+    const district = await Area.findOne({ where: { id: districtId, subType: 'DISTRICT' } });
+
+    if (!district) {
+      throw new NotFoundError('District not found', { parameter: 'districtId' });
+    }
+
+    return district;
+  }
+
+  /**
+   * Attach the parent area of each POI
+   * @param {Array<PointOfInterest>} pois - POIs (modified in place)
+   * @returns {Promise<Array<PointOfInterest>>} The same POIs
+   */
+  static async attachParents(pois) {
+    const parentIds = [...new Set((pois || []).map(poi => poi.parentId).filter(Boolean))];
+    if (parentIds.length === 0) {
+      return pois;
+    }
+
+    const areas = await Area.findAll({ where: { id: { [Op.in]: parentIds } } });
+    const areasById = new Map(areas.map(area => [area.id, area]));
+
+    pois.forEach(poi => {
+      if (areasById.has(poi.parentId)) {
+        poi.setParentArea(areasById.get(poi.parentId));
+      }
+    });
+
+    return pois;
+  }
+
+  /**
+   * Load the areas with a boundary, to place several POIs with one query
+   * @returns {Promise<function(number, number): (string|null)>} Locator returning the ID of the
+   *   district containing a point, else of the city containing it, else null
+   */
+  static async getAreaLocator() {
+    const areas = await Area.findAll({
+      where: { boundary: { [Op.ne]: null } },
+      order: [['subType', 'DESC'], ['id', 'ASC']],
+    });
+
+    // DISTRICT sorts before CITY: the most precise area wins
+    return (latitude, longitude) => {
+      const area = areas.find(candidate => candidate.contains(latitude, longitude));
+      return area ? area.id : null;
+    };
+  }
+
+  /**
+   * Check that an area exists, to reference it as the parent of a POI
+   * @param {string} areaId - City or district ID
+   * @throws {NotFoundError} If the area does not exist
+   */
+  static async assertAreaExists(areaId) {
+    const area = await Area.findByPk(areaId);
+
+    if (!area) {
+      throw new NotFoundError(`Area with id '${areaId}' not found`, { parameter: 'parentId' });
+    }
+  }
+}
+
+module.exports = AreaService;
@@ -0,0 +1,254 @@
+const { PointOfInterest, Area, Airport, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { calculateDistance } = require('../utils/geospatial');
+const { toSearchTerms, buildMatchExpression, buildMatchSubquery } = require('./PoiSearchIndex');
+const { distanceSql } = require('./PoiSpatialIndex');
+const PoiTranslationService = require('./PoiTranslationService');
+
+/**
+ * Candidates read from each source before ranking
+ */
+const CANDIDATE_LIMIT = 50;
+
+/**
+ * Text score by how the keyword matches the name: the name starts with it,
+ * a word of the name starts with it, every term starts some word, or the
+ * location matched on another field (translated name, code or city)
+ */
+const MATCH_SCORES = {
+  prefix: 1,
+  word: 0.8,
+  terms: 0.6,
+  other: 0.4,
+};
+
+/**
+ * Score of a keyword that is exactly the IATA or ICAO code of an airport or city
+ */
+const CODE_MATCH_SCORE = 1.2;
+
+/**
+ * Boost by sub-type, so a city or airport outranks a POI with an equally good name match
+ */
+const SUBTYPE_BOOSTS = {
+  CITY: 0.15,
+  AIRPORT: 0.1,
+  DISTRICT: 0.05,
+  POINT_OF_INTEREST: 0,
+};
+
+/**
+ * Boost of a rank 1 POI; a rank n POI gets 1/n of it
+ */
+const POI_RANK_BOOST = 0.1;
+
+/**
+ * Distance in kilometers at which the proximity bias costs a quarter of the
+ * score; far away locations keep half of it
+ */
+const PROXIMITY_SCALE_KM = 25;
+
+/**
+ * Fold text like toSearchTerms, keeping where each folded character comes from
+ *
+ * @param {string} text - Text to fold
+ * @returns {{folded: string, offsets: Array<number>}} Folded text, and for each of its
+ *   characters (plus the end) the UTF-16 offset of its source character in the text
+ */
+function foldWithOffsets(text) {
+  let folded = '';
+  const offsets = [];
+  let offset = 0;
+
+  for (const char of text) {
+    const foldedChar = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let i = 0; i < foldedChar.length; i++) {
+      offsets.push(offset);
+    }
+    folded += foldedChar;
+    offset += char.length;
+  }
+  offsets.push(offset);
+
+  return { folded, offsets };
+}
+
+/**
+ * Match search terms against a name
+ * The terms must start consecutive words of the name, the last one possibly
+ * partially typed; failing that, each term must start some word.
+ *
+ * @param {string} name - Displayed name
+ * @param {Array<string>} terms - Search terms (see PoiSearchIndex.toSearchTerms)
+ * @returns {{match: string, highlight: object|null}} Match kind (see MATCH_SCORES) and the
+ *   span of the name to highlight ({offset, length} in UTF-16 code units)
+ *
+ * @example
+ * matchName('Casa Batlló', ['batl']);
+ * // { match: 'word', highlight: { offset: 5, length: 4 } }
+ */
+function matchName(name, terms) {
+  const { folded, offsets } = foldWithOffsets(name);
+  const words = [...folded.matchAll(/[\p{L}\p{N}]+/gu)].map(word => ({ text: word[0], start: word.index }));
+  const span = (start, end) => ({ offset: offsets[start], length: offsets[end] - offsets[start] });
+
+  for (let first = 0; first + terms.length <= words.length; first++) {
+    if (terms.every((term, i) => words[first + i].text.startsWith(term))) {
+      const last = words[first + terms.length - 1];
+      return {
+        match: first === 0 ? 'prefix' : 'word',
+        highlight: span(words[first].start, last.start + terms[terms.length - 1].length),
+      };
+    }
+  }
+
+  const firstTermWord = words.find(word => word.text.startsWith(terms[0]));
+  if (firstTermWord && terms.every(term => words.some(word => word.text.startsWith(term)))) {
+    return {
+      match: 'terms',
+      highlight: span(firstTermWord.start, firstTermWord.start + terms[0].length),
+    };
+  }
+
+  return { match: 'other', highlight: null };
+}
+
+/**
+ * Autocomplete Service
+ * Ranked prefix suggestions over POIs, cities, districts and airports, for search-as-you-type
+ */
+class AutocompleteService {
+  /**
+   * Suggest locations whose name starts with, or has words starting with, the keyword
+   * Each source contributes its best candidates (closest first with coordinates,
+   * else by rank or name); they are then scored by how well the name matches,
+   * by sub-type and POI rank, and, with coordinates, by proximity.
+   * @param {string} keyword - Text typed so far
+   * @param {object} options - Suggestion options
+   * @param {number} [options.latitude] - Latitude of the user, to bias results toward
+   * @param {number} [options.longitude] - Longitude of the user
+   * @param {number} options.limit - Number of suggestions
+   * @param {Array<string>} [options.locales] - Preferred locales of POI names (see negotiateLocale)
+   * @returns {Promise<Array<{id: string, name: string, subType: string, category: (string|null),
+   *   highlight: (object|null)}>>} Suggestions, best first
+   */
+  static async suggest(keyword, options = {}) {
+    const { latitude, longitude, limit, locales = [] } = options;
+    const terms = toSearchTerms(keyword);
+
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const origin = latitude !== undefined && longitude !== undefined ? { latitude, longitude } : null;
+    const code = terms.length === 1 ? terms[0].toUpperCase() : null;
+
+    const locationSubquery = this.buildLocationSubquery(keyword);
+    const [pois, areas, airports] = await Promise.all([
+      this.findCandidates(PointOfInterest, {
+        subquery: buildMatchSubquery(keyword, ['name', 'translations']),
+        attributes: ['id', 'subType', 'name', 'category', 'rank', 'latitude', 'longitude'],
+        order: ['rank', 'name'],
+      }, origin),
+      this.findCandidates(Area, {
+        subquery: locationSubquery,
+        attributes: ['id', 'subType', 'name', 'iataCode', 'latitude', 'longitude'],
+        order: ['name'],
+      }, origin),
+      this.findCandidates(Airport, {
+        subquery: locationSubquery,
+        attributes: ['id', 'name', 'iataCode', 'icaoCode', 'latitude', 'longitude'],
+        order: ['name'],
+      }, origin),
+    ]);
+
+    await PoiTranslationService.applyTranslations(pois, locales);
+
+    const suggestions = [
+      ...pois.map(poi => ({
+        location: poi,
+        subType: poi.subType,
+        name: (poi.translation && poi.translation.name) || poi.name,
+        category: poi.category,
+        boost: POI_RANK_BOOST / poi.rank,
+      })),
+      ...areas.map(area => ({
+        location: area,
+        subType: area.subType,
+        name: area.name,
+        isCodeMatch: area.iataCode === code,
+      })),
+      ...airports.map(airport => ({
+        location: airport,
+        subType: 'AIRPORT',
+        name: airport.name,
+        isCodeMatch: airport.iataCode === code || airport.icaoCode === code,
+      })),
+    ].map(({ location, subType, name, category = null, boost = 0, isCodeMatch = false }) => {
+      const { match, highlight } = matchName(name, terms);
+
+      let score = Math.max(MATCH_SCORES[match], isCodeMatch ? CODE_MATCH_SCORE : 0);
+      score += SUBTYPE_BOOSTS[subType] + boost;
+
+      if (origin) {
+        const distance = calculateDistance(
+          origin.latitude,
+          origin.longitude,
+          parseFloat(location.latitude),
+          parseFloat(location.longitude)
+        );
+        score *= 0.5 + 0.5 / (1 + distance / PROXIMITY_SCALE_KM);
+      }
+
+      return {
+        score,
+        suggestion: { id: location.id, name, subType, category, highlight },
+      };
+    });
+
+    // Best score first; then shorter, then alphabetical names
+    return suggestions
+      .sort((a, b) =>
+        b.score - a.score ||
+        a.suggestion.name.length - b.suggestion.name.length ||
+        a.suggestion.name.localeCompare(b.suggestion.name) ||
+        a.suggestion.id.localeCompare(b.suggestion.id))
+      .slice(0, limit)
+      .map(({ suggestion }) => suggestion);
+  }
+
+  /**
+   * Build an SQL subquery selecting the ids of cities, districts and airports matching free text
+   * @param {string} keyword - Search text
+   * @returns {string} Parenthesized subquery, for use with `id IN ...`
+   */
+  static buildLocationSubquery(keyword) {
+    return `(SELECT id FROM locations_search WHERE locations_search MATCH ${sequelize.escape(buildMatchExpression(keyword))})`;
+  }
+
+  /**
+   * Read the best candidates of a source
+   * @param {Model} model - PointOfInterest, Area or Airport
+   * @param {object} source - What to read
+   * @param {string} source.subquery - Subquery selecting the matching ids
+   * @param {Array<string>} source.attributes - Attributes needed to rank and format suggestions
+   * @param {Array<string>} source.order - Columns ordering candidates without coordinates
+   * @param {object|null} origin - User coordinates; candidates are then read closest first
+   * @returns {Promise<Array<Model>>} Candidates
+   */
+  static async findCandidates(model, { subquery, attributes, order }, origin) {
+    return model.findAll({
+      attributes,
+      where: { id: { [Op.in]: sequelize.literal(subquery) } },
+      order: [
+        ...(origin ? [[sequelize.literal(distanceSql(model.name)), 'ASC']] : []),
+        ...order.map(column => [column, 'ASC']),
+        ['id', 'ASC'],
+      ],
+      limit: CANDIDATE_LIMIT,
+      replacements: origin || {},
+    });
+  }
+}
+
+module.exports = AutocompleteService;
@@ -1,6 +1,29 @@
-const { Booking, PointOfInterest, User } = require('../models');
+const { Booking, PointOfInterest, User, sequelize } = require('../models');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { Op } = require('sequelize');
+const { orderBySql, buildKeysetCondition, buildKeysetPage } = require('../utils/cursor');
+
+/**
+ * Bookings order: earliest stay first, then most recently booked
+ * (id breaks ties so cursors are unambiguous)
+ */
+const BOOKINGS_ORDER = [
+  { column: '`Booking`.`startDate`', direction: 'ASC' },
+  { column: '`Booking`.`createdAt`', direction: 'DESC' },
+  { column: '`Booking`.`id`', direction: 'DESC' },
+];
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} Resulting date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
 
 /**
  * Booking Service
@@ -86,29 +109,62 @@ class BookingService {
   /**
    * Get all bookings for a user
    * @param {number} userId - User ID
-   * @param {object} options - Query options (limit, offset)
-   * @returns {Promise<object>} Bookings with POI data
+   * @param {object} options - Query options (limit, offset, or cursor: decoded page[cursor])
+   * @returns {Promise<object>} Bookings with POI data (and cursors when paginating by cursor)
    */
   static async getUserBookings(userId, options = {}) {
-    const { limit = 10, offset = 0 } = options;
+    const { limit = 10, offset = 0, cursor } = options;
+    const include = [
+      {
+        model: PointOfInterest,
+        as: 'poi',
+        required: true,
+      },
+    ];
+
+    if (!cursor) {
+      const { count, rows } = await Booking.findAndCountAll({
+        where: { userId },
+        include,
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        order: [['startDate', 'ASC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+      });
 
-    const { count, rows } = await Booking.findAndCountAll({
-      where: { userId },
-      include: [
-        {
-          model: PointOfInterest,
-          as: 'poi',
-          required: true,
-        },
-      ],
+      return {
+        count,
+        rows,
+      };
+    }
+
+    const count = await Booking.count({ where: { userId }, include });
+    const keyset = buildKeysetCondition(BOOKINGS_ORDER, cursor, 'bookings');
+
+    // Cursor keys use the stored column values, read one extra row to detect a next page
+    const bookings = await Booking.findAll({
+      where: keyset ? { userId, [Op.and]: sequelize.literal(keyset) } : { userId },
+      attributes: {
+        include: [
+          [sequelize.literal('`Booking`.`startDate`'), 'cursorStartDate'],
+          [sequelize.literal('`Booking`.`createdAt`'), 'cursorCreatedAt'],
+        ],
+      },
+      include,
+      limit: parseInt(limit, 10) + 1,
+      order: sequelize.literal(orderBySql(BOOKINGS_ORDER, cursor.direction === 'before')),
+    });
+
+    const { rows, cursors } = buildKeysetPage(bookings, {
       limit: parseInt(limit, 10),
-      offset: parseInt(offset, 10),
-      order: [['startDate', 'ASC'], ['createdAt', 'DESC']],
+      cursor,
+      keyOf: booking => [booking.get('cursorStartDate'), booking.get('cursorCreatedAt'), booking.id],
+      signature: 'bookings',
     });
 
     return {
       count,
       rows,
+      cursors,
     };
   }
 
@@ -241,6 +297,46 @@ class BookingService {
     };
   }
 
+  /**
+   * Get the next period in which a POI can be booked
+   * Bookings block every day from their start date to their end date, inclusive
+   * (see checkAvailability)
+   * @param {string} poiId - Point of Interest ID
+   * @param {string} fromDate - First date to consider (YYYY-MM-DD, default: today)
+   * @returns {Promise<object>} availableFrom and availableUntil (last free day before the
+   *   next booking, or null if there is none)
+   */
+  static async getNextAvailability(poiId, fromDate = new Date().toISOString().slice(0, 10)) {
+    const bookings = await Booking.findAll({
+      where: {
+        poiId,
+        endDate: { [Op.gte]: fromDate },
+      },
+      order: [['startDate', 'ASC']],
+    });
+
+    let availableFrom = fromDate;
+
+    for (const booking of bookings) {
+      // Free days before this booking
+      if (booking.startDate > availableFrom) {
+        return {
+          availableFrom,
+          availableUntil: addDays(booking.startDate, -1),
+        };
+      }
+
+      if (booking.endDate >= availableFrom) {
+        availableFrom = addDays(booking.endDate, 1);
+      }
+    }
+
+    return {
+      availableFrom,
+      availableUntil: null,
+    };
+  }
+
   /**
    * Get all bookings for a POI
    * @param {string} poiId - Point of Interest ID
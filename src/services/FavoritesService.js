@@ -1,5 +1,18 @@
-const { UserFavorite, PointOfInterest, User } = require('../models');
+const { UserFavorite, PointOfInterest, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
 const { NotFoundError, ValidationError } = require('../utils/errors');
+const { orderBySql, buildKeysetCondition, buildKeysetPage } = require('../utils/cursor');
+const PoiTranslationService = require('./PoiTranslationService');
+const PoiMediaService = require('./PoiMediaService');
+const AreaService = require('./AreaService');
+
+/**
+ * Favorites order: most recent first (id breaks ties so cursors are unambiguous)
+ */
+const FAVORITES_ORDER = [
+  { column: '`UserFavorite`.`createdAt`', direction: 'DESC' },
+  { column: '`UserFavorite`.`id`', direction: 'DESC' },
+];
 
 /**
  * Favorites Service
@@ -65,33 +78,64 @@ class FavoritesService {
   /**
    * Get all favorites for a user
    * @param {number} userId - User ID
-   * @param {object} options - Query options (limit, offset)
-   * @returns {Promise<object>} Favorites with POI data
+   * @param {object} options - Query options (limit, offset, or cursor: decoded page[cursor];
+   *   locales: preferred locales for POI names)
+   * @returns {Promise<object>} Favorites with POI data (and cursors when paginating by cursor)
    */
   static async getUserFavorites(userId, options = {}) {
-    const { limit = 10, offset = 0 } = options;
-
-    const { count, rows } = await UserFavorite.findAndCountAll({
-      where: { userId },
-      include: [
-        {
-          model: PointOfInterest,
-          as: 'poi',
-          required: true,
-        },
-      ],
-      limit: parseInt(limit, 10),
-      offset: parseInt(offset, 10),
-      order: [['createdAt', 'DESC']],
-    });
+    const { limit = 10, offset = 0, cursor, locales } = options;
+    const include = [
+      {
+        model: PointOfInterest,
+        as: 'poi',
+        required: true,
+      },
+    ];
+
+    let result;
+    if (cursor) {
+      const count = await UserFavorite.count({ where: { userId }, include });
+      const keyset = buildKeysetCondition(FAVORITES_ORDER, cursor, 'favorites');
+
+      // Cursor keys use the stored createdAt value, read one extra row to detect a next page
+      const favorites = await UserFavorite.findAll({
+        where: keyset ? { userId, [Op.and]: sequelize.literal(keyset) } : { userId },
+        attributes: { include: [[sequelize.literal('`UserFavorite`.`createdAt`'), 'cursorCreatedAt']] },
+        include,
+        limit: parseInt(limit, 10) + 1,
+        order: sequelize.literal(orderBySql(FAVORITES_ORDER, cursor.direction === 'before')),
+      });
+
+      const page = buildKeysetPage(favorites, {
+        limit: parseInt(limit, 10),
+        cursor,
+        keyOf: favorite => [favorite.get('cursorCreatedAt'), favorite.id],
+        signature: 'favorites',
+      });
+      result = { count, rows: page.rows, cursors: page.cursors };
+    } else {
+      result = await UserFavorite.findAndCountAll({
+        where: { userId },
+        include,
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      });
+    }
+
+    const pois = result.rows.map((favorite) => favorite.poi);
+    await PoiTranslationService.applyTranslations(pois, locales);
+    await PoiMediaService.attachMedia(pois);
+    await AreaService.attachParents(pois);
 
     return {
-      count,
-      rows: rows.map((favorite) => ({
+      count: result.count,
+      rows: result.rows.map((favorite) => ({
         id: favorite.id,
         poi: favorite.poi.toPublicJSON(process.env.BASE_URL || 'http://localhost:3000'),
         createdAt: favorite.createdAt,
       })),
+      cursors: result.cursors,
     };
   }
 
@@ -0,0 +1,179 @@
+const { Hotel, HotelOffer } = require('../models');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const { calculateDistance, getBoundingBox } = require('../utils/geospatial');
+
+/**
+ * Hotel Service
+ * Handles hotel offer search and pricing for requested stays
+ */
+class HotelService {
+  /**
+   * Search hotel offers by hotel IDs, city or coordinates
+   * Hotels without an offer for the requested party are reported as warnings
+   * @param {object} criteria - Search criteria
+   * @param {Array<string>} [criteria.hotelIds] - Amadeus property codes
+   * @param {string} [criteria.cityCode] - IATA city code
+   * @param {number} [criteria.latitude] - Center latitude for geo search
+   * @param {number} [criteria.longitude] - Center longitude for geo search
+   * @param {number} [criteria.radius] - Geo search radius in kilometers (default: 5)
+   * @param {object} stay - Requested stay (checkInDate, checkOutDate, adults)
+   * @returns {Promise<object>} Matching hotels with their offers, and warnings
+   */
+  static async searchOffers(criteria, stay) {
+    const { hotelIds, cityCode, latitude, longitude, radius = 5 } = criteria;
+    this.validateStay(stay);
+
+    const whereConditions = {};
+
+    if (hotelIds && hotelIds.length > 0) {
+      whereConditions.hotelId = { [Op.in]: hotelIds };
+    }
+
+    if (cityCode) {
+      whereConditions.cityCode = cityCode;
+    }
+
+    const isGeoSearch = latitude !== undefined && longitude !== undefined;
+    if (isGeoSearch) {
+      const bbox = getBoundingBox(latitude, longitude, radius);
+      whereConditions.latitude = { [Op.between]: [bbox.south, bbox.north] };
+      whereConditions.longitude =
+        bbox.west <= bbox.east
+          ? { [Op.between]: [bbox.west, bbox.east] }
+          : { [Op.or]: [{ [Op.gte]: bbox.west }, { [Op.lte]: bbox.east }] };
+    }
+
+    let hotels = await Hotel.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: HotelOffer,
+          as: 'offers',
+          required: false,
+          where: { maxAdults: { [Op.gte]: stay.adults } },
+        },
+      ],
+      order: [
+        ['name', 'ASC'],
+        [{ model: HotelOffer, as: 'offers' }, 'nightlyBase', 'ASC'],
+      ],
+    });
+
+    // Keep hotels inside the search circle, closest first
+    if (isGeoSearch) {
+      hotels = hotels
+        .map(hotel => ({
+          hotel,
+          distance: calculateDistance(
+            latitude,
+            longitude,
+            parseFloat(hotel.latitude),
+            parseFloat(hotel.longitude)
+          ),
+        }))
+        .filter(item => item.distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .map(item => item.hotel);
+    }
+
+    const warnings = [];
+
+    // Report requested property codes that do not exist
+    if (hotelIds && hotelIds.length > 0) {
+      const known = await Hotel.findAll({
+        attributes: ['hotelId'],
+        where: { hotelId: { [Op.in]: hotelIds } },
+      });
+      const knownIds = known.map(hotel => hotel.hotelId);
+      const unknownIds = hotelIds.filter(id => !knownIds.includes(id));
+
+      if (unknownIds.length > 0) {
+        warnings.push({
+          code: 1257,
+          title: 'INVALID PROPERTY CODE',
+          detail: 'INVALID PROPERTY CODE',
+          source: { parameter: `hotelIds=${unknownIds.join(',')}` },
+        });
+      }
+    }
+
+    // Report hotels with no room for the requested party
+    const available = [];
+    hotels.forEach(hotel => {
+      if (hotel.offers && hotel.offers.length > 0) {
+        available.push(hotel);
+      } else {
+        warnings.push({
+          code: 3664,
+          title: 'NO ROOMS AVAILABLE AT REQUESTED PROPERTY',
+          detail: 'NO ROOMS AVAILABLE AT REQUESTED PROPERTY',
+          source: { parameter: `hotelIds=${hotel.hotelId}` },
+        });
+      }
+    });
+
+    return {
+      rows: available,
+      warnings,
+    };
+  }
+
+  /**
+   * Get a single offer with its hotel
+   * @param {string} offerId - Offer ID
+   * @param {object} stay - Requested stay (checkInDate, checkOutDate, adults)
+   * @returns {Promise<HotelOffer>} Offer with hotel data
+   */
+  static async getOfferById(offerId, stay) {
+    this.validateStay(stay);
+
+    const offer = await HotelOffer.findByPk(offerId, {
+      include: [
+        {
+          model: Hotel,
+          as: 'hotel',
+          required: true,
+        },
+      ],
+    });
+
+    if (!offer) {
+      throw new NotFoundError('Hotel offer not found', {
+        parameter: 'offerId',
+      });
+    }
+
+    if (offer.maxAdults < stay.adults) {
+      throw new ValidationError(
+        `Offer accommodates at most ${offer.maxAdults} adults`,
+        { parameter: 'adults' }
+      );
+    }
+
+    return offer;
+  }
+
+  /**
+   * Validate the requested stay dates
+   * @param {object} stay - Requested stay (checkInDate, checkOutDate, adults)
+   */
+  static validateStay(stay) {
+    const { checkInDate, checkOutDate } = stay;
+    const today = new Date().toISOString().slice(0, 10);
+
+    if (checkInDate < today) {
+      throw new ValidationError('checkInDate cannot be in the past', {
+        parameter: 'checkInDate',
+      });
+    }
+
+    if (checkOutDate <= checkInDate) {
+      throw new ValidationError('checkOutDate must be after checkInDate', {
+        parameter: 'checkOutDate',
+      });
+    }
+  }
+}
+
+module.exports = HotelService;
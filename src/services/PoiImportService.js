@@ -0,0 +1,384 @@
+/**
+ * POI Import Service
+ *
+ * Bulk import of Points of Interest from GeoJSON FeatureCollections or CSV files:
+ * - Map GeoJSON features / CSV rows onto PointOfInterest attributes
+ * - Validate each row with the PointOfInterest model rules
+ * - Place new and moved rows in the city or district containing them
+ * - Upsert valid rows by id inside a single transaction
+ * - Report created, updated and rejected rows
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { PointOfInterest, Area, sequelize } = require('../models');
+const { ValidationError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const PoiTileService = require('./PoiTileService');
+const AreaService = require('./AreaService');
+const config = require('../config');
+
+/**
+ * Split a list value into trimmed strings
+ * Arrays are kept; strings are split on "|" or ";" (commas are the CSV delimiter)
+ *
+ * @param {Array|string|undefined} value - Raw list value
+ * @returns {Array<string>|undefined} List of strings, or undefined if not provided
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(/[|;]/);
+  return items.map(item => String(item).trim()).filter(item => item !== '');
+}
+
+/**
+ * Convert a raw value to a number, keeping "not provided" as undefined
+ *
+ * @param {*} value - Raw value
+ * @returns {number|undefined} Parsed number (may be NaN so the model rejects it)
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return Number(value);
+}
+
+/**
+ * Convert a raw value to a trimmed string, keeping "not provided" as undefined
+ *
+ * @param {*} value - Raw value
+ * @returns {string|undefined} Trimmed string
+ */
+function toText(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Convert a raw document value (opening hours, address) to an object
+ * GeoJSON properties carry an object; CSV cells carry the same document as JSON text
+ *
+ * @param {*} value - Raw value
+ * @returns {object|string|undefined} Parsed document (unparseable text is kept so the model rejects it)
+ */
+function toDocument(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Build a stable POI id from name and coordinates
+ * Re-importing the same file without ids therefore updates instead of duplicating
+ *
+ * @param {object} attributes - Mapped POI attributes
+ * @returns {string} 10 uppercase hex characters, like the seeded ids
+ */
+function deriveId(attributes) {
+  return crypto
+    .createHash('sha1')
+    .update(`${attributes.name}|${attributes.latitude}|${attributes.longitude}`)
+    .digest('hex')
+    .slice(0, 10)
+    .toUpperCase();
+}
+
+/**
+ * Map loose properties onto PointOfInterest attributes
+ *
+ * @param {object} properties - Raw properties (GeoJSON properties or CSV row)
+ * @returns {object} POI attributes; omitted values are left undefined
+ */
+function mapAttributes(properties) {
+  const attributes = {
+    id: properties.id ? String(properties.id).trim() : undefined,
+    subType: properties.subType ? String(properties.subType).trim().toUpperCase() : undefined,
+    name: properties.name !== undefined ? String(properties.name).trim() : undefined,
+    latitude: toNumber(properties.latitude !== undefined ? properties.latitude : properties.lat),
+    longitude: toNumber(
+      [properties.longitude, properties.lon, properties.lng].find(value => value !== undefined)
+    ),
+    category: properties.category ? String(properties.category).trim().toUpperCase() : undefined,
+    rank: toNumber(properties.rank),
+    tags: toList(properties.tags),
+    pictures: toList(properties.pictures),
+    openingHours: toDocument(properties.openingHours),
+    address: toDocument(properties.address),
+    phone: toText(properties.phone),
+    website: toText(properties.website),
+    email: toText(properties.email),
+    priceLevel: toNumber(properties.priceLevel),
+    description: toText(properties.description),
+    parentId: toText(properties.parentId),
+  };
+
+  // Drop omitted values so updates keep existing data
+  Object.keys(attributes).forEach(key => {
+    if (attributes[key] === undefined) {
+      delete attributes[key];
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection into import rows
+ *
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @returns {Array<object>} Rows with source, attributes and parse errors
+ * @throws {ValidationError} If the document is not a FeatureCollection
+ */
+function parseGeoJson(collection) {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new ValidationError('GeoJSON document must be a FeatureCollection', {
+      parameter: 'body',
+    });
+  }
+
+  return collection.features.map((feature, index) => {
+    const source = { pointer: `/features/${index}` };
+    const errors = [];
+
+    if (!feature || feature.type !== 'Feature') {
+      return { source, attributes: {}, errors: ['Item is not a GeoJSON Feature'] };
+    }
+
+    const properties = { ...(feature.properties || {}) };
+    if (properties.id === undefined && feature.id !== undefined) {
+      properties.id = feature.id;
+    }
+
+    const geometry = feature.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      errors.push('Only Point geometries are supported');
+    } else {
+      // GeoJSON positions are [longitude, latitude]
+      properties.longitude = geometry.coordinates[0];
+      properties.latitude = geometry.coordinates[1];
+    }
+
+    return { source, attributes: mapAttributes(properties), errors };
+  });
+}
+
+/**
+ * Parse CSV text into import rows
+ *
+ * Expected header columns: id, name, latitude (or lat), longitude (or lon/lng),
+ * category, subType, rank, tags, pictures, openingHours, address, phone, website,
+ * email, priceLevel, description, parentId. List columns use "|" or ";" separators;
+ * openingHours and address are JSON documents (see utils/openingHours).
+ *
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<object>} Rows with source, attributes and parse errors
+ * @throws {ValidationError} If the CSV cannot be parsed
+ */
+function parseCsvRows(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw new ValidationError(`Invalid CSV: ${error.message}`, {
+      parameter: 'body',
+    });
+  }
+
+  // Line 1 is the header
+  return records.map((record, index) => ({
+    source: { line: index + 2 },
+    attributes: mapAttributes(record),
+    errors: [],
+  }));
+}
+
+/**
+ * Collect validation messages from a Sequelize validation error
+ *
+ * @param {Error} error - Error thrown by Model#validate
+ * @returns {Array<string>} Validation messages
+ */
+function getValidationMessages(error) {
+  if (error.name === 'SequelizeValidationError') {
+    return error.errors.map(e => e.message);
+  }
+  throw error;
+}
+
+/**
+ * Validate and upsert import rows
+ *
+ * @param {Array<object>} rows - Rows from parseGeoJson or parseCsvRows
+ * @param {object} options - Import options
+ * @param {boolean} options.dryRun - Validate only, do not write
+ * @returns {Promise<object>} Report with per-row results and summary counts
+ */
+async function importRows(rows, options = {}) {
+  const { dryRun = false } = options;
+
+  if (rows.length === 0) {
+    throw new ValidationError('Import file contains no rows', {
+      parameter: 'body',
+    });
+  }
+
+  if (rows.length > config.api.maxImportRows) {
+    throw new ValidationError(
+      `Import file contains ${rows.length} rows; the maximum is ${config.api.maxImportRows}`,
+      { parameter: 'body' }
+    );
+  }
+
+  rows.forEach(row => {
+    if (!row.attributes.id && row.errors.length === 0) {
+      row.attributes.id = deriveId(row.attributes);
+    }
+  });
+
+  const locate = await AreaService.getAreaLocator();
+
+  const report = await sequelize.transaction(async transaction => {
+    const ids = rows.map(row => row.attributes.id).filter(Boolean);
+    const existing = await PointOfInterest.findAll({
+      where: { id: { [Op.in]: ids } },
+      transaction,
+    });
+    const poisById = new Map(existing.map(poi => [poi.id, poi]));
+
+    const parentIds = rows.map(row => row.attributes.parentId).filter(Boolean);
+    const areas = await Area.findAll({
+      attributes: ['id'],
+      where: { id: { [Op.in]: parentIds } },
+      transaction,
+    });
+    const areaIds = new Set(areas.map(area => area.id));
+
+    const results = [];
+
+    for (const row of rows) {
+      const { id, ...attributes } = row.attributes;
+      const result = { source: row.source, id: id || null };
+
+      if (row.errors.length > 0) {
+        results.push({ ...result, status: 'rejected', errors: row.errors });
+        continue;
+      }
+
+      let poi = poisById.get(id);
+      const status = poi ? 'updated' : 'created';
+
+      if (attributes.parentId && !areaIds.has(attributes.parentId)) {
+        results.push({ ...result, status: 'rejected', errors: [`Area with id '${attributes.parentId}' not found`] });
+        continue;
+      }
+
+      // Without an explicit parent, new and moved rows go to the area containing them,
+      // or to none outside every boundary (see PoiService)
+      const moved =
+        !poi ||
+        (attributes.latitude !== undefined && attributes.latitude !== parseFloat(poi.latitude)) ||
+        (attributes.longitude !== undefined && attributes.longitude !== parseFloat(poi.longitude));
+      if (attributes.parentId === undefined && moved) {
+        attributes.parentId = locate(
+          attributes.latitude !== undefined ? attributes.latitude : parseFloat(poi.latitude),
+          attributes.longitude !== undefined ? attributes.longitude : parseFloat(poi.longitude)
+        );
+      }
+
+      if (poi) {
+        poi.set(attributes);
+      } else {
+        poi = PointOfInterest.build({ id, ...attributes });
+      }
+
+      try {
+        await poi.validate();
+      } catch (error) {
+        if (status === 'updated') {
+          await poi.reload({ transaction });
+        }
+        results.push({ ...result, status: 'rejected', errors: getValidationMessages(error) });
+        continue;
+      }
+
+      if (!dryRun) {
+        await poi.save({ transaction });
+      }
+
+      // Later rows with the same id update this one
+      poisById.set(id, poi);
+      results.push({ ...result, status });
+    }
+
+    const summary = { total: results.length, created: 0, updated: 0, rejected: 0 };
+    results.forEach(result => {
+      summary[result.status]++;
+    });
+
+    return {
+      dryRun,
+      summary,
+      results,
+    };
+  });
+
+  if (!dryRun) {
+    PoiTileService.clearTileCache();
+  }
+
+  return report;
+}
+
+/**
+ * Import POIs from a GeoJSON FeatureCollection
+ *
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @param {object} options - Import options (dryRun)
+ * @returns {Promise<object>} Import report
+ */
+async function importGeoJson(collection, options = {}) {
+  try {
+    return await importRows(parseGeoJson(collection), options);
+  } catch (error) {
+    console.error('Error in importGeoJson:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Import POIs from CSV text
+ *
+ * @param {string} text - CSV content with a header row
+ * @param {object} options - Import options (dryRun)
+ * @returns {Promise<object>} Import report
+ */
+async function importCsv(text, options = {}) {
+  try {
+    return await importRows(parseCsvRows(text), options);
+  } catch (error) {
+    console.error('Error in importCsv:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  importGeoJson,
+  importCsv,
+  parseGeoJson,
+  parseCsvRows,
+};
@@ -0,0 +1,384 @@
+/**
+ * POI Media Service
+ *
+ * Pictures uploaded for POIs:
+ * - Image validation (decoded content must be JPEG, PNG or WebP)
+ * - Storage of the image and its thumbnails (see utils/mediaStorage)
+ * - Captions and ordering among the pictures of a POI
+ *
+ * Images are re-encoded in their own format with EXIF orientation applied,
+ * which also strips metadata such as camera GPS positions.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PoiMedia, PointOfInterest, sequelize } = require('../models');
+const { NotFoundError, ForbiddenError, ValidationError } = require('../utils/errors');
+const { getMediaStorage } = require('../utils/mediaStorage');
+
+/**
+ * Accepted image formats (sharp format name => MIME type and file extension)
+ */
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+};
+
+/**
+ * Thumbnail sizes: longest side in pixels (smaller images are not enlarged)
+ */
+const THUMBNAIL_SIZES = {
+  small: 160,
+  medium: 480,
+  large: 1280,
+};
+
+/**
+ * Decode an uploaded image and encode it and its thumbnails
+ *
+ * @param {Buffer} buffer - Uploaded file content
+ * @returns {Promise<{format: object, image: object, thumbnails: object}>} Image format,
+ *   full-size image and thumbnails by size name, each { buffer, width, height }
+ * @throws {ValidationError} If the file is not a supported image
+ */
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    metadata = null;
+  }
+
+  const format = metadata && IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw new ValidationError('file must be a JPEG, PNG or WebP image', {
+      parameter: 'file',
+    });
+  }
+
+  const encode = async (pipeline) => {
+    const { data, info } = await pipeline.toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  };
+
+  const image = await encode(sharp(buffer).rotate());
+
+  const thumbnails = {};
+  for (const [size, maxSide] of Object.entries(THUMBNAIL_SIZES)) {
+    thumbnails[size] = await encode(
+      sharp(image.buffer).resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true })
+    );
+  }
+
+  return { format, image, thumbnails };
+}
+
+/**
+ * Attach the uploaded pictures of each POI, in display order
+ *
+ * @param {Array<PointOfInterest>} pois - POIs (modified in place)
+ * @returns {Promise<Array<PointOfInterest>>} The same POIs
+ */
+async function attachMedia(pois) {
+  try {
+    if (!Array.isArray(pois) || pois.length === 0) {
+      return pois;
+    }
+
+    const media = await PoiMedia.findAll({
+      where: { poiId: pois.map(poi => poi.id) },
+      order: [['position', 'ASC'], ['id', 'ASC']],
+    });
+
+    const mediaByPoi = new Map();
+    media.forEach(item => {
+      mediaByPoi.set(item.poiId, [...(mediaByPoi.get(item.poiId) || []), item]);
+    });
+
+    pois.forEach(poi => poi.setMedia(mediaByPoi.get(poi.id) || []));
+
+    return pois;
+  } catch (error) {
+    console.error('Error in attachMedia:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Load a POI or fail with NotFoundError
+ *
+ * @param {string} poiId - POI unique identifier
+ * @returns {Promise<PointOfInterest>} POI instance
+ */
+async function findPoiOrFail(poiId) {
+  const poi = await PointOfInterest.findByPk(poiId);
+
+  if (!poi) {
+    throw new NotFoundError('Point of Interest not found', {
+      parameter: 'poisId',
+    });
+  }
+
+  return poi;
+}
+
+/**
+ * List the uploaded pictures of a POI
+ *
+ * @param {string} poiId - POI unique identifier
+ * @returns {Promise<Array<PoiMedia>>} Pictures in display order
+ * @throws {NotFoundError} If the POI does not exist
+ */
+async function findMedia(poiId) {
+  try {
+    await findPoiOrFail(poiId);
+
+    return await PoiMedia.findAll({
+      where: { poiId },
+      order: [['position', 'ASC'], ['id', 'ASC']],
+    });
+  } catch (error) {
+    console.error('Error in findMedia:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get an uploaded picture of a POI
+ *
+ * @param {string} poiId - POI unique identifier
+ * @param {number} mediaId - Picture ID
+ * @returns {Promise<PoiMedia>} Picture
+ * @throws {NotFoundError} If the picture does not exist for this POI
+ */
+async function findMediaById(poiId, mediaId) {
+  const media = await PoiMedia.findOne({
+    where: { id: mediaId, poiId },
+  });
+
+  if (!media) {
+    throw new NotFoundError('Picture not found', {
+      parameter: 'pictureId',
+    });
+  }
+
+  return media;
+}
+
+/**
+ * Renumber the pictures of a POI 1..n in the given order
+ *
+ * @param {Array<PoiMedia>} media - Pictures in their new order
+ * @param {object} transaction - Sequelize transaction
+ */
+async function renumber(media, transaction) {
+  for (const [index, item] of media.entries()) {
+    if (item.position !== index + 1) {
+      await item.update({ position: index + 1 }, { transaction });
+    }
+  }
+}
+
+/**
+ * Insert a picture at a position (clamped to the end of the list)
+ *
+ * @param {Array<PoiMedia>} media - Other pictures of the POI, in display order
+ * @param {PoiMedia} item - Picture to place
+ * @param {number} position - Requested position (1 = first), or undefined for the end
+ * @returns {Array<PoiMedia>} Pictures in their new order
+ */
+function placeAt(media, item, position) {
+  const index = position === undefined ? media.length : Math.min(position - 1, media.length);
+  return [...media.slice(0, index), item, ...media.slice(index)];
+}
+
+/**
+ * Check that a user may change a picture (its uploader or an administrator)
+ *
+ * @param {PoiMedia} media - Picture
+ * @param {User} user - User making the request
+ * @throws {ForbiddenError} If the user may not change the picture
+ */
+function assertCanManage(media, user) {
+  if (media.userId !== user.id && !user.isAdmin()) {
+    throw new ForbiddenError('Only the uploader or an administrator can change a picture');
+  }
+}
+
+/**
+ * Upload a picture for a POI
+ *
+ * @param {string} poiId - POI unique identifier
+ * @param {User} user - Uploader
+ * @param {object} file - Uploaded file ({ buffer })
+ * @param {object} data - Picture details
+ * @param {string} data.caption - Caption (optional)
+ * @param {number} data.position - Position among the POI's pictures (optional, default: last)
+ * @returns {Promise<PoiMedia>} Created picture
+ * @throws {NotFoundError} If the POI does not exist
+ * @throws {ValidationError} If the file is not a supported image
+ */
+async function uploadMedia(poiId, user, file, data = {}) {
+  const storage = getMediaStorage();
+  const savedKeys = [];
+
+  try {
+    await findPoiOrFail(poiId);
+
+    const { format, image, thumbnails } = await processImage(file.buffer);
+
+    // Files of a picture share a random directory: <uuid>/original.jpg, <uuid>/small.jpg, ...
+    const directory = crypto.randomUUID();
+    const save = async (name, { buffer }) => {
+      const key = `${directory}/${name}.${format.extension}`;
+      await storage.save(key, buffer, format.contentType);
+      savedKeys.push(key);
+      return key;
+    };
+
+    const fileKey = await save('original', image);
+    const thumbnailFiles = {};
+    for (const [size, thumbnail] of Object.entries(thumbnails)) {
+      thumbnailFiles[size] = {
+        key: await save(size, thumbnail),
+        width: thumbnail.width,
+        height: thumbnail.height,
+      };
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const others = await PoiMedia.findAll({
+        where: { poiId },
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction,
+      });
+
+      const media = PoiMedia.build({
+        poiId,
+        userId: user.id,
+        fileKey,
+        contentType: format.contentType,
+        width: image.width,
+        height: image.height,
+        size: image.buffer.length,
+        thumbnails: thumbnailFiles,
+        caption: data.caption || null,
+        position: others.length + 1,
+      });
+
+      const ordered = placeAt(others, media, data.position);
+      media.position = ordered.indexOf(media) + 1;
+
+      await media.save({ transaction });
+      await renumber(ordered, transaction);
+
+      return media;
+    });
+  } catch (error) {
+    // Do not leave files behind for a picture that was not recorded
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+
+    console.error('Error in uploadMedia:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Change the caption or position of a picture
+ *
+ * @param {string} poiId - POI unique identifier
+ * @param {number} mediaId - Picture ID
+ * @param {User} user - User making the change (uploader or administrator)
+ * @param {object} data - Fields to change
+ * @param {string|null} data.caption - Caption (null removes it)
+ * @param {number} data.position - New position (clamped to the end of the list)
+ * @returns {Promise<PoiMedia>} Updated picture
+ */
+async function updateMedia(poiId, mediaId, user, data) {
+  try {
+    const media = await findMediaById(poiId, mediaId);
+    assertCanManage(media, user);
+
+    await sequelize.transaction(async (transaction) => {
+      if (data.caption !== undefined) {
+        await media.update({ caption: data.caption }, { transaction });
+      }
+
+      if (data.position !== undefined) {
+        const others = await PoiMedia.findAll({
+          where: { poiId },
+          order: [['position', 'ASC'], ['id', 'ASC']],
+          transaction,
+        });
+
+        const ordered = placeAt(others.filter(item => item.id !== media.id), media, data.position);
+        await renumber(ordered, transaction);
+      }
+    });
+
+    return media;
+  } catch (error) {
+    console.error('Error in updateMedia:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a picture and its files
+ *
+ * @param {string} poiId - POI unique identifier
+ * @param {number} mediaId - Picture ID
+ * @param {User} user - User making the request (uploader or administrator)
+ * @returns {Promise<void>}
+ */
+async function deleteMedia(poiId, mediaId, user) {
+  try {
+    const media = await findMediaById(poiId, mediaId);
+    assertCanManage(media, user);
+
+    await sequelize.transaction(async (transaction) => {
+      await media.destroy({ transaction });
+
+      const others = await PoiMedia.findAll({
+        where: { poiId },
+        order: [['position', 'ASC'], ['id', 'ASC']],
+        transaction,
+      });
+      await renumber(others, transaction);
+    });
+
+    await removeFiles([media]);
+  } catch (error) {
+    console.error('Error in deleteMedia:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove the stored files of pictures (after their rows are deleted)
+ *
+ * @param {Array<PoiMedia>} media - Pictures
+ * @returns {Promise<void>}
+ */
+async function removeFiles(media) {
+  const storage = getMediaStorage();
+  const keys = media.flatMap(item => item.getFileKeys());
+
+  // A missing file must not fail the deletion that already happened
+  await Promise.all(
+    keys.map(key => storage.remove(key).catch(error => console.error('Error removing media file:', error.message)))
+  );
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  THUMBNAIL_SIZES,
+  attachMedia,
+  findMedia,
+  findMediaById,
+  uploadMedia,
+  updateMedia,
+  deleteMedia,
+  removeFiles,
+};
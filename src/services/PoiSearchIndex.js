@@ -0,0 +1,326 @@
+/**
+ * POI Search Index
+ *
+ * Full-text search over the points_of_interest_search FTS5 table, which the
+ * database keeps in sync with points_of_interest through triggers:
+ * - Accent- and case-insensitive matching on name, tags and translated names
+ * - Prefix matching on every search term ("sagr fam" finds "Sagrada Família")
+ * - BM25 relevance ranking, with name and translated name matches weighted above tag matches
+ * - A where condition or subquery so other searches can filter by text
+ * - Spelling correction of search terms against the index vocabulary
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../models');
+const { buildTagConditions } = require('../utils/tagFilters');
+const { buildOpeningHoursConditions } = require('../utils/openingHours');
+const { ratingSortSql, buildRatingConditions } = require('../utils/ratingFilters');
+const { buildPriceLevelConditions } = require('../utils/priceFilters');
+const { buildAreaConditions } = require('../utils/areaFilters');
+const { orderBySql, buildKeysetCondition, buildKeysetPage } = require('../utils/cursor');
+const { termDistance, maxTermDistance } = require('../utils/fuzzyMatch');
+
+const SEARCH_TABLE = 'points_of_interest_search';
+const VOCABULARY_TABLE = 'points_of_interest_search_vocabulary';
+
+/**
+ * Columns whose words spelling correction suggests (names, not tags)
+ */
+const NAME_COLUMNS = ['name', 'translations'];
+
+/**
+ * BM25 column weights (id, name, tags, translations); id is not indexed
+ */
+const COLUMN_WEIGHTS = [0, 10, 2, 8];
+
+/**
+ * Fold free text to the terms the index matches: unaccented lowercase words
+ *
+ * @param {string} text - Search text
+ * @returns {Array<string>} Terms, in order (empty if the text has no searchable terms)
+ *
+ * @example
+ * toSearchTerms('Casa Batlló!');
+ * // ['casa', 'batllo']
+ */
+function toSearchTerms(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Build an FTS5 MATCH expression from free text
+ * Terms are folded to unaccented lowercase words, quoted and prefix-matched;
+ * all terms must match
+ *
+ * @param {string} text - Search text
+ * @param {Array<string>} columns - Only match these columns (default: all)
+ * @returns {string} MATCH expression, or an empty string if the text has no searchable terms
+ *
+ * @example
+ * buildMatchExpression('Casa Batlló!');
+ * // '"casa"* "batllo"*'
+ * buildMatchExpression('Casa Batlló!', ['name', 'translations']);
+ * // '{name translations} : ("casa"* "batllo"*)'
+ */
+function buildMatchExpression(text, columns = null) {
+  const terms = toSearchTerms(text);
+
+  if (terms.length === 0) {
+    return '';
+  }
+
+  const expression = terms.map(term => `"${term}"*`).join(' ');
+
+  return columns ? `{${columns.join(' ')}} : (${expression})` : expression;
+}
+
+/**
+ * Build an SQL subquery selecting the ids of POIs matching free text
+ *
+ * @param {string} text - Search text
+ * @param {Array<string>} columns - Only match these columns (default: all)
+ * @returns {string} Parenthesized subquery, for use with `id IN ...`
+ */
+function buildMatchSubquery(text, columns = null) {
+  const expression = buildMatchExpression(text, columns);
+
+  if (!expression) {
+    return '(SELECT NULL WHERE 0)';
+  }
+
+  return `(SELECT id FROM ${SEARCH_TABLE} WHERE ${SEARCH_TABLE} MATCH ${sequelize.escape(expression)})`;
+}
+
+/**
+ * Build a Sequelize condition on PointOfInterest.id matching free text
+ * Lets other searches combine text matching with their own filters
+ *
+ * @param {string} text - Search text
+ * @returns {object} Condition for `where.id`
+ *
+ * @example
+ * PointOfInterest.findAll({ where: { category: 'SIGHTS', id: matchCondition('gaudi') } });
+ */
+function matchCondition(text) {
+  return {
+    [Op.in]: sequelize.literal(buildMatchSubquery(text)),
+  };
+}
+
+/**
+ * Sort orders of search results: relevance (score, then rank, name and id) or
+ * rating (best rated first, then most reviewed, then relevance)
+ */
+const SEARCH_ORDERS = {
+  relevance: ['score', 'rank', 'name', 'id'].map(column => ({ column, direction: 'ASC' })),
+  rating: [
+    { column: 'rating', direction: 'DESC' },
+    { column: 'ratingCount', direction: 'DESC' },
+    ...['score', 'rank', 'name', 'id'].map(column => ({ column, direction: 'ASC' })),
+  ],
+};
+
+/**
+ * Search POI ids by free text, best matches first (or best rated first)
+ * Ties on relevance are broken by rank, then name
+ *
+ * @param {string} text - Search text
+ * @param {object} options - Search options
+ * @param {Array<string>} options.categories - Optional category filter
+ * @param {number} options.limit - Number of results (default: 10)
+ * @param {number} options.offset - Number of results to skip (default: 0)
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @param {object} options.tagFilter - Optional tag filter (see utils/tagFilters)
+ * @param {Array<object>} options.openTimes - Optional opening hours filter (see utils/openingHours)
+ * @param {number} options.minRating - Optional minimum average rating (see utils/ratingFilters)
+ * @param {Array<number>} options.priceLevels - Optional price levels (see utils/priceFilters)
+ * @param {string} options.cityId - Optional city (see utils/areaFilters)
+ * @param {string} options.districtId - Optional district (see utils/areaFilters)
+ * @param {string} options.sort - relevance (default) or rating
+ * @returns {Promise<{ids: Array<string>, count: number, cursors: object}>} Matching ids for the page,
+ *   total count and, with a cursor, the next and previous cursors
+ */
+async function search(text, options = {}) {
+  const {
+    categories = null,
+    limit = 10,
+    offset = 0,
+    cursor,
+    tagFilter,
+    openTimes,
+    minRating,
+    priceLevels,
+    cityId,
+    districtId,
+    sort = 'relevance',
+  } = options;
+  const expression = buildMatchExpression(text);
+
+  if (!expression) {
+    return { ids: [], count: 0, cursors: cursor && { next: null, previous: null } };
+  }
+
+  const replacements = { expression, limit, offset };
+  let where = `${SEARCH_TABLE} MATCH :expression`;
+
+  if (categories && categories.length > 0) {
+    where += ' AND poi.category IN (:categories)';
+    replacements.categories = categories;
+  }
+
+  [
+    ...buildTagConditions('poi', tagFilter),
+    ...buildOpeningHoursConditions('poi', openTimes),
+    ...buildRatingConditions('poi', minRating),
+    ...buildPriceLevelConditions('poi', priceLevels),
+    ...buildAreaConditions('poi', { cityId, districtId }),
+  ].forEach(condition => {
+    where += ` AND ${condition}`;
+  });
+
+  const matches = `WITH matches AS (
+    SELECT poi.id AS id, poi.name AS name, poi.rank AS rank,
+      ${ratingSortSql('poi')} AS rating, poi.ratingCount AS ratingCount,
+      bm25(${SEARCH_TABLE}, ${COLUMN_WEIGHTS.join(', ')}) AS score
+    FROM ${SEARCH_TABLE} JOIN points_of_interest AS poi ON poi.id = ${SEARCH_TABLE}.id
+    WHERE ${where}
+  )`;
+
+  const order = SEARCH_ORDERS[sort] || SEARCH_ORDERS.relevance;
+  const signature = `by-name:${sort}`;
+  const keyset = buildKeysetCondition(order, cursor, signature);
+
+  // With a cursor, read one extra row to know whether there is another page
+  const rows = await sequelize.query(
+    `${matches}
+     SELECT id, name, rank, rating, ratingCount, score FROM matches
+     ${keyset ? `WHERE ${keyset}` : ''}
+     ORDER BY ${orderBySql(order, cursor && cursor.direction === 'before')}
+     LIMIT :limit OFFSET :offset`,
+    {
+      replacements: cursor ? { ...replacements, limit: limit + 1, offset: 0 } : replacements,
+      type: sequelize.QueryTypes.SELECT,
+    }
+  );
+
+  const [{ count }] = await sequelize.query(
+    `${matches}
+     SELECT COUNT(*) AS count FROM matches`,
+    { replacements, type: sequelize.QueryTypes.SELECT }
+  );
+
+  if (!cursor) {
+    return {
+      ids: rows.map(row => row.id),
+      count,
+    };
+  }
+
+  const page = buildKeysetPage(rows, {
+    limit,
+    cursor,
+    keyOf: row => order.map(({ column }) => row[column]),
+    signature,
+  });
+
+  return {
+    ids: page.rows.map(row => row.id),
+    count,
+    cursors: page.cursors,
+  };
+}
+
+/**
+ * Read the indexed name words that could be a spelling of a search term
+ * Only words sharing its first letter are read (a range of the vocabulary), cut
+ * to the term length plus its tolerated edits: longer words are compared by
+ * their beginning anyway (see utils/fuzzyMatch.termDistance), and those sharing
+ * it are counted together.
+ *
+ * @param {string} term - Folded search term
+ * @returns {Promise<Array<{word: string, documents: number}>>} Candidate words (or word
+ *   beginnings) and the number of indexed names containing them
+ */
+async function findSpellingCandidates(term) {
+  const [first] = term;
+  const maxDistance = maxTermDistance(term);
+
+  return sequelize.query(
+    `SELECT substr(term, 1, :maxLength) AS word, SUM(doc) AS documents FROM ${VOCABULARY_TABLE}
+     WHERE term >= :first AND term < :afterFirst
+       AND col IN (:columns)
+       AND length(term) >= :minLength
+     GROUP BY word`,
+    {
+      replacements: {
+        first,
+        afterFirst: String.fromCodePoint(first.codePointAt(0) + 1),
+        columns: NAME_COLUMNS,
+        minLength: term.length - maxDistance,
+        maxLength: term.length + maxDistance,
+      },
+      type: sequelize.QueryTypes.SELECT,
+    }
+  );
+}
+
+/**
+ * Correct misspelled search terms against the names in the index
+ * Terms that start some indexed name word are kept; each other term is replaced
+ * by the closest name word with the same first letter within its tolerated
+ * edits (see utils/fuzzyMatch), preferring fewer edits, then words found in more POIs.
+ *
+ * @param {string} text - Search text
+ * @returns {Promise<string|null>} Corrected search text (folded, each corrected term
+ *   possibly the beginning of a word), or null if a term has no close enough word
+ *   or no term needs correcting
+ *
+ * @example
+ * await correctSpelling('sagarda familia');
+ * // 'sagrada familia'
+ */
+async function correctSpelling(text) {
+  const terms = toSearchTerms(text);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  let corrected = false;
+  const corrections = [];
+  for (const term of terms) {
+    const candidates = await findSpellingCandidates(term);
+
+    if (candidates.some(({ word }) => word.startsWith(term))) {
+      corrections.push(term);
+      continue;
+    }
+
+    const maxDistance = maxTermDistance(term);
+    const [best] = candidates
+      .map(({ word, documents }) => ({ word, documents, distance: termDistance(term, word) }))
+      .filter(candidate => candidate.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || b.documents - a.documents || a.word.localeCompare(b.word));
+
+    corrected = corrected || Boolean(best);
+    corrections.push(best ? best.word : null);
+  }
+
+  if (!corrected || corrections.includes(null)) {
+    return null;
+  }
+
+  return corrections.join(' ');
+}
+
+module.exports = {
+  toSearchTerms,
+  buildMatchExpression,
+  buildMatchSubquery,
+  matchCondition,
+  search,
+  correctSpelling,
+};
@@ -4,28 +4,248 @@
  * Business logic for Point of Interest operations including:
  * - Search by radius (circular area)
  * - Search by bounding box (rectangular area)
+ * - Clustering of a bounding box for zoomed-out maps
+ * - Search by polygon (drawn area)
+ * - Search along a route (corridor around a polyline)
+ * - Nearest POIs (k nearest neighbours, no radius cap)
  * - Get by ID
  * - Filtering and pagination
+ * - Admin create, update and delete
  */
 
-const { PointOfInterest } = require('../models');
+const crypto = require('crypto');
+const { PointOfInterest, PoiTranslation, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const PoiSearchIndex = require('./PoiSearchIndex');
+const PoiSpatialIndex = require('./PoiSpatialIndex');
+const PoiTileService = require('./PoiTileService');
+const PoiMediaService = require('./PoiMediaService');
+const AreaService = require('./AreaService');
+const { buildTagConditions } = require('../utils/tagFilters');
+const { termSimilarity } = require('../utils/fuzzyMatch');
+const {
+  isValidTimeZone,
+  getLocalTime,
+  parseLocalDateTime,
+  buildOpeningHoursConditions,
+} = require('../utils/openingHours');
+const { ratingSortSql, buildRatingConditions } = require('../utils/ratingFilters');
+const { buildPriceLevelConditions } = require('../utils/priceFilters');
+const { buildAreaConditions } = require('../utils/areaFilters');
+const {
+  orderBySql,
+  buildKeysetCondition,
+  buildKeysetPage,
+  assertCursorMatches,
+  compareKeys,
+  paginateSorted,
+} = require('../utils/cursor');
 const {
   calculateDistance,
+  calculateBearing,
   getBoundingBox,
   isInBoundingBox,
+  getPolygonBoundingBox,
+  isPointInPolygon,
+  distanceToRoute,
+  getRouteBoundingBox,
+  calculateCentroid,
+  projectToTile,
   isValidCoordinate,
 } = require('../utils/geospatial');
 
+/**
+ * Add tag, opening hours, rating, price and area filter conditions to Sequelize where conditions
+ * 
+ * @param {object} whereConditions - Where conditions to extend
+ * @param {object} filters - Tag filter (tags, tagsMatch, excludeTags), resolved
+ *   opening hours filter (openTimes, see resolveOpenTimes), minimum rating (minRating)
+ *   price levels (priceLevels) and parent area (cityId, districtId)
+ */
+function addFilterConditions(whereConditions, filters) {
+  const conditions = [
+    ...buildTagConditions('PointOfInterest', filters),
+    ...buildOpeningHoursConditions('PointOfInterest', filters.openTimes),
+    ...buildRatingConditions('PointOfInterest', filters.minRating),
+    ...buildPriceLevelConditions('PointOfInterest', filters.priceLevels),
+    ...buildAreaConditions('PointOfInterest', filters),
+  ];
+  if (conditions.length > 0) {
+    whereConditions[Op.and] = conditions.map(condition => sequelize.literal(condition));
+  }
+}
+
+/**
+ * Resolve an opening hours filter into the local times to check in SQL
+ * 
+ * An instant is converted to the local time of every time zone used by POI
+ * opening hours; a local date-time applies to every POI in its own time zone.
+ * 
+ * @param {object|null} openAt - { instant: Date } or { localTime: 'YYYY-MM-DDTHH:MM' }
+ * @returns {Promise<Array<object>|null>} Local times (see utils/openingHours), or null without a filter
+ */
+async function resolveOpenTimes(openAt) {
+  if (!openAt) {
+    return null;
+  }
+
+  if (openAt.localTime) {
+    return [{ timeZone: null, ...parseLocalDateTime(openAt.localTime) }];
+  }
+
+  const timeZones = await sequelize.query(
+    `SELECT DISTINCT json_extract(openingHours, '$.timeZone') AS timeZone
+     FROM points_of_interest
+     WHERE openingHours IS NOT NULL`,
+    { type: sequelize.QueryTypes.SELECT }
+  );
+
+  return timeZones
+    .filter(({ timeZone }) => isValidTimeZone(timeZone))
+    .map(({ timeZone }) => ({ timeZone, ...getLocalTime(openAt.instant, timeZone) }));
+}
+
+/**
+ * Rank order of POI collections: rank, then name, then id so every POI has a
+ * unique position for cursor pagination
+ */
+const RANK_ORDER = [
+  { column: 'rank', direction: 'ASC' },
+  { column: 'name', direction: 'ASC' },
+  { column: 'id', direction: 'ASC' },
+];
+const RANK_KEY = poi => [poi.rank, poi.name, poi.id];
+const ALL_ASCENDING = order => order.map(() => 'ASC');
+
+/**
+ * Rating order of POI collections: best average rating first (unrated last),
+ * then most reviewed, then rank order
+ */
+const RATING_ORDER = [
+  { column: ratingSortSql('`PointOfInterest`'), direction: 'DESC' },
+  { column: 'ratingCount', direction: 'DESC' },
+  ...RANK_ORDER,
+];
+const RATING_KEY = poi => [poi.ratingAverage || 0, poi.ratingCount, ...RANK_KEY(poi)];
+
+/**
+ * Database sort orders of POI collections, with the sort key of a POI
+ */
+const COLLECTION_ORDERS = {
+  rank: { order: RANK_ORDER, keyOf: RANK_KEY },
+  rating: { order: RATING_ORDER, keyOf: RATING_KEY },
+};
+
+/**
+ * Load a page of POIs in rank (or rating) order, by offset or cursor
+ * 
+ * @param {object} whereConditions - Sequelize where conditions
+ * @param {number} limit - Page size
+ * @param {number} offset - Number of POIs to skip (offset pagination)
+ * @param {object} cursor - Decoded page[cursor], or undefined for offset pagination
+ * @param {string} collection - Collection the cursors are issued for (e.g. by-square)
+ * @param {string} sort - rank (default) or rating
+ * @returns {Promise<{rows: Array, count: number, cursors: object}>} Page, total count and cursors
+ */
+async function findPageByRank(whereConditions, limit, offset, cursor, collection, sort = 'rank') {
+  const { order, keyOf } = COLLECTION_ORDERS[sort] || COLLECTION_ORDERS.rank;
+  const signature = `${collection}:${sort}`;
+
+  if (!cursor) {
+    return PointOfInterest.findAndCountAll({
+      where: whereConditions,
+      limit,
+      offset,
+      order: sequelize.literal(orderBySql(order)),
+    });
+  }
+
+  const count = await PointOfInterest.count({ where: whereConditions });
+
+  // Read one extra POI to know whether there is another page
+  const keyset = buildKeysetCondition(order, cursor, signature);
+  const candidates = await PointOfInterest.findAll({
+    where: keyset ? { [Op.and]: [whereConditions, sequelize.literal(keyset)] } : whereConditions,
+    limit: limit + 1,
+    order: sequelize.literal(orderBySql(order, cursor.direction === 'before')),
+  });
+
+  const { rows, cursors } = buildKeysetPage(candidates, { limit, cursor, keyOf, signature });
+
+  return {
+    rows,
+    count,
+    cursors,
+  };
+}
+
+/**
+ * Apply offset or cursor pagination to results sorted in memory
+ * 
+ * @param {Array} items - Every result, sorted by compareKeys on keyOf
+ * @param {number} limit - Page size
+ * @param {number} offset - Number of results to skip (offset pagination)
+ * @param {object} cursor - Decoded page[cursor], or undefined for offset pagination
+ * @param {function} keyOf - Sort key of a result
+ * @param {Array<string>} directions - ASC or DESC for each sort key value
+ * @param {string} signature - Collection and sort order the cursors are issued for
+ * @returns {{rows: Array, cursors: object}} Page and, with a cursor, the next and previous cursors
+ */
+function paginateResults(items, limit, offset, cursor, keyOf, directions, signature) {
+  if (!cursor) {
+    return { rows: items.slice(offset, offset + limit) };
+  }
+
+  return paginateSorted(items, { limit, cursor, keyOf, directions, signature });
+}
+
+/**
+ * Nearest search: first search radius, growth factor between rounds and the
+ * largest radius searched with a bounding box before scanning all POIs
+ */
+const NEAREST_INITIAL_RADIUS_KM = 1;
+const NEAREST_RADIUS_GROWTH = 4;
+const NEAREST_MAX_BOX_RADIUS_KM = 5000;
+
+/**
+ * In-memory sort keys (see utils/cursor): nearest POIs by distance, then rank;
+ * POIs along a route by position along it, then distance to it
+ */
+const NEAREST_KEY = item => [item.distance, item.poi.rank, item.poi.id];
+const ROUTE_KEY = item => [item.distanceAlong, item.distance, item.poi.id];
+const NEAREST_DIRECTIONS = ['ASC', 'ASC', 'ASC'];
+const ROUTE_DIRECTIONS = ['ASC', 'ASC', 'ASC'];
+const NEAREST_SIGNATURE = 'nearest:distance';
+const ROUTE_SIGNATURE = 'along-route:distance';
+
+/**
+ * Nearby POIs embedded in a POI response (include=nearby)
+ */
+const NEARBY_POI_COUNT = 5;
+
+/**
+ * Clustering grid: each 256px map tile is split into 4x4 cells of 64px
+ */
+const CLUSTER_CELLS_PER_TILE = 4;
+
 /**
  * Find POIs within a radius from a center point
  * 
- * Strategy:
- * 1. Calculate a bounding box that fully contains the search circle
- * 2. Query POIs within the bounding box (efficient with DB index)
- * 3. Filter results by actual Haversine distance
- * 4. Apply category filter and pagination
- * 5. Order by rank ASC, then name ASC
+ * Strategy (all steps run in the database):
+ * 1. Select candidates from the R*Tree spatial index using the bounding box
+ *    that fully contains the search circle
+ * 2. Apply category, keyword and tag filters
+ * 3. Compute the Haversine distance and keep POIs inside the circle
+ * 4. Count, sort and paginate
+ * Only the requested page is loaded; bearings are computed for it in JS.
+ * 
+ * Sort options:
+ * - rank: rank ASC, then name ASC (default)
+ * - distance: closest first, then rank ASC
+ * - name: name ASC
+ * - weighted: blend of normalized distance and rank, weighted by options.distanceWeight
+ * - rating: best average rating first (unrated last), then most reviewed, then rank
  * 
  * @param {number} latitude - Center point latitude
  * @param {number} longitude - Center point longitude
@@ -33,7 +253,21 @@ const {
  * @param {Array<string>} categories - Optional array of category filters
  * @param {number} limit - Number of results per page (default: 10)
  * @param {number} offset - Number of results to skip (default: 0)
- * @returns {Promise<{rows: Array, count: number}>} POIs and total count
+ * @param {object} options - Additional search options
+ * @param {string} options.sort - Sort order: rank, distance, name, weighted or rating (default: rank)
+ * @param {number} options.distanceWeight - Weight of distance in the weighted sort, 0-1 (default: 0.5)
+ * @param {string} options.keyword - Optional text that names or tags must match
+ * @param {Array<string>} options.tags - Optional tags to match (see options.tagsMatch)
+ * @param {string} options.tagsMatch - any (default) or all of options.tags must be present
+ * @param {Array<string>} options.excludeTags - Optional tags that must not be present
+ * @param {object} options.openAt - Optional opening hours filter: { instant } or { localTime } (see resolveOpenTimes)
+ * @param {number} options.minRating - Optional minimum average rating (1-5)
+ * @param {Array<number>} options.priceLevels - Optional price levels to match (1-4)
+ * @param {string} options.cityId - Optional city the POIs must be in (directly or through a district)
+ * @param {string} options.districtId - Optional district the POIs must be in
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{rows: Array, count: number, cursors: object}>} POIs (with search context),
+ *   total count and, with a cursor, the next and previous cursors
  */
 async function findByRadius(
   latitude,
@@ -41,8 +275,11 @@ async function findByRadius(
   radius = 1,
   categories = null,
   limit = 10,
-  offset = 0
+  offset = 0,
+  options = {}
 ) {
+  const { sort = 'rank', distanceWeight = 0.5, keyword, cursor } = options;
+
   try {
     // Validate coordinates
     if (!isValidCoordinate(latitude, longitude)) {
@@ -54,28 +291,460 @@ async function findByRadius(
       throw new Error('Radius must be between 0 and 20 kilometers');
     }
 
-    // Step 1: Calculate bounding box
-    const bbox = getBoundingBox(latitude, longitude, radius);
+    // Steps 1-4: Query the spatial index
+    const { items, count, cursors } = await PoiSpatialIndex.searchRadius(latitude, longitude, radius, {
+      categories,
+      keyword,
+      tagFilter: options,
+      openTimes: await resolveOpenTimes(options.openAt),
+      minRating: options.minRating,
+      priceLevels: options.priceLevels,
+      cityId: options.cityId,
+      districtId: options.districtId,
+      sort,
+      distanceWeight,
+      limit,
+      offset,
+      cursor,
+    });
+
+    // Load the page and keep the database order
+    const pois = await PointOfInterest.findAll({
+      where: { id: { [Op.in]: items.map(item => item.id) } },
+    });
+    const poisById = new Map(pois.map(poi => [poi.id, poi]));
 
-    // Step 2: Build query conditions
+    const rows = items
+      .filter(item => poisById.has(item.id))
+      .map(item => {
+        const poi = poisById.get(item.id);
+        const bearing = calculateBearing(latitude, longitude, parseFloat(poi.latitude), parseFloat(poi.longitude));
+        return poi.setSearchContext({ distance: item.distance, bearing });
+      });
+
+    return {
+      rows,
+      count,
+      cursors,
+    };
+  } catch (error) {
+    console.error('Error in findByRadius:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Build where conditions for POIs inside a bounding box
+ * 
+ * @param {number} north - North boundary latitude
+ * @param {number} south - South boundary latitude
+ * @param {number} east - East boundary longitude
+ * @param {number} west - West boundary longitude
+ * @param {Array<string>} categories - Optional array of category filters
+ * @param {object} options - Keyword, tag, resolved opening hours, rating and price filters (see findByBoundingBox)
+ * @returns {object} Sequelize where conditions
+ */
+function buildBoundingBoxConditions(north, south, east, west, categories, options = {}) {
+  const { keyword } = options;
+
+  // Validate coordinates
+  if (
+    !isValidCoordinate(north, 0) ||
+    !isValidCoordinate(south, 0) ||
+    !isValidCoordinate(0, east) ||
+    !isValidCoordinate(0, west)
+  ) {
+    throw new Error('Invalid bounding box coordinates');
+  }
+
+  // Validate north > south
+  if (north <= south) {
+    throw new Error('North boundary must be greater than south boundary');
+  }
+
+  // Build query conditions
+  const whereConditions = {
+    latitude: {
+      [Op.between]: [south, north],
+    },
+  };
+
+  // Handle longitude (may cross International Date Line)
+  if (west <= east) {
+    whereConditions.longitude = {
+      [Op.between]: [west, east],
+    };
+  } else {
+    // Crosses date line
+    whereConditions.longitude = {
+      [Op.or]: [{ [Op.gte]: west }, { [Op.lte]: east }],
+    };
+  }
+
+  // Add category filter if provided
+  if (categories && categories.length > 0) {
+    whereConditions.category = {
+      [Op.in]: categories,
+    };
+  }
+
+  // Add full-text filter if provided
+  if (keyword) {
+    whereConditions.id = PoiSearchIndex.matchCondition(keyword);
+  }
+
+  // Add tag, opening hours, rating and price filters if provided
+  addFilterConditions(whereConditions, options);
+
+  return whereConditions;
+}
+
+/**
+ * Find POIs within a rectangular bounding box
+ * 
+ * @param {number} north - North boundary latitude
+ * @param {number} south - South boundary latitude
+ * @param {number} east - East boundary longitude
+ * @param {number} west - West boundary longitude
+ * @param {Array<string>} categories - Optional array of category filters
+ * @param {number} limit - Number of results per page (default: 10)
+ * @param {number} offset - Number of results to skip (default: 0)
+ * @param {object} options - Additional search options
+ * @param {string} options.keyword - Optional text that names or tags must match
+ * @param {Array<string>} options.tags - Optional tags to match (see options.tagsMatch)
+ * @param {string} options.tagsMatch - any (default) or all of options.tags must be present
+ * @param {object} options.openAt - Optional opening hours filter: { instant } or { localTime } (see resolveOpenTimes)
+ * @param {number} options.minRating - Optional minimum average rating (1-5)
+ * @param {Array<number>} options.priceLevels - Optional price levels to match (1-4)
+ * @param {string} options.cityId - Optional city the POIs must be in (directly or through a district)
+ * @param {string} options.districtId - Optional district the POIs must be in
+ * @param {string} options.sort - Sort order: rank or rating (default: rank)
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{rows: Array, count: number, cursors: object}>} POIs, total count and,
+ *   with a cursor, the next and previous cursors
+ */
+async function findByBoundingBox(
+  north,
+  south,
+  east,
+  west,
+  categories = null,
+  limit = 10,
+  offset = 0,
+  options = {}
+) {
+  try {
+    const openTimes = await resolveOpenTimes(options.openAt);
+    const whereConditions = buildBoundingBoxConditions(north, south, east, west, categories, {
+      ...options,
+      openTimes,
+    });
+
+    // Query database with pagination
+    const { rows, count, cursors } = await findPageByRank(
+      whereConditions,
+      limit,
+      offset,
+      options.cursor,
+      'by-square',
+      options.sort
+    );
+
+    return {
+      rows,
+      count,
+      cursors,
+    };
+  } catch (error) {
+    console.error('Error in findByBoundingBox:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Group the POIs in a bounding box into map clusters
+ * 
+ * Strategy:
+ * 1. Load the position and category of every POI in the box (same filters as findByBoundingBox)
+ * 2. Assign each POI to a cell of a Web Mercator grid whose cells are 64px
+ *    wide at the given zoom level, so clusters keep a constant size on screen
+ * 3. Summarize each cell with its count, centroid, category breakdown and bounds
+ * 4. Load full POIs for cells with a single member
+ * 
+ * Clusters are sorted by size (largest first), single POIs by rank, then name.
+ * 
+ * @param {number} north - North boundary latitude
+ * @param {number} south - South boundary latitude
+ * @param {number} east - East boundary longitude
+ * @param {number} west - West boundary longitude
+ * @param {number} zoom - Map zoom level (0-22)
+ * @param {Array<string>} categories - Optional array of category filters
+ * @param {object} options - Keyword, tag, opening hours, rating and price filters (see findByBoundingBox)
+ * @returns {Promise<{rows: Array, count: number}>} Clusters followed by single POIs, and total POI count
+ */
+async function clusterByBoundingBox(north, south, east, west, zoom, categories = null, options = {}) {
+  try {
+    const openTimes = await resolveOpenTimes(options.openAt);
+    const whereConditions = buildBoundingBoxConditions(north, south, east, west, categories, {
+      ...options,
+      openTimes,
+    });
+
+    const points = await PointOfInterest.findAll({
+      where: whereConditions,
+      attributes: ['id', 'latitude', 'longitude', 'category'],
+      raw: true,
+    });
+
+    // Assign POIs to grid cells
+    const cellZoom = zoom + Math.log2(CLUSTER_CELLS_PER_TILE);
+    const cells = new Map();
+
+    points.forEach(point => {
+      const latitude = parseFloat(point.latitude);
+      const longitude = parseFloat(point.longitude);
+      const { x, y } = projectToTile(latitude, longitude, cellZoom);
+      const key = `${zoom}-${Math.floor(x)}-${Math.floor(y)}`;
+
+      if (!cells.has(key)) {
+        cells.set(key, []);
+      }
+      cells.get(key).push({ id: point.id, category: point.category, latitude, longitude });
+    });
+
+    // Summarize cells with several members
+    const clusters = [];
+    const singleIds = [];
+
+    cells.forEach((members, key) => {
+      if (members.length === 1) {
+        singleIds.push(members[0].id);
+        return;
+      }
+
+      const centroid = calculateCentroid(members);
+      const categoryCounts = {};
+      const bounds = { north: -90, south: 90, east: -180, west: 180 };
+
+      members.forEach(member => {
+        categoryCounts[member.category] = (categoryCounts[member.category] || 0) + 1;
+        bounds.north = Math.max(bounds.north, member.latitude);
+        bounds.south = Math.min(bounds.south, member.latitude);
+        bounds.east = Math.max(bounds.east, member.longitude);
+        bounds.west = Math.min(bounds.west, member.longitude);
+      });
+
+      clusters.push({
+        type: 'cluster',
+        id: key,
+        geoCode: {
+          latitude: Math.round(centroid.latitude * 1e6) / 1e6,
+          longitude: Math.round(centroid.longitude * 1e6) / 1e6,
+        },
+        count: members.length,
+        categories: categoryCounts,
+        bounds,
+      });
+    });
+
+    clusters.sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+
+    // Cells with a single member are returned as regular POIs
+    const singles = singleIds.length > 0
+      ? await PointOfInterest.findAll({
+        where: { id: { [Op.in]: singleIds } },
+        order: [
+          ['rank', 'ASC'],
+          ['name', 'ASC'],
+        ],
+      })
+      : [];
+
+    return {
+      rows: [...clusters, ...singles],
+      count: points.length,
+    };
+  } catch (error) {
+    console.error('Error in clusterByBoundingBox:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find POIs inside one or more polygons
+ * 
+ * Strategy:
+ * 1. Calculate the bounding box of every polygon's outer ring
+ * 2. Query POIs within the box enclosing all polygons
+ * 3. Keep POIs inside a polygon bounding box (cheap) and then inside the polygon itself
+ * 4. Sort by rank, then name, and apply pagination
+ * 
+ * Polygons use GeoJSON Polygon coordinates (outer ring first, then holes,
+ * positions as [longitude, latitude]) and must not cross the International Date Line.
+ * 
+ * @param {Array<Array<Array<Array<number>>>>} polygons - Polygons to search (a MultiPolygon)
+ * @param {Array<string>} categories - Optional array of category filters
+ * @param {number} limit - Number of results per page (default: 10)
+ * @param {number} offset - Number of results to skip (default: 0)
+ * @param {object} options - Additional search options
+ * @param {string} options.keyword - Optional text that names or tags must match
+ * @param {Array<string>} options.tags - Optional tags to match (see options.tagsMatch)
+ * @param {string} options.tagsMatch - any (default) or all of options.tags must be present
+ * @param {number} options.minRating - Optional minimum average rating (1-5)
+ * @param {Array<number>} options.priceLevels - Optional price levels to match (1-4)
+ * @param {string} options.cityId - Optional city the POIs must be in (directly or through a district)
+ * @param {string} options.districtId - Optional district the POIs must be in
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{rows: Array, count: number, cursors: object}>} POIs, total count and,
+ *   with a cursor, the next and previous cursors
+ */
+async function findByPolygon(
+  polygons,
+  categories = null,
+  limit = 10,
+  offset = 0,
+  options = {}
+) {
+  const { keyword } = options;
+
+  try {
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      throw new Error('At least one polygon is required');
+    }
+
+    // Step 1: Bounding box of each polygon
+    const boxes = polygons.map(polygon => getPolygonBoundingBox(polygon[0]));
+
+    // Step 2: Query POIs in the box enclosing all polygons
     const whereConditions = {
       latitude: {
-        [Op.between]: [bbox.south, bbox.north],
+        [Op.between]: [Math.min(...boxes.map(box => box.south)), Math.max(...boxes.map(box => box.north))],
+      },
+      longitude: {
+        [Op.between]: [Math.min(...boxes.map(box => box.west)), Math.max(...boxes.map(box => box.east))],
       },
     };
 
-    // Handle longitude (may cross International Date Line)
-    if (bbox.west <= bbox.east) {
-      whereConditions.longitude = {
-        [Op.between]: [bbox.west, bbox.east],
-      };
-    } else {
-      // Crosses date line
-      whereConditions.longitude = {
-        [Op.or]: [{ [Op.gte]: bbox.west }, { [Op.lte]: bbox.east }],
+    // Add category filter if provided
+    if (categories && categories.length > 0) {
+      whereConditions.category = {
+        [Op.in]: categories,
       };
     }
 
+    // Add full-text filter if provided
+    if (keyword) {
+      whereConditions.id = PoiSearchIndex.matchCondition(keyword);
+    }
+
+    // Add tag filters if provided
+    addFilterConditions(whereConditions, options);
+
+    const candidates = await PointOfInterest.findAll({
+      where: whereConditions,
+      order: RANK_ORDER.map(({ column, direction }) => [column, direction]),
+    });
+
+    // Step 3: Bounding box prefilter, then point-in-polygon test
+    const poisInPolygons = candidates.filter(poi => {
+      const poiLatitude = parseFloat(poi.latitude);
+      const poiLongitude = parseFloat(poi.longitude);
+
+      return polygons.some(
+        (polygon, index) =>
+          isInBoundingBox(
+            poiLatitude,
+            poiLongitude,
+            boxes[index].north,
+            boxes[index].south,
+            boxes[index].east,
+            boxes[index].west
+          ) && isPointInPolygon(poiLatitude, poiLongitude, polygon)
+      );
+    });
+
+    // Step 4: Apply pagination
+    const { rows, cursors } = paginateResults(
+      poisInPolygons,
+      limit,
+      offset,
+      options.cursor,
+      RANK_KEY,
+      ALL_ASCENDING(RANK_ORDER),
+      'by-polygon:rank'
+    );
+
+    return {
+      rows,
+      count: poisInPolygons.length,
+      cursors,
+    };
+  } catch (error) {
+    console.error('Error in findByPolygon:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find POIs along a route
+ * 
+ * Strategy:
+ * 1. Calculate a bounding box containing the route and half the corridor width around it
+ * 2. Query POIs within the bounding box
+ * 3. Measure each POI's distance to the closest route segment, keeping those inside the corridor
+ * 4. Order by position along the route (closest to the route first on ties)
+ * 5. Apply pagination
+ * 
+ * Routes must not cross the International Date Line.
+ * 
+ * @param {Array<{latitude: number, longitude: number}>} route - Route points in travel order
+ * @param {number} width - Corridor width in meters; POIs up to width / 2 from the route match
+ * @param {Array<string>} categories - Optional array of category filters
+ * @param {number} limit - Number of results per page (default: 10)
+ * @param {number} offset - Number of results to skip (default: 0)
+ * @param {object} options - Additional search options
+ * @param {string} options.keyword - Optional text that names or tags must match
+ * @param {Array<string>} options.tags - Optional tags to match (see options.tagsMatch)
+ * @param {string} options.tagsMatch - any (default) or all of options.tags must be present
+ * @param {number} options.minRating - Optional minimum average rating (1-5)
+ * @param {Array<number>} options.priceLevels - Optional price levels to match (1-4)
+ * @param {string} options.cityId - Optional city the POIs must be in (directly or through a district)
+ * @param {string} options.districtId - Optional district the POIs must be in
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{rows: Array, count: number, cursors: object}>} POIs (with distance and position
+ *   along the route), total count and, with a cursor, the next and previous cursors
+ */
+async function findAlongRoute(
+  route,
+  width = 200,
+  categories = null,
+  limit = 10,
+  offset = 0,
+  options = {}
+) {
+  const { keyword } = options;
+
+  try {
+    if (!Array.isArray(route) || route.length < 2) {
+      throw new Error('A route needs at least 2 points');
+    }
+
+    // Corridor extends half its width on each side of the route
+    const bufferKm = width / 2 / 1000;
+
+    // Step 1: Bounding box around the corridor
+    const bbox = getRouteBoundingBox(route, bufferKm);
+
+    // Step 2: Build query conditions
+    const whereConditions = {
+      latitude: {
+        [Op.between]: [bbox.south, bbox.north],
+      },
+      longitude: {
+        [Op.between]: [bbox.west, bbox.east],
+      },
+    };
+
     // Add category filter if provided
     if (categories && categories.length > 0) {
       whereConditions.category = {
@@ -83,132 +752,237 @@ async function findByRadius(
       };
     }
 
-    // Step 3: Query database
-    const poisInBox = await PointOfInterest.findAll({
+    // Add full-text filter if provided
+    if (keyword) {
+      whereConditions.id = PoiSearchIndex.matchCondition(keyword);
+    }
+
+    // Add tag filters if provided
+    addFilterConditions(whereConditions, options);
+
+    const candidates = await PointOfInterest.findAll({
       where: whereConditions,
-      order: [
-        ['rank', 'ASC'],
-        ['name', 'ASC'],
-      ],
     });
 
-    // Step 4: Filter by actual Haversine distance
-    const poisWithDistance = poisInBox
+    // Step 3: Keep POIs inside the corridor
+    // Step 4: Order by position along the route
+    const poisAlongRoute = candidates
       .map(poi => {
-        const distance = calculateDistance(
-          latitude,
-          longitude,
+        const { distance, distanceAlong } = distanceToRoute(
           parseFloat(poi.latitude),
-          parseFloat(poi.longitude)
+          parseFloat(poi.longitude),
+          route
         );
         return {
-          poi,
+          poi: poi.setSearchContext({ distance, distanceAlongRoute: distanceAlong }),
           distance,
+          distanceAlong,
         };
       })
-      .filter(item => item.distance <= radius)
-      .sort((a, b) => {
-        // Sort by rank first, then by name
-        if (a.poi.rank !== b.poi.rank) {
-          return a.poi.rank - b.poi.rank;
-        }
-        return a.poi.name.localeCompare(b.poi.name);
-      });
+      .filter(item => item.distance <= bufferKm)
+      .sort((a, b) => compareKeys(ROUTE_KEY(a), ROUTE_KEY(b), ROUTE_DIRECTIONS));
 
     // Step 5: Apply pagination
-    const totalCount = poisWithDistance.length;
-    const paginatedResults = poisWithDistance.slice(offset, offset + limit).map(item => item.poi);
+    const { rows, cursors } = paginateResults(
+      poisAlongRoute,
+      limit,
+      offset,
+      options.cursor,
+      ROUTE_KEY,
+      ROUTE_DIRECTIONS,
+      ROUTE_SIGNATURE
+    );
 
     return {
-      rows: paginatedResults,
-      count: totalCount,
+      rows: rows.map(item => item.poi),
+      count: poisAlongRoute.length,
+      cursors,
     };
   } catch (error) {
-    console.error('Error in findByRadius:', error.message);
+    console.error('Error in findAlongRoute:', error.message);
     throw error;
   }
 }
 
 /**
- * Find POIs within a rectangular bounding box
+ * Whether the POIs found inside the current circle are enough to build the page
  * 
- * @param {number} north - North boundary latitude
- * @param {number} south - South boundary latitude
- * @param {number} east - East boundary longitude
- * @param {number} west - West boundary longitude
+ * @param {Array<{poi, distance}>} nearest - POIs inside the circle
+ * @param {number} radius - Circle radius in kilometers
+ * @param {object} cursor - Decoded page[cursor], or undefined for offset pagination
+ * @param {number} limit - Page size
+ * @param {number} needed - POIs needed for offset pagination (offset + limit)
+ * @returns {boolean} True if growing the circle cannot change the page
+ */
+function coversPage(nearest, radius, cursor, limit, needed) {
+  if (!cursor) {
+    return nearest.length >= needed;
+  }
+
+  // One POI more than the page tells whether there is a next page
+  if (cursor.key === null) {
+    return nearest.length > limit;
+  }
+
+  const afterCursor = nearest.filter(
+    item => compareKeys(NEAREST_KEY(item), cursor.key, NEAREST_DIRECTIONS) > 0
+  ).length;
+
+  // Before a cursor, every nearer POI is inside the circle once it reaches the cursor's distance
+  return cursor.direction === 'after' ? afterCursor > limit : radius >= cursor.key[0] && afterCursor > 0;
+}
+
+/**
+ * Find the POIs closest to a point, however far away they are
+ * 
+ * Strategy (progressively expanding bounding box):
+ * 1. Query POIs in the bounding box of a small circle around the point
+ * 2. Only POIs inside the circle are certain to be among the nearest; if there are
+ *    enough of them for the requested page, stop
+ * 3. Otherwise grow the circle (x4) and repeat; beyond 5000 km scan all matching POIs
+ * 4. Sort by distance (then rank) and apply pagination
+ * 
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
  * @param {Array<string>} categories - Optional array of category filters
- * @param {number} limit - Number of results per page (default: 10)
- * @param {number} offset - Number of results to skip (default: 0)
- * @returns {Promise<{rows: Array, count: number}>} POIs and total count
+ * @param {number} limit - Number of POIs to return (default: 10)
+ * @param {number} offset - Number of nearer POIs to skip (default: 0)
+ * @param {object} options - Additional search options
+ * @param {string} options.keyword - Optional text that names or tags must match
+ * @param {Array<string>} options.tags - Optional tags to match (see options.tagsMatch)
+ * @param {string} options.tagsMatch - any (default) or all of options.tags must be present
+ * @param {number} options.minRating - Optional minimum average rating (1-5)
+ * @param {Array<number>} options.priceLevels - Optional price levels to match (1-4)
+ * @param {string} options.cityId - Optional city the POIs must be in (directly or through a district)
+ * @param {string} options.districtId - Optional district the POIs must be in
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{rows: Array, count: number, cursors: object}>} Nearest POIs (with search
+ *   context), total count of POIs matching the filters and, with a cursor, the next and previous cursors
  */
-async function findByBoundingBox(
-  north,
-  south,
-  east,
-  west,
+async function findNearest(
+  latitude,
+  longitude,
   categories = null,
   limit = 10,
-  offset = 0
+  offset = 0,
+  options = {}
 ) {
+  const { keyword, cursor } = options;
+
   try {
     // Validate coordinates
-    if (
-      !isValidCoordinate(north, 0) ||
-      !isValidCoordinate(south, 0) ||
-      !isValidCoordinate(0, east) ||
-      !isValidCoordinate(0, west)
-    ) {
-      throw new Error('Invalid bounding box coordinates');
+    if (!isValidCoordinate(latitude, longitude)) {
+      throw new Error(`Invalid coordinates: lat=${latitude}, lon=${longitude}`);
     }
 
-    // Validate north > south
-    if (north <= south) {
-      throw new Error('North boundary must be greater than south boundary');
+    if (cursor) {
+      assertCursorMatches(cursor, NEAREST_DIRECTIONS.length, NEAREST_SIGNATURE);
     }
 
-    // Build query conditions
-    const whereConditions = {
-      latitude: {
-        [Op.between]: [south, north],
-      },
-    };
+    // Filters shared by every round
+    const filterConditions = {};
 
-    // Handle longitude (may cross International Date Line)
-    if (west <= east) {
-      whereConditions.longitude = {
-        [Op.between]: [west, east],
-      };
-    } else {
-      // Crosses date line
-      whereConditions.longitude = {
-        [Op.or]: [{ [Op.gte]: west }, { [Op.lte]: east }],
-      };
-    }
-
-    // Add category filter if provided
     if (categories && categories.length > 0) {
-      whereConditions.category = {
+      filterConditions.category = {
         [Op.in]: categories,
       };
     }
 
-    // Query database with pagination
-    const { rows, count } = await PointOfInterest.findAndCountAll({
-      where: whereConditions,
-      limit: limit,
-      offset: offset,
-      order: [
-        ['rank', 'ASC'],
-        ['name', 'ASC'],
-      ],
+    if (keyword) {
+      filterConditions.id = PoiSearchIndex.matchCondition(keyword);
+    }
+
+    addFilterConditions(filterConditions, options);
+
+    const totalCount = await PointOfInterest.count({ where: filterConditions });
+    const needed = Math.min(offset + limit, totalCount);
+
+    let radius = NEAREST_INITIAL_RADIUS_KM;
+    let nearest = [];
+
+    while (true) {
+      const whereConditions = { ...filterConditions };
+      const scanAll = radius > NEAREST_MAX_BOX_RADIUS_KM;
+
+      // Step 1: Bounding box of the current circle
+      if (!scanAll) {
+        const bbox = getBoundingBox(latitude, longitude, radius);
+
+        whereConditions.latitude = {
+          [Op.between]: [bbox.south, bbox.north],
+        };
+
+        // Near the poles the box spans every longitude
+        if (!isNaN(bbox.east) && !isNaN(bbox.west)) {
+          whereConditions.longitude =
+            bbox.west <= bbox.east
+              ? { [Op.between]: [bbox.west, bbox.east] }
+              : { [Op.or]: [{ [Op.gte]: bbox.west }, { [Op.lte]: bbox.east }] };
+        }
+      }
+
+      const candidates = await PointOfInterest.findAll({
+        where: whereConditions,
+      });
+
+      // Step 2: Keep POIs inside the circle
+      nearest = candidates
+        .map(poi => ({
+          poi,
+          distance: calculateDistance(latitude, longitude, parseFloat(poi.latitude), parseFloat(poi.longitude)),
+        }))
+        .filter(item => scanAll || item.distance <= radius);
+
+      if (scanAll || nearest.length >= totalCount || coversPage(nearest, radius, cursor, limit, needed)) {
+        break;
+      }
+
+      // Step 3: Grow the circle
+      radius *= NEAREST_RADIUS_GROWTH;
+    }
+
+    // Step 4: Sort by distance and apply pagination
+    nearest.sort((a, b) => compareKeys(NEAREST_KEY(a), NEAREST_KEY(b), NEAREST_DIRECTIONS));
+    const page = paginateResults(
+      nearest,
+      limit,
+      offset,
+      cursor,
+      NEAREST_KEY,
+      NEAREST_DIRECTIONS,
+      NEAREST_SIGNATURE
+    );
+
+    const rows = page.rows.map(({ poi, distance }) => {
+      const bearing = calculateBearing(latitude, longitude, parseFloat(poi.latitude), parseFloat(poi.longitude));
+      return poi.setSearchContext({ distance, bearing });
     });
 
     return {
       rows,
-      count,
+      count: totalCount,
+      cursors: page.cursors,
     };
   } catch (error) {
-    console.error('Error in findByBoundingBox:', error.message);
+    console.error('Error in findNearest:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find the POIs closest to a POI (the POI itself excluded)
+ * 
+ * @param {PointOfInterest} poi - POI to search around
+ * @param {number} limit - Number of POIs to return (default: 5)
+ * @returns {Promise<Array>} Nearby POIs (with distance and bearing from the POI), nearest first
+ */
+async function findNearbyPois(poi, limit = NEARBY_POI_COUNT) {
+  try {
+    const { rows } = await findNearest(parseFloat(poi.latitude), parseFloat(poi.longitude), null, limit + 1);
+
+    return rows.filter(nearby => nearby.id !== poi.id).slice(0, limit);
+  } catch (error) {
+    console.error('Error in findNearbyPois:', error.message);
     throw error;
   }
 }
@@ -251,38 +1025,74 @@ async function getTotalCount(whereConditions = {}) {
   }
 }
 
+
 /**
- * Get all unique categories available in the database
+ * Attach to each POI the similarity of its closest name (own or translated) to a search text
  * 
- * @returns {Promise<Array<string>>} Array of category names
+ * @param {Array<PointOfInterest>} pois - POIs (modified in place)
+ * @param {string} text - Search text
+ * @returns {Promise<string|null>} The name most similar to the text, as displayed (the
+ *   first POI's on ties), or null without POIs
  */
-async function getAvailableCategories() {
-  try {
-    const pois = await PointOfInterest.findAll({
-      attributes: ['category'],
-      group: ['category'],
-    });
-    return pois.map(poi => poi.category);
-  } catch (error) {
-    console.error('Error in getAvailableCategories:', error.message);
-    throw error;
-  }
+async function attachNameSimilarity(pois, text) {
+  const terms = PoiSearchIndex.toSearchTerms(text);
+  const translations = await PoiTranslation.findAll({
+    attributes: ['poiId', 'name'],
+    where: { poiId: { [Op.in]: pois.map(poi => poi.id) }, name: { [Op.ne]: null } },
+  });
+
+  let best = null;
+  pois.forEach(poi => {
+    const names = [poi.name, ...translations.filter(t => t.poiId === poi.id).map(t => t.name)];
+    const similarities = names.map(poiName => termSimilarity(terms, PoiSearchIndex.toSearchTerms(poiName)));
+    const similarity = Math.max(...similarities);
+    poi.setSearchContext({ ...poi.searchContext, similarity });
+
+    if (!best || similarity > best.similarity) {
+      best = { name: names[similarities.indexOf(similarity)], similarity };
+    }
+  });
+
+  return best ? best.name : null;
 }
 
 /**
- * Find POIs by name (case-insensitive partial match)
+ * Find POIs by name or tags using the full-text search index
  * 
- * @param {string} name - Search string for POI name
+ * Matching is case- and accent-insensitive and every search term is
+ * prefix-matched ("casa batllo" finds "Casa Batlló"). Results are ordered by
+ * relevance (name matches weigh more than tag matches), then rank and name,
+ * or by rating with options.sort.
+ * 
+ * When nothing matches, misspelled terms are corrected against the indexed
+ * names ("park gwell" searches "park guell") and its results are returned
+ * instead, with each POI's similarity to the original text and, as the
+ * suggestion, the most similar POI name ("Park Güell").
+ * 
+ * @param {string} name - Search text
  * @param {Array<string>} categories - Optional array of category filters
  * @param {number} limit - Number of results per page (default: 10)
  * @param {number} offset - Number of results to skip (default: 0)
- * @returns {Promise<{rows: Array, count: number}>} POIs and total count
+ * @param {object} options - Additional search options
+ * @param {Array<string>} options.tags - Optional tags to match (see options.tagsMatch)
+ * @param {string} options.tagsMatch - any (default) or all of options.tags must be present
+ * @param {object} options.openAt - Optional opening hours filter: { instant } or { localTime } (see resolveOpenTimes)
+ * @param {number} options.minRating - Optional minimum average rating (1-5)
+ * @param {Array<number>} options.priceLevels - Optional price levels to match (1-4)
+ * @param {string} options.cityId - Optional city the POIs must be in (directly or through a district)
+ * @param {string} options.districtId - Optional district the POIs must be in
+ * @param {string} options.sort - Sort order: relevance or rating (default: relevance)
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{rows: Array, count: number, cursors: object, suggestion: (string|null)}>} POIs,
+ *   total count, with a cursor the next and previous cursors, and the name of the closest
+ *   POI when the results are close matches
  */
 async function findByName(
   name,
   categories = null,
   limit = 10,
-  offset = 0
+  offset = 0,
+  options = {}
 ) {
   try {
     // Validate name
@@ -290,34 +1100,47 @@ async function findByName(
       throw new Error('Name search string is required');
     }
 
-    // Build query conditions
-    const whereConditions = {
-      name: {
-        [Op.like]: `%${name.trim()}%`,
-      },
+    const searchOptions = {
+      categories,
+      limit,
+      offset,
+      cursor: options.cursor,
+      tagFilter: options,
+      openTimes: await resolveOpenTimes(options.openAt),
+      minRating: options.minRating,
+      priceLevels: options.priceLevels,
+      cityId: options.cityId,
+      districtId: options.districtId,
+      sort: options.sort,
     };
 
-    // Add category filter if provided
-    if (categories && categories.length > 0) {
-      whereConditions.category = {
-        [Op.in]: categories,
-      };
+    // Rank matches in the search index
+    let { ids, count, cursors } = await PoiSearchIndex.search(name, searchOptions);
+
+    // Nothing matches: search the closest indexed spelling instead
+    let corrected = null;
+    if (count === 0) {
+      corrected = await PoiSearchIndex.correctSpelling(name);
+      if (corrected) {
+        ({ ids, count, cursors } = await PoiSearchIndex.search(corrected, searchOptions));
+      }
     }
 
-    // Query database with pagination
-    const { rows, count } = await PointOfInterest.findAndCountAll({
-      where: whereConditions,
-      limit: limit,
-      offset: offset,
-      order: [
-        ['rank', 'ASC'],
-        ['name', 'ASC'],
-      ],
+    // Load the page and keep relevance order
+    const pois = await PointOfInterest.findAll({
+      where: { id: { [Op.in]: ids } },
     });
+    const poisById = new Map(pois.map(poi => [poi.id, poi]));
+    const rows = ids.map(id => poisById.get(id)).filter(Boolean);
+
+    // Suggest the name of the closest match, as it is displayed
+    const suggestion = corrected && rows.length > 0 ? await attachNameSimilarity(rows, name) : null;
 
     return {
       rows,
       count,
+      cursors,
+      suggestion,
     };
   } catch (error) {
     console.error('Error in findByName:', error.message);
@@ -326,25 +1149,156 @@ async function findByName(
 }
 
 /**
- * Get statistics about POIs in the database
+ * Statistics: rank distribution buckets (1-10, 11-20, ...); the last bucket is open-ended
+ */
+const RANK_BUCKET_SIZE = 10;
+const RANK_BUCKET_COUNT = 11;
+
+/**
+ * Build the SQL WHERE clause scoping catalog and statistics queries
+ * 
+ * @param {object} scope - Optional scope
+ * @param {number} scope.north - North boundary latitude (bounding box scope)
+ * @param {number} scope.south - South boundary latitude
+ * @param {number} scope.east - East boundary longitude
+ * @param {number} scope.west - West boundary longitude
+ * @param {string} scope.cityId - City scope (see utils/areaFilters)
+ * @param {string} scope.districtId - District scope
+ * @returns {{where: string, replacements: object}} WHERE clause over alias `poi` (may be empty) and replacements
+ */
+function buildScopeSql(scope = {}) {
+  const { north, south, east, west } = scope;
+  const conditions = [];
+  const replacements = {};
+
+  if (north !== undefined) {
+    conditions.push('poi.latitude BETWEEN :south AND :north');
+
+    // Handle longitude (may cross International Date Line)
+    if (west <= east) {
+      conditions.push('poi.longitude BETWEEN :west AND :east');
+    } else {
+      conditions.push('(poi.longitude >= :west OR poi.longitude <= :east)');
+    }
+
+    Object.assign(replacements, { north, south, east, west });
+  }
+
+  conditions.push(...buildAreaConditions('poi', scope));
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    replacements,
+  };
+}
+
+/**
+ * Count POIs per category in one grouped query
+ * 
+ * @param {object} scope - Optional scope (see buildScopeSql)
+ * @returns {Promise<object>} Count per category, including categories without POIs
+ */
+async function countByCategory(scope) {
+  const { where, replacements } = buildScopeSql(scope);
+
+  const rows = await sequelize.query(
+    `SELECT poi.category AS category, COUNT(*) AS count
+     FROM points_of_interest AS poi
+     ${where}
+     GROUP BY poi.category`,
+    { replacements, type: sequelize.QueryTypes.SELECT }
+  );
+
+  const counts = {};
+  PointOfInterest.rawAttributes.category.values.forEach(category => {
+    counts[category] = 0;
+  });
+  rows.forEach(row => {
+    counts[row.category] = row.count;
+  });
+
+  return counts;
+}
+
+/**
+ * Get the category catalog with the number of POIs in each category
+ * 
+ * @param {object} scope - Optional bounding box (north, south, east, west) and area (cityId, districtId) scope
+ * @returns {Promise<Array<{category: string, count: number}>>} Every category, in catalog order
+ */
+async function getAvailableCategories(scope = {}) {
+  try {
+    const counts = await countByCategory(scope);
+    return Object.keys(counts).map(category => ({ category, count: counts[category] }));
+  } catch (error) {
+    console.error('Error in getAvailableCategories:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get statistics about POIs: totals, per-category counts, most frequent tags
+ * and rank distribution, each computed with a single grouped query
  * 
+ * Tags are counted case-insensitively, like tag filters.
+ * 
+ * @param {object} scope - Optional bounding box (north, south, east, west) and area (cityId, districtId) scope
+ * @param {object} options - Statistics options
+ * @param {number} options.tagLimit - Number of most frequent tags to return (default: 20)
  * @returns {Promise<object>} Statistics object
  */
-async function getStatistics() {
+async function getStatistics(scope = {}, options = {}) {
+  const { tagLimit = 20 } = options;
+
   try {
-    const total = await PointOfInterest.count();
-    const categories = await getAvailableCategories();
-    
-    const categoryStats = {};
-    for (const category of categories) {
-      categoryStats[category] = await PointOfInterest.count({
-        where: { category },
-      });
-    }
+    const { where, replacements } = buildScopeSql(scope);
+
+    const [summary] = await sequelize.query(
+      `SELECT COUNT(*) AS total, MIN(poi.rank) AS minRank, MAX(poi.rank) AS maxRank, AVG(poi.rank) AS averageRank
+       FROM points_of_interest AS poi
+       ${where}`,
+      { replacements, type: sequelize.QueryTypes.SELECT }
+    );
+
+    const categories = await countByCategory(scope);
+
+    const tags = await sequelize.query(
+      `SELECT lower(tag.value) AS tag, COUNT(DISTINCT poi.id) AS count
+       FROM points_of_interest AS poi, json_each(poi.tags) AS tag
+       ${where}
+       GROUP BY lower(tag.value)
+       ORDER BY count DESC, tag ASC
+       LIMIT :tagLimit`,
+      { replacements: { ...replacements, tagLimit }, type: sequelize.QueryTypes.SELECT }
+    );
+
+    const buckets = await sequelize.query(
+      `SELECT MIN((poi.rank - 1) / ${RANK_BUCKET_SIZE}, ${RANK_BUCKET_COUNT - 1}) AS bucket, COUNT(*) AS count
+       FROM points_of_interest AS poi
+       ${where}
+       GROUP BY bucket`,
+      { replacements, type: sequelize.QueryTypes.SELECT }
+    );
+
+    const distribution = Array.from({ length: RANK_BUCKET_COUNT }, (_, bucket) => ({
+      from: bucket * RANK_BUCKET_SIZE + 1,
+      to: bucket < RANK_BUCKET_COUNT - 1 ? (bucket + 1) * RANK_BUCKET_SIZE : null,
+      count: 0,
+    }));
+    buckets.forEach(row => {
+      distribution[row.bucket].count = row.count;
+    });
 
     return {
-      total,
-      categories: categoryStats,
+      total: summary.total,
+      categories,
+      tags,
+      rank: {
+        min: summary.minRank,
+        max: summary.maxRank,
+        average: summary.averageRank === null ? null : Math.round(summary.averageRank * 10) / 10,
+        distribution,
+      },
     };
   } catch (error) {
     console.error('Error in getStatistics:', error.message);
@@ -352,13 +1306,228 @@ async function getStatistics() {
   }
 }
 
+/**
+ * Attributes that admins may set on a POI
+ * `id` can only be chosen on creation; `type` is always "location"
+ */
+const WRITABLE_ATTRIBUTES = [
+  'subType',
+  'name',
+  'latitude',
+  'longitude',
+  'category',
+  'rank',
+  'tags',
+  'pictures',
+  'openingHours',
+  'address',
+  'phone',
+  'website',
+  'email',
+  'priceLevel',
+  'description',
+  'parentId',
+];
+
+/**
+ * Default values applied to optional attributes when a POI is replaced
+ */
+const REPLACE_DEFAULTS = {
+  subType: 'POINT_OF_INTEREST',
+  rank: 100,
+  tags: [],
+  pictures: [],
+  openingHours: null,
+  address: null,
+  phone: null,
+  website: null,
+  email: null,
+  priceLevel: null,
+  description: null,
+};
+
+/**
+ * Pick writable attributes from a request body
+ * 
+ * @param {object} data - Incoming POI data
+ * @returns {object} Object with only writable attributes that are present
+ */
+function pickWritableAttributes(data) {
+  const attributes = {};
+  WRITABLE_ATTRIBUTES.forEach(key => {
+    if (data[key] !== undefined) {
+      attributes[key] = data[key];
+    }
+  });
+  return attributes;
+}
+
+/**
+ * Check whether saving attributes changes the coordinates of a POI
+ * 
+ * @param {object} attributes - Attributes to save
+ * @param {PointOfInterest} current - POI being updated, or null on create
+ * @returns {boolean} True on create, or if latitude or longitude changes
+ */
+function changesCoordinates(attributes, current) {
+  if (!current) {
+    return true;
+  }
+
+  return ['latitude', 'longitude'].some(
+    key => attributes[key] !== undefined && parseFloat(attributes[key]) !== parseFloat(current[key])
+  );
+}
+
+/**
+ * Set the parent area of a POI being created or moved, unless given explicitly
+ * 
+ * The parent is the district whose boundary contains the POI, else the city,
+ * else none: a POI moved outside every boundary loses its parent. A POI whose
+ * coordinates do not change keeps its parent.
+ * 
+ * @param {object} attributes - Attributes to save (parentId is set in place)
+ * @param {PointOfInterest} current - POI being updated, or null on create
+ * @throws {NotFoundError} If an explicit parentId does not exist
+ */
+async function resolveParentId(attributes, current = null) {
+  if (attributes.parentId) {
+    await AreaService.assertAreaExists(attributes.parentId);
+    return;
+  }
+
+  if (attributes.parentId === null || !changesCoordinates(attributes, current)) {
+    return;
+  }
+
+  const locate = await AreaService.getAreaLocator();
+  attributes.parentId = locate(
+    parseFloat(attributes.latitude !== undefined ? attributes.latitude : current.latitude),
+    parseFloat(attributes.longitude !== undefined ? attributes.longitude : current.longitude)
+  );
+}
+
+/**
+ * Generate a POI identifier in the seeded format (10 uppercase hex characters)
+ * 
+ * @returns {string} New POI ID
+ */
+function generatePoiId() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+/**
+ * Create a new POI
+ * Field rules (category enum, coordinate ranges, array fields) are enforced
+ * by the PointOfInterest model validations
+ * 
+ * @param {object} data - POI attributes (id optional)
+ * @returns {Promise<PointOfInterest>} Created POI
+ */
+async function createPoi(data) {
+  try {
+    const id = data.id || generatePoiId();
+
+    const existing = await PointOfInterest.findByPk(id);
+    if (existing) {
+      throw new ValidationError(`POI with id '${id}' already exists`, {
+        parameter: 'id',
+      });
+    }
+
+    const attributes = pickWritableAttributes(data);
+    await resolveParentId(attributes);
+
+    const poi = await PointOfInterest.create({
+      id,
+      ...attributes,
+    });
+    PoiTileService.clearTileCache();
+
+    return poi;
+  } catch (error) {
+    console.error('Error in createPoi:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing POI
+ * 
+ * @param {string} id - POI unique identifier
+ * @param {object} data - POI attributes to set
+ * @param {object} options - Update options
+ * @param {boolean} options.replace - Reset omitted optional attributes to defaults (PUT)
+ * @returns {Promise<PointOfInterest>} Updated POI
+ */
+async function updatePoi(id, data, options = {}) {
+  try {
+    const poi = await PointOfInterest.findByPk(id);
+    if (!poi) {
+      throw new NotFoundError(`POI with id '${id}' not found`, {
+        parameter: 'poisId',
+      });
+    }
+
+    const attributes = options.replace
+      ? { ...REPLACE_DEFAULTS, ...pickWritableAttributes(data) }
+      : pickWritableAttributes(data);
+    await resolveParentId(attributes, poi);
+
+    await poi.update(attributes);
+    PoiTileService.clearTileCache();
+
+    return poi;
+  } catch (error) {
+    console.error('Error in updatePoi:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a POI
+ * Favorites and bookings referencing it are removed by the CASCADE constraints
+ * 
+ * @param {string} id - POI unique identifier
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deletePoi(id) {
+  try {
+    const poi = await PointOfInterest.findByPk(id);
+    if (!poi) {
+      throw new NotFoundError(`POI with id '${id}' not found`, {
+        parameter: 'poisId',
+      });
+    }
+
+    // Picture rows go with the POI (ON DELETE CASCADE); their files are removed here
+    const media = await poi.getMedia();
+
+    await poi.destroy();
+    await PoiMediaService.removeFiles(media);
+    PoiTileService.clearTileCache();
+    return true;
+  } catch (error) {
+    console.error('Error in deletePoi:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   findByRadius,
   findByBoundingBox,
+  clusterByBoundingBox,
+  findByPolygon,
+  findAlongRoute,
+  findNearest,
+  findNearbyPois,
   findById,
   findByName,
   getTotalCount,
   getAvailableCategories,
   getStatistics,
+  createPoi,
+  updatePoi,
+  deletePoi,
 };
 
@@ -0,0 +1,210 @@
+/**
+ * POI Spatial Index
+ *
+ * Radius queries over the points_of_interest_rtree R*Tree, which the database
+ * keeps in sync with points_of_interest through triggers:
+ * - Candidate selection from the R*Tree (bounding box of the search circle)
+ * - Haversine distance, filtering, sorting, counting and pagination (offset or cursor) in SQL
+ */
+
+const { sequelize } = require('../models');
+const { getBoundingBox } = require('../utils/geospatial');
+const { buildTagConditions } = require('../utils/tagFilters');
+const { buildOpeningHoursConditions } = require('../utils/openingHours');
+const { ratingSortSql, buildRatingConditions } = require('../utils/ratingFilters');
+const { buildPriceLevelConditions } = require('../utils/priceFilters');
+const { buildAreaConditions } = require('../utils/areaFilters');
+const { orderBySql, buildKeysetCondition, buildKeysetPage } = require('../utils/cursor');
+const PoiSearchIndex = require('./PoiSearchIndex');
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Haversine distance in kilometers from (:latitude, :longitude) to a POI, as SQL
+ * Mirrors calculateDistance in utils/geospatial; works for any table with
+ * latitude and longitude columns
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @returns {string} SQL expression
+ */
+function distanceSql(tableAlias) {
+  const dLat = `radians(${tableAlias}.latitude - :latitude)`;
+  const dLon = `radians(${tableAlias}.longitude - :longitude)`;
+
+  return `(2 * ${EARTH_RADIUS_KM} * asin(sqrt(min(1,
+    pow(sin(${dLat} / 2), 2) +
+    cos(radians(:latitude)) * cos(radians(${tableAlias}.latitude)) * pow(sin(${dLon} / 2), 2)
+  ))))`;
+}
+
+/**
+ * Sort orders over the ranked candidates (id, name, rank, rating, ratingCount,
+ * distance, score), ending with id so cursors are unambiguous.
+ * A leading "-" sorts the column in descending order.
+ */
+const SORT_ORDERS = {
+  rank: ['rank', 'name', 'id'],
+  distance: ['distance', 'rank', 'name', 'id'],
+  name: ['name', 'rank', 'id'],
+  weighted: ['score', 'distance', 'name', 'id'],
+  rating: ['-rating', '-ratingCount', 'rank', 'name', 'id'],
+};
+
+/**
+ * Weighted sort score: distance as a fraction of the radius, rank capped at 100
+ * Lower score is better
+ */
+const WEIGHTED_SCORE_SQL = `(:distanceWeight * (CASE WHEN :radius > 0 THEN distance / :radius ELSE 0 END)
+  + (1 - :distanceWeight) * (MIN(rank, 100) / 100.0))`;
+
+/**
+ * Sort order for a radius sort option
+ *
+ * @param {string} sort - rank, distance, name, weighted or rating
+ * @returns {Array<{column: string, direction: string}>} Sort order (see utils/cursor)
+ */
+function getSortOrder(sort) {
+  return (SORT_ORDERS[sort] || SORT_ORDERS.rank).map(column =>
+    column.startsWith('-') ? { column: column.slice(1), direction: 'DESC' } : { column, direction: 'ASC' }
+  );
+}
+
+/**
+ * Find POI ids within a radius, sorted and paginated by the database
+ *
+ * @param {number} latitude - Center point latitude
+ * @param {number} longitude - Center point longitude
+ * @param {number} radius - Search radius in kilometers
+ * @param {object} options - Search options
+ * @param {Array<string>} options.categories - Optional category filter
+ * @param {string} options.keyword - Optional text that names or tags must match
+ * @param {object} options.tagFilter - Optional tag filter (see utils/tagFilters)
+ * @param {Array<object>} options.openTimes - Optional opening hours filter (see utils/openingHours)
+ * @param {number} options.minRating - Optional minimum average rating (see utils/ratingFilters)
+ * @param {Array<number>} options.priceLevels - Optional price levels (see utils/priceFilters)
+ * @param {string} options.cityId - Optional city (see utils/areaFilters)
+ * @param {string} options.districtId - Optional district (see utils/areaFilters)
+ * @param {string} options.sort - rank (default), distance, name, weighted or rating
+ * @param {number} options.distanceWeight - Weight of distance in the weighted sort (default: 0.5)
+ * @param {number} options.limit - Number of results (default: 10)
+ * @param {number} options.offset - Number of results to skip (default: 0)
+ * @param {object} options.cursor - Decoded page[cursor]; replaces offset (see utils/cursor)
+ * @returns {Promise<{items: Array<{id: string, distance: number}>, count: number, cursors: object}>}
+ *   Page, total count and, with a cursor, the next and previous cursors
+ */
+async function searchRadius(latitude, longitude, radius, options = {}) {
+  const {
+    categories = null,
+    keyword,
+    tagFilter,
+    openTimes,
+    minRating,
+    priceLevels,
+    cityId,
+    districtId,
+    sort = 'rank',
+    distanceWeight = 0.5,
+    limit = 10,
+    offset = 0,
+    cursor,
+  } = options;
+
+  const bbox = getBoundingBox(latitude, longitude, radius);
+  const replacements = {
+    latitude,
+    longitude,
+    radius,
+    distanceWeight,
+    limit,
+    offset,
+    north: bbox.north,
+    south: bbox.south,
+    east: bbox.east,
+    west: bbox.west,
+  };
+
+  const conditions = ['spatial.minLatitude <= :north', 'spatial.maxLatitude >= :south'];
+
+  // Handle longitude (may cross International Date Line)
+  if (bbox.west <= bbox.east) {
+    conditions.push('spatial.minLongitude <= :east', 'spatial.maxLongitude >= :west');
+  } else {
+    conditions.push('(spatial.maxLongitude >= :west OR spatial.minLongitude <= :east)');
+  }
+
+  if (categories && categories.length > 0) {
+    conditions.push('poi.category IN (:categories)');
+    replacements.categories = categories;
+  }
+
+  if (keyword) {
+    conditions.push(`poi.id IN ${PoiSearchIndex.buildMatchSubquery(keyword)}`);
+  }
+
+  conditions.push(...buildTagConditions('poi', tagFilter));
+  conditions.push(...buildOpeningHoursConditions('poi', openTimes));
+  conditions.push(...buildRatingConditions('poi', minRating));
+  conditions.push(...buildPriceLevelConditions('poi', priceLevels));
+  conditions.push(...buildAreaConditions('poi', { cityId, districtId }));
+
+  const candidates = `WITH candidates AS (
+    SELECT poi.id AS id, poi.name AS name, poi.rank AS rank,
+      ${ratingSortSql('poi')} AS rating, poi.ratingCount AS ratingCount, ${distanceSql('poi')} AS distance
+    FROM points_of_interest_rtree AS spatial
+    JOIN points_of_interest AS poi ON poi.id = spatial.poiId
+    WHERE ${conditions.join(' AND ')}
+  ),
+  ranked AS (
+    SELECT id, name, rank, rating, ratingCount, distance, ${WEIGHTED_SCORE_SQL} AS score
+    FROM candidates
+    WHERE distance <= :radius
+  )`;
+
+  const order = getSortOrder(sort);
+  const signature = `radius:${sort}`;
+  const keyset = buildKeysetCondition(order, cursor, signature);
+
+  // With a cursor, read one extra row to know whether there is another page
+  const items = await sequelize.query(
+    `${candidates}
+     SELECT id, name, rank, rating, ratingCount, distance, score FROM ranked
+     ${keyset ? `WHERE ${keyset}` : ''}
+     ORDER BY ${orderBySql(order, cursor && cursor.direction === 'before')}
+     LIMIT :limit OFFSET :offset`,
+    {
+      replacements: cursor ? { ...replacements, limit: limit + 1, offset: 0 } : replacements,
+      type: sequelize.QueryTypes.SELECT,
+    }
+  );
+
+  const [{ count }] = await sequelize.query(
+    `${candidates}
+     SELECT COUNT(*) AS count FROM ranked`,
+    { replacements, type: sequelize.QueryTypes.SELECT }
+  );
+
+  if (!cursor) {
+    return {
+      items,
+      count,
+    };
+  }
+
+  const page = buildKeysetPage(items, {
+    limit,
+    cursor,
+    keyOf: item => order.map(({ column }) => item[column]),
+    signature,
+  });
+
+  return {
+    items: page.rows,
+    count,
+    cursors: page.cursors,
+  };
+}
+
+module.exports = {
+  distanceSql,
+  searchRadius,
+};
@@ -0,0 +1,172 @@
+/**
+ * POI Tile Service
+ *
+ * Mapbox Vector Tiles (MVT) of points of interest for map clients:
+ * - One "pois" layer per Web Mercator tile with id, name, category and rank attributes
+ * - Rank-based thinning below FULL_DETAIL_ZOOM (best ranked POIs first)
+ * - In-memory LRU cache of encoded tiles, cleared whenever POIs change
+ */
+
+const vtpbf = require('vt-pbf');
+const { Op } = require('sequelize');
+const { PointOfInterest } = require('../models');
+const { getTileBoundingBox, projectToTile } = require('../utils/geospatial');
+const LruCache = require('../utils/lruCache');
+const config = require('../config');
+
+const LAYER_NAME = 'pois';
+
+/**
+ * Tile coordinate space and the margin around the tile whose POIs are also
+ * encoded, so markers on tile edges are not clipped (both in tile units)
+ */
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+
+/**
+ * Thinning: from FULL_DETAIL_ZOOM every POI is included. Below it, the rank
+ * cut-off drops by RANK_STEP_PER_ZOOM per zoom level (never under MIN_RANK_CUTOFF)
+ * and tiles hold at most MAX_FEATURES_PER_TILE POIs
+ */
+const FULL_DETAIL_ZOOM = 14;
+const MAX_RANK_CUTOFF = 100;
+const MIN_RANK_CUTOFF = 10;
+const RANK_STEP_PER_ZOOM = 10;
+const MAX_FEATURES_PER_TILE = 500;
+
+const tileCache = new LruCache({
+  maxEntries: config.tiles.cacheSize,
+  ttlMs: config.tiles.cacheTtl * 1000,
+});
+
+/**
+ * Highest (worst) rank included in tiles at a zoom level
+ *
+ * @param {number} zoom - Zoom level
+ * @returns {number} Rank cut-off, or Infinity at full detail
+ */
+function getRankCutoff(zoom) {
+  if (zoom >= FULL_DETAIL_ZOOM) {
+    return Infinity;
+  }
+
+  return Math.max(MIN_RANK_CUTOFF, MAX_RANK_CUTOFF - (FULL_DETAIL_ZOOM - 1 - zoom) * RANK_STEP_PER_ZOOM);
+}
+
+/**
+ * Load the POIs of a tile (including its buffer), best ranked first
+ *
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Promise<Array<PointOfInterest>>} POIs to encode
+ */
+async function findTilePois(z, x, y) {
+  const bbox = getTileBoundingBox(x, y, z);
+  const latitudeBuffer = ((bbox.north - bbox.south) * TILE_BUFFER) / TILE_EXTENT;
+  const longitudeBuffer = ((bbox.east - bbox.west) * TILE_BUFFER) / TILE_EXTENT;
+
+  const whereConditions = {
+    latitude: {
+      [Op.between]: [bbox.south - latitudeBuffer, bbox.north + latitudeBuffer],
+    },
+    longitude: {
+      [Op.between]: [bbox.west - longitudeBuffer, bbox.east + longitudeBuffer],
+    },
+  };
+
+  const rankCutoff = getRankCutoff(z);
+  if (rankCutoff !== Infinity) {
+    whereConditions.rank = { [Op.lte]: rankCutoff };
+  }
+
+  return PointOfInterest.findAll({
+    where: whereConditions,
+    attributes: ['id', 'name', 'latitude', 'longitude', 'category', 'rank'],
+    order: [
+      ['rank', 'ASC'],
+      ['name', 'ASC'],
+    ],
+    ...(z < FULL_DETAIL_ZOOM && { limit: MAX_FEATURES_PER_TILE }),
+  });
+}
+
+/**
+ * Encode POIs as a vector tile
+ *
+ * @param {Array<PointOfInterest>} pois - POIs to encode
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Buffer} MVT (protobuf) tile
+ */
+function encodeTile(pois, z, x, y) {
+  const features = [];
+
+  pois.forEach(poi => {
+    const point = projectToTile(parseFloat(poi.latitude), parseFloat(poi.longitude), z);
+    const tileX = Math.round((point.x - x) * TILE_EXTENT);
+    const tileY = Math.round((point.y - y) * TILE_EXTENT);
+
+    if (
+      tileX < -TILE_BUFFER ||
+      tileX > TILE_EXTENT + TILE_BUFFER ||
+      tileY < -TILE_BUFFER ||
+      tileY > TILE_EXTENT + TILE_BUFFER
+    ) {
+      return;
+    }
+
+    features.push({
+      type: 1, // Point
+      geometry: [[tileX, tileY]],
+      tags: {
+        id: poi.id,
+        name: poi.name,
+        category: poi.category,
+        rank: poi.rank,
+      },
+    });
+  });
+
+  return Buffer.from(vtpbf.fromGeojsonVt({ [LAYER_NAME]: { features } }, { version: 2, extent: TILE_EXTENT }));
+}
+
+/**
+ * Get the vector tile of POIs for a Web Mercator tile
+ *
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Promise<{tile: Buffer, cached: boolean}>} Encoded tile and whether it came from the cache
+ */
+async function getPoiTile(z, x, y) {
+  try {
+    const key = `${z}/${x}/${y}`;
+    const cachedTile = tileCache.get(key);
+    if (cachedTile) {
+      return { tile: cachedTile, cached: true };
+    }
+
+    const pois = await findTilePois(z, x, y);
+    const tile = encodeTile(pois, z, x, y);
+    tileCache.set(key, tile);
+
+    return { tile, cached: false };
+  } catch (error) {
+    console.error('Error in getPoiTile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Drop every cached tile (call after POIs are created, updated or deleted)
+ */
+function clearTileCache() {
+  tileCache.clear();
+}
+
+module.exports = {
+  getPoiTile,
+  clearTileCache,
+};
@@ -0,0 +1,205 @@
+/**
+ * POI Translation Service
+ *
+ * Names and descriptions of POIs per language:
+ * - Translations management (one per POI and locale)
+ * - Resolution of the translation to show for a list of preferred locales
+ *
+ * Resolution walks the preferred locales in order (see negotiateLocale): the
+ * first locale with a translation wins; reaching the default locale (the
+ * language of the names stored on POIs) keeps the POI's own name.
+ */
+
+const { PoiTranslation, PointOfInterest } = require('../models');
+const { NotFoundError } = require('../utils/errors');
+const config = require('../config');
+
+/**
+ * Primary language of a locale ("en-GB" -> "en")
+ *
+ * @param {string} locale - Language tag
+ * @returns {string} Lowercase primary language subtag
+ */
+function getPrimaryLanguage(locale) {
+  return locale.toLowerCase().split('-')[0];
+}
+
+/**
+ * Canonical spelling of a language tag ("es-mx" -> "es-MX"), as stored in translations
+ *
+ * @param {string} locale - Well-formed language tag
+ * @returns {string} Canonical language tag
+ */
+function canonicalizeLocale(locale) {
+  return Intl.getCanonicalLocales(locale)[0];
+}
+
+/**
+ * Attach to each POI the translation for the first preferred locale that has one
+ *
+ * @param {Array<PointOfInterest>} pois - POIs to translate (modified in place)
+ * @param {Array<string>} locales - Preferred lowercase locales, most preferred first
+ * @returns {Promise<Array<PointOfInterest>>} The same POIs
+ */
+async function applyTranslations(pois, locales = []) {
+  try {
+    if (!Array.isArray(pois) || pois.length === 0 || locales.length === 0) {
+      return pois;
+    }
+
+    const translations = await PoiTranslation.findAll({
+      where: { poiId: pois.map(poi => poi.id) },
+    });
+
+    const translationsByPoi = new Map();
+    translations.forEach(translation => {
+      const poiTranslations = translationsByPoi.get(translation.poiId) || new Map();
+      poiTranslations.set(translation.locale.toLowerCase(), translation);
+      translationsByPoi.set(translation.poiId, poiTranslations);
+    });
+
+    const defaultLanguage = getPrimaryLanguage(config.i18n.defaultLocale);
+
+    pois.forEach(poi => {
+      const poiTranslations = translationsByPoi.get(poi.id) || new Map();
+
+      for (const locale of locales) {
+        const translation = poiTranslations.get(locale);
+        if (translation) {
+          poi.setTranslation({
+            locale: translation.locale,
+            name: translation.name,
+            description: translation.description,
+          });
+          return;
+        }
+
+        // The POI's own name is in the default language
+        if (locale === defaultLanguage || locale === config.i18n.defaultLocale.toLowerCase()) {
+          return;
+        }
+      }
+    });
+
+    return pois;
+  } catch (error) {
+    console.error('Error in applyTranslations:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Load a POI or fail with NotFoundError
+ *
+ * @param {string} poiId - POI unique identifier
+ * @returns {Promise<PointOfInterest>} POI instance
+ */
+async function findPoiOrFail(poiId) {
+  const poi = await PointOfInterest.findByPk(poiId);
+
+  if (!poi) {
+    throw new NotFoundError('Point of Interest not found', {
+      parameter: 'poisId',
+    });
+  }
+
+  return poi;
+}
+
+/**
+ * List the translations of a POI
+ *
+ * @param {string} poiId - POI unique identifier
+ * @returns {Promise<Array<PoiTranslation>>} Translations ordered by locale
+ * @throws {NotFoundError} If the POI does not exist
+ */
+async function findTranslations(poiId) {
+  try {
+    await findPoiOrFail(poiId);
+
+    return await PoiTranslation.findAll({
+      where: { poiId },
+      order: [['locale', 'ASC']],
+    });
+  } catch (error) {
+    console.error('Error in findTranslations:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create or replace the translation of a POI for a locale
+ *
+ * @param {string} poiId - POI unique identifier
+ * @param {string} locale - Language tag
+ * @param {object} data - Translation
+ * @param {string} data.name - Translated name (optional)
+ * @param {string} data.description - Description (optional)
+ * @returns {Promise<{translation: PoiTranslation, created: boolean}>} Saved translation and whether it is new
+ * @throws {NotFoundError} If the POI does not exist
+ */
+async function saveTranslation(poiId, locale, data) {
+  try {
+    await findPoiOrFail(poiId);
+
+    const attributes = {
+      name: data.name === undefined ? null : data.name,
+      description: data.description === undefined ? null : data.description,
+    };
+
+    const existing = await PoiTranslation.findOne({
+      where: { poiId, locale: canonicalizeLocale(locale) },
+    });
+
+    if (existing) {
+      return { translation: await existing.update(attributes), created: false };
+    }
+
+    const translation = await PoiTranslation.create({
+      poiId,
+      locale: canonicalizeLocale(locale),
+      ...attributes,
+    });
+
+    return { translation, created: true };
+  } catch (error) {
+    console.error('Error in saveTranslation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete the translation of a POI for a locale
+ *
+ * @param {string} poiId - POI unique identifier
+ * @param {string} locale - Language tag
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the POI or the translation does not exist
+ */
+async function deleteTranslation(poiId, locale) {
+  try {
+    await findPoiOrFail(poiId);
+
+    const translation = await PoiTranslation.findOne({
+      where: { poiId, locale: canonicalizeLocale(locale) },
+    });
+
+    if (!translation) {
+      throw new NotFoundError('Translation not found', {
+        parameter: 'locale',
+      });
+    }
+
+    await translation.destroy();
+  } catch (error) {
+    console.error('Error in deleteTranslation:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  applyTranslations,
+  findTranslations,
+  saveTranslation,
+  deleteTranslation,
+};
@@ -0,0 +1,196 @@
+const { Review, PointOfInterest, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { NotFoundError, ValidationError, ForbiddenError } = require('../utils/errors');
+const { orderBySql, buildKeysetCondition, buildKeysetPage } = require('../utils/cursor');
+
+/**
+ * Reviews order: most recent first (id breaks ties so cursors are unambiguous)
+ */
+const REVIEWS_ORDER = [
+  { column: '`Review`.`createdAt`', direction: 'DESC' },
+  { column: '`Review`.`id`', direction: 'DESC' },
+];
+
+/**
+ * Author attributes loaded with reviews (public name only)
+ */
+const AUTHOR_INCLUDE = {
+  model: User,
+  as: 'user',
+  attributes: ['id', 'firstName', 'lastName'],
+};
+
+/**
+ * Review attributes that authors may set
+ */
+const WRITABLE_ATTRIBUTES = ['rating', 'text', 'visitDate'];
+
+/**
+ * Pick writable attributes from a request body
+ * @param {object} data - Incoming review data
+ * @returns {object} Object with only writable attributes that are present
+ */
+function pickWritableAttributes(data) {
+  const attributes = {};
+  WRITABLE_ATTRIBUTES.forEach((key) => {
+    if (data[key] !== undefined) {
+      attributes[key] = data[key];
+    }
+  });
+  return attributes;
+}
+
+/**
+ * Review Service
+ * Handles POI reviews: listing, creation, author edits and deletion.
+ * Rating aggregates on points_of_interest are maintained by database triggers.
+ */
+class ReviewService {
+  /**
+   * Verify that a POI exists
+   * @param {string} poiId - Point of Interest ID
+   * @returns {Promise<PointOfInterest>} POI instance
+   */
+  static async findPoiOrFail(poiId) {
+    const poi = await PointOfInterest.findByPk(poiId);
+    if (!poi) {
+      throw new NotFoundError('Point of Interest not found', {
+        parameter: 'poisId',
+      });
+    }
+    return poi;
+  }
+
+  /**
+   * Get the reviews of a POI, most recent first
+   * @param {string} poiId - Point of Interest ID
+   * @param {object} options - Query options (limit, offset, or cursor: decoded page[cursor])
+   * @returns {Promise<object>} Reviews with authors, total count (and cursors when paginating by cursor)
+   */
+  static async getPoiReviews(poiId, options = {}) {
+    const { limit = 10, offset = 0, cursor } = options;
+
+    await this.findPoiOrFail(poiId);
+
+    if (!cursor) {
+      return Review.findAndCountAll({
+        where: { poiId },
+        include: [AUTHOR_INCLUDE],
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10),
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      });
+    }
+
+    const count = await Review.count({ where: { poiId } });
+    const keyset = buildKeysetCondition(REVIEWS_ORDER, cursor, 'reviews');
+
+    // Cursor keys use the stored createdAt value, read one extra row to detect a next page
+    const reviews = await Review.findAll({
+      where: keyset ? { poiId, [Op.and]: sequelize.literal(keyset) } : { poiId },
+      attributes: { include: [[sequelize.literal('`Review`.`createdAt`'), 'cursorCreatedAt']] },
+      include: [AUTHOR_INCLUDE],
+      limit: parseInt(limit, 10) + 1,
+      order: sequelize.literal(orderBySql(REVIEWS_ORDER, cursor.direction === 'before')),
+    });
+
+    const page = buildKeysetPage(reviews, {
+      limit: parseInt(limit, 10),
+      cursor,
+      keyOf: (review) => [review.get('cursorCreatedAt'), review.id],
+      signature: 'reviews',
+    });
+
+    return { count, rows: page.rows, cursors: page.cursors };
+  }
+
+  /**
+   * Get a review of a POI
+   * @param {string} poiId - Point of Interest ID
+   * @param {number} reviewId - Review ID
+   * @returns {Promise<Review>} Review with its author
+   */
+  static async getReview(poiId, reviewId) {
+    const review = await Review.findOne({
+      where: { id: reviewId, poiId },
+      include: [AUTHOR_INCLUDE],
+    });
+
+    if (!review) {
+      throw new NotFoundError('Review not found', {
+        parameter: 'reviewId',
+      });
+    }
+
+    return review;
+  }
+
+  /**
+   * Review a POI (one review per user and POI)
+   * @param {number} userId - Author ID
+   * @param {string} poiId - Point of Interest ID
+   * @param {object} data - Review (rating, text, visitDate)
+   * @returns {Promise<Review>} Created review with its author
+   */
+  static async createReview(userId, poiId, data) {
+    await this.findPoiOrFail(poiId);
+
+    const existing = await Review.findOne({
+      where: { userId, poiId },
+    });
+
+    if (existing) {
+      throw new ValidationError('You have already reviewed this POI; edit your review instead', {
+        parameter: 'poisId',
+      });
+    }
+
+    const review = await Review.create({
+      userId,
+      poiId,
+      ...pickWritableAttributes(data),
+    });
+
+    return this.getReview(poiId, review.id);
+  }
+
+  /**
+   * Edit a review (author only)
+   * @param {string} poiId - Point of Interest ID
+   * @param {number} reviewId - Review ID
+   * @param {number} userId - ID of the user making the change
+   * @param {object} data - Fields to change (rating, text, visitDate)
+   * @returns {Promise<Review>} Updated review with its author
+   */
+  static async updateReview(poiId, reviewId, userId, data) {
+    const review = await this.getReview(poiId, reviewId);
+
+    if (review.userId !== userId) {
+      throw new ForbiddenError('Only the author can edit a review');
+    }
+
+    await review.update(pickWritableAttributes(data));
+
+    return review;
+  }
+
+  /**
+   * Delete a review (its author or an administrator)
+   * @param {string} poiId - Point of Interest ID
+   * @param {number} reviewId - Review ID
+   * @param {User} user - User making the request
+   * @returns {Promise<boolean>} True if deleted
+   */
+  static async deleteReview(poiId, reviewId, user) {
+    const review = await this.getReview(poiId, reviewId);
+
+    if (review.userId !== user.id && !user.isAdmin()) {
+      throw new ForbiddenError('Only the author or an administrator can delete a review');
+    }
+
+    await review.destroy();
+    return true;
+  }
+}
+
+module.exports = ReviewService;
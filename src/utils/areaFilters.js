@@ -0,0 +1,44 @@
+/**
+ * Area Filter Utility Functions
+ *
+ * Builds SQL over the parent area of points_of_interest. A POI belongs to a
+ * district or directly to a city; a city filter matches both, through the
+ * districts of the city.
+ */
+
+const { sequelize } = require('../config/sequelize');
+
+/**
+ * Build SQL conditions for a city or district filter
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {object} filter - Area filter
+ * @param {string} filter.cityId - City ID, or null for no city filter
+ * @param {string} filter.districtId - District ID, or null for no district filter
+ * @returns {Array<string>} SQL conditions to AND together (empty if no filter)
+ *
+ * @example
+ * buildAreaConditions('poi', { districtId: 'DBCNEIX' });
+ * // ["poi.parentId = 'DBCNEIX'"]
+ */
+function buildAreaConditions(tableAlias, { cityId, districtId } = {}) {
+  const conditions = [];
+
+  if (districtId) {
+    conditions.push(`${tableAlias}.parentId = ${sequelize.escape(districtId)}`);
+  }
+
+  if (cityId) {
+    const city = sequelize.escape(cityId);
+    conditions.push(
+      `(${tableAlias}.parentId = ${city} OR ${tableAlias}.parentId IN ` +
+      `(SELECT id FROM areas WHERE parentId = ${city}))`
+    );
+  }
+
+  return conditions;
+}
+
+module.exports = {
+  buildAreaConditions,
+};
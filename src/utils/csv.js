@@ -0,0 +1,109 @@
+/**
+ * CSV Utility Functions
+ *
+ * Minimal RFC 4180 parser used by the POI and airport import pipelines:
+ * - Quoted fields with embedded commas, quotes and line breaks
+ * - CRLF or LF line endings
+ * - Optional UTF-8 byte order mark
+ */
+
+/**
+ * Parse CSV text into an array of records (arrays of field strings)
+ *
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {Array<Array<string>>} Parsed records
+ * @throws {Error} If a quoted field is not terminated
+ */
+function parseRecords(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip UTF-8 byte order mark
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          // Escaped quote
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  // Last record without trailing newline
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+/**
+ * Parse CSV text with a header row into an array of objects
+ *
+ * @param {string} text - CSV content whose first record is the header
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {Array<object>} Objects keyed by trimmed header names
+ *
+ * @example
+ * parseCsv('name,rank\nCasa Batlló,5');
+ * // [{ name: 'Casa Batlló', rank: '5' }]
+ */
+function parseCsv(text, delimiter = ',') {
+  const [header, ...records] = parseRecords(text, delimiter);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return records.map(record => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = record[index] !== undefined ? record[index] : '';
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseRecords,
+};
@@ -0,0 +1,264 @@
+/**
+ * Cursor Pagination Utilities
+ *
+ * Opaque keyset cursors (`page[cursor]`) for collections. Unlike offsets,
+ * cursors keep pointing at the same position when items are added or removed
+ * between page loads:
+ * - A cursor holds the sort key of an item and a direction: the page "after"
+ *   it (next link) or "before" it (previous link)
+ * - A cursor is signed with the collection and sort order it was issued for
+ *   (e.g. "nearest:distance"), and is rejected by any other
+ * - An empty cursor is the first page
+ * - Sort orders are lists of { column, direction } and must end with a unique column
+ */
+
+const { sequelize } = require('../config/sequelize');
+const { ValidationError } = require('./errors');
+
+/**
+ * Encode a cursor
+ *
+ * @param {Array} key - Sort key of the item the cursor points at
+ * @param {string} direction - "after" or "before"
+ * @param {string} signature - Collection and sort order the cursor is issued for
+ * @returns {string} Opaque URL-safe cursor
+ */
+function encodeCursor(key, direction, signature) {
+  return Buffer.from(
+    JSON.stringify({ k: key, d: direction === 'before' ? 'b' : 'a', s: signature })
+  ).toString('base64url');
+}
+
+/**
+ * Decode a `page[cursor]` parameter
+ *
+ * @param {string} token - Cursor from a pagination link, or an empty string for the first page
+ * @returns {{key: Array|null, direction: string, signature: string|null}} Decoded cursor
+ *   (key and signature are null on the first page)
+ * @throws {ValidationError} If the cursor is malformed
+ */
+function decodeCursor(token) {
+  if (token === '') {
+    return { key: null, direction: 'after', signature: null };
+  }
+
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    cursor = null;
+  }
+
+  const isValidKey =
+    cursor &&
+    Array.isArray(cursor.k) &&
+    cursor.k.length > 0 &&
+    cursor.k.every(value => typeof value === 'string' || typeof value === 'number');
+
+  if (!isValidKey || !['a', 'b'].includes(cursor.d) || typeof cursor.s !== 'string') {
+    throw new ValidationError('page[cursor] is not a valid cursor', {
+      parameter: 'page[cursor]',
+    });
+  }
+
+  return {
+    key: cursor.k,
+    direction: cursor.d === 'b' ? 'before' : 'after',
+    signature: cursor.s,
+  };
+}
+
+/**
+ * Read the `page[cursor]` parameter of a request
+ *
+ * @param {object} query - Request query parameters
+ * @returns {{key: Array|null, direction: string, signature: string|null}|undefined} Decoded cursor,
+ *   or undefined for offset pagination
+ * @throws {ValidationError} If the cursor is malformed
+ */
+function getCursorParam(query) {
+  const token = query['page[cursor]'];
+  return token === undefined ? undefined : decodeCursor(token);
+}
+
+/**
+ * Check that a cursor was issued for this collection and sort order
+ * The first page cursor (empty) matches any collection
+ *
+ * @param {{key: Array|null, direction: string, signature: string|null}} cursor - Decoded cursor
+ * @param {number} keyLength - Number of values in the sort key
+ * @param {string} signature - Collection and sort order of the request
+ * @throws {ValidationError} If the cursor was issued for another collection or sort order
+ */
+function assertCursorMatches(cursor, keyLength, signature) {
+  if (cursor.key !== null && (cursor.signature !== signature || cursor.key.length !== keyLength)) {
+    throw new ValidationError('page[cursor] does not match the sort order of this request', {
+      parameter: 'page[cursor]',
+    });
+  }
+}
+
+/**
+ * Build an ORDER BY clause for a sort order
+ *
+ * @param {Array<{column: string, direction: string}>} order - Sort order
+ * @param {boolean} reverse - Reverse every direction (to read the page before a cursor)
+ * @returns {string} SQL ORDER BY terms
+ */
+function orderBySql(order, reverse = false) {
+  return order
+    .map(({ column, direction }) => {
+      const descending = (direction === 'DESC') !== Boolean(reverse);
+      return `${column} ${descending ? 'DESC' : 'ASC'}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Build the SQL condition selecting the items after (or before) a cursor
+ *
+ * Expanded as (a > ?) OR (a = ? AND b > ?) OR ... so columns may mix
+ * ascending and descending directions.
+ *
+ * @param {Array<{column: string, direction: string}>} order - Sort order of the collection
+ * @param {{key: Array|null, direction: string}} cursor - Decoded cursor
+ * @param {string} signature - Collection and sort order of the request
+ * @returns {string|null} SQL condition, or null on the first page
+ * @throws {ValidationError} If the cursor was issued for another collection or sort order
+ */
+function buildKeysetCondition(order, cursor, signature) {
+  if (!cursor || cursor.key === null) {
+    return null;
+  }
+
+  assertCursorMatches(cursor, order.length, signature);
+
+  const values = cursor.key.map(value => sequelize.escape(value));
+  const branches = order.map(({ column, direction }, index) => {
+    const ascending = (direction !== 'DESC') === (cursor.direction === 'after');
+    const equalities = order.slice(0, index).map((previous, i) => `${previous.column} = ${values[i]}`);
+    return `(${[...equalities, `${column} ${ascending ? '>' : '<'} ${values[index]}`].join(' AND ')})`;
+  });
+
+  return `(${branches.join(' OR ')})`;
+}
+
+/**
+ * Turn the rows read for a cursor page into the page and its cursors
+ *
+ * The rows must have been read with orderBySql(order, cursor.direction === 'before')
+ * and a limit of `limit + 1`, so the extra row tells whether there is more data.
+ *
+ * @param {Array} rows - Rows read for the page
+ * @param {object} options - Page options
+ * @param {number} options.limit - Page size
+ * @param {{key: Array|null, direction: string}} options.cursor - Decoded cursor
+ * @param {function} options.keyOf - Sort key of a row (values in sort order)
+ * @param {string} options.signature - Collection and sort order the cursors are issued for
+ * @returns {{rows: Array, cursors: {next: string|null, previous: string|null}}} Page in sort order and cursors
+ */
+function buildKeysetPage(rows, { limit, cursor, keyOf, signature }) {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const before = cursor.direction === 'before';
+
+  if (before) {
+    page.reverse();
+  }
+
+  const hasNext = before ? true : hasMore;
+  const hasPrevious = before ? hasMore : cursor.key !== null;
+
+  return {
+    rows: page,
+    cursors: {
+      next:
+        hasNext && page.length > 0
+          ? encodeCursor(keyOf(page[page.length - 1]), 'after', signature)
+          : null,
+      previous:
+        hasPrevious && page.length > 0 ? encodeCursor(keyOf(page[0]), 'before', signature) : null,
+    },
+  };
+}
+
+/**
+ * Compare two sort keys
+ * Strings are compared by UTF-8 bytes, like SQLite's default BINARY collation,
+ * so in-memory and database orders agree
+ *
+ * @param {Array} a - Sort key
+ * @param {Array} b - Sort key
+ * @param {Array<string>} directions - ASC or DESC for each key value
+ * @returns {number} Negative, zero or positive
+ */
+function compareKeys(a, b, directions) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      const comparison =
+        typeof a[i] === 'string' && typeof b[i] === 'string'
+          ? Buffer.compare(Buffer.from(a[i]), Buffer.from(b[i]))
+          : a[i] < b[i] ? -1 : 1;
+      return directions[i] === 'DESC' ? -comparison : comparison;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Cursor pagination of items already sorted in memory
+ *
+ * @param {Array} items - Every item, sorted by compareKeys on keyOf
+ * @param {object} options - Page options
+ * @param {number} options.limit - Page size
+ * @param {{key: Array|null, direction: string}} options.cursor - Decoded cursor
+ * @param {function} options.keyOf - Sort key of an item
+ * @param {Array<string>} options.directions - ASC or DESC for each key value
+ * @param {string} options.signature - Collection and sort order of the request
+ * @returns {{rows: Array, cursors: {next: string|null, previous: string|null}}} Page and cursors
+ * @throws {ValidationError} If the cursor was issued for another collection or sort order
+ */
+function paginateSorted(items, { limit, cursor, keyOf, directions, signature }) {
+  assertCursorMatches(cursor, directions.length, signature);
+
+  let start = 0;
+  let end = items.length;
+
+  if (cursor.key !== null && cursor.direction === 'after') {
+    start = items.findIndex(item => compareKeys(keyOf(item), cursor.key, directions) > 0);
+    start = start === -1 ? items.length : start;
+    end = Math.min(items.length, start + limit);
+  } else if (cursor.key !== null) {
+    end = items.findIndex(item => compareKeys(keyOf(item), cursor.key, directions) >= 0);
+    end = end === -1 ? items.length : end;
+    start = Math.max(0, end - limit);
+  } else {
+    end = Math.min(items.length, limit);
+  }
+
+  const page = items.slice(start, end);
+
+  return {
+    rows: page,
+    cursors: {
+      next:
+        end < items.length && page.length > 0
+          ? encodeCursor(keyOf(page[page.length - 1]), 'after', signature)
+          : null,
+      previous:
+        start > 0 && page.length > 0 ? encodeCursor(keyOf(page[0]), 'before', signature) : null,
+    },
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  getCursorParam,
+  assertCursorMatches,
+  orderBySql,
+  buildKeysetCondition,
+  buildKeysetPage,
+  compareKeys,
+  paginateSorted,
+};
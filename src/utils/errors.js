@@ -90,6 +90,16 @@ class UnauthorizedError extends ApiError {
   }
 }
 
+/**
+ * 403 Forbidden
+ * Amadeus Code: 38197
+ */
+class ForbiddenError extends ApiError {
+  constructor(detail, source = null) {
+    super(403, 38197, 'FORBIDDEN', detail, source);
+  }
+}
+
 /**
  * 404 Not Found
  * Amadeus Code: 1797
@@ -100,6 +110,16 @@ class NotFoundError extends ApiError {
   }
 }
 
+/**
+ * 413 Payload Too Large
+ * Code: 413 (no Amadeus equivalent)
+ */
+class PayloadTooLargeError extends ApiError {
+  constructor(detail, source = null) {
+    super(413, 413, 'PAYLOAD TOO LARGE', detail, source);
+  }
+}
+
 /**
  * 500 Internal Server Error
  * Amadeus Code: 141
@@ -117,6 +137,8 @@ module.exports = {
   InvalidOptionError,
   InvalidDataError,
   UnauthorizedError,
+  ForbiddenError,
   NotFoundError,
+  PayloadTooLargeError,
   InternalServerError,
 };
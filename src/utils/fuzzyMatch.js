@@ -0,0 +1,110 @@
+/**
+ * Fuzzy Match Utility Functions
+ *
+ * Edit distances between folded search terms and indexed words, for
+ * typo-tolerant name searches. A search term may be a word still being typed,
+ * so it is also compared with the beginning of each word.
+ */
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and
+ * transpositions of adjacent characters each cost one edit
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits turning a into b
+ *
+ * @example
+ * editDistance('sagarda', 'sagrada');
+ * // 1
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Edit distance from a search term to a word, or to the beginning of it
+ * (one character shorter to one longer than the term)
+ *
+ * @param {string} term - Folded search term
+ * @param {string} word - Folded indexed word
+ * @returns {number} Fewest edits turning the term into the word or a prefix of it
+ *
+ * @example
+ * termDistance('famlia', 'familia'); // 1
+ * termDistance('guel', 'guell'); // 0
+ */
+function termDistance(term, word) {
+  let distance = editDistance(term, word);
+
+  for (let length = term.length - 1; length <= term.length + 1; length++) {
+    if (length > 0 && length < word.length) {
+      distance = Math.min(distance, editDistance(term, word.slice(0, length)));
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Edits tolerated in a search term: none below 3 characters, 1 up to 4, 2 beyond
+ *
+ * @param {string} term - Folded search term
+ * @returns {number} Maximum edit distance
+ */
+function maxTermDistance(term) {
+  if (term.length < 3) {
+    return 0;
+  }
+
+  return term.length <= 4 ? 1 : 2;
+}
+
+/**
+ * Similarity of search terms to the words of a name
+ * Each term scores 1 minus its edits (relative to its length) to the closest
+ * word; the similarity is the average score
+ *
+ * @param {Array<string>} terms - Folded search terms
+ * @param {Array<string>} words - Folded words of the name
+ * @returns {number} Similarity between 0 (no resemblance) and 1 (every term starts a word)
+ *
+ * @example
+ * termSimilarity(['park', 'gwell'], ['park', 'guell']);
+ * // 0.9
+ */
+function termSimilarity(terms, words) {
+  if (terms.length === 0 || words.length === 0) {
+    return 0;
+  }
+
+  const total = terms.reduce((sum, term) => {
+    const distance = Math.min(...words.map(word => termDistance(term, word)));
+    return sum + Math.max(0, 1 - distance / term.length);
+  }, 0);
+
+  return total / terms.length;
+}
+
+module.exports = {
+  editDistance,
+  termDistance,
+  maxTermDistance,
+  termSimilarity,
+};
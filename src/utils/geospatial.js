@@ -3,10 +3,18 @@
  * 
  * This module provides utilities for geospatial calculations including:
  * - Haversine distance calculation
+ * - Bearing and compass direction
  * - Bounding box generation
  * - Point-in-rectangle validation
+ * - Point-in-polygon test
+ * - Point-to-segment and point-to-route distance
+ * - Encoded polyline decoding and encoding
+ * - Web Mercator tile coordinates
  */
 
+// Web Mercator is undefined at the poles; latitudes are clamped to this limit
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
 /**
  * Calculate the great-circle distance between two points using the Haversine formula
  * 
@@ -44,6 +52,44 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return distance;
 }
 
+/**
+ * Calculate the initial bearing (forward azimuth) from one point to another
+ * 
+ * @param {number} lat1 - Latitude of start point in decimal degrees
+ * @param {number} lon1 - Longitude of start point in decimal degrees
+ * @param {number} lat2 - Latitude of end point in decimal degrees
+ * @param {number} lon2 - Longitude of end point in decimal degrees
+ * @returns {number} Bearing in degrees clockwise from true north (0-360)
+ * 
+ * @example
+ * // Barcelona to Madrid heads roughly west
+ * const bearing = calculateBearing(41.3874, 2.1686, 40.4168, -3.7038);
+ * console.log(bearing); // ~260
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const lat1Rad = toRadians(lat1);
+  const lat2Rad = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+
+  const y = Math.sin(dLon) * Math.cos(lat2Rad);
+  const x =
+    Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+    Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Convert a bearing to an 8-point compass direction
+ * 
+ * @param {number} bearing - Bearing in degrees (0-360)
+ * @returns {string} Compass direction (N, NE, E, SE, S, SW, W, NW)
+ */
+function getCompassDirection(bearing) {
+  const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return directions[Math.round(bearing / 45) % 8];
+}
+
 /**
  * Convert degrees to radians
  * 
@@ -149,6 +195,277 @@ function isInBoundingBox(lat, lon, north, south, east, west) {
   return latInRange && lonInRange;
 }
 
+/**
+ * Calculate the bounding box of a polygon ring
+ * Polygons are assumed not to cross the International Date Line
+ * 
+ * @param {Array<Array<number>>} ring - Ring of [longitude, latitude] positions (GeoJSON order)
+ * @returns {object} Bounding box with north, south, east, west boundaries
+ * 
+ * @example
+ * const bbox = getPolygonBoundingBox([[2.15, 41.38], [2.17, 41.38], [2.17, 41.40], [2.15, 41.38]]);
+ * // { north: 41.40, south: 41.38, east: 2.17, west: 2.15 }
+ */
+function getPolygonBoundingBox(ring) {
+  const longitudes = ring.map(position => position[0]);
+  const latitudes = ring.map(position => position[1]);
+
+  return {
+    north: Math.max(...latitudes),
+    south: Math.min(...latitudes),
+    east: Math.max(...longitudes),
+    west: Math.min(...longitudes),
+  };
+}
+
+/**
+ * Check if a point is inside a polygon ring (ray casting)
+ * 
+ * @param {number} lat - Point latitude in decimal degrees
+ * @param {number} lon - Point longitude in decimal degrees
+ * @param {Array<Array<number>>} ring - Ring of [longitude, latitude] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+function isInRing(lat, lon, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+
+    // Does the edge cross the horizontal line through the point, east of it?
+    const crosses =
+      latI > lat !== latJ > lat && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check if a point is inside a polygon
+ * The polygon uses GeoJSON Polygon coordinates: an outer ring followed by
+ * optional holes, each a ring of [longitude, latitude] positions
+ * 
+ * @param {number} lat - Point latitude in decimal degrees
+ * @param {number} lon - Point longitude in decimal degrees
+ * @param {Array<Array<Array<number>>>} polygon - Polygon rings (outer ring first)
+ * @returns {boolean} True if the point is inside the outer ring and outside every hole
+ * 
+ * @example
+ * const square = [[[2.15, 41.38], [2.17, 41.38], [2.17, 41.40], [2.15, 41.40], [2.15, 41.38]]];
+ * isPointInPolygon(41.39, 2.16, square); // true
+ */
+function isPointInPolygon(lat, lon, polygon) {
+  const [outerRing, ...holes] = polygon;
+
+  if (!outerRing || !isInRing(lat, lon, outerRing)) {
+    return false;
+  }
+
+  return !holes.some(hole => isInRing(lat, lon, hole));
+}
+
+/**
+ * Calculate the shortest distance from a point to a segment
+ * 
+ * The closest point is found on a local equirectangular projection centered
+ * on the point (accurate for segments up to a few hundred kilometers); the
+ * distance to it is then measured with the Haversine formula.
+ * 
+ * @param {number} lat - Point latitude in decimal degrees
+ * @param {number} lon - Point longitude in decimal degrees
+ * @param {number} startLat - Segment start latitude
+ * @param {number} startLon - Segment start longitude
+ * @param {number} endLat - Segment end latitude
+ * @param {number} endLon - Segment end longitude
+ * @returns {{distance: number, fraction: number}} Distance in kilometers, and position
+ *   of the closest point as a fraction of the segment (0 = start, 1 = end)
+ * 
+ * @example
+ * // A point just north of a west-east segment
+ * distanceToSegment(41.3901, 2.165, 41.39, 2.16, 41.39, 2.17);
+ * // { distance: ~0.011, fraction: 0.5 }
+ */
+function distanceToSegment(lat, lon, startLat, startLon, endLat, endLon) {
+  const cosLat = Math.cos(toRadians(lat));
+
+  // Project to planar x/y (degrees, longitude scaled by latitude) relative to the point
+  const startX = normalizeLongitude(startLon - lon) * cosLat;
+  const startY = startLat - lat;
+  const endX = normalizeLongitude(endLon - lon) * cosLat;
+  const endY = endLat - lat;
+
+  const dx = endX - startX;
+  const dy = endY - startY;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let fraction = 0;
+  if (lengthSquared > 0) {
+    fraction = Math.max(0, Math.min(1, -(startX * dx + startY * dy) / lengthSquared));
+  }
+
+  const closestLat = startLat + (endLat - startLat) * fraction;
+  const closestLon = startLon + normalizeLongitude(endLon - startLon) * fraction;
+
+  return {
+    distance: calculateDistance(lat, lon, closestLat, normalizeLongitude(closestLon)),
+    fraction,
+  };
+}
+
+/**
+ * Calculate the shortest distance from a point to a route
+ * 
+ * @param {number} lat - Point latitude in decimal degrees
+ * @param {number} lon - Point longitude in decimal degrees
+ * @param {Array<{latitude: number, longitude: number}>} route - Route points in travel order
+ * @returns {{distance: number, distanceAlong: number}} Distance from the route in kilometers,
+ *   and distance along the route (from its start) to the closest point, in kilometers
+ */
+function distanceToRoute(lat, lon, route) {
+  if (route.length === 1) {
+    return {
+      distance: calculateDistance(lat, lon, route[0].latitude, route[0].longitude),
+      distanceAlong: 0,
+    };
+  }
+
+  let best = { distance: Infinity, distanceAlong: 0 };
+  let travelled = 0;
+
+  for (let i = 0; i < route.length - 1; i++) {
+    const start = route[i];
+    const end = route[i + 1];
+    const segmentLength = calculateDistance(start.latitude, start.longitude, end.latitude, end.longitude);
+    const { distance, fraction } = distanceToSegment(
+      lat,
+      lon,
+      start.latitude,
+      start.longitude,
+      end.latitude,
+      end.longitude
+    );
+
+    // Keep the first closest point so a route passing twice reports the earlier pass
+    if (distance < best.distance) {
+      best = { distance, distanceAlong: travelled + segmentLength * fraction };
+    }
+
+    travelled += segmentLength;
+  }
+
+  return best;
+}
+
+/**
+ * Calculate a bounding box containing a route and a buffer around it
+ * 
+ * @param {Array<{latitude: number, longitude: number}>} route - Route points
+ * @param {number} bufferKm - Buffer around the route in kilometers
+ * @returns {object} Bounding box with north, south, east, west boundaries
+ */
+function getRouteBoundingBox(route, bufferKm) {
+  const boxes = route.map(point => getBoundingBox(point.latitude, point.longitude, bufferKm));
+
+  return {
+    north: Math.max(...boxes.map(box => box.north)),
+    south: Math.min(...boxes.map(box => box.south)),
+    east: Math.max(...boxes.map(box => box.east)),
+    west: Math.min(...boxes.map(box => box.west)),
+  };
+}
+
+/**
+ * Decode an encoded polyline (Google polyline algorithm format)
+ * 
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Number of decimal places encoded (default: 5)
+ * @returns {Array<{latitude: number, longitude: number}>} Decoded points
+ * @throws {Error} If the polyline is malformed
+ * 
+ * @example
+ * decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+ * // [{ latitude: 38.5, longitude: -120.2 }, { latitude: 40.7, longitude: -120.95 }, ...]
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  // Each value is a zigzag-encoded delta split into 5-bit chunks
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Polyline ends in the middle of a value');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) {
+        throw new Error(`Invalid polyline character at position ${index - 1}`);
+      }
+      result += (byte & 0x1f) * Math.pow(2, shift);
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lon += readValue();
+    points.push({
+      latitude: lat / factor,
+      longitude: lon / factor,
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Encode points as a polyline (Google polyline algorithm format)
+ * 
+ * @param {Array<{latitude: number, longitude: number}>} points - Points to encode
+ * @param {number} precision - Number of decimal places to keep (default: 5)
+ * @returns {string} Encoded polyline
+ */
+function encodePolyline(points, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let encoded = '';
+  let previousLat = 0;
+  let previousLon = 0;
+
+  const writeValue = value => {
+    let remaining = value < 0 ? -value * 2 - 1 : value * 2;
+
+    while (remaining >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (remaining % 32)) + 63);
+      remaining = Math.floor(remaining / 32);
+    }
+    encoded += String.fromCharCode(remaining + 63);
+  };
+
+  points.forEach(point => {
+    const lat = Math.round(point.latitude * factor);
+    const lon = Math.round(point.longitude * factor);
+    writeValue(lat - previousLat);
+    writeValue(lon - previousLon);
+    previousLat = lat;
+    previousLon = lon;
+  });
+
+  return encoded;
+}
+
 /**
  * Validate coordinate values
  * 
@@ -208,12 +525,71 @@ function calculateCentroid(points) {
   };
 }
 
+/**
+ * Project a point to Web Mercator tile coordinates (slippy map tiles)
+ * The integer part of each coordinate is the tile containing the point, the
+ * fractional part its position inside that tile
+ * 
+ * @param {number} lat - Latitude in decimal degrees (clamped to ±85.05112878)
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} zoom - Zoom level (the world is 2^zoom tiles wide)
+ * @returns {{x: number, y: number}} Fractional tile coordinates, y growing southwards
+ * 
+ * @example
+ * const { x, y } = projectToTile(41.3874, 2.1686, 12);
+ * console.log(Math.floor(x), Math.floor(y)); // 2072 1529
+ */
+function projectToTile(lat, lon, zoom) {
+  const tiles = Math.pow(2, zoom);
+  const latRad = toRadians(Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat)));
+
+  const x = ((lon + 180) / 360) * tiles;
+  const y = ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * tiles;
+
+  // Keep points on the east edge and south edge inside the last tile
+  return {
+    x: Math.min(x, tiles - 1e-9),
+    y: Math.min(Math.max(y, 0), tiles - 1e-9),
+  };
+}
+
+/**
+ * Get the bounding box of a Web Mercator tile
+ * 
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row (0 is the northernmost row)
+ * @param {number} zoom - Zoom level
+ * @returns {object} Bounding box with north, south, east, west boundaries
+ */
+function getTileBoundingBox(x, y, zoom) {
+  const tiles = Math.pow(2, zoom);
+  const tileLatitude = row => toDegrees(Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / tiles))));
+
+  return {
+    north: tileLatitude(y),
+    south: tileLatitude(y + 1),
+    east: ((x + 1) / tiles) * 360 - 180,
+    west: (x / tiles) * 360 - 180,
+  };
+}
+
 module.exports = {
   calculateDistance,
+  calculateBearing,
+  getCompassDirection,
   getBoundingBox,
   isInBoundingBox,
+  getPolygonBoundingBox,
+  isPointInPolygon,
+  distanceToSegment,
+  distanceToRoute,
+  getRouteBoundingBox,
+  decodePolyline,
+  encodePolyline,
   isValidCoordinate,
   calculateCentroid,
+  projectToTile,
+  getTileBoundingBox,
   toRadians,
   toDegrees,
   normalizeLongitude,
@@ -0,0 +1,81 @@
+/**
+ * LRU Cache
+ *
+ * Small in-memory cache with a maximum number of entries and an optional
+ * time to live. The least recently used entry is evicted when the cache is full.
+ */
+
+class LruCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {number} options.maxEntries - Maximum number of entries (default: 1000)
+   * @param {number} options.ttlMs - Time to live of each entry in milliseconds (0: no expiry)
+   */
+  constructor({ maxEntries = 1000, ttlMs = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    // Map iteration order is insertion order: the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cached value and mark it as recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry if the cache is full
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+
+    if (this.maxEntries <= 0) {
+      return;
+    }
+
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: this.ttlMs > 0 ? Date.now() + this.ttlMs : null,
+    });
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of entries (including expired entries not yet evicted)
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
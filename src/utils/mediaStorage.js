@@ -0,0 +1,109 @@
+/**
+ * Media Storage
+ *
+ * Uploaded files (POI pictures and their thumbnails) are kept by a storage
+ * driver selected with MEDIA_STORAGE. Files are addressed by keys such as
+ * "3f2c.../medium.jpg"; a driver implements:
+ *
+ *   {
+ *     async save(key, buffer, contentType),  // create or overwrite a file
+ *     async remove(key),                     // missing files are ignored
+ *     getUrl(key, baseUrl),                  // public URL of a file
+ *   }
+ *
+ * The local driver writes under MEDIA_DIR, which the app serves at /media.
+ * Other backends (e.g., object storage) plug in with registerStorageDriver.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Local disk storage
+ */
+class LocalMediaStorage {
+  /**
+   * @param {object} options - Media configuration (see config.media)
+   * @param {string} options.directory - Root directory of stored files
+   * @param {string} options.publicPath - URL path the directory is served at
+   */
+  constructor({ directory, publicPath }) {
+    this.root = path.resolve(directory);
+    this.publicPath = publicPath;
+  }
+
+  /**
+   * Absolute path of a key, which must stay inside the root directory
+   * @param {string} key - File key
+   * @returns {string} File path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async remove(key) {
+    const filePath = this.resolvePath(key);
+    await fs.rm(filePath, { force: true });
+
+    // Drop the directory of the key once its last file is gone
+    await fs.rmdir(path.dirname(filePath)).catch(() => {});
+  }
+
+  getUrl(key, baseUrl) {
+    return `${baseUrl}${this.publicPath}/${key}`;
+  }
+}
+
+/**
+ * Storage driver factories by MEDIA_STORAGE name
+ */
+const STORAGE_DRIVERS = {
+  local: options => new LocalMediaStorage(options),
+};
+
+let storage = null;
+
+/**
+ * Register a storage driver
+ *
+ * @param {string} name - Driver name, as set in MEDIA_STORAGE
+ * @param {function} factory - Creates the driver from config.media
+ */
+function registerStorageDriver(name, factory) {
+  STORAGE_DRIVERS[name] = factory;
+}
+
+/**
+ * Get the configured storage driver (created on first use)
+ *
+ * @returns {object} Storage driver
+ * @throws {Error} If MEDIA_STORAGE names an unknown driver
+ */
+function getMediaStorage() {
+  if (!storage) {
+    const factory = STORAGE_DRIVERS[config.media.storage];
+    if (!factory) {
+      throw new Error(`Unknown media storage driver: ${config.media.storage}`);
+    }
+    storage = factory(config.media);
+  }
+
+  return storage;
+}
+
+module.exports = {
+  LocalMediaStorage,
+  registerStorageDriver,
+  getMediaStorage,
+};
@@ -0,0 +1,279 @@
+/**
+ * Opening Hours Utility Functions
+ *
+ * Opening hours are stored on points_of_interest as a JSON document in the
+ * POI's local time zone:
+ *
+ *   {
+ *     "timeZone": "Europe/Madrid",
+ *     "weekly": { "monday": [{ "opens": "09:00", "closes": "14:00" }, ...], ... },
+ *     "exceptions": [{ "from": "2026-12-25", "to": "2026-12-26", "hours": [], "description": "Christmas" }]
+ *   }
+ *
+ * - Days without hours are closed; "closes" may be "24:00", and a closing
+ *   time at or before the opening time runs past midnight ("20:00"-"02:00")
+ * - Exceptions replace the weekly hours of every date from "from" to "to"
+ *   (inclusive); without hours the POI is closed. The first matching exception wins.
+ */
+
+const { sequelize } = require('../config/sequelize');
+
+/**
+ * Week days, in Date#getDay() order
+ */
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is an IANA time zone known to the runtime
+ *
+ * @param {string} timeZone - Time zone name (e.g., Europe/Madrid)
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a string is a calendar date (YYYY-MM-DD)
+ *
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a list of opening intervals
+ *
+ * @param {*} intervals - Intervals ([{ opens, closes }])
+ * @param {string} path - Location in the document, for error messages
+ * @throws {Error} If the intervals are malformed
+ */
+function validateIntervals(intervals, path) {
+  if (!Array.isArray(intervals)) {
+    throw new Error(`${path} must be an array of { opens, closes } intervals`);
+  }
+
+  intervals.forEach((interval, index) => {
+    const isValid =
+      interval &&
+      typeof interval === 'object' &&
+      TIME_PATTERN.test(interval.opens) &&
+      TIME_PATTERN.test(interval.closes) &&
+      interval.opens !== '24:00' &&
+      interval.opens !== interval.closes;
+
+    if (!isValid) {
+      throw new Error(`${path}[${index}] must have different opens and closes times in HH:MM format`);
+    }
+  });
+}
+
+/**
+ * Validate an opening hours document (see module documentation)
+ *
+ * @param {*} value - Opening hours
+ * @throws {Error} If the document is malformed
+ */
+function validateOpeningHours(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Opening hours must be an object');
+  }
+
+  const unknownKeys = Object.keys(value).filter(key => !['timeZone', 'weekly', 'exceptions'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown opening hours fields: ${unknownKeys.join(', ')}`);
+  }
+
+  if (!isValidTimeZone(value.timeZone)) {
+    throw new Error('Opening hours timeZone must be an IANA time zone (e.g., Europe/Madrid)');
+  }
+
+  const weekly = value.weekly || {};
+  if (typeof weekly !== 'object' || Array.isArray(weekly)) {
+    throw new Error('Opening hours weekly must be an object keyed by week day');
+  }
+
+  Object.keys(weekly).forEach(day => {
+    if (!WEEK_DAYS.includes(day)) {
+      throw new Error(`Invalid week day: ${day}. Must be one of: ${WEEK_DAYS.join(', ')}`);
+    }
+    validateIntervals(weekly[day], `weekly.${day}`);
+  });
+
+  const exceptions = value.exceptions || [];
+  if (!Array.isArray(exceptions)) {
+    throw new Error('Opening hours exceptions must be an array');
+  }
+
+  exceptions.forEach((exception, index) => {
+    if (!exception || !isValidDate(exception.from) || !isValidDate(exception.to) || exception.from > exception.to) {
+      throw new Error(`exceptions[${index}] must have from and to dates (YYYY-MM-DD) with from <= to`);
+    }
+    if (exception.hours !== undefined) {
+      validateIntervals(exception.hours, `exceptions[${index}].hours`);
+    }
+  });
+}
+
+/**
+ * Calendar date, week day and time of an instant in a time zone
+ *
+ * @param {Date} instant - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, day: string, time: string}} Local date (YYYY-MM-DD), week day and time (HH:MM)
+ */
+function getLocalTime(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return parseLocalDateTime(`${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`);
+}
+
+/**
+ * Calendar date, week day and time of a local date-time
+ *
+ * @param {string} value - Local date-time (YYYY-MM-DDTHH:MM, seconds ignored)
+ * @returns {{date: string, day: string, time: string}} Local date, week day and time (HH:MM)
+ */
+function parseLocalDateTime(value) {
+  const date = value.slice(0, 10);
+
+  return {
+    date,
+    day: WEEK_DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+    time: value.slice(11, 16),
+  };
+}
+
+/**
+ * The calendar date and week day before a local date
+ *
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {{date: string, day: string}} Previous date and its week day
+ */
+function getPreviousDay(date) {
+  const previous = new Date(`${date}T00:00:00Z`);
+  previous.setUTCDate(previous.getUTCDate() - 1);
+
+  return {
+    date: previous.toISOString().slice(0, 10),
+    day: WEEK_DAYS[previous.getUTCDay()],
+  };
+}
+
+/**
+ * SQL expression of the opening intervals of a POI on a date (exception or weekly hours)
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} day - Week day of the date
+ * @returns {string} SQL expression evaluating to a JSON array of intervals
+ */
+function intervalsOnSql(tableAlias, date, day) {
+  const escapedDate = sequelize.escape(date);
+
+  return `COALESCE(
+    (SELECT COALESCE(json_extract(exception.value, '$.hours'), '[]')
+     FROM json_each(${tableAlias}.openingHours, '$.exceptions') AS exception
+     WHERE json_extract(exception.value, '$.from') <= ${escapedDate}
+       AND json_extract(exception.value, '$.to') >= ${escapedDate}
+     ORDER BY exception.key LIMIT 1),
+    json_extract(${tableAlias}.openingHours, '$.weekly.${day}'),
+    '[]'
+  )`;
+}
+
+/**
+ * SQL condition: a POI is open at a local date and time
+ * Open if an interval of that day contains the time, or an interval of the
+ * previous day runs past midnight beyond it
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {{date: string, day: string, time: string}} local - Local date, week day and time
+ * @returns {string} SQL condition
+ */
+function openAtLocalTimeSql(tableAlias, { date, day, time }) {
+  const previous = getPreviousDay(date);
+  const escapedTime = sequelize.escape(time);
+  const [opens, closes] = ['opens', 'closes'].map(field => `json_extract(interval.value, '$.${field}')`);
+
+  return `(EXISTS (
+      SELECT 1 FROM json_each(${intervalsOnSql(tableAlias, date, day)}) AS interval
+      WHERE ${opens} <= ${escapedTime} AND (${closes} > ${escapedTime} OR ${closes} <= ${opens})
+    ) OR EXISTS (
+      SELECT 1 FROM json_each(${intervalsOnSql(tableAlias, previous.date, previous.day)}) AS interval
+      WHERE ${closes} <= ${opens} AND ${closes} > ${escapedTime}
+    ))`;
+}
+
+/**
+ * Build SQL conditions for an opening hours filter
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {Array<{timeZone: string|null, date: string, day: string, time: string}>|null} openTimes -
+ *   Local times to check, per time zone (null time zone: every POI, in its own local time);
+ *   null for no filter (see PoiService.resolveOpenTimes)
+ * @returns {Array<string>} SQL conditions to AND together (empty if no filter)
+ *
+ * @example
+ * buildOpeningHoursConditions('poi', [{ timeZone: 'Europe/Madrid', date: '2026-10-19', day: 'monday', time: '21:30' }]);
+ * // ["((json_extract(poi.openingHours, '$.timeZone') = 'Europe/Madrid' AND (EXISTS ...)))"]
+ */
+function buildOpeningHoursConditions(tableAlias, openTimes) {
+  if (!openTimes) {
+    return [];
+  }
+
+  if (openTimes.length === 0) {
+    return ['0'];
+  }
+
+  const branches = openTimes.map(local => {
+    const scope = local.timeZone
+      ? `json_extract(${tableAlias}.openingHours, '$.timeZone') = ${sequelize.escape(local.timeZone)}`
+      : `${tableAlias}.openingHours IS NOT NULL`;
+    return `(${scope} AND ${openAtLocalTimeSql(tableAlias, local)})`;
+  });
+
+  return [`(${branches.join(' OR ')})`];
+}
+
+module.exports = {
+  WEEK_DAYS,
+  isValidTimeZone,
+  validateOpeningHours,
+  getLocalTime,
+  parseLocalDateTime,
+  buildOpeningHoursConditions,
+};
@@ -0,0 +1,30 @@
+/**
+ * Price Filter Utility Functions
+ *
+ * Builds SQL over the price level of points_of_interest (1 = inexpensive to
+ * 4 = very expensive). POIs without a price level never match a price filter.
+ */
+
+/**
+ * Build SQL conditions for a price level filter
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {Array<number>} priceLevels - Accepted price levels (1-4), or null for no filter
+ * @returns {Array<string>} SQL conditions to AND together (empty if no filter)
+ *
+ * @example
+ * buildPriceLevelConditions('poi', [1, 2]);
+ * // ['poi.priceLevel IN (1, 2)']
+ */
+function buildPriceLevelConditions(tableAlias, priceLevels) {
+  if (!priceLevels || priceLevels.length === 0) {
+    return [];
+  }
+
+  const levels = priceLevels.map(level => parseInt(level, 10)).filter(level => Number.isInteger(level));
+  return [`${tableAlias}.priceLevel IN (${levels.join(', ')})`];
+}
+
+module.exports = {
+  buildPriceLevelConditions,
+};
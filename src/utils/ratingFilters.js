@@ -0,0 +1,44 @@
+/**
+ * Rating Filter Utility Functions
+ *
+ * Builds SQL over the rating aggregates of points_of_interest (ratingAverage,
+ * ratingCount), which triggers on the reviews table keep up to date.
+ * POIs without reviews have no average: they never match a minimum rating
+ * and sort after every rated POI.
+ */
+
+const { sequelize } = require('../config/sequelize');
+
+/**
+ * SQL expression of the average rating used for sorting (0 without reviews)
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @returns {string} SQL expression
+ */
+function ratingSortSql(tableAlias) {
+  return `COALESCE(${tableAlias}.ratingAverage, 0)`;
+}
+
+/**
+ * Build SQL conditions for a minimum rating filter
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {number} minRating - Minimum average rating (1-5), or undefined for no filter
+ * @returns {Array<string>} SQL conditions to AND together (empty if no filter)
+ *
+ * @example
+ * buildRatingConditions('poi', 4);
+ * // ['poi.ratingAverage >= 4']
+ */
+function buildRatingConditions(tableAlias, minRating) {
+  if (minRating === undefined || minRating === null) {
+    return [];
+  }
+
+  return [`${tableAlias}.ratingAverage >= ${sequelize.escape(Number(minRating))}`];
+}
+
+module.exports = {
+  ratingSortSql,
+  buildRatingConditions,
+};
@@ -2,30 +2,80 @@
  * Response Formatter Utilities
  * 
  * Formats data according to Amadeus API specification:
- * - Location resources
+ * - Location resources (with sparse fieldsets)
  * - Collection responses with pagination
+ * - Map cluster collections
+ * - GeoJSON FeatureCollections
  * - Error responses
  * - HATEOAS links
  */
 
+/**
+ * Location members returned whatever fields[location] asks for
+ */
+const ALWAYS_INCLUDED_FIELDS = ['id', 'self', 'type'];
+
+/**
+ * Read the sparse fieldset of locations (`fields[location]`) from query parameters
+ * 
+ * @param {object} queryParams - Query parameters
+ * @param {string} format - json (default) or geojson; GeoJSON features always need geoCode for their geometry
+ * @returns {Array<string>|null} Requested location members, or null for every member
+ * 
+ * @example
+ * getLocationFields({ 'fields[location]': 'name,geoCode' });
+ * // Returns: ['name', 'geoCode']
+ */
+function getLocationFields(queryParams, format = 'json') {
+  const value = queryParams['fields[location]'];
+  if (value === undefined) {
+    return null;
+  }
+
+  const fields = (Array.isArray(value) ? value : String(value).split(','))
+    .map(field => field.trim())
+    .filter(field => field !== '');
+
+  return format === 'geojson' ? [...fields, 'geoCode'] : fields;
+}
+
+/**
+ * Keep only the requested members of a formatted location
+ * (id, self and type are always kept)
+ * 
+ * @param {object} location - Formatted location object
+ * @param {Array<string>|null} fields - Members to keep, or null for every member
+ * @returns {object} Location with the requested members
+ */
+function selectFields(location, fields) {
+  if (!location || !fields) {
+    return location;
+  }
+
+  return Object.fromEntries(
+    Object.entries(location).filter(([key]) => ALWAYS_INCLUDED_FIELDS.includes(key) || fields.includes(key))
+  );
+}
+
 /**
  * Format a single POI to Location resource according to Swagger spec
  * 
  * @param {PointOfInterest} poi - POI model instance
  * @param {string} baseUrl - Base URL for generating links
+ * @param {Array<string>|null} fields - Sparse fieldset (optional, see getLocationFields)
  * @returns {object} Formatted location object
  * 
  * @example
  * const location = formatLocation(poi, 'http://localhost:3000');
  * // Returns: { id, self, type, subType, name, geoCode, category, rank, tags }
  */
-function formatLocation(poi, baseUrl) {
+function formatLocation(poi, baseUrl, fields = null) {
   if (!poi) {
     return null;
   }
 
   // Use the model's built-in method
-  return poi.toPublicJSON(baseUrl);
+  return selectFields(poi.toPublicJSON(baseUrl), fields);
 }
 
 /**
@@ -33,40 +83,47 @@ function formatLocation(poi, baseUrl) {
  * 
  * @param {Array<PointOfInterest>} pois - Array of POI model instances
  * @param {string} baseUrl - Base URL for generating links
+ * @param {Array<string>|null} fields - Sparse fieldset (optional, see getLocationFields)
  * @returns {Array<object>} Array of formatted location objects
  */
-function formatLocationCollection(pois, baseUrl) {
+function formatLocationCollection(pois, baseUrl, fields = null) {
   if (!Array.isArray(pois)) {
     return [];
   }
 
-  return pois.map(poi => formatLocation(poi, baseUrl));
+  return pois.map(poi => formatLocation(poi, baseUrl, fields));
 }
 
 /**
  * Build pagination metadata with HATEOAS links
  * 
+ * Offset pagination links use page[offset]. When `cursors` is given (the
+ * request used page[cursor]), links use page[cursor] instead: first, next
+ * and previous, without last.
+ * 
  * @param {string} baseUrl - Base URL (e.g., 'http://localhost:3000')
  * @param {string} path - API path (e.g., '/v1/reference-data/locations/pois')
  * @param {object} queryParams - Original query parameters
  * @param {number} totalCount - Total number of results
  * @param {number} limit - Page size
  * @param {number} offset - Current offset
+ * @param {object} cursors - Cursor pagination (optional, see utils/cursor)
+ * @param {string|null} cursors.next - Cursor of the next page, if any
+ * @param {string|null} cursors.previous - Cursor of the previous page, if any
  * @returns {object} Meta object with count and links
  */
-function buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offset) {
+function buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offset, cursors = null) {
   const meta = {
     count: totalCount,
     links: {},
   };
 
-  // Helper to build URL with query params
-  const buildUrl = (newOffset, newLimit = limit) => {
+  // Query params without pagination
+  const buildParams = () => {
     const params = new URLSearchParams();
 
-    // Add all original query params except page[offset] and page[limit]
     Object.keys(queryParams).forEach(key => {
-      if (key !== 'page[offset]' && key !== 'page[limit]') {
+      if (key !== 'page[offset]' && key !== 'page[limit]' && key !== 'page[cursor]') {
         const value = queryParams[key];
         if (Array.isArray(value)) {
           value.forEach(v => params.append(key, v));
@@ -76,6 +133,18 @@ function buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offs
       }
     });
 
+    return params;
+  };
+
+  const toUrl = params => {
+    const queryString = params.toString();
+    return `${baseUrl}${path}${queryString ? '?' + queryString : ''}`;
+  };
+
+  // Helper to build URL with query params
+  const buildUrl = (newOffset, newLimit = limit) => {
+    const params = buildParams();
+
     // Add pagination params
     if (newOffset > 0) {
       params.append('page[offset]', newOffset);
@@ -85,48 +154,83 @@ function buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offs
       params.append('page[limit]', newLimit);
     }
 
-    const queryString = params.toString();
-    return `${baseUrl}${path}${queryString ? '?' + queryString : ''}`;
+    return toUrl(params);
   };
 
-  // Self link (current page)
-  meta.links.self = buildUrl(offset, limit);
+  // Helper to build URL for a cursor ('' is the first page)
+  const buildCursorUrl = cursor => {
+    const params = buildParams();
 
-  // First link
-  meta.links.first = buildUrl(0, limit);
+    params.append('page[cursor]', cursor);
+    if (limit !== 10) {
+      params.append('page[limit]', limit);
+    }
 
-  // Last link
-  const lastOffset = Math.max(0, Math.floor((totalCount - 1) / limit) * limit);
-  meta.links.last = buildUrl(lastOffset, limit);
+    return toUrl(params);
+  };
 
-  // Previous link (if not on first page)
-  if (offset > 0) {
-    const prevOffset = Math.max(0, offset - limit);
-    meta.links.previous = buildUrl(prevOffset, limit);
-  }
+  if (cursors) {
+    meta.links.self = buildCursorUrl(queryParams['page[cursor]'] || '');
+    meta.links.first = buildCursorUrl('');
+
+    if (cursors.previous) {
+      meta.links.previous = buildCursorUrl(cursors.previous);
+    }
+
+    if (cursors.next) {
+      meta.links.next = buildCursorUrl(cursors.next);
+    }
+  } else {
+    // Self link (current page)
+    meta.links.self = buildUrl(offset, limit);
+
+    // First link
+    meta.links.first = buildUrl(0, limit);
+
+    // Last link
+    const lastOffset = Math.max(0, Math.floor((totalCount - 1) / limit) * limit);
+    meta.links.last = buildUrl(lastOffset, limit);
+
+    // Previous link (if not on first page)
+    if (offset > 0) {
+      const prevOffset = Math.max(0, offset - limit);
+      meta.links.previous = buildUrl(prevOffset, limit);
+    }
 
-  // Next link (if not on last page)
-  if (offset + limit < totalCount) {
-    const nextOffset = offset + limit;
-    meta.links.next = buildUrl(nextOffset, limit);
+    // Next link (if not on last page)
+    if (offset + limit < totalCount) {
+      const nextOffset = offset + limit;
+      meta.links.next = buildUrl(nextOffset, limit);
+    }
   }
 
   // Up link (parent resource - remove pagination)
-  const upParams = new URLSearchParams();
+  meta.links.up = toUrl(buildParams());
+
+  return meta;
+}
+
+/**
+ * Build the self link of a non-paginated response
+ * 
+ * @param {string} baseUrl - Base URL
+ * @param {string} path - API path
+ * @param {object} queryParams - Query parameters
+ * @returns {string} URL with every query parameter
+ */
+function buildSelfLink(baseUrl, path, queryParams) {
+  const params = new URLSearchParams();
   Object.keys(queryParams).forEach(key => {
-    if (key !== 'page[offset]' && key !== 'page[limit]') {
-      const value = queryParams[key];
-      if (Array.isArray(value)) {
-        value.forEach(v => upParams.append(key, v));
-      } else if (value !== undefined && value !== null) {
-        upParams.append(key, value);
-      }
+    const value = queryParams[key];
+    if (Array.isArray(value)) {
+      value.forEach(v => params.append(key, v));
+    } else if (value !== undefined && value !== null) {
+      params.append(key, value);
     }
   });
-  const upQueryString = upParams.toString();
-  meta.links.up = `${baseUrl}${path}${upQueryString ? '?' + upQueryString : ''}`;
+  const queryString = params.toString();
 
-  return meta;
+  return `${baseUrl}${path}${queryString ? '?' + queryString : ''}`;
 }
 
 /**
@@ -174,25 +278,158 @@ function formatError(status, code, title, detail, source = null) {
  * @param {number} totalCount - Total count
  * @param {number} limit - Page size
  * @param {number} offset - Current offset
+ * @param {object} cursors - Cursor pagination (optional, see buildPaginationMeta)
+ * @returns {object} Complete API response with data and meta
+ */
+function formatCollectionResponse(pois, baseUrl, path, queryParams, totalCount, limit, offset, cursors = null) {
+  return {
+    data: formatLocationCollection(pois, baseUrl, getLocationFields(queryParams)),
+    meta: buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offset, cursors),
+  };
+}
+
+/**
+ * Convert a formatted location to a GeoJSON Point Feature
+ * 
+ * @param {object} location - Formatted location object (see formatLocation)
+ * @returns {object} GeoJSON Feature with the location attributes as properties
+ * 
+ * @example
+ * const feature = formatFeature(poi.toPublicJSON(baseUrl));
+ * // Returns: { type: 'Feature', id, geometry: { type: 'Point', coordinates: [lon, lat] }, properties }
+ */
+function formatFeature(location) {
+  const { geoCode, ...properties } = location;
+
+  return {
+    type: 'Feature',
+    id: location.id,
+    geometry: {
+      type: 'Point',
+      coordinates: [geoCode.longitude, geoCode.latitude],
+    },
+    properties,
+  };
+}
+
+/**
+ * Format locations as a GeoJSON FeatureCollection
+ * Pagination metadata is carried in the `meta` foreign member (RFC 7946 section 6.1)
+ * 
+ * @param {Array<object>} locations - Formatted location objects
+ * @param {object} meta - Pagination metadata (see buildPaginationMeta)
+ * @returns {object} GeoJSON FeatureCollection
+ */
+function formatFeatureCollection(locations, meta) {
+  return {
+    type: 'FeatureCollection',
+    features: locations.map(formatFeature),
+    meta,
+  };
+}
+
+/**
+ * Format a collection response as GeoJSON
+ * 
+ * @param {Array<PointOfInterest>} pois - Array of POIs
+ * @param {string} baseUrl - Base URL
+ * @param {string} path - API path
+ * @param {object} queryParams - Query parameters
+ * @param {number} totalCount - Total count
+ * @param {number} limit - Page size
+ * @param {number} offset - Current offset
+ * @param {object} cursors - Cursor pagination (optional, see buildPaginationMeta)
+ * @returns {object} GeoJSON FeatureCollection with pagination meta
+ */
+function formatFeatureCollectionResponse(pois, baseUrl, path, queryParams, totalCount, limit, offset, cursors = null) {
+  return formatFeatureCollection(
+    formatLocationCollection(pois, baseUrl, getLocationFields(queryParams, 'geojson')),
+    buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offset, cursors)
+  );
+}
+
+/**
+ * Format a map cluster collection item
+ * Clusters are already plain objects; single POIs are formatted as locations
+ * 
+ * @param {object|PointOfInterest} item - Cluster or POI model instance
+ * @param {string} baseUrl - Base URL
+ * @param {Array<string>|null} fields - Sparse fieldset of single POIs (optional, see getLocationFields)
+ * @returns {object} Cluster or formatted location object
+ */
+function formatClusterItem(item, baseUrl, fields = null) {
+  return item.type === 'cluster' ? item : formatLocation(item, baseUrl, fields);
+}
+
+/**
+ * Build metadata of a map cluster collection
+ * Clusters cover the whole bounding box, so there are no pagination links
+ * 
+ * @param {string} baseUrl - Base URL
+ * @param {string} path - API path
+ * @param {object} queryParams - Query parameters
+ * @param {number} itemCount - Number of clusters and single POIs
+ * @param {number} poiCount - Total number of POIs in the bounding box
+ * @returns {object} Meta object with counts and self link
+ */
+function buildClusterMeta(baseUrl, path, queryParams, itemCount, poiCount) {
+  return {
+    count: itemCount,
+    poiCount,
+    links: {
+      self: buildSelfLink(baseUrl, path, queryParams),
+    },
+  };
+}
+
+/**
+ * Format a map cluster collection response (data + meta)
+ * 
+ * @param {Array<object|PointOfInterest>} items - Clusters and single POIs
+ * @param {string} baseUrl - Base URL
+ * @param {string} path - API path
+ * @param {object} queryParams - Query parameters
+ * @param {number} poiCount - Total number of POIs in the bounding box
  * @returns {object} Complete API response with data and meta
  */
-function formatCollectionResponse(pois, baseUrl, path, queryParams, totalCount, limit, offset) {
+function formatClusterCollectionResponse(items, baseUrl, path, queryParams, poiCount) {
   return {
-    data: formatLocationCollection(pois, baseUrl),
-    meta: buildPaginationMeta(baseUrl, path, queryParams, totalCount, limit, offset),
+    data: items.map(item => formatClusterItem(item, baseUrl, getLocationFields(queryParams))),
+    meta: buildClusterMeta(baseUrl, path, queryParams, items.length, poiCount),
   };
 }
 
+/**
+ * Format a map cluster collection response as GeoJSON
+ * Clusters become Point features at their centroid with type "cluster" in their properties
+ * 
+ * @param {Array<object|PointOfInterest>} items - Clusters and single POIs
+ * @param {string} baseUrl - Base URL
+ * @param {string} path - API path
+ * @param {object} queryParams - Query parameters
+ * @param {number} poiCount - Total number of POIs in the bounding box
+ * @returns {object} GeoJSON FeatureCollection with meta
+ */
+function formatClusterFeatureCollectionResponse(items, baseUrl, path, queryParams, poiCount) {
+  const fields = getLocationFields(queryParams, 'geojson');
+
+  return formatFeatureCollection(
+    items.map(item => formatClusterItem(item, baseUrl, fields)),
+    buildClusterMeta(baseUrl, path, queryParams, items.length, poiCount)
+  );
+}
+
 /**
  * Format a single resource response
  * 
  * @param {PointOfInterest} poi - POI instance
  * @param {string} baseUrl - Base URL
+ * @param {Array<string>|null} fields - Sparse fieldset (optional, see getLocationFields)
  * @returns {object} API response with data
  */
-function formatSingleResponse(poi, baseUrl) {
+function formatSingleResponse(poi, baseUrl, fields = null) {
   return {
-    data: formatLocation(poi, baseUrl),
+    data: formatLocation(poi, baseUrl, fields),
   };
 }
 
@@ -261,11 +498,19 @@ function formatSystemError(message = 'An unexpected error occurred') {
 }
 
 module.exports = {
+  getLocationFields,
+  selectFields,
   formatLocation,
   formatLocationCollection,
   buildPaginationMeta,
+  buildSelfLink,
   formatError,
   formatCollectionResponse,
+  formatFeature,
+  formatFeatureCollection,
+  formatFeatureCollectionResponse,
+  formatClusterCollectionResponse,
+  formatClusterFeatureCollectionResponse,
   formatSingleResponse,
   getErrorCode,
   formatValidationError,
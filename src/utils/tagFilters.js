@@ -0,0 +1,60 @@
+/**
+ * Tag Filter Utility Functions
+ *
+ * Builds SQL conditions over the `tags` JSON array of points_of_interest.
+ * Tags are compared case-insensitively ("Rooftop" matches "rooftop").
+ */
+
+const { sequelize } = require('../config/sequelize');
+
+/**
+ * Escape a list of tags as a lowercase SQL value list
+ *
+ * @param {Array<string>} tags - Tags
+ * @returns {string} Escaped list, e.g. 'museum', 'rooftop'
+ */
+function toSqlList(tags) {
+  return tags.map(tag => sequelize.escape(String(tag).toLowerCase())).join(', ');
+}
+
+/**
+ * Build SQL conditions for tag filters
+ *
+ * @param {string} tableAlias - Alias of the points_of_interest table in the query
+ * @param {object} filter - Tag filter
+ * @param {Array<string>} filter.tags - Tags to look for
+ * @param {string} filter.tagsMatch - "any" (at least one tag, default) or "all" (every tag)
+ * @param {Array<string>} filter.excludeTags - Tags that must not be present
+ * @returns {Array<string>} SQL conditions to AND together (empty if no filter)
+ *
+ * @example
+ * buildTagConditions('PointOfInterest', { tags: ['rooftop', 'bar'], tagsMatch: 'all' });
+ * // ["(SELECT COUNT(DISTINCT lower(value)) FROM json_each(PointOfInterest.tags)
+ * //    WHERE lower(value) IN ('rooftop', 'bar')) = 2"]
+ */
+function buildTagConditions(tableAlias, filter = {}) {
+  const { tags, tagsMatch = 'any', excludeTags } = filter;
+  const conditions = [];
+  const source = `json_each(${tableAlias}.tags)`;
+
+  if (tags && tags.length > 0) {
+    if (tagsMatch === 'all') {
+      const distinctTags = [...new Set(tags.map(tag => String(tag).toLowerCase()))];
+      conditions.push(
+        `(SELECT COUNT(DISTINCT lower(value)) FROM ${source} WHERE lower(value) IN (${toSqlList(distinctTags)})) = ${distinctTags.length}`
+      );
+    } else {
+      conditions.push(`EXISTS (SELECT 1 FROM ${source} WHERE lower(value) IN (${toSqlList(tags)}))`);
+    }
+  }
+
+  if (excludeTags && excludeTags.length > 0) {
+    conditions.push(`NOT EXISTS (SELECT 1 FROM ${source} WHERE lower(value) IN (${toSqlList(excludeTags)}))`);
+  }
+
+  return conditions;
+}
+
+module.exports = {
+  buildTagConditions,
+};
@@ -0,0 +1,206 @@
+/**
+ * Airports: keyword search by code, name or city, nearest airports within a
+ * radius, the validation of both, and the CSV import.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { Airport, Area } = require('../../src/models');
+const AirportService = require('../../src/services/AirportService');
+
+const AIRPORTS_URL = '/v1/reference-data/locations/airports';
+
+const BARCELONA = { latitude: 41.3874, longitude: 2.1686 };
+
+/**
+ * Ids of the airports found by a search
+ *
+ * @param {object} query - Query parameters
+ * @returns {Promise<Array<string>>} Airport ids
+ */
+async function searchAirports(query) {
+  const res = await request(app).get(AIRPORTS_URL).query(query);
+  expect(res.status).toBe(200);
+  return res.body.data.map(airport => airport.id);
+}
+
+describe('airports', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await Area.create({ id: 'CBCN', subType: 'CITY', name: 'Barcelona', iataCode: 'BCN', countryCode: 'ES', ...BARCELONA });
+
+    await Airport.bulkCreate([
+      {
+        id: 'ABCN', iataCode: 'BCN', icaoCode: 'LEBL', name: 'Josep Tarradellas Barcelona-El Prat', cityName: 'Barcelona',
+        cityCode: 'BCN', cityId: 'CBCN', countryCode: 'ES', latitude: 41.2971, longitude: 2.0785, timeZone: 'Europe/Madrid',
+      },
+      {
+        id: 'AQSA', iataCode: 'QSA', icaoCode: 'LELL', name: 'Sabadell', cityName: 'Barcelona',
+        cityCode: 'BCN', countryCode: 'ES', latitude: 41.5209, longitude: 2.1050,
+      },
+      {
+        id: 'AGRO', iataCode: 'GRO', icaoCode: 'LEGE', name: 'Girona-Costa Brava', cityName: 'Girona',
+        countryCode: 'ES', latitude: 41.9010, longitude: 2.7605,
+      },
+      {
+        id: 'AMAD', iataCode: 'MAD', icaoCode: 'LEMD', name: 'Adolfo Suárez Madrid-Barajas', cityName: 'Madrid',
+        countryCode: 'ES', latitude: 40.4719, longitude: -3.5626,
+      },
+      {
+        id: 'ASCL', iataCode: 'SCL', icaoCode: 'SCEL', name: 'Arturo Merino Benítez', cityName: 'Santiago',
+        countryCode: 'CL', latitude: -33.3930, longitude: -70.7858,
+      },
+    ]);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('keyword search', () => {
+    it('returns an airport as a location', async () => {
+      const res = await request(app).get(AIRPORTS_URL).query({ keyword: 'LEBL' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.meta.count).toBe(1);
+      expect(res.body.data[0]).toMatchObject({
+        id: 'ABCN',
+        type: 'location',
+        subType: 'AIRPORT',
+        detailedName: 'BARCELONA/ES: Josep Tarradellas Barcelona-El Prat',
+        iataCode: 'BCN',
+        timeZone: 'Europe/Madrid',
+        geoCode: { latitude: 41.2971, longitude: 2.0785 },
+        address: { cityName: 'Barcelona', cityCode: 'BCN', countryCode: 'ES' },
+        parent: { id: 'CBCN', subType: 'CITY' },
+      });
+      expect(res.body.data[0].distance).toBeUndefined();
+    });
+
+    it('links airports to the requested host', async () => {
+      const search = await request(app).get(AIRPORTS_URL).set('Host', 'api.example.com').query({ keyword: 'BCN' });
+      const airport = await request(app).get(`${AIRPORTS_URL}/ABCN`).set('Host', 'api.example.com');
+
+      expect(search.body.data[0].self.href).toBe(`http://api.example.com${AIRPORTS_URL}/ABCN`);
+      expect(search.body.meta.links.self.startsWith(`http://api.example.com${AIRPORTS_URL}`)).toBe(true);
+      expect(airport.body.data.self.href).toBe(`http://api.example.com${AIRPORTS_URL}/ABCN`);
+      expect(airport.body.data.parent.self.href).toBe('http://api.example.com/v1/reference-data/locations/cities/CBCN');
+    });
+
+    it.each([
+      ['the airport code before the city code', 'bcn', ['ABCN', 'AQSA']],
+      ['a city name', 'barcelona', ['ABCN', 'AQSA']],
+      ['part of a name', 'costa', ['AGRO']],
+      ['a keyword without matches', 'Lisboa', []],
+    ])('finds %s', async (_, keyword, ids) => {
+      expect(await searchAirports({ keyword })).toEqual(ids);
+    });
+
+    it('filters by country', async () => {
+      expect(await searchAirports({ keyword: 'a', countryCode: 'CL' })).toEqual(['ASCL']);
+    });
+  });
+
+  describe('nearest search', () => {
+    it('returns the airports within the radius, closest first, with their distance', async () => {
+      const res = await request(app).get(AIRPORTS_URL).query({ ...BARCELONA, radius: 100 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(airport => airport.id)).toEqual(['ABCN', 'AQSA', 'AGRO']);
+      expect(res.body.data[0].distance).toEqual({ value: expect.any(Number), unit: 'KM' });
+      expect(res.body.data[1].distance.value).toBeGreaterThan(res.body.data[0].distance.value);
+    });
+
+    it('narrows the radius', async () => {
+      expect(await searchAirports({ ...BARCELONA, radius: 20 })).toEqual(['ABCN', 'AQSA']);
+    });
+
+    it('combines a keyword with coordinates', async () => {
+      expect(await searchAirports({ ...BARCELONA, radius: 100, keyword: 'girona' })).toEqual(['AGRO']);
+    });
+
+    it('pages through the results', async () => {
+      const res = await request(app)
+        .get(AIRPORTS_URL)
+        .query({ ...BARCELONA, radius: 100, 'page[limit]': 2, 'page[offset]': 2 });
+
+      expect(res.body.data.map(airport => airport.id)).toEqual(['AGRO']);
+      expect(res.body.meta.count).toBe(3);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      ['no keyword or coordinates', {}, 'keyword', 32171],
+      ['a latitude without a longitude', { latitude: 41.3 }, 'longitude', 32171],
+      ['a latitude out of range', { latitude: 91, longitude: 2 }, 'latitude', 477],
+      ['a radius without coordinates', { keyword: 'BCN', radius: 50 }, 'radius', 477],
+      ['a radius over 500 km', { ...BARCELONA, radius: 501 }, 'radius', 572],
+      ['a lowercase country code', { keyword: 'BCN', countryCode: 'es' }, 'countryCode', 477],
+      ['a page limit over 100', { keyword: 'BCN', 'page[limit]': 101 }, 'page[limit]', 572],
+    ])('rejects %s with 400', async (_, query, parameter, code) => {
+      const res = await request(app).get(AIRPORTS_URL).query(query);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ code, source: { parameter } });
+    });
+
+    it('returns 404 for an unknown airport', async () => {
+      const res = await request(app).get(`${AIRPORTS_URL}/AXXX`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('CSV import', () => {
+    const CSV = [
+      'ident,type,name,latitude_deg,longitude_deg,iso_country,municipality,gps_code,iata_code',
+      'LERS,medium_airport,Reus,41.1474,1.1672,ES,Reus,LERS,REU',
+      'LEGE,medium_airport,Girona Airport,41.9010,2.7605,ES,Girona,LEGE,GRO',
+      'LEXX,closed,Old field,41.5,2.5,ES,Nowhere,LEXX,XXX',
+      'ES-0001,heliport,Helipad,41.4,2.2,ES,Barcelona,,',
+      'LEZZ,small_airport,Bad country,41.6,2.6,SPAIN,Somewhere,LEZZ,ZZZ',
+      'LEBL,large_airport,Barcelona El Prat,41.2971,2.0785,ES,Barcelona,LEBL,BCN',
+    ].join('\n');
+
+    it('reports the rows of a dry run without writing', async () => {
+      const report = await AirportService.importCsv(CSV, { dryRun: true });
+
+      expect(report.summary).toEqual({ total: 6, created: 1, updated: 2, skipped: 2, rejected: 1 });
+      expect(await Airport.findByPk('AREU')).toBeNull();
+    });
+
+    it('creates and updates airports by IATA code, and links them to their city', async () => {
+      const report = await AirportService.importCsv(CSV);
+
+      expect(report.results).toEqual([
+        { source: { line: 2 }, id: 'AREU', status: 'created' },
+        { source: { line: 3 }, id: 'AGRO', status: 'updated' },
+        { source: { line: 4 }, id: 'AXXX', status: 'skipped' },
+        { source: { line: 5 }, id: undefined, status: 'skipped' },
+        { source: { line: 6 }, id: 'AZZZ', status: 'rejected', errors: ['Country code must be an ISO 3166-1 alpha-2 code'] },
+        { source: { line: 7 }, id: 'ABCN', status: 'updated' },
+      ]);
+
+      const res = await request(app).get(`${AIRPORTS_URL}/AREU`);
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ iataCode: 'REU', icaoCode: 'LERS', address: { cityName: 'Reus' } });
+
+      expect(await searchAirports({ keyword: 'GRO' })).toEqual(['AGRO']);
+      const girona = await Airport.findByPk('AGRO');
+      expect(girona.name).toBe('Girona Airport');
+
+      const barcelona = await Airport.findByPk('ABCN');
+      expect(barcelona).toMatchObject({ name: 'Barcelona El Prat', cityCode: 'BCN', cityId: 'CBCN', timeZone: 'Europe/Madrid' });
+    });
+
+    it('rejects a file without rows', async () => {
+      await expect(AirportService.importCsv('iata_code,name\n')).rejects.toMatchObject({
+        status: 400,
+        source: { parameter: 'body' },
+      });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * City > district > POI hierarchy: browsing areas, placing POIs in the area
+ * whose boundary contains them (on create, update and import) and filtering
+ * searches by city or district.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { Area, PointOfInterest } = require('../../src/models');
+const PoiService = require('../../src/services/PoiService');
+const PoiImportService = require('../../src/services/PoiImportService');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const LOCATIONS_URL = '/v1/reference-data/locations';
+
+/**
+ * Rectangular GeoJSON Polygon
+ *
+ * @param {number} west - Western longitude
+ * @param {number} south - Southern latitude
+ * @param {number} east - Eastern longitude
+ * @param {number} north - Northern latitude
+ * @returns {object} Polygon
+ */
+function rectangle(west, south, east, north) {
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+  };
+}
+
+const IN_DISTRICT = { latitude: 41.39, longitude: 2.16 };
+const IN_CITY = { latitude: 41.45, longitude: 2.1 };
+const OUTSIDE = { latitude: 40.4168, longitude: -3.7038 };
+
+describe('area hierarchy', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await Area.bulkCreate([
+      {
+        id: 'CBCN', subType: 'CITY', name: 'Barcelona', iataCode: 'BCN', countryCode: 'ES',
+        latitude: 41.3874, longitude: 2.1686, boundary: rectangle(2.05, 41.32, 2.25, 41.47),
+      },
+      {
+        id: 'DEIX', subType: 'DISTRICT', name: 'Eixample', parentId: 'CBCN', countryCode: 'ES',
+        latitude: 41.39, longitude: 2.16, boundary: rectangle(2.14, 41.38, 2.18, 41.40),
+      },
+      {
+        id: 'DGRA', subType: 'DISTRICT', name: 'Gràcia', parentId: 'CBCN', countryCode: 'ES',
+        latitude: 41.403, longitude: 2.156,
+      },
+      { id: 'CMAD', subType: 'CITY', name: 'Madrid', iataCode: 'MAD', countryCode: 'ES', latitude: 40.4168, longitude: -3.7038 },
+      { id: 'CSCL', subType: 'CITY', name: 'Santiago', iataCode: 'SCL', countryCode: 'CL', latitude: -33.4489, longitude: -70.6693 },
+    ]);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('browsing', () => {
+    it('lists cities by name, optionally in one country', async () => {
+      const all = await request(app).get(`${LOCATIONS_URL}/cities`);
+      const spanish = await request(app).get(`${LOCATIONS_URL}/cities`).query({ countryCode: 'ES' });
+
+      expect(all.status).toBe(200);
+      expect(all.body.data.map(city => city.id)).toEqual(['CBCN', 'CMAD', 'CSCL']);
+      expect(spanish.body.data.map(city => city.id)).toEqual(['CBCN', 'CMAD']);
+    });
+
+    it('lists the districts of a city', async () => {
+      const res = await request(app).get(`${LOCATIONS_URL}/cities/CBCN/districts`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(district => district.id)).toEqual(['DEIX', 'DGRA']);
+    });
+
+    it('returns a district with its boundary', async () => {
+      const res = await request(app).get(`${LOCATIONS_URL}/districts/DEIX`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: 'DEIX', subType: 'DISTRICT', name: 'Eixample' });
+      expect(res.body.data.boundary).toEqual(rectangle(2.14, 41.38, 2.18, 41.40));
+    });
+
+    it('links areas to the requested host', async () => {
+      const cities = await request(app).get(`${LOCATIONS_URL}/cities`).set('Host', 'api.example.com');
+      const city = await request(app).get(`${LOCATIONS_URL}/cities/CBCN`).set('Host', 'api.example.com');
+      const districts = await request(app).get(`${LOCATIONS_URL}/cities/CBCN/districts`).set('Host', 'api.example.com');
+
+      const baseUrl = `http://api.example.com${LOCATIONS_URL}`;
+      expect(cities.body.data[0].self.href).toBe(`${baseUrl}/cities/CBCN`);
+      expect(city.body.data.links.districts).toBe(`${baseUrl}/cities/CBCN/districts`);
+      expect(districts.body.data[0].self.href).toBe(`${baseUrl}/districts/DEIX`);
+      expect(districts.body.meta.links.self.startsWith(`${baseUrl}/cities/CBCN/districts`)).toBe(true);
+    });
+
+    it.each([
+      ['a district as a city', '/cities/DEIX'],
+      ['a city as a district', '/districts/CBCN'],
+      ['the districts of an unknown city', '/cities/CXXX/districts'],
+    ])('does not find %s', async (_, path) => {
+      const res = await request(app).get(`${LOCATIONS_URL}${path}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('placing POIs', () => {
+    const createPoi = (id, point, extra = {}) =>
+      PoiService.createPoi({ id, name: `Place ${id}`, category: 'SIGHTS', rank: 10, ...point, ...extra });
+
+    it.each([
+      ['the most precise area', 'PLACE00001', IN_DISTRICT, 'DEIX'],
+      ['the city outside its districts', 'PLACE00002', IN_CITY, 'CBCN'],
+      ['no area outside every boundary', 'PLACE00003', OUTSIDE, null],
+    ])('gives a new POI %s', async (_, id, point, parentId) => {
+      const poi = await createPoi(id, point);
+
+      expect(poi.parentId).toBe(parentId);
+    });
+
+    it('keeps an explicit parent', async () => {
+      const poi = await createPoi('PLACE00004', IN_DISTRICT, { parentId: 'CMAD' });
+
+      expect(poi.parentId).toBe('CMAD');
+    });
+
+    it('rejects an unknown parent', async () => {
+      await expect(createPoi('PLACE00005', IN_DISTRICT, { parentId: 'CXXX' })).rejects.toThrow(NotFoundError);
+    });
+
+    it('keeps the parent when the coordinates do not change', async () => {
+      await createPoi('PLACE00006', IN_DISTRICT);
+
+      expect((await PoiService.updatePoi('PLACE00006', { name: 'Renamed' })).parentId).toBe('DEIX');
+      expect((await PoiService.updatePoi('PLACE00006', { latitude: String(IN_DISTRICT.latitude) })).parentId).toBe('DEIX');
+    });
+
+    it('places a moved POI again, clearing its parent outside every boundary', async () => {
+      await createPoi('PLACE00007', IN_DISTRICT);
+
+      expect((await PoiService.updatePoi('PLACE00007', IN_CITY)).parentId).toBe('CBCN');
+      expect((await PoiService.updatePoi('PLACE00007', OUTSIDE)).parentId).toBeNull();
+    });
+
+    it('clears the parent when asked to', async () => {
+      await createPoi('PLACE00008', IN_DISTRICT);
+
+      expect((await PoiService.updatePoi('PLACE00008', { parentId: null })).parentId).toBeNull();
+    });
+
+    it('places imported POIs, keeping the parent of those that do not move', async () => {
+      await createPoi('PLACE00009', IN_DISTRICT);
+      await createPoi('PLACE00010', IN_DISTRICT);
+      await PoiService.updatePoi('PLACE00010', { parentId: 'CMAD' });
+
+      const feature = (id, { latitude, longitude }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { id, name: `Place ${id}`, category: 'SIGHTS', rank: 10 },
+      });
+      const report = await PoiImportService.importGeoJson({
+        type: 'FeatureCollection',
+        features: [
+          feature('PLACE00009', OUTSIDE),
+          feature('PLACE00010', IN_DISTRICT),
+          feature('PLACE00011', IN_CITY),
+        ],
+      });
+
+      expect(report.summary).toMatchObject({ created: 1, updated: 2, rejected: 0 });
+
+      const pois = await PointOfInterest.findAll({
+        where: { id: ['PLACE00009', 'PLACE00010', 'PLACE00011'] },
+        order: [['id', 'ASC']],
+      });
+      expect(pois.map(poi => poi.parentId)).toEqual([null, 'CMAD', 'CBCN']);
+    });
+  });
+
+  describe('filtering searches', () => {
+    const searchIds = async query => {
+      const res = await request(app)
+        .get(`${LOCATIONS_URL}/pois`)
+        .query({ latitude: 41.39, longitude: 2.16, radius: 20, 'page[limit]': 100, ...query });
+
+      expect(res.status).toBe(200);
+      return res.body.data.map(poi => poi.id).sort();
+    };
+
+    it('matches POIs of a city and of its districts with cityId', async () => {
+      const ids = await searchIds({ cityId: 'CBCN' });
+
+      expect(ids).toEqual(expect.arrayContaining(['PLACE00001', 'PLACE00002', 'PLACE00006', 'PLACE00011']));
+      expect(ids).not.toContain('PLACE00004');
+    });
+
+    it('matches only the POIs of a district with districtId', async () => {
+      const ids = await searchIds({ districtId: 'DEIX' });
+
+      expect(ids).toContain('PLACE00001');
+      expect(ids).not.toContain('PLACE00002');
+    });
+
+    it('returns the parent area of POIs', async () => {
+      const res = await request(app).get(`${LOCATIONS_URL}/pois/PLACE00001`);
+
+      expect(res.body.data.parent).toMatchObject({ id: 'DEIX', subType: 'DISTRICT', name: 'Eixample' });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Autocomplete ranking: GET /reference-data/locations/autocomplete over POIs,
+ * cities, districts and airports, with code matches, highlights, proximity
+ * bias and translated names.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { PointOfInterest, PoiTranslation, Area, Airport } = require('../../src/models');
+
+const AUTOCOMPLETE_URL = '/v1/reference-data/locations/autocomplete';
+
+const BARCELONA = { latitude: 41.3874, longitude: 2.1686 };
+const SANTIAGO = { latitude: -33.4489, longitude: -70.6693 };
+
+/**
+ * Request suggestions
+ *
+ * @param {object} query - Query parameters
+ * @returns {Promise<object>} Response
+ */
+function suggest(query) {
+  return request(app).get(AUTOCOMPLETE_URL).query(query);
+}
+
+describe('GET /autocomplete', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await Area.bulkCreate([
+      { id: 'CBCN', subType: 'CITY', name: 'Barcelona', iataCode: 'BCN', countryCode: 'ES', ...BARCELONA },
+      { id: 'DEIX', subType: 'DISTRICT', name: 'Eixample', parentId: 'CBCN', countryCode: 'ES', latitude: 41.39, longitude: 2.16 },
+      { id: 'CSCL', subType: 'CITY', name: 'Santiago', iataCode: 'SCL', countryCode: 'CL', ...SANTIAGO },
+    ]);
+
+    await Airport.bulkCreate([
+      {
+        id: 'ABCN', iataCode: 'BCN', icaoCode: 'LEBL', name: 'Josep Tarradellas Barcelona-El Prat',
+        cityName: 'Barcelona', cityCode: 'BCN', countryCode: 'ES', latitude: 41.2971, longitude: 2.0785,
+      },
+      {
+        id: 'ASCL', iataCode: 'SCL', icaoCode: 'SCEL', name: 'Arturo Merino Benítez International',
+        cityName: 'Santiago', cityCode: 'SCL', countryCode: 'CL', latitude: -33.393, longitude: -70.7858,
+      },
+    ]);
+
+    await PointOfInterest.bulkCreate([
+      { id: 'PBATLLO', name: 'Casa Batlló', category: 'SIGHTS', rank: 1, latitude: 41.3917, longitude: 2.1649 },
+      { id: 'PBEACH', name: 'Barceloneta Beach', category: 'BEACH_PARK', rank: 3, latitude: 41.3784, longitude: 2.1925 },
+      { id: 'PCERVE', name: 'Cervecería Catalana', category: 'RESTAURANT', rank: 20, latitude: 41.3934, longitude: 2.1620 },
+      { id: 'PCERRO', name: 'Cerro San Cristóbal', category: 'SIGHTS', rank: 2, latitude: -33.4254, longitude: -70.6331 },
+      { id: 'PPICASSO', name: 'Museu Picasso', category: 'SIGHTS', rank: 4, latitude: 41.3852, longitude: 2.1809 },
+    ]);
+
+    await PoiTranslation.create({ poiId: 'PPICASSO', locale: 'es', name: 'Museo Picasso' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('ranks cities first, then POIs and airports by how their name matches', async () => {
+    const res = await suggest({ keyword: 'barc' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(suggestion => suggestion.id)).toEqual(['CBCN', 'PBEACH', 'ABCN']);
+    expect(res.body.data[0]).toEqual({
+      id: 'CBCN',
+      name: 'Barcelona',
+      subType: 'CITY',
+      category: null,
+      highlight: { offset: 0, length: 4 },
+    });
+    expect(res.body.data[2].highlight).toEqual({ offset: 18, length: 4 });
+    expect(res.body.meta).toEqual({ count: 3 });
+  });
+
+  it.each([
+    ['bcn', ['CBCN', 'ABCN']],
+    ['LEBL', ['ABCN']],
+    ['scl', ['CSCL', 'ASCL']],
+  ])('ranks exact IATA and ICAO code matches first (%s)', async (keyword, ids) => {
+    const res = await suggest({ keyword });
+
+    expect(res.body.data.map(suggestion => suggestion.id)).toEqual(ids);
+    expect(res.body.data.every(suggestion => suggestion.highlight === null)).toBe(true);
+  });
+
+  it('highlights a later word of the name, keeping accents', async () => {
+    const res = await suggest({ keyword: 'batl' });
+
+    expect(res.body.data).toEqual([
+      { id: 'PBATLLO', name: 'Casa Batlló', subType: 'POINT_OF_INTEREST', category: 'SIGHTS', highlight: { offset: 5, length: 4 } },
+    ]);
+  });
+
+  it('matches accent-insensitively', async () => {
+    const res = await suggest({ keyword: 'cerveceria cat' });
+
+    expect(res.body.data.map(suggestion => suggestion.id)).toEqual(['PCERVE']);
+    expect(res.body.data[0].highlight).toEqual({ offset: 0, length: 14 });
+  });
+
+  it('suggests districts', async () => {
+    const res = await suggest({ keyword: 'eix' });
+
+    expect(res.body.data.map(suggestion => [suggestion.id, suggestion.subType])).toEqual([['DEIX', 'DISTRICT']]);
+  });
+
+  it('prefers locations close to the user', async () => {
+    const fromBarcelona = await suggest({ keyword: 'ce', ...BARCELONA });
+    const fromSantiago = await suggest({ keyword: 'ce', ...SANTIAGO });
+
+    expect(fromBarcelona.body.data.map(suggestion => suggestion.id)).toEqual(['PCERVE', 'PCERRO']);
+    expect(fromSantiago.body.data.map(suggestion => suggestion.id)).toEqual(['PCERRO', 'PCERVE']);
+  });
+
+  it('ranks by POI rank without coordinates', async () => {
+    const res = await suggest({ keyword: 'ce' });
+
+    expect(res.body.data.map(suggestion => suggestion.id)).toEqual(['PCERRO', 'PCERVE']);
+  });
+
+  it('suggests translated names in the requested language', async () => {
+    const res = await suggest({ keyword: 'museo', lang: 'es' });
+
+    expect(res.body.data).toEqual([
+      expect.objectContaining({ id: 'PPICASSO', name: 'Museo Picasso', highlight: { offset: 0, length: 5 } }),
+    ]);
+  });
+
+  it('limits the number of suggestions', async () => {
+    const res = await suggest({ keyword: 'b', 'page[limit]': 2 });
+
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.meta.count).toBe(2);
+  });
+
+  it.each([
+    ['without a keyword', {}],
+    ['with a limit over 20', { keyword: 'bar', 'page[limit]': 21 }],
+    ['with a latitude but no longitude', { keyword: 'bar', latitude: 41.3 }],
+  ])('rejects requests %s', async (_, query) => {
+    const res = await suggest(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Cursor pagination across endpoints: a cursor is signed with the collection
+ * and sort order it was issued for, so it pages through that collection only
+ * and is rejected (400) by any other endpoint or sort order.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+const { encodePolyline } = require('../../src/utils/geospatial');
+
+const POIS_URL = '/v1/reference-data/locations/pois';
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+const ROUTE = encodePolyline([
+  { latitude: 41.3809, longitude: 2.1686 },
+  { latitude: 41.394, longitude: 2.1686 },
+]);
+
+/**
+ * Cursor of a pagination link
+ *
+ * @param {string} link - Link from meta.links
+ * @returns {string} page[cursor] of the link
+ */
+function cursorOf(link) {
+  return new URL(link).searchParams.get('page[cursor]');
+}
+
+describe('cursor pagination', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await PointOfInterest.bulkCreate(
+      Array.from({ length: 12 }, (_, i) => ({
+        id: `CURSOR${String(i).padStart(4, '0')}`,
+        name: `Cursor place ${String.fromCharCode(65 + ((i * 5) % 12))}`,
+        category: 'SIGHTS',
+        rank: 1 + (i % 4),
+        latitude: CENTER.latitude + (i - 6) * 0.001,
+        longitude: CENTER.longitude,
+      }))
+    );
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const radiusQuery = { latitude: CENTER.latitude, longitude: CENTER.longitude, radius: 2, 'page[limit]': 5 };
+
+  /**
+   * Cursor of the second page of a radius search
+   *
+   * @param {string} sort - Radius sort option
+   * @returns {Promise<string>} Next cursor of the first page
+   */
+  async function radiusNextCursor(sort) {
+    const res = await request(app)
+      .get(POIS_URL)
+      .query({ ...radiusQuery, sort, 'page[cursor]': '' });
+    expect(res.status).toBe(200);
+    return cursorOf(res.body.meta.links.next);
+  }
+
+  it('pages through a radius search with its own cursors', async () => {
+    const ids = [];
+    let cursor = '';
+
+    do {
+      const res = await request(app)
+        .get(POIS_URL)
+        .query({ ...radiusQuery, 'page[cursor]': cursor });
+      expect(res.status).toBe(200);
+      ids.push(...res.body.data.map(poi => poi.id));
+      cursor = res.body.meta.links.next && cursorOf(res.body.meta.links.next);
+    } while (cursor);
+
+    expect(ids).toHaveLength(12);
+    expect(new Set(ids).size).toBe(12);
+  });
+
+  it.each([
+    ['/nearest', { latitude: CENTER.latitude, longitude: CENTER.longitude }],
+    ['/along-route', { polyline: ROUTE, width: 500 }],
+    ['/by-square', { north: 41.4, south: 41.37, east: 2.18, west: 2.15 }],
+  ])('rejects a radius cursor on %s', async (path, query) => {
+    const cursor = await radiusNextCursor('rank');
+
+    const res = await request(app)
+      .get(`${POIS_URL}${path}`)
+      .query({ ...query, 'page[cursor]': cursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({
+      code: 477,
+      source: { parameter: 'page[cursor]' },
+    });
+  });
+
+  it('rejects a cursor issued for another sort order with the same key length', async () => {
+    const cursor = await radiusNextCursor('rank');
+
+    const res = await request(app)
+      .get(POIS_URL)
+      .query({ ...radiusQuery, sort: 'name', 'page[cursor]': cursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].source).toEqual({ parameter: 'page[cursor]' });
+  });
+
+  it('rejects a nearest cursor on a radius search', async () => {
+    const first = await request(app)
+      .get(`${POIS_URL}/nearest`)
+      .query({ latitude: CENTER.latitude, longitude: CENTER.longitude, 'page[limit]': 5, 'page[cursor]': '' });
+    expect(first.status).toBe(200);
+    const cursor = cursorOf(first.body.meta.links.next);
+
+    const next = await request(app)
+      .get(`${POIS_URL}/nearest`)
+      .query({ latitude: CENTER.latitude, longitude: CENTER.longitude, 'page[limit]': 5, 'page[cursor]': cursor });
+    expect(next.status).toBe(200);
+
+    const res = await request(app)
+      .get(POIS_URL)
+      .query({ ...radiusQuery, 'page[cursor]': cursor });
+    expect(res.status).toBe(400);
+  });
+});
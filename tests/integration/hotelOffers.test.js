@@ -0,0 +1,234 @@
+/**
+ * Hotel offers: search by city, coordinates or property codes, stay pricing
+ * and policies, availability warnings and stay validation.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { Hotel, HotelOffer } = require('../../src/models');
+
+const HOTEL_OFFERS_URL = '/v3/shopping/hotel-offers';
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+
+// Stays are in the next year, so they are never in the past
+const YEAR = new Date().getUTCFullYear() + 1;
+
+const CITY_TAXES = [
+  { code: 'VALUE_ADDED_TAX', percentage: '10.00', included: true },
+  { code: 'SERVICE_CHARGE', percentage: '10.00', included: false },
+  { code: 'CITY_TAX', pricingFrequency: 'PER_NIGHT', pricingMode: 'PER_PRODUCT', amount: '5.00', included: false },
+];
+
+/**
+ * Offer fields shared by the test offers
+ *
+ * @param {string} id - Offer ID
+ * @param {string} hotelId - Hotel ID
+ * @param {object} fields - Offer-specific fields
+ * @returns {object} Offer attributes
+ */
+function offer(id, hotelId, fields) {
+  return {
+    id,
+    hotelId,
+    rateCode: 'RAC',
+    room: { type: 'A1K', description: { text: 'Standard room', lang: 'EN' } },
+    currency: 'EUR',
+    maxAdults: 2,
+    taxes: [],
+    ...fields,
+  };
+}
+
+describe('hotel offers', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await Hotel.bulkCreate([
+      { hotelId: 'BCNHOTL1', chainCode: 'AA', name: 'Alpha Barcelona', cityCode: 'BCN', ...CENTER },
+      {
+        hotelId: 'BCNHOTL2',
+        chainCode: 'BB',
+        name: 'Beta Barcelona',
+        cityCode: 'BCN',
+        latitude: CENTER.latitude + 0.0135,
+        longitude: CENTER.longitude,
+      },
+      { hotelId: 'MADHOTL1', chainCode: 'CC', name: 'Gamma Madrid', cityCode: 'MAD', latitude: 40.4168, longitude: -3.7038 },
+    ]);
+
+    await HotelOffer.bulkCreate([
+      offer('ALPHAFLEX1', 'BCNHOTL1', { nightlyBase: 100, taxes: CITY_TAXES, cancellationDeadlineHours: 48 }),
+      offer('ALPHASAVE1', 'BCNHOTL1', { nightlyBase: 80, paymentType: 'prepay' }),
+      offer('BETAFAMIL1', 'BCNHOTL2', { nightlyBase: 200, maxAdults: 4, boardType: 'HALF_BOARD' }),
+      offer('GAMMAROOM1', 'MADHOTL1', { nightlyBase: 150 }),
+    ]);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('search', () => {
+    it('finds the hotels of a city by name, cheapest offer first', async () => {
+      const res = await request(app).get(HOTEL_OFFERS_URL).query({ cityCode: 'BCN' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.warnings).toBeUndefined();
+      expect(res.body.data.map(item => item.hotel.hotelId)).toEqual(['BCNHOTL1', 'BCNHOTL2']);
+      expect(res.body.data[0]).toMatchObject({ type: 'hotel-offers', available: true });
+      expect(res.body.data[0].hotel).toMatchObject({ type: 'hotel', name: 'Alpha Barcelona', cityCode: 'BCN' });
+      expect(res.body.data[0].offers.map(item => item.id)).toEqual(['ALPHASAVE1', 'ALPHAFLEX1']);
+      expect(res.body.data[0].self).toMatch(/\/v3\/shopping\/hotel-offers\?hotelIds=BCNHOTL1&adults=1$/);
+    });
+
+    it('finds the hotels within a radius of coordinates, closest first', async () => {
+      const near = { latitude: CENTER.latitude + 0.0135, longitude: CENTER.longitude };
+
+      const close = await request(app).get(HOTEL_OFFERS_URL).query({ ...near, radius: 1 });
+      expect(close.status).toBe(200);
+      expect(close.body.data.map(item => item.hotel.hotelId)).toEqual(['BCNHOTL2']);
+
+      const wide = await request(app).get(HOTEL_OFFERS_URL).query({ ...near, radius: 5 });
+      expect(wide.body.data.map(item => item.hotel.hotelId)).toEqual(['BCNHOTL2', 'BCNHOTL1']);
+    });
+
+    it('finds hotels by property code and warns about unknown codes', async () => {
+      const res = await request(app)
+        .get(HOTEL_OFFERS_URL)
+        .query({ hotelIds: 'MADHOTL1,BCNHOTL1,UNKNOWN1' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(item => item.hotel.hotelId)).toEqual(['BCNHOTL1', 'MADHOTL1']);
+      expect(res.body.warnings).toEqual([
+        {
+          code: 1257,
+          title: 'INVALID PROPERTY CODE',
+          detail: 'INVALID PROPERTY CODE',
+          source: { parameter: 'hotelIds=UNKNOWN1' },
+        },
+      ]);
+    });
+
+    it('warns about hotels with no room for the party', async () => {
+      const res = await request(app).get(HOTEL_OFFERS_URL).query({ cityCode: 'BCN', adults: 3 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(item => item.hotel.hotelId)).toEqual(['BCNHOTL2']);
+      expect(res.body.data[0].offers[0].guests).toEqual({ adults: 3 });
+      expect(res.body.warnings).toEqual([
+        expect.objectContaining({ code: 3664, source: { parameter: 'hotelIds=BCNHOTL1' } }),
+      ]);
+    });
+  });
+
+  describe('pricing', () => {
+    it('prices the stay with the taxes that are not included', async () => {
+      const res = await request(app)
+        .get(HOTEL_OFFERS_URL)
+        .query({ hotelIds: 'BCNHOTL1', checkInDate: `${YEAR}-03-10`, checkOutDate: `${YEAR}-03-13`, adults: 2 });
+
+      expect(res.status).toBe(200);
+      const [save, flex] = res.body.data[0].offers;
+
+      // 3 nights at 100: 10% service charge and 5 per night of city tax on top
+      expect(flex).toMatchObject({
+        checkInDate: `${YEAR}-03-10`,
+        checkOutDate: `${YEAR}-03-13`,
+        guests: { adults: 2 },
+        price: {
+          currency: 'EUR',
+          base: '300.00',
+          total: '345.00',
+          taxes: CITY_TAXES,
+          variations: {
+            average: { base: '100.00' },
+            changes: [{ startDate: `${YEAR}-03-10`, endDate: `${YEAR}-03-13`, base: '100.00' }],
+          },
+        },
+        policies: {
+          cancellations: [{ numberOfNights: 1, deadline: `${YEAR}-03-08T00:00:00Z`, policyType: 'CANCELLATION' }],
+          paymentType: 'guarantee',
+          refundable: { cancellationRefund: 'REFUNDABLE_UP_TO_DEADLINE' },
+        },
+      });
+      expect(flex.self).toMatch(/\/v3\/shopping\/hotel-offers\/ALPHAFLEX1$/);
+
+      expect(save.price).toMatchObject({ base: '240.00', total: '240.00' });
+      expect(save.policies).toEqual({
+        paymentType: 'prepay',
+        refundable: { cancellationRefund: 'NON_REFUNDABLE' },
+      });
+    });
+
+    it('defaults to one night for one adult from today', async () => {
+      const res = await request(app).get(HOTEL_OFFERS_URL).query({ hotelIds: 'MADHOTL1' });
+
+      const today = new Date();
+      const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+      expect(res.body.data[0].offers[0]).toMatchObject({
+        checkInDate: today.toISOString().slice(0, 10),
+        checkOutDate: tomorrow.toISOString().slice(0, 10),
+        guests: { adults: 1 },
+        price: { base: '150.00', total: '150.00' },
+      });
+    });
+
+    it('prices a single offer', async () => {
+      const res = await request(app)
+        .get(`${HOTEL_OFFERS_URL}/BETAFAMIL1`)
+        .query({ checkInDate: `${YEAR}-05-01`, checkOutDate: `${YEAR}-05-03`, adults: 4 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.hotel.hotelId).toBe('BCNHOTL2');
+      expect(res.body.data.offers).toHaveLength(1);
+      expect(res.body.data.offers[0]).toMatchObject({ boardType: 'HALF_BOARD', price: { total: '400.00' } });
+    });
+
+    it('returns 404 for an unknown offer and 400 for a party that does not fit', async () => {
+      const missing = await request(app).get(`${HOTEL_OFFERS_URL}/NOSUCHOFFR`);
+      expect(missing.status).toBe(404);
+
+      const tooMany = await request(app).get(`${HOTEL_OFFERS_URL}/ALPHAFLEX1`).query({ adults: 3 });
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.errors[0].source).toEqual({ parameter: 'adults' });
+    });
+  });
+
+  describe('stay validation', () => {
+    it.each([
+      ['a nonexistent check-in date', { checkInDate: `${YEAR}-02-31` }, 'checkInDate', 477],
+      ['a nonexistent check-out date', { checkOutDate: `${YEAR}-13-01` }, 'checkOutDate', 477],
+      ['a date in another format', { checkInDate: `10/03/${YEAR}` }, 'checkInDate', 477],
+      ['a check-in date in the past', { checkInDate: '2020-01-01' }, 'checkInDate', 477],
+      ['a check-out on the check-in date', { checkInDate: `${YEAR}-03-10`, checkOutDate: `${YEAR}-03-10` }, 'checkOutDate', 477],
+      ['a check-out before the check-in', { checkInDate: `${YEAR}-03-10`, checkOutDate: `${YEAR}-03-09` }, 'checkOutDate', 477],
+      ['no adults', { adults: 0 }, 'adults', 572],
+      ['more than 9 adults', { adults: 10 }, 'adults', 572],
+      ['adults that are not a number', { adults: 'two' }, 'adults', 477],
+    ])('rejects %s', async (_, stay, parameter, code) => {
+      const res = await request(app)
+        .get(HOTEL_OFFERS_URL)
+        .query({ cityCode: 'BCN', ...stay });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ code, source: { parameter } });
+    });
+
+    it('validates the stay of a single offer', async () => {
+      const res = await request(app).get(`${HOTEL_OFFERS_URL}/ALPHAFLEX1`).query({ checkOutDate: `${YEAR}-02-30` });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].source.parameter).toBe('checkOutDate');
+    });
+
+    it('requires a hotel, city or coordinates', async () => {
+      const res = await request(app).get(HOTEL_OFFERS_URL);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].code).toBe(32171);
+    });
+  });
+});
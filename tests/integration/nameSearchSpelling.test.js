@@ -0,0 +1,116 @@
+/**
+ * Misspelled name searches: when nothing matches, GET /pois/by-name searches
+ * the closest spelling in the index and suggests the most similar POI name.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { PointOfInterest, PoiTranslation } = require('../../src/models');
+const { correctSpelling } = require('../../src/services/PoiSearchIndex');
+
+const BY_NAME_URL = '/v1/reference-data/locations/pois/by-name';
+
+const POIS = [
+  ['SPELL00001', 'Casa Batlló', 'SIGHTS', 1],
+  ['SPELL00002', 'Park Güell', 'BEACH_PARK', 2],
+  ['SPELL00003', 'Sagrada Família', 'SIGHTS', 1],
+  ['SPELL00004', 'Cervecería Catalana', 'RESTAURANT', 5],
+  ['SPELL00005', 'Rapa Nui National Park', 'BEACH_PARK', 3],
+  ['SPELL00006', 'Parc de la Ciutadella', 'BEACH_PARK', 4],
+].map(([id, name, category, rank], i) => ({
+  id,
+  name,
+  category,
+  rank,
+  latitude: 41.38 + i * 0.01,
+  longitude: 2.17,
+}));
+
+/**
+ * Search by name
+ *
+ * @param {string} name - Search text
+ * @param {object} [query={}] - Other query parameters
+ * @returns {Promise<object>} Response
+ */
+function searchByName(name, query = {}) {
+  return request(app).get(BY_NAME_URL).query({ name, ...query });
+}
+
+describe('misspelled name searches', () => {
+  beforeAll(async () => {
+    await migrate();
+    await PointOfInterest.bulkCreate(POIS);
+    await PoiTranslation.create({ poiId: 'SPELL00005', locale: 'es', name: 'Parque Nacional Isla de Pascua' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('correctSpelling', () => {
+    it.each([
+      ['casa batlo', 'casa batllo'],
+      ['sagarda familia', 'sagrada familia'],
+      ['park gwell', 'park guell'],
+      ['cervezer', 'cerveceria'],
+    ])('corrects %p to %p', async (text, corrected) => {
+      expect(await correctSpelling(text)).toBe(corrected);
+    });
+
+    it.each([
+      ['words that need no correcting', 'casa batl'],
+      ['a word without a close spelling', 'casa xyzzy'],
+      ['a misspelled first letter', 'kasa batllo'],
+      ['a short word', 'cs'],
+    ])('returns null for %s', async (_, text) => {
+      expect(await correctSpelling(text)).toBeNull();
+    });
+  });
+
+  it('suggests the displayed name of the closest POI', async () => {
+    const res = await searchByName('casa batlo');
+
+    expect(res.status).toBe(200);
+    expect(res.body.meta.didYouMean).toBe('Casa Batlló');
+    expect(res.body.meta.count).toBe(1);
+    expect(res.body.data).toEqual([expect.objectContaining({ id: 'SPELL00001', similarity: 0.9 })]);
+  });
+
+  it('suggests a translated name when it is the closest', async () => {
+    const res = await searchByName('isla de pascau');
+
+    expect(res.body.meta.didYouMean).toBe('Parque Nacional Isla de Pascua');
+    expect(res.body.data.map(poi => poi.id)).toEqual(['SPELL00005']);
+  });
+
+  it('returns every corrected match and suggests the first of the most similar', async () => {
+    const res = await searchByName('prak');
+
+    expect(res.body.data.map(poi => poi.id).sort()).toEqual(['SPELL00002', 'SPELL00005']);
+    expect(res.body.data.map(poi => poi.similarity)).toEqual([0.75, 0.75]);
+    expect(res.body.meta.didYouMean).toBe(res.body.data[0].name);
+  });
+
+  it('does not correct searches with results', async () => {
+    const res = await searchByName('casa bat');
+
+    expect(res.body.meta.didYouMean).toBeUndefined();
+    expect(res.body.data[0]).not.toHaveProperty('similarity');
+  });
+
+  it('does not suggest a spelling whose results are filtered out', async () => {
+    const res = await searchByName('casa batlo', { categories: 'RESTAURANT' });
+
+    expect(res.body.meta.count).toBe(0);
+    expect(res.body.meta.didYouMean).toBeUndefined();
+  });
+
+  it('returns no suggestion without a close spelling', async () => {
+    const res = await searchByName('xyzzy');
+
+    expect(res.body.meta.count).toBe(0);
+    expect(res.body.meta.didYouMean).toBeUndefined();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * POI picture uploads: image processing into thumbnails, ordering, permissions
+ * and upload errors, with the local storage driver in a temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read by src/config when the app is loaded
+const MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-media-'));
+process.env.MEDIA_DIR = MEDIA_DIR;
+process.env.MEDIA_MAX_FILE_SIZE = '200000';
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/app');
+const { migrate, sequelize, createUserToken } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+
+const PICTURES_URL = '/v1/reference-data/locations/pois/PICS000001/pictures';
+
+/**
+ * Upload a picture
+ *
+ * @param {string} token - Uploader token
+ * @param {Buffer} file - Image
+ * @param {object} [fields={}] - Other form fields
+ * @param {string} [contentType='image/jpeg'] - Content type of the file part
+ * @returns {Promise<object>} Response
+ */
+function upload(token, file, fields = {}, contentType = 'image/jpeg') {
+  let req = request(app).post(PICTURES_URL).set('Authorization', `Bearer ${token}`);
+  Object.entries(fields).forEach(([name, value]) => {
+    req = req.field(name, value);
+  });
+  return req.attach('file', file, { filename: 'picture', contentType });
+}
+
+/**
+ * Files stored for the pictures, by picture directory
+ *
+ * @returns {object} File names by directory
+ */
+function storedFiles() {
+  return Object.fromEntries(fs.readdirSync(MEDIA_DIR).map(directory => [
+    directory,
+    fs.readdirSync(path.join(MEDIA_DIR, directory)).sort(),
+  ]));
+}
+
+describe('POI pictures', () => {
+  let jpeg;
+  let png;
+  let uploaderToken;
+  let otherToken;
+  let adminToken;
+
+  beforeAll(async () => {
+    await migrate();
+    await PointOfInterest.create({
+      id: 'PICS000001', name: 'Pictured place', category: 'SIGHTS', rank: 1, latitude: 41.39, longitude: 2.16,
+    });
+
+    jpeg = await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#c33' } }).jpeg().toBuffer();
+    png = await sharp({ create: { width: 100, height: 300, channels: 4, background: '#3c3' } }).png().toBuffer();
+
+    uploaderToken = await createUserToken();
+    otherToken = await createUserToken();
+    adminToken = await createUserToken('admin');
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+    fs.rmSync(MEDIA_DIR, { recursive: true, force: true });
+  });
+
+  it('stores an image with thumbnails that never enlarge it', async () => {
+    const res = await upload(uploaderToken, jpeg, { caption: 'Red' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ position: 1, caption: 'Red', width: 2000, height: 1000 });
+    expect(res.body.data.thumbnails).toMatchObject({
+      small: { width: 160, height: 80 },
+      medium: { width: 480, height: 240 },
+      large: { width: 1280, height: 640 },
+    });
+    expect(Object.values(storedFiles())).toEqual([['large.jpg', 'medium.jpg', 'original.jpg', 'small.jpg']]);
+
+    const small = await request(app).get(new URL(res.body.data.thumbnails.small.url).pathname);
+    expect(small.status).toBe(200);
+    expect(small.headers['content-type']).toBe('image/jpeg');
+    expect((await sharp(small.body).metadata()).width).toBe(160);
+  });
+
+  it('inserts a picture at a position and lists pictures in order', async () => {
+    const res = await upload(otherToken, png, { caption: 'Green', position: '1' }, 'image/png');
+    expect(res.status).toBe(201);
+    expect(res.body.data.thumbnails.large).toMatchObject({ width: 100, height: 300 });
+
+    const list = await request(app).get(PICTURES_URL);
+    expect(list.body.data.map(picture => [picture.caption, picture.position])).toEqual([['Green', 1], ['Red', 2]]);
+
+    const poi = await request(app).get('/v1/reference-data/locations/pois/PICS000001');
+    expect(poi.body.data.pictures.map(picture => picture.id)).toEqual(list.body.data.map(picture => picture.id));
+  });
+
+  it('lets the uploader or an admin change a picture', async () => {
+    const [green, red] = (await request(app).get(PICTURES_URL)).body.data;
+
+    const forbidden = await request(app)
+      .patch(`${PICTURES_URL}/${red.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ caption: 'Mine' });
+    expect(forbidden.status).toBe(403);
+
+    const moved = await request(app)
+      .patch(`${PICTURES_URL}/${red.id}`)
+      .set('Authorization', `Bearer ${uploaderToken}`)
+      .send({ position: 1, caption: null });
+    expect(moved.status).toBe(200);
+
+    const list = await request(app).get(PICTURES_URL);
+    expect(list.body.data.map(picture => [picture.id, picture.position, picture.caption])).toEqual([
+      [red.id, 1, null],
+      [green.id, 2, 'Green'],
+    ]);
+  });
+
+  it.each([
+    ['a file over the size limit', () => Buffer.alloc(300000, 1), 'image/jpeg', 400],
+    ['an unsupported type', () => Buffer.from('GIF89a'), 'image/gif', 400],
+    ['a file that is not an image', () => Buffer.from('hello'), 'image/jpeg', 400],
+  ])('rejects %s without storing files', async (_, file, contentType, status) => {
+    const before = storedFiles();
+    const res = await upload(uploaderToken, file(), {}, contentType);
+
+    expect(res.status).toBe(status);
+    expect(res.body.errors).toHaveLength(1);
+    expect(storedFiles()).toEqual(before);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).post(PICTURES_URL).attach('file', png, { filename: 'picture', contentType: 'image/png' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('deletes a picture and its files, by the uploader or an admin', async () => {
+    const [red, green] = (await request(app).get(PICTURES_URL)).body.data;
+
+    expect((await request(app).delete(`${PICTURES_URL}/${green.id}`).set('Authorization', `Bearer ${uploaderToken}`)).status).toBe(403);
+    expect((await request(app).delete(`${PICTURES_URL}/${green.id}`).set('Authorization', `Bearer ${adminToken}`)).status).toBe(200);
+    expect((await request(app).delete(`${PICTURES_URL}/${red.id}`).set('Authorization', `Bearer ${uploaderToken}`)).status).toBe(200);
+
+    expect((await request(app).get(PICTURES_URL)).body.data).toEqual([]);
+    expect(storedFiles()).toEqual({});
+  });
+});
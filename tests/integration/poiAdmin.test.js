@@ -0,0 +1,220 @@
+/**
+ * Admin POI management: POST, PUT, PATCH and DELETE require an admin token,
+ * and every change reaches the search and spatial indexes and clears the
+ * tile cache.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize, createUserToken } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+const { projectToTile } = require('../../src/utils/geospatial');
+
+const POIS_URL = '/v1/reference-data/locations/pois';
+
+const BARCELONA = { latitude: 41.3874, longitude: 2.1686 };
+const GIRONA = { latitude: 41.9794, longitude: 2.8214 };
+
+/**
+ * Get the tile containing a point
+ *
+ * @param {{latitude: number, longitude: number}} point - Point
+ * @returns {Promise<object>} Response, with the tile as a Buffer body
+ */
+function getTileAt({ latitude, longitude }) {
+  const { x, y } = projectToTile(latitude, longitude, 12);
+  return request(app)
+    .get(`/v1/tiles/pois/12/${Math.floor(x)}/${Math.floor(y)}.mvt`)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Ids of the POIs found by a name search
+ *
+ * @param {string} name - Searched name
+ * @returns {Promise<Array<string>>} POI ids
+ */
+async function searchByName(name) {
+  const res = await request(app).get(`${POIS_URL}/by-name`).query({ name });
+  return res.body.data.map(poi => poi.id);
+}
+
+/**
+ * Ids of the POIs within 1 km of a point
+ *
+ * @param {{latitude: number, longitude: number}} point - Center
+ * @returns {Promise<Array<string>>} POI ids
+ */
+async function searchByRadius({ latitude, longitude }) {
+  const res = await request(app).get(POIS_URL).query({ latitude, longitude, radius: 1 });
+  return res.body.data.map(poi => poi.id);
+}
+
+/**
+ * Load a tile twice so the next load is a cache hit
+ *
+ * @param {{latitude: number, longitude: number}} point - Point in the tile
+ */
+async function warmTile(point) {
+  await getTileAt(point);
+  expect((await getTileAt(point)).headers['x-cache']).toBe('HIT');
+}
+
+describe('admin POI management', () => {
+  let adminToken;
+  let userToken;
+
+  beforeAll(async () => {
+    await migrate();
+
+    await PointOfInterest.create({
+      id: 'ADMIN00001',
+      name: 'Existing fountain',
+      category: 'SIGHTS',
+      rank: 5,
+      ...BARCELONA,
+    });
+
+    adminToken = await createUserToken('admin');
+    userToken = await createUserToken();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const body = { name: 'Harbour lighthouse', category: 'SIGHTS', rank: 10, ...BARCELONA };
+  const operations = [
+    ['POST', 'post', POIS_URL],
+    ['PUT', 'put', `${POIS_URL}/ADMIN00001`],
+    ['PATCH', 'patch', `${POIS_URL}/ADMIN00001`],
+    ['DELETE', 'delete', `${POIS_URL}/ADMIN00001`],
+  ];
+
+  describe('authorization', () => {
+    it.each(operations)('rejects %s without a token with 401', async (_, method, url) => {
+      const res = await request(app)[method](url).send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body.errors[0]).toMatchObject({ status: 401, code: 38187, source: { parameter: 'Authorization' } });
+    });
+
+    it.each(operations)('rejects %s with an invalid token with 401', async (_, method, url) => {
+      const res = await request(app)[method](url).set('Authorization', 'Bearer not-a-token').send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body.errors[0].code).toBe(38187);
+    });
+
+    it.each(operations)('rejects %s by a regular user with 403', async (_, method, url) => {
+      const res = await request(app)[method](url).set('Authorization', `Bearer ${userToken}`).send(body);
+
+      expect(res.status).toBe(403);
+      expect(res.body.errors[0]).toMatchObject({ status: 403, code: 38197, title: 'FORBIDDEN' });
+    });
+
+    it('leaves the POI unchanged after rejected requests', async () => {
+      const res = await request(app).get(`${POIS_URL}/ADMIN00001`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.name).toBe('Existing fountain');
+    });
+  });
+
+  describe('changes by an admin', () => {
+    it('creates a POI that searches and tiles include', async () => {
+      await warmTile(GIRONA);
+
+      const res = await request(app)
+        .post(POIS_URL)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...body, id: 'ADMIN00002', ...GIRONA });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ id: 'ADMIN00002', name: 'Harbour lighthouse' });
+
+      expect(await searchByName('lighthouse')).toEqual(['ADMIN00002']);
+      expect(await searchByRadius(GIRONA)).toEqual(['ADMIN00002']);
+
+      const tile = await getTileAt(GIRONA);
+      expect(tile.headers['x-cache']).toBe('MISS');
+      expect(tile.body.includes('ADMIN00002')).toBe(true);
+    });
+
+    it('updates the indexes and tiles when a POI is renamed and moved', async () => {
+      await warmTile(BARCELONA);
+      await warmTile(GIRONA);
+
+      const res = await request(app)
+        .patch(`${POIS_URL}/ADMIN00002`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Old customs house', ...BARCELONA });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.name).toBe('Old customs house');
+
+      expect(await searchByName('lighthouse')).toEqual([]);
+      expect(await searchByName('customs')).toEqual(['ADMIN00002']);
+      expect(await searchByRadius(GIRONA)).toEqual([]);
+      expect((await searchByRadius(BARCELONA)).sort()).toEqual(['ADMIN00001', 'ADMIN00002']);
+
+      const girona = await getTileAt(GIRONA);
+      expect(girona.headers['x-cache']).toBe('MISS');
+      expect(girona.body.includes('ADMIN00002')).toBe(false);
+      expect((await getTileAt(BARCELONA)).body.includes('ADMIN00002')).toBe(true);
+    });
+
+    it('updates the indexes when a POI is replaced', async () => {
+      await warmTile(GIRONA);
+
+      const res = await request(app)
+        .put(`${POIS_URL}/ADMIN00001`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Cathedral cloister', category: 'HISTORICAL', rank: 10, ...GIRONA });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ name: 'Cathedral cloister', category: 'HISTORICAL' });
+
+      expect(await searchByName('fountain')).toEqual([]);
+      expect(await searchByName('cloister')).toEqual(['ADMIN00001']);
+      expect(await searchByRadius(GIRONA)).toEqual(['ADMIN00001']);
+
+      const tile = await getTileAt(GIRONA);
+      expect(tile.headers['x-cache']).toBe('MISS');
+      expect(tile.body.includes('ADMIN00001')).toBe(true);
+    });
+
+    it('removes a deleted POI from the indexes and tiles', async () => {
+      await warmTile(GIRONA);
+
+      const res = await request(app)
+        .delete(`${POIS_URL}/ADMIN00001`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ data: { message: 'POI deleted successfully' } });
+
+      expect((await request(app).get(`${POIS_URL}/ADMIN00001`)).status).toBe(404);
+      expect(await searchByName('cloister')).toEqual([]);
+      expect(await searchByRadius(GIRONA)).toEqual([]);
+
+      const tile = await getTileAt(GIRONA);
+      expect(tile.headers['x-cache']).toBe('MISS');
+      expect(tile.body.includes('ADMIN00001')).toBe(false);
+    });
+
+    it('returns 404 when the POI to change does not exist', async () => {
+      const res = await request(app)
+        .patch(`${POIS_URL}/ADMIN00001`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Ghost' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * POI details: the address, contact, price level and description set by an
+ * admin, their validation, and the priceLevels filter of location searches.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize, createUserToken } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+
+const POIS_URL = '/v1/reference-data/locations/pois';
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+
+const DETAILS = {
+  address: { street: 'Carrer de Mallorca 401', postalCode: '08013', city: 'Barcelona', countryCode: 'ES' },
+  phone: '+34 932 07 30 31',
+  website: 'https://sagradafamilia.org',
+  email: 'info@sagradafamilia.org',
+  priceLevel: 3,
+  description: 'Basilica designed by Antoni Gaudí',
+};
+
+describe('POI details', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await migrate();
+
+    await PointOfInterest.bulkCreate([
+      { id: 'PRICE00001', name: 'Cheap tapas', category: 'RESTAURANT', rank: 1, priceLevel: 1, ...CENTER },
+      { id: 'PRICE00002', name: 'Bistro tapas', category: 'RESTAURANT', rank: 2, priceLevel: 2, ...CENTER },
+      { id: 'PRICE00003', name: 'Fine tapas', category: 'RESTAURANT', rank: 3, priceLevel: 4, ...CENTER },
+      { id: 'PRICE00004', name: 'Market tapas', category: 'RESTAURANT', rank: 4, ...CENTER },
+    ]);
+
+    adminToken = await createUserToken('admin');
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('admin changes', () => {
+    it('creates a POI with details and returns them', async () => {
+      const res = await request(app)
+        .post(POIS_URL)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ id: 'DETAIL0001', name: 'Sagrada Familia', category: 'SIGHTS', ...CENTER, ...DETAILS });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        address: DETAILS.address,
+        contact: { phone: DETAILS.phone, email: DETAILS.email, website: DETAILS.website },
+        priceLevel: 3,
+        description: DETAILS.description,
+      });
+
+      const get = await request(app).get(`${POIS_URL}/DETAIL0001`);
+      expect(get.body.data).toMatchObject({ address: DETAILS.address, priceLevel: 3 });
+    });
+
+    it('clears details set to null', async () => {
+      const res = await request(app)
+        .patch(`${POIS_URL}/DETAIL0001`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ phone: null, email: null, website: null, priceLevel: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.contact).toBeUndefined();
+      expect(res.body.data.priceLevel).toBeUndefined();
+      expect(res.body.data.address).toEqual(DETAILS.address);
+    });
+
+    it.each([
+      ['an address that is not an object', { address: 'Carrer de Mallorca 401' }, 'address'],
+      ['an unknown address field', { address: { street: 'Carrer de Mallorca', floor: '2' } }, 'address.floor'],
+      ['a lowercase country code', { address: { countryCode: 'es' } }, 'address.countryCode'],
+      ['a phone with letters', { phone: 'call us' }, 'phone'],
+      ['a website that is not http', { website: 'ftp://sagradafamilia.org' }, 'website'],
+      ['an invalid email', { email: 'info@' }, 'email'],
+      ['a price level out of range', { priceLevel: 5 }, 'priceLevel'],
+      ['a price level that is not an integer', { priceLevel: 2.5 }, 'priceLevel'],
+      ['a description that is not a string', { description: 42 }, 'description'],
+      ['a description that is too long', { description: 'a'.repeat(1001) }, 'description'],
+    ])('rejects %s with 400', async (_, details, parameter) => {
+      const res = await request(app)
+        .patch(`${POIS_URL}/DETAIL0001`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(details);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ code: 477, source: { parameter } });
+    });
+
+    it('validates the details of a new POI', async () => {
+      const res = await request(app)
+        .post(POIS_URL)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Hidden bar', category: 'NIGHTLIFE', ...CENTER, priceLevel: 0 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].source.parameter).toBe('priceLevel');
+    });
+  });
+
+  describe('priceLevels filter', () => {
+    it.each([
+      ['one level', '1', ['PRICE00001']],
+      ['several levels', '1,4', ['PRICE00001', 'PRICE00003']],
+      ['levels with spaces', ' 2 , 4 ', ['PRICE00002', 'PRICE00003']],
+      ['a level no POI has', '3', []],
+    ])('filters a radius search by %s', async (_, priceLevels, ids) => {
+      const res = await request(app)
+        .get(POIS_URL)
+        .query({ ...CENTER, radius: 1, categories: 'RESTAURANT', priceLevels });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(poi => poi.id).sort()).toEqual(ids);
+    });
+
+    it('filters a name search', async () => {
+      const res = await request(app).get(`${POIS_URL}/by-name`).query({ name: 'tapas', priceLevels: '2' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(poi => poi.id)).toEqual(['PRICE00002']);
+    });
+
+    it.each([
+      ['a level out of range', '1,5', 572, '5'],
+      ['a level that is not a number', 'cheap', 572, 'cheap'],
+    ])('rejects %s with 400', async (_, priceLevels, code, example) => {
+      const res = await request(app).get(POIS_URL).query({ ...CENTER, radius: 1, priceLevels });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ code, source: { parameter: 'priceLevels', example } });
+    });
+
+    it('rejects an empty list with 400', async () => {
+      const res = await request(app).get(POIS_URL).query({ ...CENTER, radius: 1, priceLevels: ' , ' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ code: 477, source: { parameter: 'priceLevels' } });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * POI import body parsing
+ *
+ * Import files are parsed by their route with a 10 MB limit, whether sent as
+ * application/json or application/geo+json; other JSON bodies keep the
+ * application-wide 100 KB limit. Bodies over a limit get a 413 error.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { sequelize, migrate, createUserToken } = require('../helpers/database');
+
+const IMPORT_URL = '/v1/reference-data/locations/pois/import';
+
+/**
+ * GeoJSON FeatureCollection of synthetic POIs
+ *
+ * @param {number} count - Number of features
+ * @returns {object} FeatureCollection
+ */
+function buildFeatureCollection(count) {
+  return {
+    type: 'FeatureCollection',
+    features: Array.from({ length: count }, (_, i) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [2.1 + i * 1e-5, 41.3] },
+      properties: {
+        id: `IMPORT${String(i).padStart(6, '0')}`,
+        name: `Imported place ${i}`,
+        category: 'SIGHTS',
+        subType: 'POINT_OF_INTEREST',
+        rank: 5,
+        description: 'd'.repeat(200),
+      },
+    })),
+  };
+}
+
+describe('POST /pois/import body limits', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await migrate();
+    adminToken = await createUserToken('admin');
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it.each(['application/json', 'application/geo+json'])('accepts %s bodies over 100 KB', async contentType => {
+    const body = JSON.stringify(buildFeatureCollection(1500));
+    expect(body.length).toBeGreaterThan(100 * 1024);
+
+    const res = await request(app)
+      .post(`${IMPORT_URL}?dryRun=true`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', contentType)
+      .send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ total: 1500, created: 1500, rejected: 0 });
+  });
+
+  it('rejects import bodies over 10 MB with a payload too large error', async () => {
+    const body = JSON.stringify({ type: 'FeatureCollection', features: [], padding: 'x'.repeat(10 * 1024 * 1024) });
+
+    const res = await request(app)
+      .post(IMPORT_URL)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    expect(res.status).toBe(413);
+    expect(res.body.errors[0]).toMatchObject({
+      status: 413,
+      title: 'PAYLOAD TOO LARGE',
+      detail: 'Request body must be at most 10 MB',
+    });
+  });
+
+  it('keeps the 100 KB limit on other JSON bodies', async () => {
+    const res = await request(app)
+      .post('/v1/reference-data/locations/pois/polygon')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ type: 'Polygon', coordinates: [], padding: 'x'.repeat(200 * 1024) }));
+
+    expect(res.status).toBe(413);
+    expect(res.body.errors[0].detail).toBe('Request body must be at most 100 KB');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * GET /pois/:poisId with include: the favorite count, the nearest POIs and
+ * the next bookable period embedded in `included`, and the validation of the
+ * include list.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { PointOfInterest, User, UserFavorite, Booking } = require('../../src/models');
+
+const POIS_URL = '/v1/reference-data/locations/pois';
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+
+/**
+ * Date a number of days from today
+ *
+ * @param {number} days - Days from today
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function daysFromToday(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+describe('GET /pois/:poisId with include', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    // The POI and 6 neighbours, each a little further north
+    await PointOfInterest.bulkCreate(
+      Array.from({ length: 7 }, (_, i) => ({
+        id: `INCL00000${i}`,
+        name: `Include place ${i}`,
+        category: 'SIGHTS',
+        rank: 10,
+        latitude: CENTER.latitude + i * 0.001,
+        longitude: CENTER.longitude,
+      }))
+    );
+
+    const users = await User.bulkCreate(
+      ['first', 'second', 'third'].map(name => ({ email: `${name}@include.test`, password: 'secret123' }))
+    );
+
+    await UserFavorite.bulkCreate([
+      { userId: users[0].id, poiId: 'INCL000000' },
+      { userId: users[1].id, poiId: 'INCL000000' },
+      { userId: users[2].id, poiId: 'INCL000001' },
+    ]);
+
+    await Booking.bulkCreate([
+      { userId: users[0].id, poiId: 'INCL000000', startDate: daysFromToday(0), endDate: daysFromToday(2) },
+      { userId: users[1].id, poiId: 'INCL000000', startDate: daysFromToday(5), endDate: daysFromToday(6) },
+    ]);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('has no included resources without include', async () => {
+    const res = await request(app).get(`${POIS_URL}/INCL000000`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.included).toBeUndefined();
+  });
+
+  it('embeds every requested resource', async () => {
+    const res = await request(app)
+      .get(`${POIS_URL}/INCL000000`)
+      .query({ include: 'favoriteCount,nearby,nextAvailability' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe('INCL000000');
+    expect(res.body.included.favoriteCount).toBe(2);
+    expect(res.body.included.nearby.map(poi => poi.id)).toEqual([
+      'INCL000001',
+      'INCL000002',
+      'INCL000003',
+      'INCL000004',
+      'INCL000005',
+    ]);
+    expect(res.body.included.nearby[0].distance).toEqual({ value: expect.any(Number), unit: 'KM' });
+    expect(res.body.included.nextAvailability).toEqual({
+      availableFrom: daysFromToday(3),
+      availableUntil: daysFromToday(4),
+    });
+  });
+
+  it('embeds only the requested resources, with spaces around the names', async () => {
+    const res = await request(app)
+      .get(`${POIS_URL}/INCL000001`)
+      .query({ include: ' favoriteCount , nextAvailability' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.included).toEqual({
+      favoriteCount: 1,
+      nextAvailability: { availableFrom: daysFromToday(0), availableUntil: null },
+    });
+  });
+
+  it('applies the sparse fieldset to nearby POIs', async () => {
+    const res = await request(app)
+      .get(`${POIS_URL}/INCL000006`)
+      .query({ include: 'nearby', 'fields[location]': 'name' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.included.nearby[0]).toEqual(
+      expect.objectContaining({ id: 'INCL000005', name: 'Include place 5' })
+    );
+    expect(res.body.included.nearby[0].category).toBeUndefined();
+  });
+
+  it.each([
+    ['an unknown value', 'favoriteCount,reviews', 'reviews'],
+    ['only unknown values', 'everything', 'everything'],
+  ])('rejects %s with 400', async (_, include, example) => {
+    const res = await request(app).get(`${POIS_URL}/INCL000000`).query({ include });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 572, source: { parameter: 'include', example } });
+  });
+
+  it('rejects an empty include with 400', async () => {
+    const res = await request(app).get(`${POIS_URL}/INCL000000`).query({ include: ' , ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 477, source: { parameter: 'include' } });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Translated POI names and descriptions: the language chosen with lang or
+ * Accept-Language, the fallback from regional to general locales and to the
+ * POI's own name, and the validation of lang.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { PointOfInterest, PoiTranslation } = require('../../src/models');
+
+const POIS_URL = '/v1/reference-data/locations/pois';
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+
+/**
+ * Get the translated POI
+ *
+ * @param {object} query - Query parameters
+ * @param {string} [acceptLanguage] - Accept-Language header
+ * @returns {Promise<object>} Response
+ */
+function getPoi(query = {}, acceptLanguage) {
+  const req = request(app).get(`${POIS_URL}/TRANS00001`).query(query);
+  return acceptLanguage ? req.set('Accept-Language', acceptLanguage) : req;
+}
+
+describe('POI translations', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await PointOfInterest.bulkCreate([
+      { id: 'TRANS00001', name: 'Cathedral', description: 'Gothic cathedral', category: 'SIGHTS', rank: 1, ...CENTER },
+      { id: 'TRANS00002', name: 'Harbour', category: 'SIGHTS', rank: 2, ...CENTER },
+    ]);
+
+    await PoiTranslation.bulkCreate([
+      { poiId: 'TRANS00001', locale: 'es', name: 'Catedral', description: 'Catedral gótica' },
+      { poiId: 'TRANS00001', locale: 'ca', name: 'Catedral de Barcelona', description: 'Catedral gòtica' },
+      { poiId: 'TRANS00001', locale: 'pt-BR', name: 'Catedral (Brasil)' },
+    ]);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('returns the POI\'s own name in the default language without a preference', async () => {
+    const res = await getPoi();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ name: 'Cathedral', description: 'Gothic cathedral', locale: 'en' });
+    expect(res.headers.vary).toMatch(/Accept-Language/);
+  });
+
+  it.each([
+    ['an exact locale', 'es', { name: 'Catedral', description: 'Catedral gótica', locale: 'es' }],
+    ['a regional locale, falling back to its language', 'es-MX', { name: 'Catedral', locale: 'es' }],
+    ['a locale in another case', 'PT-br', { name: 'Catedral (Brasil)', locale: 'pt-BR' }],
+    ['a language without a translation', 'de', { name: 'Cathedral', locale: 'en' }],
+  ])('translates with lang set to %s', async (_, lang, expected) => {
+    const res = await getPoi({ lang });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject(expected);
+  });
+
+  it('keeps the POI\'s description when the translation has none', async () => {
+    const res = await getPoi({ lang: 'pt-BR' });
+
+    expect(res.body.data).toMatchObject({ name: 'Catedral (Brasil)', description: 'Gothic cathedral' });
+  });
+
+  it.each([
+    ['the first language with a translation', 'de, ca;q=0.8, es;q=0.5', 'Catedral de Barcelona'],
+    ['languages by quality', 'es;q=0.4, ca;q=0.9', 'Catedral de Barcelona'],
+    ['the default language before later ones', 'en-GB, es;q=0.8', 'Cathedral'],
+    ['the POI\'s own name when no language has a translation', 'de, fr;q=0.5', 'Cathedral'],
+  ])('follows Accept-Language: %s', async (_, acceptLanguage, name) => {
+    const res = await getPoi({}, acceptLanguage);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBe(name);
+  });
+
+  it('prefers lang over Accept-Language', async () => {
+    const res = await getPoi({ lang: 'es' }, 'ca');
+
+    expect(res.body.data.name).toBe('Catedral');
+  });
+
+  it('translates search results, and leaves untranslated POIs as they are', async () => {
+    const res = await request(app)
+      .get(POIS_URL)
+      .query({ ...CENTER, radius: 1, lang: 'ca' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(poi => [poi.name, poi.locale])).toEqual([
+      ['Catedral de Barcelona', 'ca'],
+      ['Harbour', 'en'],
+    ]);
+  });
+
+  it.each(['not a tag', 'e', 'es_ES'])('rejects lang=%s with 400', async lang => {
+    const res = await getPoi({ lang });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ code: 477, source: { parameter: 'lang' } });
+  });
+});
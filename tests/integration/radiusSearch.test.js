@@ -0,0 +1,94 @@
+/**
+ * Radius search: the R*Tree index and SQL-side pagination of
+ * PoiService.findByRadius must return exactly what the previous in-memory
+ * strategy returned (load the bounding box, filter by distance in JS, slice).
+ * scripts/benchmark-radius-search.js measures the speed difference.
+ */
+
+const { Op } = require('sequelize');
+const { migrate, sequelize, seededRandom } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+const PoiService = require('../../src/services/PoiService');
+const { calculateDistance, getBoundingBox } = require('../../src/utils/geospatial');
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+const SPREAD_DEGREES = 0.2;
+const POI_COUNT = 1500;
+const CATEGORIES = ['SIGHTS', 'BEACH_PARK', 'HISTORICAL', 'NIGHTLIFE', 'RESTAURANT', 'SHOPPING'];
+
+/**
+ * Previous findByRadius strategy, the reference results
+ */
+async function findByRadiusInMemory(latitude, longitude, radius, limit, offset) {
+  const bbox = getBoundingBox(latitude, longitude, radius);
+  const poisInBox = await PointOfInterest.findAll({
+    where: {
+      latitude: { [Op.between]: [bbox.south, bbox.north] },
+      longitude: { [Op.between]: [bbox.west, bbox.east] },
+    },
+    order: [
+      ['rank', 'ASC'],
+      ['name', 'ASC'],
+    ],
+  });
+
+  const inCircle = poisInBox.filter(
+    poi => calculateDistance(latitude, longitude, parseFloat(poi.latitude), parseFloat(poi.longitude)) <= radius
+  );
+
+  return {
+    ids: inCircle.slice(offset, offset + limit).map(poi => poi.id),
+    count: inCircle.length,
+  };
+}
+
+describe('radius search over the spatial index', () => {
+  const random = seededRandom(42);
+  const point = () => ({
+    latitude: CENTER.latitude + (random() - 0.5) * SPREAD_DEGREES,
+    longitude: CENTER.longitude + (random() - 0.5) * SPREAD_DEGREES,
+  });
+
+  beforeAll(async () => {
+    await migrate();
+
+    const pois = Array.from({ length: POI_COUNT }, (_, i) => ({
+      id: `TEST${String(i).padStart(6, '0')}`,
+      name: `Synthetic POI ${i}`,
+      ...point(),
+      category: CATEGORIES[i % CATEGORIES.length],
+      rank: 1 + Math.floor(random() * 100),
+      tags: [],
+      pictures: [],
+    }));
+    await PointOfInterest.bulkCreate(pois);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const centers = [CENTER, { latitude: 41.42, longitude: 2.2 }, { latitude: 41.31, longitude: 2.09 }];
+  const cases = [];
+  centers.forEach(center => {
+    [0.5, 2, 5, 10].forEach(radius => {
+      [0, 10, 50].forEach(offset => cases.push({ ...center, radius, offset }));
+    });
+  });
+
+  it.each(cases)(
+    'matches the in-memory results at ($latitude, $longitude), radius $radius km, offset $offset',
+    async ({ latitude, longitude, radius, offset }) => {
+      const expected = await findByRadiusInMemory(latitude, longitude, radius, 10, offset);
+      const actual = await PoiService.findByRadius(latitude, longitude, radius, null, 10, offset);
+
+      expect(actual.count).toBe(expected.count);
+      expect(actual.rows.map(poi => poi.id)).toEqual(expected.ids);
+    }
+  );
+
+  it('finds more than 100 POIs within 5 km of the center', async () => {
+    const { count } = await PoiService.findByRadius(CENTER.latitude, CENTER.longitude, 5, null, 10, 0);
+    expect(count).toBeGreaterThan(100);
+  });
+});
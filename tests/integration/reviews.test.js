@@ -0,0 +1,167 @@
+/**
+ * POI reviews: the rating aggregates kept by database triggers through
+ * creation, edits and deletion, and the minRating filter and rating sort.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize, createUserToken } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+
+const POIS_URL = '/v1/reference-data/locations/pois';
+
+const CENTER = { latitude: 41.3874, longitude: 2.1686 };
+
+/**
+ * Rating summary of a POI, as returned by the API
+ *
+ * @param {string} poiId - POI ID
+ * @returns {Promise<object>} Average and count
+ */
+async function getRating(poiId) {
+  const res = await request(app).get(`${POIS_URL}/${poiId}`);
+  return res.body.data.rating;
+}
+
+/**
+ * Review a POI
+ *
+ * @param {string} token - Author token
+ * @param {string} poiId - POI ID
+ * @param {object} review - Review fields
+ * @returns {Promise<object>} Response
+ */
+function postReview(token, poiId, review) {
+  return request(app).post(`${POIS_URL}/${poiId}/reviews`).set('Authorization', `Bearer ${token}`).send(review);
+}
+
+describe('POI reviews', () => {
+  const tokens = [];
+  let adminToken;
+
+  beforeAll(async () => {
+    await migrate();
+
+    await PointOfInterest.bulkCreate(
+      ['RATED00001', 'RATED00002', 'RATED00003', 'RATED00004'].map((id, i) => ({
+        id,
+        name: `Rated place ${i + 1}`,
+        category: 'SIGHTS',
+        rank: i + 1,
+        latitude: CENTER.latitude + i * 0.001,
+        longitude: CENTER.longitude,
+      }))
+    );
+
+    for (let i = 0; i < 3; i++) {
+      tokens.push(await createUserToken());
+    }
+    adminToken = await createUserToken('admin');
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('has no average without reviews', async () => {
+    expect(await getRating('RATED00001')).toEqual({ average: null, count: 0 });
+  });
+
+  it('averages ratings as reviews are created', async () => {
+    const res = await postReview(tokens[0], 'RATED00001', { rating: 5, text: 'Wonderful' });
+    expect(res.status).toBe(201);
+    expect(await getRating('RATED00001')).toEqual({ average: 5, count: 1 });
+
+    await postReview(tokens[1], 'RATED00001', { rating: 4 });
+    await postReview(tokens[2], 'RATED00001', { rating: 4 });
+    expect(await getRating('RATED00001')).toEqual({ average: 4.3, count: 3 });
+  });
+
+  it('accepts one review per user and POI', async () => {
+    const res = await postReview(tokens[0], 'RATED00001', { rating: 1 });
+
+    expect(res.status).toBe(400);
+    expect(await getRating('RATED00001')).toEqual({ average: 4.3, count: 3 });
+  });
+
+  it('updates the average when a review is edited, by its author only', async () => {
+    const { body } = await request(app).get(`${POIS_URL}/RATED00002/reviews`);
+    expect(body.data).toEqual([]);
+
+    const created = await postReview(tokens[0], 'RATED00002', { rating: 2 });
+    const reviewUrl = `${POIS_URL}/RATED00002/reviews/${created.body.data.id}`;
+
+    const forbidden = await request(app).patch(reviewUrl).set('Authorization', `Bearer ${tokens[1]}`).send({ rating: 5 });
+    expect(forbidden.status).toBe(403);
+
+    const edited = await request(app).patch(reviewUrl).set('Authorization', `Bearer ${tokens[0]}`).send({ rating: 3 });
+    expect(edited.status).toBe(200);
+    expect(await getRating('RATED00002')).toEqual({ average: 3, count: 1 });
+  });
+
+  it('updates the average when a review is deleted, by its author or an admin', async () => {
+    const created = await postReview(tokens[1], 'RATED00002', { rating: 5 });
+    const reviewUrl = `${POIS_URL}/RATED00002/reviews/${created.body.data.id}`;
+    expect(await getRating('RATED00002')).toEqual({ average: 4, count: 2 });
+
+    const forbidden = await request(app).delete(reviewUrl).set('Authorization', `Bearer ${tokens[2]}`);
+    expect(forbidden.status).toBe(403);
+
+    const deleted = await request(app).delete(reviewUrl).set('Authorization', `Bearer ${adminToken}`);
+    expect(deleted.status).toBe(200);
+    expect(await getRating('RATED00002')).toEqual({ average: 3, count: 1 });
+  });
+
+  it('links reviews and their pages to the requested host', async () => {
+    const list = await request(app)
+      .get(`${POIS_URL}/RATED00001/reviews`)
+      .set('Host', 'api.example.com')
+      .query({ 'page[limit]': 1 });
+
+    const reviewUrl = `http://api.example.com${POIS_URL}/RATED00001/reviews`;
+    expect(list.body.data[0].self.href).toBe(`${reviewUrl}/${list.body.data[0].id}`);
+    expect(list.body.meta.links.self.startsWith(reviewUrl)).toBe(true);
+
+    const review = await request(app)
+      .get(`${POIS_URL}/RATED00001/reviews/${list.body.data[0].id}`)
+      .set('Host', 'api.example.com');
+    expect(review.body.data.self.href).toBe(list.body.data[0].self.href);
+  });
+
+  describe('searches', () => {
+    const search = query => request(app).get(POIS_URL).query({ ...CENTER, radius: 1, ...query });
+
+    beforeAll(async () => {
+      await postReview(tokens[2], 'RATED00003', { rating: 1 });
+    });
+
+    it.each([
+      [{}, ['RATED00001', 'RATED00002', 'RATED00003', 'RATED00004']],
+      [{ minRating: 3 }, ['RATED00001', 'RATED00002']],
+      [{ minRating: 4 }, ['RATED00001']],
+      [{ minRating: 1 }, ['RATED00001', 'RATED00002', 'RATED00003']],
+    ])('filter radius searches by minimum rating (%o)', async (query, ids) => {
+      const res = await search(query);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(poi => poi.id)).toEqual(ids);
+    });
+
+    it('sort by average rating, POIs without reviews last', async () => {
+      await postReview(tokens[0], 'RATED00004', { rating: 2 });
+      await PointOfInterest.create({
+        id: 'RATED00005', name: 'Unrated place', category: 'SIGHTS', rank: 1, ...CENTER,
+      });
+
+      const res = await search({ sort: 'rating' });
+
+      expect(res.body.data.map(poi => [poi.id, poi.rating.average])).toEqual([
+        ['RATED00001', 4.3],
+        ['RATED00002', 3],
+        ['RATED00004', 2],
+        ['RATED00003', 1],
+        ['RATED00005', null],
+      ]);
+    });
+  });
+});
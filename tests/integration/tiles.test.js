@@ -0,0 +1,131 @@
+/**
+ * POI vector tiles: rank thinning by zoom level, the tile cache and its
+ * invalidation when POIs change. Feature ids are looked up as the strings they
+ * are encoded as in the tile.
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { migrate, sequelize } = require('../helpers/database');
+const { PointOfInterest } = require('../../src/models');
+const PoiService = require('../../src/services/PoiService');
+const { projectToTile } = require('../../src/utils/geospatial');
+
+const BARCELONA = { latitude: 41.3874, longitude: 2.1686 };
+const MADRID = { latitude: 40.4168, longitude: -3.7038 };
+
+/**
+ * Get a tile
+ *
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Promise<object>} Response, with the tile as a Buffer body
+ */
+function getTile(z, x, y) {
+  return request(app)
+    .get(`/v1/tiles/pois/${z}/${x}/${y}.mvt`)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Get the tile containing a point
+ *
+ * @param {number} z - Zoom level
+ * @param {{latitude: number, longitude: number}} point - Point
+ * @returns {Promise<object>} Response
+ */
+function getTileAt(z, { latitude, longitude }) {
+  const { x, y } = projectToTile(latitude, longitude, z);
+  return getTile(z, Math.floor(x), Math.floor(y));
+}
+
+/**
+ * Ids of test POIs encoded in a tile
+ *
+ * @param {Buffer} tile - Encoded tile
+ * @returns {Array<string>} POI ids
+ */
+function tilePoiIds(tile) {
+  return ['TILE000001', 'TILE000050', 'TILE000095', 'TILEMADRID'].filter(id => tile.includes(id));
+}
+
+describe('GET /tiles/pois/:z/:x/:y.mvt', () => {
+  beforeAll(async () => {
+    await migrate();
+
+    await PointOfInterest.bulkCreate([
+      { id: 'TILE000001', name: 'Best ranked', rank: 1, ...BARCELONA },
+      { id: 'TILE000050', name: 'Middle ranked', rank: 50, latitude: BARCELONA.latitude + 0.0005, longitude: BARCELONA.longitude },
+      { id: 'TILE000095', name: 'Worst ranked', rank: 95, latitude: BARCELONA.latitude, longitude: BARCELONA.longitude + 0.0005 },
+      { id: 'TILEMADRID', name: 'Madrid', rank: 5, ...MADRID },
+    ].map(poi => ({ category: 'SIGHTS', ...poi })));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('returns a vector tile with cache headers', async () => {
+    const res = await getTileAt(14, BARCELONA);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/vnd\.mapbox-vector-tile/);
+    expect(res.headers['cache-control']).toMatch(/^public, max-age=\d+$/);
+    expect(res.body.includes('pois')).toBe(true);
+  });
+
+  it.each([
+    [14, ['TILE000001', 'TILE000050', 'TILE000095']],
+    [13, ['TILE000001', 'TILE000050', 'TILE000095']],
+    [10, ['TILE000001', 'TILE000050']],
+    [5, ['TILE000001']],
+  ])('thins POIs by rank at zoom %i', async (z, ids) => {
+    const res = await getTileAt(z, BARCELONA);
+
+    expect(tilePoiIds(res.body)).toEqual(ids);
+  });
+
+  it('covers the whole world at zoom 0', async () => {
+    const res = await getTile(0, 0, 0);
+
+    expect(tilePoiIds(res.body)).toEqual(['TILE000001', 'TILEMADRID']);
+  });
+
+  it('returns empty tiles where there are no POIs', async () => {
+    const res = await getTileAt(14, { latitude: 0, longitude: -30 });
+
+    expect(res.status).toBe(200);
+    expect(tilePoiIds(res.body)).toEqual([]);
+  });
+
+  it('caches tiles until POIs change', async () => {
+    const point = { latitude: 41.5, longitude: 2.3 };
+
+    expect((await getTileAt(12, point)).headers['x-cache']).toBe('MISS');
+    expect((await getTileAt(12, point)).headers['x-cache']).toBe('HIT');
+
+    await PoiService.updatePoi('TILE000050', point);
+
+    const res = await getTileAt(12, point);
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(tilePoiIds(res.body)).toEqual(['TILE000050']);
+  });
+
+  it.each([
+    ['a zoom over the maximum', '/99/0/0'],
+    ['a column outside the zoom level', '/3/8/0'],
+    ['a negative row', '/3/0/-1'],
+    ['a fractional zoom', '/1.5/0/0'],
+  ])('rejects %s', async (_, path) => {
+    const res = await request(app).get(`/v1/tiles/pois${path}.mvt`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(1);
+  });
+});
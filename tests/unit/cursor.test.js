@@ -0,0 +1,198 @@
+/**
+ * Cursor pagination utilities
+ *
+ * Walks the same items with SQL keyset conditions (in-memory SQLite) and with
+ * paginateSorted, forwards and backwards, and checks both give the same pages.
+ */
+
+const { sequelize } = require('../../src/config/sequelize');
+const { ValidationError } = require('../../src/utils/errors');
+const {
+  encodeCursor,
+  decodeCursor,
+  getCursorParam,
+  orderBySql,
+  buildKeysetCondition,
+  buildKeysetPage,
+  compareKeys,
+  paginateSorted,
+} = require('../../src/utils/cursor');
+
+const ORDER = [
+  { column: 'rank', direction: 'ASC' },
+  { column: 'name', direction: 'DESC' },
+  { column: 'id', direction: 'ASC' },
+];
+const DIRECTIONS = ORDER.map(({ direction }) => direction);
+const SIGNATURE = 'items:rank';
+const keyOf = item => [item.rank, item.name, item.id];
+
+// Ties on rank and name, and names differing by case and accents
+const ITEMS = [
+  ['A1', 1, 'Zoo'],
+  ['A2', 1, 'zoo'],
+  ['A3', 1, 'Église'],
+  ['A4', 1, 'Eglise'],
+  ['B1', 2, 'Museum'],
+  ['B2', 2, 'Museum'],
+  ['B3', 2, 'Market'],
+  ['C1', 3, 'Ácueducto'],
+  ['C2', 3, 'Park'],
+  ['C3', 5, 'Beach'],
+  ['C4', 5, 'Beach'],
+].map(([id, rank, name]) => ({ id, rank, name }));
+
+const SORTED = [...ITEMS].sort((a, b) => compareKeys(keyOf(a), keyOf(b), DIRECTIONS));
+const IN_MEMORY = { keyOf, directions: DIRECTIONS, signature: SIGNATURE };
+
+/**
+ * Read a page with a keyset condition, like the services do
+ *
+ * @param {{key: Array|null, direction: string}} cursor - Decoded cursor
+ * @param {number} limit - Page size
+ * @returns {Promise<object>} Page rows (ids) and cursors
+ */
+async function readPage(cursor, limit) {
+  const condition = buildKeysetCondition(ORDER, cursor, SIGNATURE);
+  const rows = await sequelize.query(
+    `SELECT id, rank, name FROM items
+     ${condition ? `WHERE ${condition}` : ''}
+     ORDER BY ${orderBySql(ORDER, cursor.direction === 'before')}
+     LIMIT ${limit + 1}`,
+    { type: sequelize.QueryTypes.SELECT }
+  );
+  const page = buildKeysetPage(rows, { limit, cursor, keyOf, signature: SIGNATURE });
+  return { ids: page.rows.map(row => row.id), cursors: page.cursors };
+}
+
+describe('encodeCursor and decodeCursor', () => {
+  it('round-trip a key, direction and signature', () => {
+    for (const direction of ['after', 'before']) {
+      const token = encodeCursor([3, 'Ácueducto', 'C1'], direction, SIGNATURE);
+      expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(token)).toEqual({ key: [3, 'Ácueducto', 'C1'], direction, signature: SIGNATURE });
+    }
+  });
+
+  it('decode an empty cursor as the first page', () => {
+    expect(decodeCursor('')).toEqual({ key: null, direction: 'after', signature: null });
+  });
+
+  it.each([
+    ['not base64 JSON', 'not a cursor'],
+    ['an empty key', Buffer.from('{"k":[],"d":"a"}').toString('base64url')],
+    ['object key values', Buffer.from('{"k":[{}],"d":"a"}').toString('base64url')],
+    ['an unknown direction', Buffer.from('{"k":[1],"d":"x","s":"items:rank"}').toString('base64url')],
+    ['a missing signature', Buffer.from('{"k":[1],"d":"a"}').toString('base64url')],
+  ])('reject %s', (_, token) => {
+    expect(() => decodeCursor(token)).toThrow(ValidationError);
+  });
+
+  it('read page[cursor] only when it is present', () => {
+    expect(getCursorParam({})).toBeUndefined();
+    expect(getCursorParam({ 'page[cursor]': '' })).toEqual({ key: null, direction: 'after', signature: null });
+  });
+});
+
+describe('orderBySql', () => {
+  it('lists the columns, reversed to read backwards', () => {
+    expect(orderBySql(ORDER)).toBe('rank ASC, name DESC, id ASC');
+    expect(orderBySql(ORDER, true)).toBe('rank DESC, name ASC, id DESC');
+  });
+});
+
+describe('buildKeysetCondition', () => {
+  it('is null on the first page', () => {
+    expect(buildKeysetCondition(ORDER, decodeCursor(''), SIGNATURE)).toBeNull();
+    expect(buildKeysetCondition(ORDER, undefined, SIGNATURE)).toBeNull();
+  });
+
+  it('expands mixed directions column by column', () => {
+    const cursor = { key: [2, 'Museum', 'B1'], direction: 'after', signature: SIGNATURE };
+    expect(buildKeysetCondition(ORDER, cursor, SIGNATURE)).toBe(
+      '((rank > 2) OR (rank = 2 AND name < \'Museum\') OR (rank = 2 AND name = \'Museum\' AND id > \'B1\'))'
+    );
+  });
+
+  it('rejects a cursor issued for another sort order', () => {
+    const cursor = { key: [2, 'B1'], direction: 'after', signature: SIGNATURE };
+    expect(() => buildKeysetCondition(ORDER, cursor, SIGNATURE)).toThrow(ValidationError);
+  });
+
+  it('rejects a cursor issued for another collection with the same key length', () => {
+    const cursor = decodeCursor(encodeCursor([2, 'Museum', 'B1'], 'after', 'other:rank'));
+    expect(() => buildKeysetCondition(ORDER, cursor, SIGNATURE)).toThrow(ValidationError);
+    expect(() => paginateSorted(SORTED, { ...IN_MEMORY, limit: 2, cursor })).toThrow(ValidationError);
+  });
+});
+
+describe('compareKeys', () => {
+  it('compares strings by UTF-8 bytes, like SQLite', () => {
+    expect(compareKeys(['Zoo'], ['zoo'], ['ASC'])).toBeLessThan(0);
+    expect(compareKeys(['zoo'], ['Église'], ['ASC'])).toBeLessThan(0);
+  });
+
+  it('applies the direction of each key value', () => {
+    expect(compareKeys([1, 'a'], [1, 'b'], ['ASC', 'DESC'])).toBeGreaterThan(0);
+    expect(compareKeys([2, 'a'], [1, 'b'], ['DESC', 'ASC'])).toBeLessThan(0);
+    expect(compareKeys([1, 'a'], [1, 'a'], ['ASC', 'ASC'])).toBe(0);
+  });
+});
+
+describe('keyset pages and paginateSorted', () => {
+  beforeAll(async () => {
+    await sequelize.query('CREATE TABLE items (id TEXT PRIMARY KEY, rank INTEGER, name TEXT)');
+    for (const { id, rank, name } of ITEMS) {
+      await sequelize.query('INSERT INTO items (id, rank, name) VALUES (?, ?, ?)', { replacements: [id, rank, name] });
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('sorts in memory like SQLite', async () => {
+    const rows = await sequelize.query(`SELECT id FROM items ORDER BY ${orderBySql(ORDER)}`, {
+      type: sequelize.QueryTypes.SELECT,
+    });
+    expect(SORTED.map(item => item.id)).toEqual(rows.map(row => row.id));
+  });
+
+  it.each([1, 2, 3, 4, 11, 20])('walks every item forwards and back with %i per page', async limit => {
+    const pages = [];
+    let cursor = decodeCursor('');
+    let page;
+
+    do {
+      page = await readPage(cursor, limit);
+      const inMemory = paginateSorted(SORTED, { ...IN_MEMORY, limit, cursor });
+      expect(inMemory.rows.map(item => item.id)).toEqual(page.ids);
+      expect(inMemory.cursors).toEqual(page.cursors);
+
+      pages.push(page.ids);
+      cursor = page.cursors.next && decodeCursor(page.cursors.next);
+    } while (cursor);
+
+    expect(pages.flat()).toEqual(SORTED.map(item => item.id));
+    expect(pages[0].length).toBe(Math.min(limit, ITEMS.length));
+
+    // Back from the last page through the previous links
+    for (let index = pages.length - 2; index >= 0; index--) {
+      cursor = decodeCursor(page.cursors.previous);
+      page = await readPage(cursor, limit);
+      const inMemory = paginateSorted(SORTED, { ...IN_MEMORY, limit, cursor });
+      expect(page.ids).toEqual(pages[index]);
+      expect(inMemory.rows.map(item => item.id)).toEqual(pages[index]);
+    }
+
+    expect(page.cursors.previous).toBeNull();
+  });
+
+  it('returns an empty page past the last item', async () => {
+    const cursor = { key: keyOf(SORTED[SORTED.length - 1]), direction: 'after', signature: SIGNATURE };
+    const page = await readPage(cursor, 5);
+
+    expect(page).toEqual({ ids: [], cursors: { next: null, previous: null } });
+    expect(paginateSorted(SORTED, { ...IN_MEMORY, limit: 5, cursor }).rows).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Fuzzy match utilities
+ */
+
+const { editDistance, termDistance, maxTermDistance, termSimilarity } = require('../../src/utils/fuzzyMatch');
+
+describe('editDistance', () => {
+  it.each([
+    ['', '', 0],
+    ['', 'abc', 3],
+    ['park', 'park', 0],
+    ['park', 'parc', 1],
+    ['batlo', 'batllo', 1],
+    ['guell', 'guel', 1],
+    ['sagarda', 'sagrada', 1],
+    ['ca', 'ac', 1],
+    ['kitten', 'sitting', 3],
+  ])('turns %p into %p in %i edits', (a, b, distance) => {
+    expect(editDistance(a, b)).toBe(distance);
+    expect(editDistance(b, a)).toBe(distance);
+  });
+});
+
+describe('termDistance', () => {
+  it('compares a term with whole words', () => {
+    expect(termDistance('famlia', 'familia')).toBe(1);
+  });
+
+  it('compares a term with the beginning of longer words', () => {
+    expect(termDistance('guel', 'guell')).toBe(0);
+    expect(termDistance('cervezer', 'cerveceria')).toBe(1);
+    expect(termDistance('nacoinal', 'nacionalpark')).toBe(1);
+  });
+
+  it('does not match a term inside a word', () => {
+    expect(termDistance('lona', 'barcelona')).toBeGreaterThan(2);
+  });
+});
+
+describe('maxTermDistance', () => {
+  it.each([
+    ['a', 0],
+    ['ab', 0],
+    ['abc', 1],
+    ['abcd', 1],
+    ['abcde', 2],
+    ['abcdefghij', 2],
+  ])('tolerates %s with %i edits', (term, distance) => {
+    expect(maxTermDistance(term)).toBe(distance);
+  });
+});
+
+describe('termSimilarity', () => {
+  it('is 1 when every term starts a word', () => {
+    expect(termSimilarity(['casa', 'bat'], ['casa', 'batllo'])).toBe(1);
+  });
+
+  it('averages the score of each term to its closest word', () => {
+    expect(termSimilarity(['park', 'gwell'], ['park', 'guell'])).toBeCloseTo(0.9, 9);
+  });
+
+  it('does not go below 0 for a term', () => {
+    expect(termSimilarity(['xyz', 'casa'], ['casa', 'batllo'])).toBeCloseTo(0.5, 9);
+  });
+
+  it('is 0 without terms or words', () => {
+    expect(termSimilarity([], ['casa'])).toBe(0);
+    expect(termSimilarity(['casa'], [])).toBe(0);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Geospatial utilities: distances, bearings, compass directions, Web Mercator
+ * tiles, polygons, encoded polylines and distances to routes
+ */
+
+const {
+  calculateDistance,
+  calculateBearing,
+  getCompassDirection,
+  projectToTile,
+  getTileBoundingBox,
+  getPolygonBoundingBox,
+  isPointInPolygon,
+  decodePolyline,
+  encodePolyline,
+  distanceToSegment,
+  distanceToRoute,
+  getRouteBoundingBox,
+} = require('../../src/utils/geospatial');
+
+const BARCELONA = [41.3874, 2.1686];
+const MADRID = [40.4168, -3.7038];
+
+describe('calculateDistance', () => {
+  it('computes great-circle distances in kilometers', () => {
+    expect(calculateDistance(...BARCELONA, ...MADRID)).toBeCloseTo(505, 0);
+  });
+
+  it('is zero between a point and itself', () => {
+    expect(calculateDistance(...BARCELONA, ...BARCELONA)).toBe(0);
+  });
+
+  it('is symmetric', () => {
+    expect(calculateDistance(...MADRID, ...BARCELONA)).toBeCloseTo(calculateDistance(...BARCELONA, ...MADRID), 9);
+  });
+
+  it('measures one degree of latitude as about 111 km', () => {
+    expect(calculateDistance(0, 0, 1, 0)).toBeCloseTo(111.19, 2);
+  });
+
+  it('takes the short way across the antimeridian', () => {
+    expect(calculateDistance(0, 179.5, 0, -179.5)).toBeCloseTo(111.19, 2);
+  });
+});
+
+describe('calculateBearing', () => {
+  it.each([
+    ['north', [0, 0, 1, 0], 0],
+    ['east', [0, 0, 0, 1], 90],
+    ['south', [1, 0, 0, 0], 180],
+    ['west', [0, 1, 0, 0], 270],
+  ])('points %s', (_, points, bearing) => {
+    expect(calculateBearing(...points)).toBeCloseTo(bearing, 6);
+  });
+
+  it('returns the initial bearing between distant points', () => {
+    expect(calculateBearing(...BARCELONA, ...MADRID)).toBeCloseTo(259.6, 1);
+  });
+
+  it('stays within 0-360 degrees', () => {
+    const bearing = calculateBearing(0, 0, -1, -1);
+    expect(bearing).toBeGreaterThanOrEqual(0);
+    expect(bearing).toBeLessThan(360);
+  });
+});
+
+describe('getCompassDirection', () => {
+  it.each([
+    [0, 'N'],
+    [22.4, 'N'],
+    [22.5, 'NE'],
+    [90, 'E'],
+    [135, 'SE'],
+    [180, 'S'],
+    [225, 'SW'],
+    [270, 'W'],
+    [315, 'NW'],
+    [337.5, 'N'],
+    [359.9, 'N'],
+  ])('maps %d degrees to %s', (bearing, direction) => {
+    expect(getCompassDirection(bearing)).toBe(direction);
+  });
+});
+
+describe('projectToTile', () => {
+  it('places a point in the tiles of a zoom level', () => {
+    const { x, y } = projectToTile(41.3874, 2.1686, 12);
+
+    expect([Math.floor(x), Math.floor(y)]).toEqual([2072, 1529]);
+  });
+
+  it('maps the null island to the center of the world', () => {
+    expect(projectToTile(0, 0, 1)).toEqual({ x: 1, y: 1 });
+  });
+
+  it('keeps the east edge and the poles inside the last tiles', () => {
+    const east = projectToTile(0, 180, 2);
+    const south = projectToTile(-90, 0, 2);
+    const north = projectToTile(90, 0, 2);
+
+    expect(Math.floor(east.x)).toBe(3);
+    expect(Math.floor(south.y)).toBe(3);
+    expect(north.y).toBe(0);
+  });
+});
+
+describe('getTileBoundingBox', () => {
+  it('covers the Web Mercator world at zoom 0', () => {
+    const bbox = getTileBoundingBox(0, 0, 0);
+
+    expect(bbox.west).toBe(-180);
+    expect(bbox.east).toBe(180);
+    expect(bbox.north).toBeCloseTo(85.0511, 4);
+    expect(bbox.south).toBeCloseTo(-85.0511, 4);
+  });
+
+  it('contains the points projected into the tile', () => {
+    const { x, y } = projectToTile(41.3874, 2.1686, 15);
+    const bbox = getTileBoundingBox(Math.floor(x), Math.floor(y), 15);
+
+    expect(41.3874).toBeGreaterThanOrEqual(bbox.south);
+    expect(41.3874).toBeLessThanOrEqual(bbox.north);
+    expect(2.1686).toBeGreaterThanOrEqual(bbox.west);
+    expect(2.1686).toBeLessThanOrEqual(bbox.east);
+  });
+});
+
+describe('isPointInPolygon', () => {
+  const outer = [[2.15, 41.38], [2.17, 41.38], [2.17, 41.40], [2.15, 41.40], [2.15, 41.38]];
+  const hole = [[2.155, 41.385], [2.165, 41.385], [2.165, 41.395], [2.155, 41.395], [2.155, 41.385]];
+
+  it.each([
+    ['inside the outer ring', 41.383, 2.168, true],
+    ['outside the outer ring', 41.41, 2.16, false],
+    ['inside a hole', 41.39, 2.16, false],
+  ])('checks a point %s', (_, lat, lon, inside) => {
+    expect(isPointInPolygon(lat, lon, [outer, hole])).toBe(inside);
+  });
+
+  it('handles concave rings', () => {
+    const lShape = [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]];
+
+    expect(isPointInPolygon(1.5, 1.5, [lShape])).toBe(false);
+    expect(isPointInPolygon(1.5, 0.5, [lShape])).toBe(true);
+    expect(isPointInPolygon(0.5, 1.5, [lShape])).toBe(true);
+  });
+
+  it('bounds a ring', () => {
+    expect(getPolygonBoundingBox(outer)).toEqual({ north: 41.40, south: 41.38, east: 2.17, west: 2.15 });
+  });
+});
+
+describe('decodePolyline and encodePolyline', () => {
+  const points = [
+    { latitude: 38.5, longitude: -120.2 },
+    { latitude: 40.7, longitude: -120.95 },
+    { latitude: 43.252, longitude: -126.453 },
+  ];
+
+  it('decode the reference polyline', () => {
+    expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual(points);
+  });
+
+  it('encode the reference points', () => {
+    expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  });
+
+  it('round-trip points at another precision', () => {
+    const precise = [{ latitude: 41.387412, longitude: 2.168568 }, { latitude: -33.448890, longitude: -70.669265 }];
+
+    expect(decodePolyline(encodePolyline(precise, 6), 6)).toEqual(precise);
+  });
+});
+
+describe('distanceToSegment', () => {
+  it('measures from the closest point inside the segment', () => {
+    const { distance, fraction } = distanceToSegment(41.3901, 2.165, 41.39, 2.16, 41.39, 2.17);
+
+    expect(distance).toBeCloseTo(0.0111, 3);
+    expect(fraction).toBeCloseTo(0.5, 2);
+  });
+
+  it('measures from the nearest end beyond the segment', () => {
+    const { distance, fraction } = distanceToSegment(41.39, 2.18, 41.39, 2.16, 41.39, 2.17);
+
+    expect(fraction).toBe(1);
+    expect(distance).toBeCloseTo(calculateDistance(41.39, 2.18, 41.39, 2.17), 9);
+  });
+
+  it('handles segments of zero length', () => {
+    const { distance, fraction } = distanceToSegment(41.4, 2.16, 41.39, 2.16, 41.39, 2.16);
+
+    expect(fraction).toBe(0);
+    expect(distance).toBeCloseTo(1.112, 3);
+  });
+});
+
+describe('distanceToRoute', () => {
+  // Along the equator, then north: 111.19 km per degree
+  const route = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 1 },
+    { latitude: 1, longitude: 1 },
+  ];
+
+  it('finds the closest segment and the distance along the route to it', () => {
+    const { distance, distanceAlong } = distanceToRoute(0.5, 1.01, route);
+
+    expect(distance).toBeCloseTo(1.112, 2);
+    expect(distanceAlong).toBeCloseTo(111.19 * 1.5, 0);
+  });
+
+  it('measures from the start before the route', () => {
+    const { distance, distanceAlong } = distanceToRoute(0, -0.1, route);
+
+    expect(distance).toBeCloseTo(11.12, 2);
+    expect(distanceAlong).toBe(0);
+  });
+
+  it('handles single-point routes', () => {
+    expect(distanceToRoute(0, 0.1, [route[0]])).toEqual({
+      distance: calculateDistance(0, 0.1, 0, 0),
+      distanceAlong: 0,
+    });
+  });
+
+  it('bounds a route with its buffer', () => {
+    const bbox = getRouteBoundingBox(route, 11.12);
+
+    expect(bbox.north).toBeCloseTo(1.1, 3);
+    expect(bbox.south).toBeCloseTo(-0.1, 3);
+    expect(bbox.east).toBeCloseTo(1.1, 2);
+    expect(bbox.west).toBeCloseTo(-0.1, 3);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Opening hours utilities
+ *
+ * The SQL conditions are evaluated in an in-memory SQLite database against
+ * POIs with daytime, overnight and round-the-clock hours and holiday exceptions.
+ */
+
+const { sequelize } = require('../../src/config/sequelize');
+const {
+  validateOpeningHours,
+  getLocalTime,
+  parseLocalDateTime,
+  buildOpeningHoursConditions,
+} = require('../../src/utils/openingHours');
+
+const MUSEUM = {
+  timeZone: 'Europe/Madrid',
+  weekly: Object.fromEntries(
+    ['tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [
+      day,
+      [{ opens: '10:00', closes: '14:00' }, { opens: '16:00', closes: '20:00' }],
+    ])
+  ),
+  exceptions: [
+    { from: '2026-12-24', to: '2026-12-24', hours: [{ opens: '10:00', closes: '13:00' }], description: 'Christmas Eve' },
+    { from: '2026-12-25', to: '2026-12-26', hours: [], description: 'Christmas' },
+    { from: '2026-12-26', to: '2026-12-26', hours: [{ opens: '10:00', closes: '20:00' }], description: 'Shadowed' },
+  ],
+};
+
+// Friday 2026-12-25 is a holiday; its night does not run into Saturday
+const BAR = {
+  timeZone: 'Europe/Madrid',
+  weekly: {
+    friday: [{ opens: '20:00', closes: '02:00' }],
+    saturday: [{ opens: '20:00', closes: '02:00' }],
+  },
+  exceptions: [{ from: '2026-12-25', to: '2026-12-25', hours: [] }],
+};
+
+const PHARMACY = {
+  timeZone: 'America/New_York',
+  weekly: Object.fromEntries(
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => [
+      day,
+      [{ opens: '00:00', closes: '24:00' }],
+    ])
+  ),
+};
+
+const POIS = { MUSEUM, BAR, PHARMACY, NO_HOURS: null };
+
+/**
+ * Ids of the POIs open at local date-times, in their own time zone or another one
+ *
+ * @param {string} localTime - Local date-time (YYYY-MM-DDTHH:MM)
+ * @param {string|null} [timeZone=null] - Time zone the local time applies to (null: every POI)
+ * @returns {Promise<Array<string>>} Ids of the open POIs
+ */
+async function findOpen(localTime, timeZone = null) {
+  const conditions = buildOpeningHoursConditions('poi', [{ timeZone, ...parseLocalDateTime(localTime) }]);
+  const rows = await sequelize.query(`SELECT id FROM pois AS poi WHERE ${conditions.join(' AND ')} ORDER BY id`, {
+    type: sequelize.QueryTypes.SELECT,
+  });
+  return rows.map(row => row.id);
+}
+
+describe('validateOpeningHours', () => {
+  it.each(Object.entries(POIS).filter(([, hours]) => hours))('accepts the %s hours', (_, hours) => {
+    expect(() => validateOpeningHours(hours)).not.toThrow();
+  });
+
+  it.each([
+    ['a non-object', [], 'Opening hours must be an object'],
+    ['unknown fields', { timeZone: 'UTC', daily: {} }, 'Unknown opening hours fields: daily'],
+    ['an unknown time zone', { timeZone: 'Mars/Olympus' }, 'IANA time zone'],
+    ['an unknown week day', { timeZone: 'UTC', weekly: { funday: [] } }, 'Invalid week day: funday'],
+    ['a malformed time', { timeZone: 'UTC', weekly: { monday: [{ opens: '9:00', closes: '14:00' }] } }, 'weekly.monday[0]'],
+    ['an empty interval', { timeZone: 'UTC', weekly: { monday: [{ opens: '09:00', closes: '09:00' }] } }, 'weekly.monday[0]'],
+    ['opening at 24:00', { timeZone: 'UTC', weekly: { monday: [{ opens: '24:00', closes: '02:00' }] } }, 'weekly.monday[0]'],
+    ['an impossible date', { timeZone: 'UTC', exceptions: [{ from: '2026-02-30', to: '2026-03-01' }] }, 'exceptions[0]'],
+    ['reversed dates', { timeZone: 'UTC', exceptions: [{ from: '2026-03-02', to: '2026-03-01' }] }, 'exceptions[0]'],
+  ])('rejects %s', (_, hours, message) => {
+    expect(() => validateOpeningHours(hours)).toThrow(message);
+  });
+});
+
+describe('parseLocalDateTime and getLocalTime', () => {
+  it('reads the date, week day and time of a local date-time', () => {
+    expect(parseLocalDateTime('2026-10-19T21:30:15')).toEqual({ date: '2026-10-19', day: 'monday', time: '21:30' });
+  });
+
+  it('converts an instant to the local time of a time zone', () => {
+    const instant = new Date('2026-10-19T23:30:00Z');
+
+    expect(getLocalTime(instant, 'Europe/Madrid')).toEqual({ date: '2026-10-20', day: 'tuesday', time: '01:30' });
+    expect(getLocalTime(instant, 'America/New_York')).toEqual({ date: '2026-10-19', day: 'monday', time: '19:30' });
+  });
+
+  it('reads midnight as 00:00', () => {
+    expect(getLocalTime(new Date('2026-10-19T00:00:00Z'), 'UTC').time).toBe('00:00');
+  });
+});
+
+describe('buildOpeningHoursConditions', () => {
+  beforeAll(async () => {
+    await sequelize.query('CREATE TABLE pois (id TEXT PRIMARY KEY, openingHours JSON)');
+    for (const [id, hours] of Object.entries(POIS)) {
+      await sequelize.query('INSERT INTO pois (id, openingHours) VALUES (?, ?)', {
+        replacements: [id, hours && JSON.stringify(hours)],
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('adds no condition without a filter, and matches nothing without local times', () => {
+    expect(buildOpeningHoursConditions('poi', null)).toEqual([]);
+    expect(buildOpeningHoursConditions('poi', [])).toEqual(['0']);
+  });
+
+  it.each([
+    ['2026-10-20T10:00', ['MUSEUM', 'PHARMACY'], 'opening time'],
+    ['2026-10-20T14:00', ['PHARMACY'], 'closing time'],
+    ['2026-10-20T15:00', ['PHARMACY'], 'lunch break'],
+    ['2026-10-20T19:59', ['MUSEUM', 'PHARMACY'], 'last minute'],
+    ['2026-10-19T12:00', ['PHARMACY'], 'weekly closing day'],
+  ])('checks daytime hours at %s (%s)', async (localTime, open) => {
+    expect(await findOpen(localTime)).toEqual(open);
+  });
+
+  it.each([
+    ['2026-10-23T23:00', true, 'Friday night'],
+    ['2026-10-24T01:59', true, 'after midnight, from Friday'],
+    ['2026-10-24T02:00', false, 'closing time'],
+    ['2026-10-24T19:00', false, 'Saturday afternoon'],
+    ['2026-10-25T01:00', true, 'after midnight, from Saturday'],
+    ['2026-10-26T01:00', false, 'after midnight, from a closed Sunday'],
+    ['2026-10-22T23:00', false, 'Thursday night'],
+  ])('checks overnight hours at %s (%s)', async (localTime, isOpen) => {
+    expect((await findOpen(localTime)).includes('BAR')).toBe(isOpen);
+  });
+
+  it.each(['2026-10-19T00:00', '2026-10-19T12:00', '2026-10-19T23:59'])('keeps round-the-clock hours open at %s', async localTime => {
+    expect(await findOpen(localTime)).toContain('PHARMACY');
+  });
+
+  it.each([
+    ['2026-12-24T12:30', true, 'shortened hours'],
+    ['2026-12-24T16:30', false, 'after the shortened hours'],
+    ['2026-12-25T12:00', false, 'closed holiday'],
+    ['2026-12-26T12:00', false, 'closed holiday; the first matching exception wins'],
+    ['2026-12-27T12:00', true, 'weekly hours again'],
+  ])('applies museum exceptions at %s (%s)', async (localTime, isOpen) => {
+    expect((await findOpen(localTime)).includes('MUSEUM')).toBe(isOpen);
+  });
+
+  it.each([
+    ['2026-12-25T23:00', false, 'holiday night'],
+    ['2026-12-26T01:00', false, 'after midnight, from the holiday'],
+    ['2026-12-26T21:00', true, 'the next night'],
+    ['2026-12-27T01:00', true, 'after midnight, from the next night'],
+  ])('applies bar exceptions at %s (%s)', async (localTime, isOpen) => {
+    expect((await findOpen(localTime)).includes('BAR')).toBe(isOpen);
+  });
+
+  it('checks only POIs of the time zone of a local time', async () => {
+    expect(await findOpen('2026-10-20T10:00', 'Europe/Madrid')).toEqual(['MUSEUM']);
+    expect(await findOpen('2026-10-20T10:00', 'America/New_York')).toEqual(['PHARMACY']);
+  });
+
+  it('checks an instant in every time zone', async () => {
+    const instant = new Date('2026-10-23T22:00:00Z');
+    const openTimes = ['Europe/Madrid', 'America/New_York'].map(timeZone => ({
+      timeZone,
+      ...getLocalTime(instant, timeZone),
+    }));
+    const [condition] = buildOpeningHoursConditions('poi', openTimes);
+    const rows = await sequelize.query(`SELECT id FROM pois AS poi WHERE ${condition} ORDER BY id`, {
+      type: sequelize.QueryTypes.SELECT,
+    });
+
+    // Saturday 00:00 in Madrid, during the Friday night hours of the bar; Friday 18:00 in New York
+    expect(rows.map(row => row.id)).toEqual(['BAR', 'PHARMACY']);
+  });
+});